@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Token Management Tool
+ * Issue access/refresh JWTs, maintain the local revocation list (.tf/revoked-tokens.yaml)
+ * and create service account API keys (.tf/service-accounts.yaml)
+ */
+
+import jwt from 'jsonwebtoken';
+import { generateTokenPair } from '../src/auth/jwt.js';
+import { hasuraAuth } from '../src/auth/hasura-auth.js';
+import { KB_ROLES } from '../src/auth/discord-roles.js';
+import { getRevocationPath, loadRevocations, revokeToken } from '../src/auth/revocation.js';
+import {
+    createServiceAccount,
+    getServiceAccountsPath,
+    loadServiceAccounts
+} from '../src/auth/service-accounts.js';
+
+/**
+ * Read a --flag value from the argument list
+ */
+function getFlag(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function issue(discordId, role) {
+    if (role && !Object.values(KB_ROLES).includes(role)) {
+        throw new Error(`Unknown role "${role}" (expected ${Object.values(KB_ROLES).join(', ')})`);
+    }
+
+    const tokens = await generateTokenPair(discordId, { role });
+    const { exp } = jwt.decode(tokens.access_token);
+
+    console.log(`✅ Tokens issued for ${discordId} (role: ${tokens.role})\n`);
+    console.log(`Access token (expires ${new Date(exp * 1000).toISOString()}):`);
+    console.log(tokens.access_token);
+    console.log('\nRefresh token (POST /auth/refresh {"refresh_token": "..."}):');
+    console.log(tokens.refresh_token);
+}
+
+function revoke(args) {
+    const sub = getFlag(args, 'user');
+    const jti = getFlag(args, 'jti');
+    const reason = getFlag(args, 'reason');
+
+    const entry = revokeToken({ sub, jti, reason });
+    console.log(`✅ Revoked ${entry.jti ? `token ${entry.jti}` : `all tokens of user ${entry.sub}`}`);
+    console.log(`   List: ${getRevocationPath()}`);
+}
+
+function list() {
+    const revoked = loadRevocations();
+    console.log(`🔒 ${revoked.length} revocation(s) in ${getRevocationPath()}\n`);
+    for (const entry of revoked) {
+        const target = entry.jti ? `token ${entry.jti}` : `user ${entry.sub}`;
+        const when = entry.revoked_at ? entry.revoked_at.toISOString() : 'always';
+        console.log(`  - ${target} (${when})${entry.reason ? `: ${entry.reason}` : ''}`);
+    }
+}
+
+/**
+ * Split a comma-separated --flag value
+ */
+function getListFlag(args, name) {
+    const value = getFlag(args, name);
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function createAccount(name, args) {
+    const { apiKey, account } = createServiceAccount({
+        name,
+        role: getFlag(args, 'role'),
+        tools: getListFlag(args, 'tools'),
+        folders: getListFlag(args, 'folders'),
+        description: getFlag(args, 'description'),
+        expires_at: getFlag(args, 'expires')
+    });
+
+    console.log(`✅ Service account '${account.name}' created (role: ${account.role})`);
+    console.log(`   Tools: ${account.tools.join(', ') || '(none)'}`);
+    console.log(`   Folders: ${account.folders.join(', ') || '(none)'}`);
+    console.log(`   Expires: ${account.expires_at || 'never'}`);
+    console.log(`   Stored in: ${getServiceAccountsPath()}\n`);
+    console.log('API key (shown once - only its hash is stored):');
+    console.log(apiKey);
+}
+
+function listAccounts() {
+    const accounts = loadServiceAccounts();
+    console.log(`🤖 ${accounts.length} service account(s) in ${getServiceAccountsPath()}\n`);
+    for (const account of accounts) {
+        const expiry = account.expires_at
+            ? `${account.expires_at.getTime() <= Date.now() ? 'expired' : 'expires'} ${account.expires_at.toISOString().slice(0, 10)}`
+            : 'no expiry';
+        console.log(`  - ${account.name} (${account.role}, ${expiry})`);
+        console.log(`      tools: ${account.tools.join(', ') || '(none)'}`);
+        console.log(`      folders: ${account.folders.join(', ') || '(none)'}`);
+    }
+}
+
+// ============================================
+// CLI
+// ============================================
+
+const command = process.argv[2];
+const args = process.argv.slice(3);
+
+try {
+    switch (command) {
+        case 'issue':
+            if (!args[0] || args[0].startsWith('--')) {
+                console.log('Usage: node manage-tokens.js issue <discord_id> [--role admin|team|member|public]');
+                process.exit(1);
+            }
+            await issue(args[0], getFlag(args, 'role'));
+            break;
+
+        case 'revoke':
+            if (!getFlag(args, 'user') && !getFlag(args, 'jti')) {
+                console.log('Usage: node manage-tokens.js revoke --user <discord_id> | --jti <token_id> [--reason "..."]');
+                process.exit(1);
+            }
+            revoke(args);
+            break;
+
+        case 'list-revoked':
+            list();
+            break;
+
+        case 'create-service-account':
+            if (!args[0] || args[0].startsWith('--') || !getFlag(args, 'role')) {
+                console.log('Usage: node manage-tokens.js create-service-account <name> --role <role> --tools <a,b> --folders <a/,b/> [--expires YYYY-MM-DD] [--description "..."]');
+                process.exit(1);
+            }
+            createAccount(args[0], args);
+            break;
+
+        case 'list-service-accounts':
+            listAccounts();
+            break;
+
+        default:
+            console.log(`
+Token Management Tool
+
+Commands:
+  issue <discord_id> [--role <role>]    Issue access + refresh tokens (role from Hasura if omitted)
+  revoke --user <discord_id>            Revoke every token issued to a user so far
+  revoke --jti <token_id>               Revoke a single token
+  list-revoked                          Show the revocation list
+  create-service-account <name> --role <role> --tools <list> --folders <list> [--expires <date>]
+                                        Create a service account and print its API key
+  list-service-accounts                 Show service accounts and their scopes
+
+Examples:
+  node scripts/manage-tokens.js issue 403819286445162498 --role team
+  node scripts/manage-tokens.js revoke --user 403819286445162498 --reason "left the team"
+  node scripts/manage-tokens.js create-service-account mission-status-bot --role team \\
+      --tools missions_update,missions_list --folders missions/ --expires 2027-01-01
+            `);
+    }
+} catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+} finally {
+    await hasuraAuth.disconnect();
+}
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * Move missions whose folder does not match their status
+ * missions/active/x with status: completed moves to missions/completed/x, and so on
+ * (folders per status come from config/mission-states.yaml).
+ * Usage: npm run reconcile-missions [-- --dry-run]
+ */
+
+import { missionsReconcileFolders } from '../src/tools/missions.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+console.log(`🔎 Reconciling mission folders${dryRun ? ' (dry run)' : ''}\n`);
+
+const result = await missionsReconcileFolders({ dry_run: dryRun });
+
+for (const m of result.moved) {
+    console.log(`   ${dryRun ? 'Would move' : 'Moved'} ${m.from} → ${m.to} (status: ${m.status})`);
+}
+for (const m of result.skipped) {
+    console.log(`   ⚠️  Skipped ${m.path}: ${m.reason}`);
+}
+
+console.log(`\n   Checked: ${result.checked}`);
+console.log(`   ${dryRun ? 'To move' : 'Moved'}: ${result.moved.length}`);
+console.log(`   Skipped: ${result.skipped.length}`);
+
+process.exit(result.skipped.length > 0 ? 1 : 0);
@@ -1,10 +1,14 @@
-
 import { missionsUpdate } from '../src/tools/missions.js';
+import { withAuth, withAuthContext } from '../src/auth/index.js';
+
+// Runs as the service account whose key is in ORBIOS_API_KEY, so updates are
+// authorized and audited under its name (scope: missions_update, missions/)
+const updateMission = withAuth('missions_update', missionsUpdate);
 
-async function updateStatus(id, newStatus) {
+async function updateStatus(id, newStatus, fields = {}) {
     try {
         console.log(`Updating ${id} to ${newStatus}...`);
-        await missionsUpdate({ id, updates: { status: newStatus } });
+        await updateMission({ id, updates: { status: newStatus, ...fields } });
         console.log('Success.');
     } catch (e) {
         console.error(`Failed to update ${id}:`, e.message);
@@ -27,9 +31,23 @@ async function run() {
         'yacht-booking-website'
     ];
 
-    for (const id of missionsToComplete) {
-        await updateStatus(id, 'completed');
-    }
+    await withAuthContext({}, async (context) => {
+        if (!context.serviceAccount) {
+            console.error('Set ORBIOS_API_KEY to a service account key (npm run tokens -- create-service-account ...)');
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`Running as service account: ${context.serviceAccount.name}`);
+
+        // active → completed requires both (config/mission-states.yaml)
+        const completion = {
+            completed_at: new Date().toISOString(),
+            closing_note: 'Completed in bulk by scripts/update-mission-status.js'
+        };
+        for (const id of missionsToComplete) {
+            await updateStatus(id, 'completed', completion);
+        }
+    });
 }
 
 run();
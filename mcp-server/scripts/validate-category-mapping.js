@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Validate config/category-mapping.yaml
+ * Flags placeholder IDs (e.g. BOARD_CATEGORY_ID_PLACEHOLDER), unknown access levels
+ * and conflicting duplicates. Exits non-zero on errors, or on warnings with --strict.
+ */
+
+import {
+    getCategoryMappingPath,
+    loadCategoryMapping,
+    validateCategoryMapping
+} from '../src/auth/channel-access.js';
+
+const strict = process.argv.includes('--strict');
+
+const mapping = loadCategoryMapping();
+if (!mapping.source) {
+    console.log(`❌ Category mapping not found: ${getCategoryMappingPath()}`);
+    process.exit(1);
+}
+
+console.log(`🔎 Validating ${mapping.source}\n`);
+console.log(`   Categories: ${mapping.categories.length}`);
+console.log(`   Channel overrides: ${mapping.channels.length}`);
+console.log(`   Default access level: ${mapping.default_access_level}\n`);
+
+const issues = validateCategoryMapping(mapping);
+const errors = issues.filter(i => i.severity === 'error');
+const warnings = issues.filter(i => i.severity === 'warning');
+
+for (const issue of errors) {
+    console.log(`❌ ${issue.message}`);
+}
+for (const issue of warnings) {
+    console.log(`⚠️  ${issue.message}`);
+}
+
+if (issues.length === 0) {
+    console.log('✅ Category mapping is valid');
+} else {
+    console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+}
+
+process.exit(errors.length > 0 || (strict && warnings.length > 0) ? 1 : 0);
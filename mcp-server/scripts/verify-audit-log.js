@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+
+/**
+ * Verify the audit log hash chain
+ * Detects modified, removed or reordered entries across rotated files, including
+ * entries cut from the start or end of the log.
+ * Exits non-zero when the chain is broken.
+ */
+
+import { getAuditDir, verifyAuditLog } from '../src/auth/audit-log.js';
+
+console.log(`🔎 Verifying audit log in ${getAuditDir()}\n`);
+
+const result = verifyAuditLog();
+console.log(`   Files: ${result.files}`);
+console.log(`   Entries: ${result.entries}\n`);
+
+if (result.valid) {
+    console.log('✅ Hash chain intact');
+} else {
+    console.log(`❌ ${result.error.reason}`);
+    console.log(`   at ${result.error.file}:${result.error.line}`);
+}
+
+process.exit(result.valid ? 0 : 1);
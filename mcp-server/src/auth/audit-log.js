@@ -0,0 +1,368 @@
+// Audit Log
+// Tamper-evident, rotated audit trail of tool calls ({KB_ROOT}/.tf/audit/)
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { KB_ROOT } from '../utils/path-utils.js';
+
+export const REDACTED = '[REDACTED]';
+
+const CURRENT_FILE = 'audit.jsonl';
+const HEAD_FILE = 'head.json';
+const ROTATED_PATTERN = /^audit-(\d{8}T\d{6}Z)(?:-(\d+))?\.jsonl$/;
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+// Argument keys whose values are never written
+const SECRET_KEYS = /pass(word)?|secret|token|api_?key|authorization|credential|key_hash|cookie/i;
+const PII_KEYS = /^(email|phone|mobile|address|location|city|birth_?(day|date)?|dob|salary|rate|iban|passport)$/i;
+// Free-text fields (candidate evaluations, status reports) are logged by length only
+const CONTENT_KEYS = /^(content|body|text|notes?|message|description|summary|feedback|profile)$/i;
+
+// Secrets and PII embedded in otherwise harmless strings
+const VALUE_PATTERNS = [
+    /[\w.+-]+@[\w-]+\.[\w.-]+/g,                 // email addresses
+    /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,              // JWTs
+    /\bkbsa_[\w-]+/g,                            // service account keys
+    /\bBearer\s+\S+/gi,                          // authorization headers
+];
+
+// Last entry written by this process, reused while nobody else appends
+let chainState = null;
+
+/**
+ * Get the audit log directory
+ * @returns {string} Absolute path (ORBIOS_AUDIT_DIR or {KB_ROOT}/.tf/audit)
+ */
+export function getAuditDir() {
+    return process.env.ORBIOS_AUDIT_DIR
+        ? path.resolve(process.env.ORBIOS_AUDIT_DIR)
+        : path.join(KB_ROOT, '.tf', 'audit');
+}
+
+/**
+ * Get the rotation settings
+ * @returns {{maxBytes: number, daily: boolean}}
+ */
+function getRotation() {
+    const maxBytes = parseInt(process.env.ORBIOS_AUDIT_MAX_BYTES || '', 10);
+    return {
+        maxBytes: maxBytes > 0 ? maxBytes : DEFAULT_MAX_BYTES,
+        daily: (process.env.ORBIOS_AUDIT_ROTATION || 'daily').toLowerCase() === 'daily',
+    };
+}
+
+/**
+ * Redact secrets and PII from a value before it is logged
+ * @param {*} value - Tool arguments or details
+ * @param {string} [key] - Key the value is stored under
+ * @returns {*} Redacted copy
+ */
+export function redactAuditValue(value, key = '') {
+    if (value === null || value === undefined) return value;
+
+    if (SECRET_KEYS.test(key) || PII_KEYS.test(key)) {
+        return REDACTED;
+    }
+
+    if (typeof value === 'string') {
+        if (CONTENT_KEYS.test(key)) {
+            return `${REDACTED} (${value.length} chars)`;
+        }
+        return VALUE_PATTERNS.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redactAuditValue(item, key));
+    }
+
+    if (typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([k, v]) => [k, redactAuditValue(v, k)])
+        );
+    }
+
+    return value;
+}
+
+/**
+ * Redact the free-form parts of an audit event (args, details, reason)
+ * @param {Object} event - Audit event
+ * @returns {Object} Redacted copy
+ */
+export function redactAuditEvent(event) {
+    const redacted = { ...event };
+    if ('args' in redacted) redacted.args = redactAuditValue(redacted.args);
+    if ('details' in redacted) redacted.details = redactAuditValue(redacted.details);
+    if (typeof redacted.reason === 'string') redacted.reason = redactAuditValue(redacted.reason, 'reason');
+    return redacted;
+}
+
+/**
+ * Hash an entry together with its predecessor's hash
+ * @param {Object} entry - Entry without its `hash` field
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashEntry(entry) {
+    return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * List audit files from oldest to newest (rotated files, then the current file)
+ * @returns {string[]} File names
+ */
+function listAuditFiles() {
+    let names;
+    try {
+        names = fs.readdirSync(getAuditDir());
+    } catch {
+        return [];
+    }
+
+    // Order by rotation time, then by the counter added when two rotations share a second
+    const rotated = names
+        .map(name => ({ name, match: name.match(ROTATED_PATTERN) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => a.match[1].localeCompare(b.match[1]) || Number(a.match[2] || 0) - Number(b.match[2] || 0))
+        .map(({ name }) => name);
+    return names.includes(CURRENT_FILE) ? [...rotated, CURRENT_FILE] : rotated;
+}
+
+/**
+ * Read the last complete entry of an audit file
+ * @param {string} filePath - Absolute file path
+ * @returns {Object|null} Parsed entry, or null for an empty file
+ */
+function readLastEntry(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const { size } = fs.fstatSync(fd);
+        let window = Math.min(size, 64 * 1024);
+
+        while (window > 0) {
+            const buffer = Buffer.alloc(window);
+            fs.readSync(fd, buffer, 0, window, size - window);
+            const lines = buffer.toString('utf-8').split('\n').filter(line => line.trim());
+
+            // The first line may be cut off unless the window covers the whole file
+            if (lines.length > 1 || window === size) {
+                return lines.length ? JSON.parse(lines[lines.length - 1]) : null;
+            }
+            window = Math.min(size, window * 2);
+        }
+        return null;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Find the entry the next one chains to
+ * @returns {{seq: number, hash: string}}
+ */
+function getChainHead() {
+    const files = listAuditFiles();
+    for (let i = files.length - 1; i >= 0; i--) {
+        const last = readLastEntry(path.join(getAuditDir(), files[i]));
+        if (last) return { seq: last.seq, hash: last.hash };
+    }
+    return { seq: 0, hash: GENESIS_HASH };
+}
+
+/**
+ * Read the recorded chain head (seq and hash of the last entry written)
+ * @returns {{seq: number, hash: string}|null} Head record, or null if none was written yet
+ */
+function readHeadRecord() {
+    const headPath = path.join(getAuditDir(), HEAD_FILE);
+    if (!fs.existsSync(headPath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(headPath, 'utf-8'));
+    } catch {
+        return { seq: null, hash: null };
+    }
+}
+
+/**
+ * Move the current file aside when it is too large or from a previous day
+ * @param {string} currentPath - Path of the current audit file
+ * @param {number} incomingBytes - Size of the entry about to be written
+ */
+function rotateIfNeeded(currentPath, incomingBytes) {
+    let stat;
+    try {
+        stat = fs.statSync(currentPath);
+    } catch {
+        return;
+    }
+    if (stat.size === 0) return;
+
+    const { maxBytes, daily } = getRotation();
+    const today = new Date().toISOString().slice(0, 10);
+    const tooLarge = stat.size + incomingBytes > maxBytes;
+    const stale = daily && stat.mtime.toISOString().slice(0, 10) !== today;
+    if (!tooLarge && !stale) return;
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    let target = path.join(path.dirname(currentPath), `audit-${stamp}.jsonl`);
+    for (let n = 1; fs.existsSync(target); n++) {
+        target = path.join(path.dirname(currentPath), `audit-${stamp}-${n}.jsonl`);
+    }
+    fs.renameSync(currentPath, target);
+}
+
+/**
+ * Create the audit directory, keeping its contents out of the KB's git history
+ * @param {string} dir - Audit directory
+ */
+function ensureAuditDir(dir) {
+    if (fs.existsSync(dir)) return;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, '.gitignore'), '*\n', 'utf-8');
+}
+
+/**
+ * Append an event to the audit log
+ * Arguments and details are redacted; each entry stores the hash of the previous one.
+ * @param {Object} event - Event fields (timestamp, toolName, allowed, userId, ...)
+ * @returns {Object} Entry as written (with seq, prev and hash)
+ */
+export function appendAuditEntry(event) {
+    const dir = getAuditDir();
+    const currentPath = path.join(dir, CURRENT_FILE);
+    ensureAuditDir(dir);
+
+    const body = redactAuditEvent(event);
+
+    // Reuse the cached head only if no other process appended or rotated since
+    const size = fs.existsSync(currentPath) ? fs.statSync(currentPath).size : 0;
+    const head = chainState && chainState.dir === dir && chainState.size === size
+        ? chainState
+        : getChainHead();
+
+    const unsigned = { seq: head.seq + 1, ...body, prev: head.hash };
+    const entry = { ...unsigned, hash: hashEntry(unsigned) };
+    const line = JSON.stringify(entry) + '\n';
+
+    rotateIfNeeded(currentPath, Buffer.byteLength(line));
+    // Synchronous write to ensure data is saved before process potentially exits
+    fs.appendFileSync(currentPath, line, 'utf-8');
+
+    // Kept outside the chain so entries cut from the end are detected
+    fs.writeFileSync(path.join(dir, HEAD_FILE), JSON.stringify({ seq: entry.seq, hash: entry.hash }) + '\n', 'utf-8');
+
+    chainState = { dir, size: fs.statSync(currentPath).size, seq: entry.seq, hash: entry.hash };
+    return entry;
+}
+
+/**
+ * Read entries from the audit files, oldest first
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Skip rotated files closed before this time
+ * @returns {Array<{file: string, line: number, entry: Object|null, raw: string}>}
+ */
+function readAuditEntries({ since } = {}) {
+    const dir = getAuditDir();
+    const records = [];
+
+    for (const file of listAuditFiles()) {
+        const match = file.match(ROTATED_PATTERN);
+        if (since && match) {
+            const closedAt = new Date(match[1].replace(
+                /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+            if (closedAt < since) continue;
+        }
+
+        const lines = fs.readFileSync(path.join(dir, file), 'utf-8').split('\n');
+        lines.forEach((raw, index) => {
+            if (!raw.trim()) return;
+            let entry = null;
+            try {
+                entry = JSON.parse(raw);
+            } catch {
+                // Reported by verifyAuditLog
+            }
+            records.push({ file, line: index + 1, entry, raw });
+        });
+    }
+
+    return records;
+}
+
+/**
+ * Verify the hash chain across all audit files
+ * The chain must start at the genesis entry and end at the recorded head.
+ * @returns {{valid: boolean, entries: number, files: number, error?: {file: string, line: number, reason: string}}}
+ */
+export function verifyAuditLog() {
+    const records = readAuditEntries();
+    const files = new Set(records.map(r => r.file)).size;
+    let prev = null;
+
+    for (const { file, line, entry } of records) {
+        const fail = reason => ({ valid: false, entries: records.length, files, error: { file, line, reason } });
+
+        if (!entry) return fail('unparseable entry');
+
+        const { hash, ...unsigned } = entry;
+        if (hashEntry(unsigned) !== hash) return fail('entry hash mismatch (entry was modified)');
+        if (!prev && (entry.seq !== 1 || entry.prev !== GENESIS_HASH)) {
+            return fail(`chain starts at seq ${entry.seq} instead of the genesis entry (entries removed from the start)`);
+        }
+        if (prev && entry.prev !== prev.hash) return fail('chain broken (entry removed or reordered)');
+        if (prev && entry.seq !== prev.seq + 1) return fail(`sequence gap after seq ${prev.seq}`);
+
+        prev = entry;
+    }
+
+    const head = readHeadRecord();
+    const tail = prev ? { seq: prev.seq, hash: prev.hash } : { seq: 0, hash: GENESIS_HASH };
+    if (head ? head.seq !== tail.seq || head.hash !== tail.hash : records.length > 0) {
+        const last = records[records.length - 1];
+        let reason = 'head record missing';
+        if (head) {
+            reason = head.seq > tail.seq
+                ? `log ends at seq ${tail.seq} but the head is at seq ${head.seq} (entries removed from the end)`
+                : `last entry (seq ${tail.seq}) does not match the head record`;
+        }
+        return {
+            valid: false,
+            entries: records.length,
+            files,
+            error: { file: last ? last.file : HEAD_FILE, line: last ? last.line : 0, reason }
+        };
+    }
+
+    return { valid: true, entries: records.length, files };
+}
+
+/**
+ * Query the audit log
+ * @param {Object} [filters]
+ * @param {string} [filters.userId] - Exact user ID (e.g. "service:mission-bot")
+ * @param {Function} [filters.matchTool] - Predicate on the tool name
+ * @param {Date} [filters.from] - Earliest timestamp (inclusive)
+ * @param {Date} [filters.to] - Latest timestamp (inclusive)
+ * @param {boolean} [filters.allowed] - Only allowed or only denied calls
+ * @param {number} [filters.limit=100] - Maximum entries returned
+ * @returns {{entries: Object[], total: number}} Matching entries, newest first
+ */
+export function queryAuditLog({ userId, matchTool, from, to, allowed, limit = 100 } = {}) {
+    const matches = readAuditEntries({ since: from })
+        .map(record => record.entry)
+        .filter(entry => {
+            if (!entry) return false;
+            if (userId !== undefined && entry.userId !== userId) return false;
+            if (matchTool && !matchTool(entry.toolName)) return false;
+            if (allowed !== undefined && entry.allowed !== allowed) return false;
+
+            const time = new Date(entry.timestamp);
+            if (from && time < from) return false;
+            if (to && time > to) return false;
+            return true;
+        })
+        .reverse();
+
+    return { entries: matches.slice(0, limit), total: matches.length };
+}
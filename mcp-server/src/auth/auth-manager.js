@@ -1,7 +1,12 @@
 // Authentication Context Manager
 // Manages user authentication state for MCP server
 
-import { mapDiscordRoleToKBRole } from './discord-roles.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { resolveKBRole } from './role-mapping.js';
+import { KB_ROLES } from './discord-roles.js';
+import { authenticateJWT } from './tokens.js';
+import { authenticateApiKey } from './service-accounts.js';
+import { isProfileAuthEnabled, authenticateViaProfile } from './profile-auth.js';
 
 /**
  * User authentication context
@@ -9,33 +14,82 @@ import { mapDiscordRoleToKBRole } from './discord-roles.js';
  * @property {string} userId - Discord user ID
  * @property {string} username - Discord username
  * @property {string[]} discordRoles - Array of Discord role IDs
+ * @property {string[]} dbRoles - Database role names (Hasura)
+ * @property {{id: string, roles: string[], tags: string[]}|null} profile -
+ *   KB user profile (db/users) the identity was resolved from
  * @property {string} kbRole - Mapped KB role (admin, team, member, public)
+ * @property {{name: string, tools: string[], folders: string[]}|null} serviceAccount -
+ *   Scope of the service account making the request (null for people)
+ * @property {RoleResolution} roleResolution - How kbRole was determined
+ * @property {string} [impersonatedBy] - Admin running a read tool as this identity
  * @property {boolean} authenticated - Whether user is authenticated
  */
 
+/**
+ * How a context's KB role was determined (shown by auth_explain)
+ * @typedef {Object} RoleResolution
+ * @property {string} identity - Where the identity came from (environment, hasura, profile, jwt, api_key, static, ...)
+ * @property {string} method - role-mapping, jwt-claims, service-account or anonymous
+ * @property {string[]} matched - Role mapping entries that granted a role
+ * @property {string|null} mapping - Role mapping file (or "built-in")
+ */
+
 class AuthManager {
     constructor() {
-        // In-memory session storage (for development)
-        // In production, this would be backed by Redis or similar
-        this.sessions = new Map();
-        this.currentContext = null;
+        // Context of the request being served. Each MCP request runs inside
+        // runWithContext(), so concurrent requests never see each other's identity.
+        this.storage = new AsyncLocalStorage();
     }
 
     /**
      * Create authentication context from Discord user data
-     * @param {Object} userData - Discord user data from Hasura
+     * A `kb_role` (set from verified JWT claims) is used as-is instead of mapping roles.
+     * @param {Object} userData - User data ({ user_id, username, roles, db_roles, profile_roles,
+     *   profile_tags, guild_id, kb_role })
+     * @param {string} [identity='environment'] - Where userData came from
      * @returns {AuthContext}
      */
-    createContext(userData) {
+    createContext(userData, identity = 'environment') {
         if (!userData || !userData.user_id) {
             return this.getAnonymousContext();
         }
 
+        const discordRoles = userData.roles || [];
+        const dbRoles = userData.db_roles || [];
+
+        let kbRole;
+        let roleResolution;
+        if (Object.values(KB_ROLES).includes(userData.kb_role)) {
+            kbRole = userData.kb_role;
+            roleResolution = {
+                identity,
+                method: userData.service_account ? 'service-account' : 'jwt-claims',
+                matched: [],
+                mapping: null,
+            };
+        } else {
+            const resolved = resolveKBRole({
+                discordRoles,
+                dbRoles,
+                profileRoles: userData.profile_roles,
+                profileTags: userData.profile_tags,
+                guildId: userData.guild_id
+            });
+            kbRole = resolved.kbRole;
+            roleResolution = { identity, method: 'role-mapping', matched: resolved.matched, mapping: resolved.source };
+        }
+
         const context = {
             userId: userData.user_id,
             username: userData.username || 'Unknown',
-            discordRoles: userData.roles || [],
-            kbRole: mapDiscordRoleToKBRole(userData.roles || []),
+            discordRoles,
+            dbRoles,
+            profile: userData.profile_id
+                ? { id: userData.profile_id, roles: userData.profile_roles || [], tags: userData.profile_tags || [] }
+                : null,
+            kbRole,
+            serviceAccount: userData.service_account || null,
+            roleResolution,
             authenticated: true,
         };
 
@@ -51,32 +105,41 @@ class AuthManager {
             userId: null,
             username: 'Anonymous',
             discordRoles: [],
+            dbRoles: [],
+            profile: null,
             kbRole: 'public',
+            serviceAccount: null,
+            roleResolution: { identity: 'anonymous', method: 'anonymous', matched: [], mapping: null },
             authenticated: false,
         };
     }
 
     /**
-     * Set current authentication context
-     * @param {AuthContext} context
+     * Run a function with an authentication context bound to it
+     * Everything awaited inside fn (handlers, filters, audit logging) sees this context.
+     * @param {AuthContext} context - Context of the request being served
+     * @param {Function} fn - Function to run
+     * @returns {*} Return value of fn
      */
-    setContext(context) {
-        this.currentContext = context;
+    runWithContext(context, fn) {
+        return this.storage.run(context, fn);
     }
 
     /**
-     * Get current authentication context
+     * Get the authentication context of the current request
+     * Outside of runWithContext() this is always the anonymous context.
      * @returns {AuthContext}
      */
     getContext() {
-        return this.currentContext || this.getAnonymousContext();
+        return this.storage.getStore() || this.getAnonymousContext();
     }
 
     /**
-     * Clear current context
+     * Get the authentication context only when serving an MCP request
+     * @returns {AuthContext|null} Context, or null outside a request (CLI scripts, bootstrap)
      */
-    clearContext() {
-        this.currentContext = null;
+    getRequestContext() {
+        return this.storage.getStore() || null;
     }
 
     /**
@@ -111,63 +174,151 @@ class AuthManager {
 export const authManager = new AuthManager();
 
 /**
- * Initialize auth context from environment or request metadata
- * This is called at the start of each MCP request
+ * Read the user configured for this process (stdio mode)
+ * ORBIOS_API_KEY (service account) and ORBIOS_AUTH_TOKEN (a JWT) take precedence over
+ * ORBIOS_USER_ID and are verified on every request, so an expired or revoked credential
+ * drops the process to anonymous access.
+ * ORBIOS_USER_EMAIL identifies the user by their db/users profile when no user ID is set.
+ * @returns {Object|null} User data ({ user_id, username, email, roles }) or null
+ */
+function getEnvironmentUser() {
+    if (process.env.ORBIOS_API_KEY) {
+        return authenticateApiKey(process.env.ORBIOS_API_KEY.trim());
+    }
+
+    if (process.env.ORBIOS_AUTH_TOKEN) {
+        return authenticateJWT(process.env.ORBIOS_AUTH_TOKEN.trim());
+    }
+
+    const email = process.env.ORBIOS_USER_EMAIL || null;
+    const userId = process.env.ORBIOS_USER_ID || email;
+    if (!userId) {
+        return null;
+    }
+
+    return {
+        user_id: userId,
+        username: process.env.ORBIOS_USERNAME || userId,
+        email,
+        roles: process.env.ORBIOS_USER_ROLES
+            ? process.env.ORBIOS_USER_ROLES.split(',').map(r => r.trim())
+            : []
+    };
+}
+
+/**
+ * Describe where a request's identity comes from
+ * @param {Object} metadata - Request metadata
+ * @returns {string} Identity source for RoleResolution.identity
+ */
+function getIdentitySource(metadata) {
+    if (metadata.user !== undefined) {
+        return metadata.tokenType || 'request';
+    }
+    if (process.env.ORBIOS_API_KEY) return 'api_key';
+    if (process.env.ORBIOS_AUTH_TOKEN) return 'jwt';
+    return 'environment';
+}
+
+/**
+ * Log how a request was authenticated (DEBUG=true only: this runs on every request)
+ * @param {...*} args - console.error arguments
+ */
+function debugLog(...args) {
+    if (process.env.DEBUG === 'true') {
+        console.error(...args);
+    }
+}
+
+/**
+ * Resolve the auth context for a request from environment or request metadata
+ * This is called at the start of each MCP request; bind the result with
+ * authManager.runWithContext() (or withAuthContext) for the rest of the request.
  * @param {Object} metadata - Request metadata
+ * @param {Object|null} [metadata.user] - Identity resolved by the transport (HTTP bearer token).
+ *   When present it replaces ORBIOS_USER_ID; null means an anonymous connection.
+ * @param {string} [metadata.tokenType] - Kind of credential that resolved `user`
  * @returns {AuthContext}
  */
 export async function initializeAuthContext(metadata = {}) {
-    const userId = process.env.ORBIOS_USER_ID;
+    const user = metadata.user !== undefined ? metadata.user : getEnvironmentUser();
 
-    if (!userId) {
+    if (!user || !user.user_id) {
         // No user ID - anonymous access
-        const context = authManager.getAnonymousContext();
-        authManager.setContext(context);
-        return context;
+        return authManager.getAnonymousContext();
+    }
+
+    const userId = user.user_id;
+    const identity = getIdentitySource(metadata);
+
+    // A verified JWT or service account already carries the role
+    if (user.kb_role) {
+        return authManager.createContext(user, identity);
     }
 
-    // Try Hasura authentication first (if configured)
-    if (process.env.HASURA_HOST && process.env.HASURA_PASSWORD) {
+    // Try Hasura authentication first (if configured: GraphQL API or database)
+    if ((process.env.HASURA_GRAPHQL_ENDPOINT && process.env.HASURA_ADMIN_SECRET)
+        || (process.env.HASURA_HOST && process.env.HASURA_PASSWORD)) {
         try {
             // Dynamic import to avoid loading if not needed
             const { authenticateViaHasura } = await import('./hasura-auth.js');
 
             const userData = await authenticateViaHasura(userId);
             if (userData) {
-                console.error('[Auth] Authenticated via Hasura:', {
+                debugLog('[Auth] Authenticated via Hasura:', {
                     userId: userData.user_id,
                     username: userData.username,
-                    roles: userData.roles
+                    db_roles: userData.db_roles
                 });
 
-                const context = authManager.createContext(userData);
-                authManager.setContext(context);
-                return context;
+                return authManager.createContext(userData, 'hasura');
             } else {
-                console.error('[Auth] Hasura auth failed for user:', userId);
+                debugLog('[Auth] Hasura auth failed for user:', userId);
             }
         } catch (error) {
-            console.error('[Auth] Hasura auth error, falling back to env:', error.message);
+            console.error('[Auth] Hasura auth error, falling back to configured roles:', error.message);
         }
     }
 
-    // Fallback to environment variables (development mode)
-    const userRoles = process.env.ORBIOS_USER_ROLES
-        ? process.env.ORBIOS_USER_ROLES.split(',').map(r => r.trim())
-        : [];
+    // Then the KB's own user profiles (db/users/*.yaml)
+    if (isProfileAuthEnabled()) {
+        const userData = authenticateViaProfile(user);
+        if (userData && !userData.active) {
+            // The profile is authoritative: someone who left does not keep their configured roles
+            debugLog('[Auth] Profile is not active, treating as anonymous:', {
+                userId: userData.user_id,
+                profile: userData.profile_id,
+                status: userData.status
+            });
+            return authManager.getAnonymousContext();
+        }
+        if (userData) {
+            debugLog('[Auth] Authenticated via profile:', {
+                userId: userData.user_id,
+                profile: userData.profile_id
+            });
+
+            return authManager.createContext(userData, 'profile');
+        }
+    }
 
-    console.error('[Auth] Using environment-based auth:', {
+    // Fallback to configured roles (environment or HTTP token map)
+    debugLog('[Auth] Using configured roles:', {
         userId,
-        username: process.env.ORBIOS_USERNAME || userId,
-        roles: userRoles
+        username: user.username,
+        roles: user.roles
     });
 
-    const context = authManager.createContext({
-        user_id: userId,
-        username: process.env.ORBIOS_USERNAME || userId,
-        roles: userRoles,
-    });
+    return authManager.createContext(user, identity);
+}
 
-    authManager.setContext(context);
-    return context;
+/**
+ * Resolve the auth context for a request and run fn inside it
+ * @param {Object} metadata - Request metadata (see initializeAuthContext)
+ * @param {Function} fn - Request handler, called with the resolved context
+ * @returns {Promise<*>} Return value of fn
+ */
+export async function withAuthContext(metadata, fn) {
+    const context = await initializeAuthContext(metadata);
+    return await authManager.runWithContext(context, () => fn(context));
 }
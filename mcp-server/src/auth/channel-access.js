@@ -0,0 +1,179 @@
+// Discord Channel Access Levels
+// Resolves channel access levels from config/category-mapping.yaml
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { KB_ROOT } from '../utils/path-utils.js';
+import { ACCESS_LEVELS } from './discord-roles.js';
+
+/**
+ * Mapping levels (category-mapping.yaml) → KB access levels
+ */
+export const MAPPING_LEVELS = {
+    public: ACCESS_LEVELS.PUBLIC,
+    core: ACCESS_LEVELS.CORE,
+    board: ACCESS_LEVELS.PRIVATE,
+    archive: ACCESS_LEVELS.CORE,
+};
+
+/**
+ * Discord snowflake IDs are 17-20 digit numbers
+ */
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+
+// Cached mappings by path, reloaded when the file's mtime changes
+const cache = new Map();
+
+/**
+ * Get the category mapping file location
+ * @returns {string} Absolute path (ORBIOS_CATEGORY_MAPPING_PATH or {KB_ROOT}/config/category-mapping.yaml)
+ */
+export function getCategoryMappingPath() {
+    return process.env.ORBIOS_CATEGORY_MAPPING_PATH
+        ? path.resolve(process.env.ORBIOS_CATEGORY_MAPPING_PATH)
+        : path.join(KB_ROOT, 'config', 'category-mapping.yaml');
+}
+
+/**
+ * Check whether an ID is a placeholder rather than a Discord snowflake
+ * @param {*} id - Category or channel ID
+ * @returns {boolean}
+ */
+export function isPlaceholderId(id) {
+    return !SNOWFLAKE_PATTERN.test(String(id ?? ''));
+}
+
+/**
+ * Load the category mapping
+ * A missing file yields an empty mapping (everything resolves to the default level).
+ * @param {string} [mappingPath] - Mapping file (defaults to this KB's, see getCategoryMappingPath)
+ * @returns {{categories: Array, channels: Array, default_access_level: string, source: string|null}}
+ */
+export function loadCategoryMapping(mappingPath = getCategoryMappingPath()) {
+
+    let stat;
+    try {
+        stat = fs.statSync(mappingPath);
+    } catch {
+        return { categories: [], channels: [], default_access_level: 'core', source: null };
+    }
+
+    const cached = cache.get(mappingPath);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+        return cached.mapping;
+    }
+
+    let raw;
+    try {
+        raw = YAML.parse(fs.readFileSync(mappingPath, 'utf-8')) || {};
+    } catch (error) {
+        throw new Error(`Invalid category mapping ${mappingPath}: ${error.message}`);
+    }
+
+    const mapping = {
+        categories: Array.isArray(raw.categories) ? raw.categories : [],
+        channels: Array.isArray(raw.channels) ? raw.channels : [],
+        default_access_level: raw.default_access_level || 'core',
+        source: mappingPath,
+    };
+
+    const issues = validateCategoryMapping(mapping);
+    for (const issue of issues) {
+        console.error(`[Channels] ${issue.severity}: ${issue.message}`);
+    }
+
+    cache.set(mappingPath, { mtimeMs: stat.mtimeMs, mapping });
+    return mapping;
+}
+
+/**
+ * Validate a category mapping
+ * @param {Object} mapping - Mapping as returned by loadCategoryMapping
+ * @returns {Array<{severity: 'error'|'warning', path: string, message: string}>} Issues found
+ */
+export function validateCategoryMapping(mapping) {
+    const issues = [];
+    const seen = new Map();
+
+    const checkEntry = (entry, where) => {
+        const label = entry.name ? `${where} "${entry.name}"` : where;
+
+        if (entry.id === undefined || entry.id === null || entry.id === '') {
+            issues.push({ severity: 'error', path: where, message: `${label} has no id` });
+        } else if (isPlaceholderId(entry.id)) {
+            issues.push({ severity: 'warning', path: where, message: `${label} has placeholder id "${entry.id}" - it will never match a channel` });
+        }
+
+        if (!(entry.access_level in MAPPING_LEVELS)) {
+            issues.push({ severity: 'error', path: where, message: `${label} has unknown access_level "${entry.access_level}" (expected ${Object.keys(MAPPING_LEVELS).join(', ')})` });
+        }
+
+        const key = `${where.split('[')[0]}:${entry.id}`;
+        if (seen.has(key) && seen.get(key) !== entry.access_level) {
+            issues.push({ severity: 'error', path: where, message: `${label} id ${entry.id} is listed twice with different access levels` });
+        }
+        seen.set(key, entry.access_level);
+    };
+
+    mapping.categories.forEach((entry, i) => checkEntry(entry, `categories[${i}]`));
+    mapping.channels.forEach((entry, i) => checkEntry(entry, `channels[${i}]`));
+
+    if (!(mapping.default_access_level in MAPPING_LEVELS)) {
+        issues.push({ severity: 'error', path: 'default_access_level', message: `default_access_level "${mapping.default_access_level}" is not a known level` });
+    }
+
+    return issues;
+}
+
+/**
+ * Resolve the access level of a Discord channel
+ * Falls back from channel override → category → default_access_level. With `failClosed`,
+ * a channel neither entry matches is private instead of taking the default level.
+ * @param {string} channelId - Discord channel ID
+ * @param {string} [categoryId] - Parent category ID, when known
+ * @param {Object} [options]
+ * @param {string} [options.mappingPath] - Mapping file (defaults to this KB's)
+ * @param {boolean} [options.failClosed=false] - Treat unmapped channels as private
+ * @returns {{access_level: string, mapping_level: string|null, source: 'channel'|'category'|'default'|'unmapped', sync_enabled: boolean}}
+ */
+export function resolveChannelAccess(channelId, categoryId = null, { mappingPath, failClosed = false } = {}) {
+    const mapping = loadCategoryMapping(mappingPath);
+    const matchId = (entry, id) => id && String(entry.id) === String(id);
+
+    const channel = mapping.channels.find(entry => matchId(entry, channelId));
+    // Some categories are keyed by a channel ID inherited from their parent
+    const category = mapping.categories.find(entry => matchId(entry, categoryId))
+        || mapping.categories.find(entry => matchId(entry, channelId));
+
+    let mappingLevel = mapping.default_access_level;
+    let source = 'default';
+    if (channel) {
+        mappingLevel = channel.access_level;
+        source = 'channel';
+    } else if (category) {
+        mappingLevel = category.access_level;
+        source = 'category';
+    } else if (failClosed) {
+        mappingLevel = null;
+        source = 'unmapped';
+    }
+
+    return {
+        // Unknown levels resolve to the most restrictive level
+        access_level: MAPPING_LEVELS[mappingLevel] || ACCESS_LEVELS.PRIVATE,
+        mapping_level: mappingLevel,
+        source,
+        sync_enabled: category ? category.sync_enabled !== false : true,
+    };
+}
+
+/**
+ * Resolve the KB access level of a Discord channel
+ * @param {string} channelId - Discord channel ID
+ * @param {string} [categoryId] - Parent category ID, when known
+ * @returns {string} Access level (public, core, private)
+ */
+export function resolveChannelAccessLevel(channelId, categoryId = null) {
+    return resolveChannelAccess(channelId, categoryId).access_level;
+}
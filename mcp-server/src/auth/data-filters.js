@@ -0,0 +1,55 @@
+// Data Filters
+// Helpers for tools that honor the _accessFilter added by applyDataFilters
+
+import { ACCESS_LEVELS } from './discord-roles.js';
+import { resolveChannelAccessLevel } from './channel-access.js';
+
+/**
+ * Access level of a mission without an explicit `access_level` (missions/ is core KB)
+ */
+export const DEFAULT_MISSION_ACCESS_LEVEL = ACCESS_LEVELS.CORE;
+
+/**
+ * Check whether an access level is visible under a filter
+ * @param {string} level - Access level of the item
+ * @param {Object} [accessFilter] - _accessFilter from the tool arguments (none means unfiltered)
+ * @returns {boolean}
+ */
+export function isLevelAllowed(level, accessFilter) {
+    if (!accessFilter) return true;
+    return Array.isArray(accessFilter.levels) && accessFilter.levels.includes(level);
+}
+
+/**
+ * Check whether a mission is visible under a filter
+ * With `assignedTo` (member role) only missions listing the user as participant are visible;
+ * otherwise the mission's access_level must be one of the filter levels.
+ * @param {Object} mission - Parsed mission.yaml
+ * @param {Object} [accessFilter] - _accessFilter from the tool arguments
+ * @returns {boolean}
+ */
+export function canSeeMission(mission, accessFilter) {
+    if (!accessFilter) return true;
+
+    if (accessFilter.assignedTo !== undefined) {
+        return Boolean(accessFilter.assignedTo) &&
+            Array.isArray(mission.participants) &&
+            mission.participants.includes(accessFilter.assignedTo);
+    }
+
+    return isLevelAllowed(mission.access_level || DEFAULT_MISSION_ACCESS_LEVEL, accessFilter);
+}
+
+/**
+ * Get the access level of a Discord search result
+ * The channel's level from config/category-mapping.yaml wins; messages without a
+ * channel fall back to an access_level stored at index time, then the mapping default.
+ * @param {Object} message - Search result or vector metadata
+ * @returns {string} Access level
+ */
+export function getMessageAccessLevel(message) {
+    if (!message.channel_id && message.access_level) {
+        return message.access_level;
+    }
+    return resolveChannelAccessLevel(message.channel_id, message.category_id);
+}
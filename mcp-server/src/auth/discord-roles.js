@@ -1,6 +1,8 @@
-// Discord Role IDs and KB Role Mapping
+// Discord Role IDs, KB Roles and Access Levels
 // Based on docs/architecture/auth-system.md
+// Role → KB role mapping lives in role-mapping.js (config/role-mapping.yaml)
 
+// Orbios guild role IDs (built-in defaults for role-mapping.js)
 export const DISCORD_ROLES = {
     CORE_LEAD: '1446244355479306260',
     DEV_LEAD: '1446245005663535298',
@@ -22,30 +24,6 @@ export const ACCESS_LEVELS = {
     PUBLIC: 'public',
 };
 
-/**
- * Map Discord roles to KB role
- * @param {string[]} discordRoles - Array of Discord role IDs
- * @returns {string} KB role (admin, team, member, or public)
- */
-export function mapDiscordRoleToKBRole(discordRoles) {
-    if (!Array.isArray(discordRoles)) {
-        return KB_ROLES.PUBLIC;
-    }
-
-    // Highest privilege wins
-    if (discordRoles.includes(DISCORD_ROLES.CORE_LEAD)) {
-        return KB_ROLES.ADMIN;
-    }
-    if (discordRoles.includes(DISCORD_ROLES.DEV_LEAD)) {
-        return KB_ROLES.TEAM;
-    }
-    if (discordRoles.includes(DISCORD_ROLES.DEV)) {
-        return KB_ROLES.MEMBER;
-    }
-
-    return KB_ROLES.PUBLIC;
-}
-
 /**
  * Get access level hierarchy for a KB role
  * @param {string} kbRole - KB role
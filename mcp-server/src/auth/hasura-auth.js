@@ -1,189 +1,410 @@
 // Hasura Integration for Authentication
-// Updated for actual Orbios Hub database schema
+// User and role lookups via Hasura GraphQL (or a pg.Pool), cached and behind a circuit breaker
 
 import pg from 'pg';
-const { Client } = pg;
+import { resolveKBRole } from './role-mapping.js';
+const { Pool } = pg;
+
+/**
+ * Lookup backends
+ * - graphql: Hasura GraphQL API (HASURA_GRAPHQL_ENDPOINT + HASURA_ADMIN_SECRET)
+ * - postgres: direct connection pool to Hasura's database (HASURA_HOST + HASURA_PASSWORD)
+ */
+export const HASURA_BACKENDS = {
+    GRAPHQL: 'graphql',
+    POSTGRES: 'postgres',
+};
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open',
+};
+
+const MAX_CACHE_ENTRIES = 1000;
+
+const USER_QUERY_SQL = `
+    SELECT
+        u.id,
+        u.discord_id,
+        u.username,
+        u.email,
+        COALESCE(
+            json_agg(
+                json_build_object(
+                    'role_id', r.id,
+                    'role_name', r.role_name
+                )
+            ) FILTER (WHERE r.id IS NOT NULL),
+            '[]'::json
+        ) as roles
+    FROM users u
+    LEFT JOIN user_roles ur ON u.id = ur.user_id
+    LEFT JOIN roles r ON ur.role_id = r.id
+    WHERE u.discord_id = $1
+    GROUP BY u.id, u.discord_id, u.username, u.email
+`;
+
+const USER_QUERY_GRAPHQL = `
+    query AuthUser($discordId: String!) {
+        users(where: { discord_id: { _eq: $discordId } }, limit: 1) {
+            discord_id
+            username
+            email
+            user_roles {
+                role {
+                    role_name
+                }
+            }
+        }
+    }
+`;
+
+/**
+ * Read a positive integer setting
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function readInt(name, fallback) {
+    const value = parseInt(process.env[name] || '', 10);
+    return value > 0 ? value : fallback;
+}
+
+/**
+ * Get cache and circuit breaker settings
+ * @returns {{ttlMs: number, negativeTtlMs: number, timeoutMs: number, failureThreshold: number, cooldownMs: number}}
+ */
+function getSettings() {
+    return {
+        ttlMs: readInt('HASURA_AUTH_CACHE_TTL_MS', 60_000),
+        negativeTtlMs: readInt('HASURA_AUTH_NEGATIVE_TTL_MS', 30_000),
+        timeoutMs: readInt('HASURA_AUTH_TIMEOUT_MS', 5_000),
+        failureThreshold: readInt('HASURA_AUTH_BREAKER_THRESHOLD', 3),
+        cooldownMs: readInt('HASURA_AUTH_BREAKER_COOLDOWN_MS', 30_000),
+    };
+}
+
+/**
+ * Choose the lookup backend
+ * HASURA_AUTH_BACKEND forces one; otherwise GraphQL is preferred when configured.
+ * @returns {string|null} Backend, or null if Hasura is not configured
+ */
+export function getHasuraBackend() {
+    const graphql = Boolean(process.env.HASURA_GRAPHQL_ENDPOINT && process.env.HASURA_ADMIN_SECRET);
+    const postgres = Boolean(process.env.HASURA_HOST && process.env.HASURA_PASSWORD);
+
+    switch ((process.env.HASURA_AUTH_BACKEND || '').toLowerCase()) {
+        case HASURA_BACKENDS.GRAPHQL:
+            return graphql ? HASURA_BACKENDS.GRAPHQL : null;
+        case HASURA_BACKENDS.POSTGRES:
+            return postgres ? HASURA_BACKENDS.POSTGRES : null;
+        default:
+            if (graphql) return HASURA_BACKENDS.GRAPHQL;
+            return postgres ? HASURA_BACKENDS.POSTGRES : null;
+    }
+}
+
+/**
+ * Check whether Hasura user lookups are configured
+ * @returns {boolean}
+ */
+export function isHasuraConfigured() {
+    return getHasuraBackend() !== null;
+}
+
+/**
+ * Raised when a user could not be looked up (not configured, circuit open, or lookup failed)
+ * Distinct from a user that does not exist, which resolves to null.
+ */
+export class HasuraUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HasuraUnavailableError';
+    }
+}
 
 /**
  * Hasura client for authentication queries
+ * Lookups run on every request, so results are cached (users that do not exist too)
+ * and repeated connection failures open a circuit breaker: while it is open, lookups
+ * return null immediately and callers fall back to profile or configured roles.
  */
 class HasuraAuthClient {
     constructor() {
-        this.config = {
-            host: process.env.HASURA_HOST || 'localhost',
-            port: parseInt(process.env.HASURA_PORT || '5432'),
-            database: process.env.HASURA_DATABASE || 'orbios_hub',
-            user: process.env.HASURA_USER || 'orbios',
-            password: process.env.HASURA_PASSWORD,
-        };
+        this.pool = null;
+        // discordId → { user, expiresAt }; user is null for "not found"
+        this.cache = new Map();
+        // discordId → pending lookup, so concurrent requests share one query
+        this.inflight = new Map();
+        this.circuit = { state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: 0, lastError: null };
+    }
 
-        this.client = null;
+    /**
+     * Get (and lazily create) the connection pool
+     * @returns {pg.Pool}
+     */
+    getPool() {
+        if (!this.pool) {
+            this.pool = new Pool({
+                host: process.env.HASURA_HOST || 'localhost',
+                port: parseInt(process.env.HASURA_PORT || '5432'),
+                database: process.env.HASURA_DATABASE || 'orbios_hub',
+                user: process.env.HASURA_USER || 'orbios',
+                password: process.env.HASURA_PASSWORD,
+                max: readInt('HASURA_POOL_MAX', 5),
+                idleTimeoutMillis: 30_000,
+                connectionTimeoutMillis: getSettings().timeoutMs,
+            });
+            // Idle clients can fail when the server restarts; the pool replaces them
+            this.pool.on('error', error => {
+                console.error('[Hasura Auth] Idle connection error:', error.message);
+            });
+        }
+        return this.pool;
     }
 
     /**
-     * Connect to Hasura database
+     * Close the connection pool
      */
-    async connect() {
-        if (this.client) return;
+    async disconnect() {
+        if (this.pool) {
+            const pool = this.pool;
+            this.pool = null;
+            await pool.end();
+        }
+    }
 
-        // Check if database configuration is available
-        if (!this.config.password) {
-            console.log('[Hasura Auth] Database not configured - using file-based authentication');
-            return;
+    /**
+     * Drop cached lookups
+     * @param {string} [discordId] - One user (all users if omitted)
+     */
+    invalidate(discordId) {
+        if (discordId === undefined) {
+            this.cache.clear();
+        } else {
+            this.cache.delete(String(discordId));
         }
+    }
 
-        try {
-            this.client = new Client(this.config);
-            await this.client.connect();
-            console.log('[Hasura Auth] Connected to database');
-        } catch (error) {
-            console.log('[Hasura Auth] Database connection failed - falling back to file-based authentication');
-            console.log('[Hasura Auth] Error:', error.message);
-            this.client = null;
+    /**
+     * Describe the client state (for health checks)
+     * @returns {{backend: string|null, circuit: string, failures: number, lastError: string|null, cached: number}}
+     */
+    getStatus() {
+        return {
+            backend: getHasuraBackend(),
+            circuit: this.getCircuitState(),
+            failures: this.circuit.failures,
+            lastError: this.circuit.lastError,
+            cached: this.cache.size,
+        };
+    }
+
+    /**
+     * Current circuit state; an open circuit turns half-open once the cooldown has passed
+     * @returns {string}
+     */
+    getCircuitState() {
+        const { state, openedAt } = this.circuit;
+        if (state === CIRCUIT_STATES.OPEN && Date.now() - openedAt >= getSettings().cooldownMs) {
+            return CIRCUIT_STATES.HALF_OPEN;
         }
+        return state;
     }
 
     /**
-     * Disconnect from database
+     * Record a successful lookup (closes the circuit)
      */
-    async disconnect() {
-        if (this.client) {
-            await this.client.end();
-            this.client = null;
+    recordSuccess() {
+        if (this.circuit.state !== CIRCUIT_STATES.CLOSED) {
+            console.error('[Hasura Auth] Connection restored, circuit closed');
         }
+        this.circuit = { state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: 0, lastError: null };
     }
 
     /**
-     * Fetch user data from Discord user ID
+     * Record a failed lookup (opens the circuit at the threshold, or again after a failed trial)
+     * @param {Error} error - Lookup error
+     */
+    recordFailure(error) {
+        const halfOpen = this.getCircuitState() === CIRCUIT_STATES.HALF_OPEN;
+        const failures = this.circuit.failures + 1;
+        const { failureThreshold, cooldownMs } = getSettings();
+
+        if (halfOpen || failures >= failureThreshold) {
+            console.error(`[Hasura Auth] Lookups failing, circuit open for ${cooldownMs}ms:`, error.message);
+            this.circuit = { state: CIRCUIT_STATES.OPEN, failures, openedAt: Date.now(), lastError: error.message };
+        } else {
+            console.error('[Hasura Auth] Lookup failed:', error.message);
+            this.circuit = { ...this.circuit, failures, lastError: error.message };
+        }
+    }
+
+    /**
+     * Query the user through Hasura GraphQL
      * @param {string} discordId - Discord user ID
-     * @returns {Promise<Object|null>} User data with roles
+     * @returns {Promise<Object|null>} Row ({ discord_id, username, email, roles: [{role_name}] })
      */
-    async getUserData(discordId) {
-        await this.connect();
+    async queryGraphql(discordId) {
+        const response = await fetch(process.env.HASURA_GRAPHQL_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'x-hasura-admin-secret': process.env.HASURA_ADMIN_SECRET,
+            },
+            body: JSON.stringify({ query: USER_QUERY_GRAPHQL, variables: { discordId } }),
+            signal: AbortSignal.timeout(getSettings().timeoutMs),
+        });
 
-        // If no database connection, return null (will fall back to file-based auth)
-        if (!this.client) {
-            return null;
+        if (!response.ok) {
+            throw new Error(`Hasura GraphQL request failed. HTTP ${response.status}`);
         }
 
-        try {
-            // Query to fetch user and their roles from the actual schema
-            const query = `
-                SELECT 
-                    u.id,
-                    u.discord_id,
-                    u.username,
-                    u.email,
-                    COALESCE(
-                        json_agg(
-                            json_build_object(
-                                'role_id', r.id,
-                                'role_name', r.role_name
-                            )
-                        ) FILTER (WHERE r.id IS NOT NULL),
-                        '[]'::json
-                    ) as roles
-                FROM users u
-                LEFT JOIN user_roles ur ON u.id = ur.user_id
-                LEFT JOIN roles r ON ur.role_id = r.id
-                WHERE u.discord_id = $1
-                GROUP BY u.id, u.discord_id, u.username, u.email
-            `;
-
-            const result = await this.client.query(query, [discordId]);
-
-            if (result.rows.length === 0) {
-                return null;
-            }
+        const json = await response.json();
+        if (json.errors?.length) {
+            throw new Error(`Hasura GraphQL error: ${json.errors.map(e => e.message).join('; ')}`);
+        }
 
-            const userData = result.rows[0];
+        const [user] = json.data?.users || [];
+        if (!user) return null;
 
-            // Parse roles JSON if it's a string
-            if (typeof userData.roles === 'string') {
-                userData.roles = JSON.parse(userData.roles);
-            }
+        return {
+            ...user,
+            roles: (user.user_roles || []).map(ur => ur.role).filter(Boolean),
+        };
+    }
 
-            // Map database roles to Discord-style role IDs for compatibility
-            // This allows the existing RBAC system to work
-            const discordRoleIds = this.mapDatabaseRolesToDiscordRoles(userData.roles);
-
-            return {
-                user_id: userData.discord_id,
-                username: userData.username,
-                email: userData.email,
-                roles: discordRoleIds,
-                db_roles: userData.roles, // Keep original for reference
-            };
-        } catch (error) {
-            console.error('[Hasura Auth] Error fetching user data:', error.message);
+    /**
+     * Query the user from Hasura's database
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Object|null>} Row ({ discord_id, username, email, roles: [{role_name}] })
+     */
+    async queryPostgres(discordId) {
+        const result = await this.getPool().query(USER_QUERY_SQL, [discordId]);
+        if (result.rows.length === 0) {
             return null;
         }
+
+        const row = result.rows[0];
+        // Parse roles JSON if it's a string
+        if (typeof row.roles === 'string') {
+            row.roles = JSON.parse(row.roles);
+        }
+        return row;
     }
 
     /**
-     * Map database role names to Discord role IDs
-     * This maintains compatibility with the existing RBAC system
-     * @param {Array} dbRoles - Array of {role_id, role_name} objects
-     * @returns {string[]} Array of Discord role IDs
+     * Look up a user without the cache
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Object|null>} User data, or null if the user does not exist
+     * @throws {Error} If the backend is unreachable or returns an error
      */
-    mapDatabaseRolesToDiscordRoles(dbRoles) {
-        const DISCORD_ROLES = {
-            CORE_LEAD: '1446244355479306260',
-            DEV_LEAD: '1446245005663535298',
-            DEV: '1446245072290058260',
-            OPEN: '1446245138612891658',
+    async lookup(discordId) {
+        const row = getHasuraBackend() === HASURA_BACKENDS.GRAPHQL
+            ? await this.queryGraphql(discordId)
+            : await this.queryPostgres(discordId);
+        if (!row) return null;
+
+        // Database role names are mapped to a KB role by role-mapping.js
+        return {
+            user_id: row.discord_id,
+            username: row.username,
+            email: row.email,
+            roles: [],
+            db_roles: row.roles.map(role => role.role_name),
         };
+    }
 
-        const roleMapping = {
-            'admin': DISCORD_ROLES.CORE_LEAD,
-            'dev': DISCORD_ROLES.DEV,
-            'member': DISCORD_ROLES.OPEN,
-            'guest': DISCORD_ROLES.OPEN,
-        };
+    /**
+     * Fetch user data from Discord user ID
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Object|null>} User data with roles, or null if the user is unknown,
+     *   Hasura is not configured, or the circuit is open
+     */
+    async getUserData(discordId) {
+        try {
+            return await this.requireUserData(discordId);
+        } catch (error) {
+            if (error instanceof HasuraUnavailableError) return null;
+            throw error;
+        }
+    }
 
-        const discordRoles = [];
+    /**
+     * Fetch user data, telling an unknown user apart from a lookup that could not run
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Object|null>} User data with roles, or null if the user is unknown
+     * @throws {HasuraUnavailableError} If Hasura is not configured, the circuit is open or the lookup failed
+     */
+    async requireUserData(discordId) {
+        if (!getHasuraBackend()) {
+            throw new HasuraUnavailableError('Hasura is not configured');
+        }
 
-        for (const role of dbRoles) {
-            const discordRole = roleMapping[role.role_name];
-            if (discordRole && !discordRoles.includes(discordRole)) {
-                discordRoles.push(discordRole);
-            }
+        const key = String(discordId);
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.user;
+        }
+
+        // While open, skip Hasura; once half-open, let a single trial lookup through
+        const state = this.getCircuitState();
+        if (state === CIRCUIT_STATES.OPEN || (state === CIRCUIT_STATES.HALF_OPEN && this.circuit.trial)) {
+            throw new HasuraUnavailableError(`Hasura circuit is ${state}: ${this.circuit.lastError}`);
+        }
+        if (state === CIRCUIT_STATES.HALF_OPEN) {
+            this.circuit.trial = true;
         }
 
-        // If user has no roles, default to guest/open
-        if (discordRoles.length === 0) {
-            discordRoles.push(DISCORD_ROLES.OPEN);
+        if (this.inflight.has(key)) {
+            return await this.inflight.get(key);
         }
 
-        return discordRoles;
+        const pending = this.fetchAndCache(key);
+        this.inflight.set(key, pending);
+        try {
+            return await pending;
+        } finally {
+            this.inflight.delete(key);
+        }
     }
 
     /**
-     * Verify user exists in database
+     * Run a lookup and cache its outcome (errors are not cached)
      * @param {string} discordId - Discord user ID
-     * @returns {Promise<boolean>}
+     * @returns {Promise<Object|null>}
+     * @throws {HasuraUnavailableError} If the lookup failed
      */
-    async verifyUserExists(discordId) {
-        await this.connect();
-
-        // If no database connection, return false
-        if (!this.client) {
-            return false;
-        }
-
+    async fetchAndCache(discordId) {
+        let user;
         try {
-            const query = `
-                SELECT COUNT(*) as count
-                FROM users
-                WHERE discord_id = $1
-            `;
-
-            const result = await this.client.query(query, [discordId]);
-            return parseInt(result.rows[0].count) > 0;
+            user = await this.lookup(discordId);
         } catch (error) {
-            console.error('[Hasura Auth] Error verifying user:', error.message);
-            return false;
+            this.recordFailure(error);
+            throw new HasuraUnavailableError(`Hasura lookup failed: ${error.message}`);
         }
+        this.recordSuccess();
+
+        const { ttlMs, negativeTtlMs } = getSettings();
+        this.cache.delete(discordId);
+        this.cache.set(discordId, { user, expiresAt: Date.now() + (user ? ttlMs : negativeTtlMs) });
+
+        // Map iteration order is insertion order: drop the oldest entries
+        while (this.cache.size > MAX_CACHE_ENTRIES) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        return user;
+    }
+
+    /**
+     * Verify user exists in database
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<boolean>}
+     */
+    async verifyUserExists(discordId) {
+        return (await this.getUserData(discordId)) !== null;
     }
 }
 
@@ -198,24 +419,19 @@ export const hasuraAuth = new HasuraAuthClient();
 export async function authenticateViaHasura(discordId) {
     if (!discordId) return null;
 
-    try {
-        const userData = await hasuraAuth.getUserData(discordId);
+    const userData = await hasuraAuth.getUserData(discordId);
 
-        if (!userData) {
-            console.error(`[Hasura Auth] User not found: ${discordId}`);
-            return null;
-        }
-
-        console.error('[Hasura Auth] User authenticated:', {
-            discord_id: userData.user_id,
-            username: userData.username,
-            db_roles: userData.db_roles,
-            mapped_roles: userData.roles
-        });
-
-        return userData;
-    } catch (error) {
-        console.error('[Hasura Auth] Authentication error:', error.message);
+    if (!userData) {
+        console.error(`[Hasura Auth] User not resolved: ${discordId}`);
         return null;
     }
+
+    console.error('[Hasura Auth] User authenticated:', {
+        discord_id: userData.user_id,
+        username: userData.username,
+        db_roles: userData.db_roles,
+        kb_role: resolveKBRole({ dbRoles: userData.db_roles }).kbRole
+    });
+
+    return userData;
 }
@@ -5,22 +5,58 @@ export {
     DISCORD_ROLES,
     KB_ROLES,
     ACCESS_LEVELS,
-    mapDiscordRoleToKBRole,
     getAccessLevelsForRole,
     canAccessLevel
 } from './discord-roles.js';
 
+export {
+    getRoleMappingPath,
+    loadRoleMapping,
+    resolveKBRole,
+    mapDiscordRoleToKBRole
+} from './role-mapping.js';
+
 export {
     TOOL_PERMISSIONS,
     canUseTool,
     getToolFilter
 } from './permissions.js';
 
+export {
+    POLICY_MODES,
+    FILTER_TYPES,
+    getPolicyPath,
+    loadPolicy,
+    isPerimeterMode,
+    matchesToolPattern,
+    evaluateToolPolicy
+} from './policy.js';
+
+export {
+    MAPPING_LEVELS,
+    getCategoryMappingPath,
+    loadCategoryMapping,
+    validateCategoryMapping,
+    isPlaceholderId,
+    resolveChannelAccess,
+    resolveChannelAccessLevel
+} from './channel-access.js';
+
 export {
     authManager,
-    initializeAuthContext
+    initializeAuthContext,
+    withAuthContext
 } from './auth-manager.js';
 
+export {
+    REDACTION_ENTITIES,
+    DEFAULT_REDACTION_RULES,
+    getRedactionRules,
+    getRedactedFields,
+    redactFields,
+    redactToolResult
+} from './redaction.js';
+
 export {
     AuthorizationError,
     checkToolAuthorization,
@@ -30,6 +66,50 @@ export {
 } from './middleware.js';
 
 export {
+    getUsersDir,
+    isProfileAuthEnabled,
+    loadUserProfiles,
+    findUserProfile,
+    authenticateViaProfile
+} from './profile-auth.js';
+
+export {
+    HASURA_BACKENDS,
+    getHasuraBackend,
+    isHasuraConfigured,
     hasuraAuth,
     authenticateViaHasura
 } from './hasura-auth.js';
+
+export {
+    authenticateBearerToken,
+    authenticateJWT,
+    isAnonymousHttpAllowed
+} from './tokens.js';
+
+export {
+    REDACTED,
+    getAuditDir,
+    redactAuditValue,
+    redactAuditEvent,
+    appendAuditEntry,
+    verifyAuditLog,
+    queryAuditLog
+} from './audit-log.js';
+
+export {
+    API_KEY_PREFIX,
+    getServiceAccountsPath,
+    hashApiKey,
+    loadServiceAccounts,
+    isApiKey,
+    authenticateApiKey,
+    createServiceAccount
+} from './service-accounts.js';
+
+export {
+    getRevocationPath,
+    loadRevocations,
+    findRevocation,
+    revokeToken
+} from './revocation.js';
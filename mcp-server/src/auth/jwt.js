@@ -6,6 +6,9 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import crypto from 'crypto';
+import { KB_ROLES } from './discord-roles.js';
+import { findRevocation } from './revocation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -35,8 +38,11 @@ function validateJWTSecret() {
     }
 }
 
-// Token expiry (24 hours)
-const TOKEN_EXPIRY = '24h';
+// Access tokens are short-lived; clients renew them with a refresh token
+const TOKEN_EXPIRY = process.env.HASURA_JWT_EXPIRY || '15m';
+const REFRESH_TOKEN_EXPIRY = process.env.HASURA_JWT_REFRESH_EXPIRY || '7d';
+
+const HASURA_CLAIMS = 'https://hasura.io/jwt/claims';
 
 /**
  * Generate Hasura-compatible JWT token
@@ -62,10 +68,13 @@ export function generateHasuraJWT({ userId, role, allowedRoles = [] }) {
     const payload = {
         // Standard JWT claims
         sub: userId,
-        iat: Math.floor(Date.now() / 1000) - 60, // Subtract 60s for clock skew
+        jti: crypto.randomUUID(),
+        // iat is the real issue time (revocation compares against it); nbf absorbs clock skew
+        iat: Math.floor(Date.now() / 1000),
+        nbf: Math.floor(Date.now() / 1000) - 60,
 
         // Hasura-specific claims
-        'https://hasura.io/jwt/claims': {
+        [HASURA_CLAIMS]: {
             'x-hasura-allowed-roles': allowedRoles,
             'x-hasura-default-role': role,
             'x-hasura-user-id': userId,
@@ -79,22 +88,105 @@ export function generateHasuraJWT({ userId, role, allowedRoles = [] }) {
     });
 }
 
+/**
+ * Generate a refresh token
+ * Refresh tokens cannot be used as access tokens; exchange them with refreshHasuraJWT.
+ * @param {Object} payload - Token payload
+ * @param {string} payload.userId - Discord user ID
+ * @param {string} payload.role - Role granted to access tokens minted from this refresh token
+ * @returns {string} Signed refresh token
+ */
+export function generateRefreshToken({ userId, role }) {
+    validateJWTSecret();
+
+    return jwt.sign({ sub: userId, jti: crypto.randomUUID(), typ: 'refresh', role }, JWT_SECRET, {
+        algorithm: 'HS256',
+        expiresIn: REFRESH_TOKEN_EXPIRY
+    });
+}
+
 /**
  * Verify and decode JWT token
+ * Tokens on the local revocation list are rejected like expired ones.
  * @param {string} token - JWT token to verify
+ * @param {Object} [options]
+ * @param {'access'|'refresh'} [options.type='access'] - Expected token type
  * @returns {Object} Decoded token payload
- * @throws {Error} If token is invalid or expired
+ * @throws {Error} If token is invalid, expired, revoked or of the wrong type
  */
-export function verifyHasuraJWT(token) {
+export function verifyHasuraJWT(token, { type = 'access' } = {}) {
     validateJWTSecret();
 
+    let decoded;
     try {
-        return jwt.verify(token, JWT_SECRET, {
+        decoded = jwt.verify(token, JWT_SECRET, {
             algorithms: ['HS256']
         });
     } catch (error) {
         throw new Error(`Invalid JWT: ${error.message}`);
     }
+
+    const tokenType = decoded.typ === 'refresh' ? 'refresh' : 'access';
+    if (tokenType !== type) {
+        throw new Error(`Invalid JWT: expected ${type} token, got ${tokenType} token`);
+    }
+
+    const revocation = findRevocation(decoded);
+    if (revocation) {
+        throw new Error(`Invalid JWT: token revoked${revocation.reason ? ` (${revocation.reason})` : ''}`);
+    }
+
+    return decoded;
+}
+
+/**
+ * Get the KB role granted by a verified token's Hasura claims
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {string} KB role (unknown roles fall back to public)
+ */
+export function getKBRoleFromClaims(decoded) {
+    const role = decoded[HASURA_CLAIMS]?.['x-hasura-default-role'];
+    return Object.values(KB_ROLES).includes(role) ? role : KB_ROLES.PUBLIC;
+}
+
+/**
+ * Exchange a refresh token for a new access token
+ * With Hasura configured the user's roles are looked up again, so role changes
+ * apply on the next refresh. Otherwise, or while Hasura is unavailable, the role
+ * recorded in the refresh token is kept.
+ * @param {string} refreshToken - Refresh token from generateRefreshToken
+ * @returns {Promise<{access_token: string, token_type: string, expires_in: number}>}
+ * @throws {Error} If the refresh token is invalid, expired or revoked
+ */
+export async function refreshHasuraJWT(refreshToken) {
+    const decoded = verifyHasuraJWT(refreshToken, { type: 'refresh' });
+    const role = Object.values(KB_ROLES).includes(decoded.role) ? decoded.role : KB_ROLES.PUBLIC;
+
+    const { isHasuraConfigured, HasuraUnavailableError } = await import('./hasura-auth.js');
+
+    let accessToken = null;
+    if (isHasuraConfigured()) {
+        try {
+            accessToken = await generateTokenForUser(decoded.sub);
+        } catch (error) {
+            if (!(error instanceof HasuraUnavailableError)) throw error;
+            console.error('[JWT] Role lookup unavailable, keeping the refresh token role:', error.message);
+        }
+    }
+    if (!accessToken) {
+        accessToken = generateHasuraJWT({
+            userId: decoded.sub,
+            role,
+            allowedRoles: getAllowedRoles(role)
+        });
+    }
+
+    const { exp } = jwt.decode(accessToken);
+    return {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: exp - Math.floor(Date.now() / 1000)
+    };
 }
 
 /**
@@ -102,14 +194,19 @@ export function verifyHasuraJWT(token) {
  * Fetches user roles from database and generates appropriate token
  * @param {string} discordId - Discord user ID
  * @returns {Promise<string>} JWT token
+ * @throws {HasuraUnavailableError} If Hasura is not configured or the lookup could not run
  */
 export async function generateTokenForUser(discordId) {
     // Import here to avoid circular dependency
-    const { authenticateViaHasura } = await import('./hasura-auth.js');
-    const { mapDiscordRoleToKBRole } = await import('./discord-roles.js');
+    const { hasuraAuth, isHasuraConfigured, HasuraUnavailableError } = await import('./hasura-auth.js');
+    const { resolveKBRole } = await import('./role-mapping.js');
+
+    if (!isHasuraConfigured()) {
+        throw new HasuraUnavailableError('Hasura is not configured: cannot look up roles for a token');
+    }
 
-    // Fetch user data from database
-    const userData = await authenticateViaHasura(discordId);
+    // Fetch user data from database; an unavailable lookup throws rather than looking like an unknown user
+    const userData = await hasuraAuth.requireUserData(discordId);
 
     if (!userData) {
         // User not in database - give public access
@@ -121,7 +218,7 @@ export async function generateTokenForUser(discordId) {
     }
 
     // Map database roles to Hasura role
-    const hasuraRole = mapDiscordRoleToKBRole(userData.roles);
+    const { kbRole: hasuraRole } = resolveKBRole({ discordRoles: userData.roles, dbRoles: userData.db_roles });
 
     // Determine allowed roles based on hierarchy
     const allowedRoles = getAllowedRoles(hasuraRole);
@@ -133,6 +230,26 @@ export async function generateTokenForUser(discordId) {
     });
 }
 
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {string} discordId - Discord user ID
+ * @param {Object} [options]
+ * @param {string} [options.role] - KB role to grant; looked up via Hasura when omitted
+ * @returns {Promise<{access_token: string, refresh_token: string, role: string}>}
+ */
+export async function generateTokenPair(discordId, { role } = {}) {
+    const accessToken = role
+        ? generateHasuraJWT({ userId: discordId, role, allowedRoles: getAllowedRoles(role) })
+        : await generateTokenForUser(discordId);
+
+    const grantedRole = getKBRoleFromClaims(jwt.decode(accessToken));
+    return {
+        access_token: accessToken,
+        refresh_token: generateRefreshToken({ userId: discordId, role: grantedRole }),
+        role: grantedRole
+    };
+}
+
 /**
  * Get allowed roles based on user's primary role
  * Implements role hierarchy (admin > team > member > public)
@@ -158,7 +275,7 @@ function getAllowedRoles(primaryRole) {
 export function getUserIdFromToken(token) {
     try {
         const decoded = verifyHasuraJWT(token);
-        return decoded['https://hasura.io/jwt/claims']['x-hasura-user-id'];
+        return decoded[HASURA_CLAIMS]['x-hasura-user-id'];
     } catch (error) {
         return null;
     }
@@ -172,7 +289,7 @@ export function getUserIdFromToken(token) {
 export function getRoleFromToken(token) {
     try {
         const decoded = verifyHasuraJWT(token);
-        return decoded['https://hasura.io/jwt/claims']['x-hasura-default-role'];
+        return decoded[HASURA_CLAIMS]['x-hasura-default-role'];
     } catch (error) {
         return null;
     }
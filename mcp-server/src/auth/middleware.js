@@ -1,10 +1,9 @@
 // Authentication Middleware for MCP Tools
 // Intercepts tool calls and enforces RBAC
 
-import fs from 'fs';
-import path from 'path';
 import { authManager } from './auth-manager.js';
-import { canUseTool, getToolFilter } from './permissions.js';
+import { evaluateToolPolicy, matchesToolPattern } from './policy.js';
+import { appendAuditEntry, redactAuditEvent } from './audit-log.js';
 
 /**
  * Authorization error
@@ -23,14 +22,12 @@ export class AuthorizationError extends Error {
  * @throws {AuthorizationError} If user is not authorized
  */
 export function checkToolAuthorization(toolName) {
-    // Disabled for perimeter-based permissions
-    return;
-    /*
     const context = authManager.getContext();
     const kbRole = context.kbRole;
+    const decision = evaluateToolPolicy(toolName, kbRole);
 
-    // Check if user can use this tool
-    if (!canUseTool(toolName, kbRole)) {
+    // Check if user can use this tool (always true in perimeter mode)
+    if (!decision.allowed) {
         throw new AuthorizationError(
             `Access denied: Role '${kbRole}' cannot use tool '${toolName}'`,
             {
@@ -38,10 +35,25 @@ export function checkToolAuthorization(toolName) {
                 userRole: kbRole,
                 userId: context.userId,
                 authenticated: context.authenticated,
+                rule: decision.rule,
+            }
+        );
+    }
+
+    // Service accounts are further limited to their own tool list, in every policy mode
+    const account = context.serviceAccount;
+    if (account && !account.tools.some(pattern => matchesToolPattern(pattern, toolName))) {
+        throw new AuthorizationError(
+            `Access denied: Service account '${account.name}' is not scoped to tool '${toolName}'`,
+            {
+                toolName,
+                userRole: kbRole,
+                userId: context.userId,
+                authenticated: context.authenticated,
+                rule: `service_accounts.${account.name}.tools`,
             }
         );
     }
-    */
 }
 
 /**
@@ -51,12 +63,10 @@ export function checkToolAuthorization(toolName) {
  * @returns {Object} Modified arguments with filters applied
  */
 export function applyDataFilters(toolName, args) {
-    // Disabled for perimeter-based permissions - return args unmodified (equivalent to Admin/all access)
-    return args;
-    /*
     const context = authManager.getContext();
-    const filter = getToolFilter(toolName, context.kbRole, context.userId);
+    const { filter } = evaluateToolPolicy(toolName, context.kbRole);
 
+    // No filter (perimeter mode or unfiltered permission) - return args unmodified
     if (!filter) {
         return args;
     }
@@ -65,7 +75,7 @@ export function applyDataFilters(toolName, args) {
     const filteredArgs = { ...args };
 
     // Apply filter based on type
-    switch (filter.type) {
+    switch (filter) {
         case 'all':
             // Admin - no filtering needed
             break;
@@ -81,7 +91,7 @@ export function applyDataFilters(toolName, args) {
             // Member role - filter to assigned items only
             filteredArgs._accessFilter = {
                 levels: ['public', 'team'],
-                assignedTo: filter.userId,
+                assignedTo: context.userId,
             };
             break;
 
@@ -100,7 +110,6 @@ export function applyDataFilters(toolName, args) {
     }
 
     return filteredArgs;
-    */
 }
 
 /**
@@ -112,19 +121,24 @@ export function applyDataFilters(toolName, args) {
  */
 export function withAuth(toolName, handler) {
     return async (args) => {
-        // Check authorization
-        checkToolAuthorization(toolName);
-
-        // Apply data filters
-        const filteredArgs = applyDataFilters(toolName, args);
-
-        // Call original handler
-        return await handler(filteredArgs);
+        try {
+            // Check authorization
+            checkToolAuthorization(toolName);
+            logAuthEvent(toolName, true, { args });
+
+            // Apply data filters, then call original handler
+            return await handler(applyDataFilters(toolName, args));
+        } catch (error) {
+            if (error instanceof AuthorizationError) {
+                logAuthEvent(toolName, false, { args, reason: error.message, details: error.details });
+            }
+            throw error;
+        }
     };
 }
 
 /**
- * Log authorization event for audit trail
+ * Log authorization event for audit trail (see audit-log.js)
  * @param {string} toolName - Tool being accessed
  * @param {boolean} allowed - Whether access was allowed
  * @param {Object} details - Additional details
@@ -141,24 +155,18 @@ export function logAuthEvent(toolName, allowed, details = {}) {
         username: context.username,
         kbRole: context.kbRole,
         authenticated: context.authenticated,
+        ...(context.serviceAccount ? { serviceAccount: context.serviceAccount.name } : {}),
+        ...(context.impersonatedBy ? { impersonatedBy: context.impersonatedBy } : {}),
         ...details,
     };
 
     // In development, log to stderr
-    console.error('[AUTH]', JSON.stringify(logEntry));
+    console.error('[AUTH]', JSON.stringify(redactAuditEvent(logEntry)));
 
-    // In production/agent usage, also log to file since stderr might be lost
+    // Persist to the hash-chained audit log under the KB
     try {
-        // Use absolute path for logs to ensure consistency
-        const logDir = path.resolve(process.cwd(), 'logs');
-        if (!fs.existsSync(logDir)) {
-            fs.mkdirSync(logDir, { recursive: true });
-        }
-
-        const logFile = path.join(logDir, 'mcp-auth.log');
-        // Synchronous write to ensure data is saved before process potentially exits
-        fs.appendFileSync(logFile, JSON.stringify(logEntry) + '\n');
+        appendAuditEntry(logEntry);
     } catch (err) {
-        console.error('[AUTH] Failed to write to log file:', err.message);
+        console.error('[AUTH] Failed to write audit log:', err.message);
     }
 }
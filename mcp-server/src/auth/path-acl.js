@@ -0,0 +1,161 @@
+// Path ACL
+// Folder-level access control for KB reads and writes
+
+import { authManager } from './auth-manager.js';
+import { AuthorizationError } from './middleware.js';
+import { loadPolicy, POLICY_MODES } from './policy.js';
+import { ACCESS_LEVELS, canAccessLevel } from './discord-roles.js';
+
+/**
+ * Default folder rules (see FOLDER-USAGE-GUIDE.md), used unless .tf/policy.yaml defines `paths`
+ * A trailing "/" covers the whole folder.
+ */
+export const DEFAULT_PATH_RULES = [
+    { path: 'db/', level: ACCESS_LEVELS.CORE },
+    { path: 'inbox/', level: ACCESS_LEVELS.CORE },
+    { path: 'context/finances/', level: ACCESS_LEVELS.CORE },
+    { path: 'context/internal/hr/', level: ACCESS_LEVELS.PRIVATE },
+    { path: 'candidates/', level: ACCESS_LEVELS.PRIVATE },
+    { path: '.tf/', level: ACCESS_LEVELS.PRIVATE },
+];
+
+/**
+ * Access levels from least to most restrictive
+ */
+const LEVEL_RANK = [ACCESS_LEVELS.PUBLIC, ACCESS_LEVELS.TEAM, ACCESS_LEVELS.CORE, ACCESS_LEVELS.PRIVATE];
+
+/**
+ * Convert a path rule to a regular expression
+ * "*" matches within one folder, "**" across folders, a trailing "/" matches everything below.
+ * @param {string} pattern - Path glob relative to KB root
+ * @returns {RegExp}
+ */
+function toPathRegExp(pattern) {
+    const normalized = pattern.replace(/^\.?\//, '').replace(/\/$/, '/**');
+    const source = normalized
+        .split(/(\*\*\/?|\*)/)
+        .map(part => {
+            if (part === '**/' || part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Forms of a path that rules are matched against
+ * A folder itself is covered by the rule for its contents.
+ * @param {string} relativePath - Path relative to KB root
+ * @returns {string[]}
+ */
+function pathCandidates(relativePath) {
+    const normalized = relativePath.split('\\').join('/').replace(/^\.?\//, '');
+    return [normalized, `${normalized.replace(/\/$/, '')}/`];
+}
+
+/**
+ * Get the active path rules
+ * @returns {Array<{path: string, level: string}>}
+ */
+export function getPathRules() {
+    return loadPolicy().paths || DEFAULT_PATH_RULES;
+}
+
+/**
+ * Get the access level required for a KB path
+ * When several rules match, the most restrictive one applies.
+ * @param {string} relativePath - Path relative to KB root
+ * @returns {{level: string, rule: string}|null} Required level, or null if the path is unrestricted
+ */
+export function getRequiredAccessLevel(relativePath) {
+    const candidates = pathCandidates(relativePath);
+
+    let required = null;
+    for (const rule of getPathRules()) {
+        const regexp = toPathRegExp(rule.path);
+        if (!candidates.some(candidate => regexp.test(candidate))) continue;
+
+        if (!required || LEVEL_RANK.indexOf(rule.level) > LEVEL_RANK.indexOf(required.level)) {
+            required = { level: rule.level, rule: rule.path };
+        }
+    }
+
+    return required;
+}
+
+/**
+ * Check whether the caller of the current request may access a KB path
+ * Code running outside an MCP request (CLI scripts) is not restricted.
+ * @param {string} relativePath - Path relative to KB root
+ * @returns {boolean}
+ */
+export function canAccessPath(relativePath) {
+    try {
+        checkPathAccess(relativePath, 'read');
+        return true;
+    } catch (error) {
+        if (error instanceof AuthorizationError) return false;
+        throw error;
+    }
+}
+
+/**
+ * Limit a service account to its configured folders (in every policy mode)
+ * @param {Object} context - Auth context of the current request
+ * @param {string} relativePath - Path relative to KB root
+ * @param {'read'|'write'} operation - Attempted operation
+ * @throws {AuthorizationError} If the path is outside the account's folders
+ */
+function checkServiceAccountScope(context, relativePath, operation) {
+    const account = context.serviceAccount;
+    if (!account) return;
+
+    const candidates = pathCandidates(relativePath);
+    const inScope = account.folders.some(folder => {
+        const regexp = toPathRegExp(folder);
+        return candidates.some(candidate => regexp.test(candidate));
+    });
+    if (inScope) return;
+
+    throw new AuthorizationError(
+        `Access denied: Service account '${account.name}' is not scoped to ${operation} '${relativePath}'`,
+        {
+            path: relativePath,
+            operation,
+            rule: `service_accounts.${account.name}.folders`,
+            userRole: context.kbRole,
+            userId: context.userId,
+        }
+    );
+}
+
+/**
+ * Enforce the path ACL for the caller of the current request
+ * @param {string} relativePath - Path relative to KB root
+ * @param {'read'|'write'} operation - Attempted operation
+ * @throws {AuthorizationError} If the caller's role cannot access the path
+ */
+export function checkPathAccess(relativePath, operation) {
+    const context = authManager.getRequestContext();
+    if (!context) return;
+
+    checkServiceAccountScope(context, relativePath, operation);
+
+    if (loadPolicy().mode === POLICY_MODES.PERIMETER) return;
+
+    const required = getRequiredAccessLevel(relativePath);
+    if (!required || canAccessLevel(context.kbRole, required.level)) return;
+
+    throw new AuthorizationError(
+        `Access denied: Role '${context.kbRole}' cannot ${operation} '${relativePath}' (requires ${required.level})`,
+        {
+            path: relativePath,
+            operation,
+            requiredLevel: required.level,
+            rule: required.rule,
+            userRole: context.kbRole,
+            userId: context.userId,
+        }
+    );
+}
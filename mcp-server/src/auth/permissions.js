@@ -25,8 +25,8 @@ export const TOOL_PERMISSIONS = {
         [KB_ROLES.PUBLIC]: false,
     },
     missions_update: {
-        [KB_ROLES.ADMIN]: true,
-        [KB_ROLES.TEAM]: true,
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
         [KB_ROLES.MEMBER]: false,
         [KB_ROLES.PUBLIC]: false,
     },
@@ -36,27 +36,63 @@ export const TOOL_PERMISSIONS = {
         [KB_ROLES.MEMBER]: { filter: 'assigned' },
         [KB_ROLES.PUBLIC]: { filter: 'public' },
     },
+    missions_objectives_list: {
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
+        [KB_ROLES.MEMBER]: { filter: 'assigned' },
+        [KB_ROLES.PUBLIC]: false,
+    },
+    missions_objective_add: {
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
+        [KB_ROLES.MEMBER]: false,
+        [KB_ROLES.PUBLIC]: false,
+    },
+    missions_objective_set_done: {
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
+        [KB_ROLES.MEMBER]: false,
+        [KB_ROLES.PUBLIC]: false,
+    },
+    missions_chat_append: {
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
+        [KB_ROLES.MEMBER]: { filter: 'assigned' },
+        [KB_ROLES.PUBLIC]: false,
+    },
+    missions_chat_read: {
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
+        [KB_ROLES.MEMBER]: { filter: 'assigned' },
+        [KB_ROLES.PUBLIC]: false,
+    },
+    missions_history: {
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
+        [KB_ROLES.MEMBER]: { filter: 'assigned' },
+        [KB_ROLES.PUBLIC]: false,
+    },
     missions_scan_context: {
-        [KB_ROLES.ADMIN]: true,
-        [KB_ROLES.TEAM]: true,
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
         [KB_ROLES.MEMBER]: false,
         [KB_ROLES.PUBLIC]: false,
     },
     missions_link_discord_channel: {
-        [KB_ROLES.ADMIN]: true,
-        [KB_ROLES.TEAM]: true,
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
         [KB_ROLES.MEMBER]: false,
         [KB_ROLES.PUBLIC]: false,
     },
     missions_import_discord_context: {
-        [KB_ROLES.ADMIN]: true,
-        [KB_ROLES.TEAM]: true,
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
         [KB_ROLES.MEMBER]: false,
         [KB_ROLES.PUBLIC]: false,
     },
     missions_generate_discord_summary: {
-        [KB_ROLES.ADMIN]: true,
-        [KB_ROLES.TEAM]: true,
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
         [KB_ROLES.MEMBER]: false,
         [KB_ROLES.PUBLIC]: false,
     },
@@ -106,6 +142,71 @@ export const TOOL_PERMISSIONS = {
         [KB_ROLES.MEMBER]: false,
         [KB_ROLES.PUBLIC]: false,
     },
+    graphql_schema_sdl: {
+        [KB_ROLES.ADMIN]: true,
+        [KB_ROLES.TEAM]: false,
+        [KB_ROLES.MEMBER]: false,
+        [KB_ROLES.PUBLIC]: false,
+    },
+    graphql_schema_type: {
+        [KB_ROLES.ADMIN]: true,
+        [KB_ROLES.TEAM]: false,
+        [KB_ROLES.MEMBER]: false,
+        [KB_ROLES.PUBLIC]: false,
+    },
+    graphql_schema_root_fields: {
+        [KB_ROLES.ADMIN]: true,
+        [KB_ROLES.TEAM]: false,
+        [KB_ROLES.MEMBER]: false,
+        [KB_ROLES.PUBLIC]: false,
+    },
+    graphql_schema_path: {
+        [KB_ROLES.ADMIN]: true,
+        [KB_ROLES.TEAM]: false,
+        [KB_ROLES.MEMBER]: false,
+        [KB_ROLES.PUBLIC]: false,
+    },
+    graphql_validate: {
+        [KB_ROLES.ADMIN]: true,
+        [KB_ROLES.TEAM]: false,
+        [KB_ROLES.MEMBER]: false,
+        [KB_ROLES.PUBLIC]: false,
+    },
+    // Persisted queries: each query also lists the roles that may run it
+    graphql_list_named: {
+        [KB_ROLES.ADMIN]: true,
+        [KB_ROLES.TEAM]: true,
+        [KB_ROLES.MEMBER]: true,
+        [KB_ROLES.PUBLIC]: false,
+    },
+    graphql_run_named: {
+        [KB_ROLES.ADMIN]: true,
+        [KB_ROLES.TEAM]: true,
+        [KB_ROLES.MEMBER]: true,
+        [KB_ROLES.PUBLIC]: false,
+    },
+
+    // Audit Tools
+    audit_query: {
+        [KB_ROLES.ADMIN]: true,
+        [KB_ROLES.TEAM]: false,
+        [KB_ROLES.MEMBER]: false,
+        [KB_ROLES.PUBLIC]: false,
+    },
+
+    // Auth Tools (explaining your own access is open to everyone)
+    auth_explain: {
+        [KB_ROLES.ADMIN]: true,
+        [KB_ROLES.TEAM]: true,
+        [KB_ROLES.MEMBER]: true,
+        [KB_ROLES.PUBLIC]: true,
+    },
+    auth_run_as: {
+        [KB_ROLES.ADMIN]: true,
+        [KB_ROLES.TEAM]: false,
+        [KB_ROLES.MEMBER]: false,
+        [KB_ROLES.PUBLIC]: false,
+    },
 
     // Discord Tools
     discord_check_updates: {
@@ -138,6 +239,12 @@ export const TOOL_PERMISSIONS = {
         [KB_ROLES.MEMBER]: true,
         [KB_ROLES.PUBLIC]: false,
     },
+    discord_read_messages: {
+        [KB_ROLES.ADMIN]: { filter: 'all' },
+        [KB_ROLES.TEAM]: { filter: 'team' },
+        [KB_ROLES.MEMBER]: { filter: 'assigned' },
+        [KB_ROLES.PUBLIC]: { filter: 'public' },
+    },
     discord_search_messages: {
         [KB_ROLES.ADMIN]: { filter: 'all' },
         [KB_ROLES.TEAM]: { filter: 'team' },
@@ -0,0 +1,184 @@
+// RBAC Policy
+// Loads tool permissions from the KB policy file (.tf/policy.yaml)
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { KB_ROOT } from '../utils/path-utils.js';
+import { KB_ROLES, ACCESS_LEVELS } from './discord-roles.js';
+import { canUseTool, getToolFilter } from './permissions.js';
+
+/**
+ * Policy modes
+ * - enforce: tool permissions and data filters are applied per role
+ * - perimeter: no RBAC; access is controlled by the network perimeter
+ */
+export const POLICY_MODES = {
+    ENFORCE: 'enforce',
+    PERIMETER: 'perimeter',
+};
+
+/**
+ * Data filter types applied by applyDataFilters
+ */
+export const FILTER_TYPES = ['all', 'team', 'assigned', 'public'];
+
+const rolePolicySchema = z.object({
+    allow: z.array(z.string()).default([]),
+    deny: z.array(z.string()).default([]),
+    filters: z.record(z.enum(FILTER_TYPES)).default({}),
+});
+
+const pathRuleSchema = z.object({
+    path: z.string().min(1),
+    level: z.enum(Object.values(ACCESS_LEVELS)),
+});
+
+// entity type → role → field patterns hidden from that role
+const redactionSchema = z.record(z.string(), z.record(z.enum(Object.values(KB_ROLES)), z.array(z.string().min(1))));
+
+const policySchema = z.object({
+    version: z.number().int().default(1),
+    mode: z.enum([POLICY_MODES.ENFORCE, POLICY_MODES.PERIMETER]).default(POLICY_MODES.ENFORCE),
+    roles: z.record(z.enum(Object.values(KB_ROLES)), rolePolicySchema).default({}),
+    paths: z.array(pathRuleSchema).optional(),
+    redaction: redactionSchema.optional(),
+});
+
+// Cached policy, reloaded when the file's mtime changes
+let cached = null;
+
+/**
+ * Get the policy file location
+ * @returns {string} Absolute path (ORBIOS_POLICY_PATH or {KB_ROOT}/.tf/policy.yaml)
+ */
+export function getPolicyPath() {
+    return process.env.ORBIOS_POLICY_PATH
+        ? path.resolve(process.env.ORBIOS_POLICY_PATH)
+        : path.join(KB_ROOT, '.tf', 'policy.yaml');
+}
+
+/**
+ * Load the RBAC policy
+ * Without a policy file the built-in TOOL_PERMISSIONS matrix is enforced.
+ * An unreadable or invalid file throws, so a broken policy never opens access.
+ * @returns {{mode: string, roles: Object|null, paths: Array|null, redaction: Object|null, source: string}}
+ *   Policy (roles/paths/redaction are null when the built-in defaults apply)
+ */
+export function loadPolicy() {
+    const policyPath = getPolicyPath();
+
+    let stat;
+    try {
+        stat = fs.statSync(policyPath);
+    } catch {
+        return { mode: POLICY_MODES.ENFORCE, roles: null, paths: null, redaction: null, source: 'built-in' };
+    }
+
+    if (cached && cached.path === policyPath && cached.mtimeMs === stat.mtimeMs) {
+        return cached.policy;
+    }
+
+    let parsed;
+    try {
+        parsed = policySchema.parse(YAML.parse(fs.readFileSync(policyPath, 'utf-8')) || {});
+    } catch (error) {
+        throw new Error(`Invalid RBAC policy ${policyPath}: ${error.message}`);
+    }
+
+    const policy = {
+        mode: parsed.mode,
+        roles: parsed.roles,
+        paths: parsed.paths || null,
+        redaction: parsed.redaction || null,
+        source: policyPath,
+    };
+    cached = { path: policyPath, mtimeMs: stat.mtimeMs, policy };
+
+    console.error(`[Auth] Loaded RBAC policy (${policy.mode} mode):`, policyPath);
+    return policy;
+}
+
+/**
+ * Check whether the policy runs in perimeter mode (RBAC disabled)
+ * @returns {boolean}
+ */
+export function isPerimeterMode() {
+    return loadPolicy().mode === POLICY_MODES.PERIMETER;
+}
+
+/**
+ * Match a tool name against a policy pattern ("*" matches any characters)
+ * @param {string} pattern - Tool name or glob (e.g. "missions_*", "*_search")
+ * @param {string} toolName - Canonical tool name
+ * @returns {boolean}
+ */
+export function matchesToolPattern(pattern, toolName) {
+    if (pattern === toolName) return true;
+    if (!pattern.includes('*')) return false;
+
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`).test(toolName);
+}
+
+/**
+ * Find the first pattern matching a tool, preferring exact names over globs
+ * @param {string[]} patterns - Patterns in file order
+ * @param {string} toolName - Canonical tool name
+ * @returns {string|null} Matching pattern
+ */
+function findMatchingPattern(patterns, toolName) {
+    if (patterns.includes(toolName)) return toolName;
+    return patterns.find(pattern => matchesToolPattern(pattern, toolName)) || null;
+}
+
+/**
+ * Evaluate the policy for a tool and role
+ * @param {string} toolName - Canonical tool name
+ * @param {string} kbRole - KB role
+ * @returns {{allowed: boolean, filter: string|null, mode: string, source: string, rule: string}}
+ *   `rule` describes which policy entry decided the outcome
+ */
+export function evaluateToolPolicy(toolName, kbRole) {
+    const policy = loadPolicy();
+    const base = { mode: policy.mode, source: policy.source };
+
+    if (policy.mode === POLICY_MODES.PERIMETER) {
+        return { ...base, allowed: true, filter: null, rule: 'perimeter mode' };
+    }
+
+    // No policy file: built-in TOOL_PERMISSIONS matrix
+    if (!policy.roles) {
+        const filter = getToolFilter(toolName, kbRole, null);
+        return {
+            ...base,
+            allowed: canUseTool(toolName, kbRole),
+            filter: filter ? filter.type : null,
+            rule: `TOOL_PERMISSIONS.${toolName}.${kbRole}`,
+        };
+    }
+
+    const rolePolicy = policy.roles[kbRole];
+    if (!rolePolicy) {
+        return { ...base, allowed: false, filter: null, rule: `no policy for role '${kbRole}'` };
+    }
+
+    const denied = findMatchingPattern(rolePolicy.deny, toolName);
+    if (denied) {
+        return { ...base, allowed: false, filter: null, rule: `roles.${kbRole}.deny: ${denied}` };
+    }
+
+    const allowed = findMatchingPattern(rolePolicy.allow, toolName);
+    if (!allowed) {
+        return { ...base, allowed: false, filter: null, rule: `not in roles.${kbRole}.allow` };
+    }
+
+    const filterPattern = findMatchingPattern(Object.keys(rolePolicy.filters), toolName);
+    return {
+        ...base,
+        allowed: true,
+        filter: filterPattern ? rolePolicy.filters[filterPattern] : null,
+        rule: `roles.${kbRole}.allow: ${allowed}`,
+    };
+}
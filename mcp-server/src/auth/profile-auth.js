@@ -0,0 +1,198 @@
+// Profile Auth
+// Resolves identity and KB role from KB user profiles (db/users/*.yaml), for teams without Hasura
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { KB_ROOT } from '../utils/path-utils.js';
+
+/**
+ * User profile fields used for authentication
+ * @typedef {Object} UserProfile
+ * @property {string} id - Profile ID (file name)
+ * @property {string} name - Display name
+ * @property {string|null} email - Email (matched case-insensitively)
+ * @property {string|null} discordId - Discord user ID (`discord_id`)
+ * @property {string[]} roles - Profile roles (e.g. "Founder")
+ * @property {string[]} tags - Profile tags (e.g. "Core Team")
+ * @property {string|null} status - Profile status (e.g. active)
+ * @property {boolean} active - Whether the profile may sign in
+ */
+
+// Profiles indexed by Discord ID and email, rebuilt when any profile file changes
+let cached = null;
+
+/**
+ * Get the user profile directory
+ * @returns {string} Absolute path (ORBIOS_USERS_DIR or {KB_ROOT}/db/users)
+ */
+export function getUsersDir() {
+    return process.env.ORBIOS_USERS_DIR
+        ? path.resolve(process.env.ORBIOS_USERS_DIR)
+        : path.join(KB_ROOT, 'db', 'users');
+}
+
+/**
+ * Check whether profile auth is available
+ * Enabled when the profile directory exists, unless ORBIOS_PROFILE_AUTH=false.
+ * @returns {boolean}
+ */
+export function isProfileAuthEnabled() {
+    if ((process.env.ORBIOS_PROFILE_AUTH || '').toLowerCase() === 'false') {
+        return false;
+    }
+    return fs.existsSync(getUsersDir());
+}
+
+/**
+ * Normalize a YAML list field (missing, scalar or list) to strings
+ * @param {*} value - Field value
+ * @returns {string[]}
+ */
+function toList(value) {
+    if (value === null || value === undefined) return [];
+    return (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+}
+
+/**
+ * Parse the auth-relevant fields of a profile
+ * A profile without `status` counts as active; any other status or a `left_at` date disables it.
+ * @param {string} id - Profile ID
+ * @param {Object} data - Parsed YAML
+ * @returns {UserProfile}
+ */
+function toProfile(id, data) {
+    const status = data.status ? String(data.status).trim().toLowerCase() : null;
+    return {
+        id: data.id ? String(data.id) : id,
+        name: data.name || id,
+        email: data.email ? String(data.email).trim().toLowerCase() : null,
+        discordId: data.discord_id ? String(data.discord_id).trim() : null,
+        roles: toList(data.roles),
+        tags: toList(data.tags),
+        status,
+        active: (status === null || status === 'active') && !data.left_at,
+    };
+}
+
+/**
+ * Add a profile to an index, dropping keys claimed by more than one profile
+ * An ambiguous Discord ID or email never resolves to either profile.
+ */
+function indexProfile(index, ambiguous, key, profile) {
+    if (!key || ambiguous.has(key)) return;
+
+    const existing = index.get(key);
+    if (existing && existing.id !== profile.id) {
+        console.error(`[Profile Auth] ${key} is used by both ${existing.id} and ${profile.id}; ignoring it`);
+        index.delete(key);
+        ambiguous.add(key);
+        return;
+    }
+    index.set(key, profile);
+}
+
+/**
+ * Load the user profiles
+ * Files are re-read when any of them is added, removed or modified.
+ * A profile that fails to parse is skipped (its user falls back to configured roles).
+ * @returns {{profiles: UserProfile[], byDiscordId: Map<string, UserProfile>,
+ *   byEmail: Map<string, UserProfile>, source: string}}
+ */
+export function loadUserProfiles() {
+    const dir = getUsersDir();
+
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(name => /\.ya?ml$/.test(name)).sort();
+    } catch {
+        return { profiles: [], byDiscordId: new Map(), byEmail: new Map(), source: dir };
+    }
+
+    const stats = files.map(name => {
+        try {
+            const { mtimeMs, size } = fs.statSync(path.join(dir, name));
+            return `${name}:${mtimeMs}:${size}`;
+        } catch {
+            return `${name}:missing`;
+        }
+    });
+    const signature = `${dir}\n${stats.join('\n')}`;
+
+    if (cached && cached.signature === signature) {
+        return cached.result;
+    }
+
+    const profiles = [];
+    for (const name of files) {
+        try {
+            const data = YAML.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+            if (data && typeof data === 'object') {
+                profiles.push(toProfile(name.replace(/\.ya?ml$/, ''), data));
+            }
+        } catch (error) {
+            console.error(`[Profile Auth] Skipping ${name}:`, error.message);
+        }
+    }
+
+    const byDiscordId = new Map();
+    const byEmail = new Map();
+    const ambiguous = new Set();
+    for (const profile of profiles) {
+        indexProfile(byDiscordId, ambiguous, profile.discordId, profile);
+        indexProfile(byEmail, ambiguous, profile.email, profile);
+    }
+
+    const result = { profiles, byDiscordId, byEmail, source: dir };
+    cached = { signature, result };
+
+    console.error(`[Profile Auth] Loaded ${profiles.length} user profiles:`, dir);
+    return result;
+}
+
+/**
+ * Find the profile for a Discord ID or email
+ * @param {Object} identity
+ * @param {string} [identity.discordId] - Discord user ID
+ * @param {string} [identity.email] - Email address
+ * @returns {UserProfile|null}
+ */
+export function findUserProfile({ discordId, email } = {}) {
+    const { byDiscordId, byEmail } = loadUserProfiles();
+
+    if (discordId && byDiscordId.has(String(discordId))) {
+        return byDiscordId.get(String(discordId));
+    }
+    if (email && byEmail.has(String(email).trim().toLowerCase())) {
+        return byEmail.get(String(email).trim().toLowerCase());
+    }
+    return null;
+}
+
+/**
+ * Authenticate a user from their KB profile
+ * The user ID may be a Discord ID or an email; `user.email` is tried as well.
+ * @param {Object} user - Identity from the environment or a bearer token ({ user_id, email? })
+ * @returns {Object|null} User data ({ user_id, username, profile_id, profile_roles, profile_tags,
+ *   active }), or null if no profile matches
+ */
+export function authenticateViaProfile(user) {
+    if (!user || !user.user_id) return null;
+
+    const userId = String(user.user_id);
+    const profile = findUserProfile({
+        discordId: userId,
+        email: user.email || (userId.includes('@') ? userId : null),
+    });
+    if (!profile) return null;
+
+    return {
+        user_id: profile.discordId || userId,
+        username: profile.name,
+        profile_id: profile.id,
+        profile_roles: profile.roles,
+        profile_tags: profile.tags,
+        status: profile.status,
+        active: profile.active,
+    };
+}
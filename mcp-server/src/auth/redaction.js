@@ -0,0 +1,152 @@
+// Field Redaction
+// Masks sensitive fields in tool and resource results per entity type and role
+
+import { authManager } from './auth-manager.js';
+import { KB_ROLES } from './discord-roles.js';
+import { loadPolicy, POLICY_MODES } from './policy.js';
+import { REDACTED } from './audit-log.js';
+
+/**
+ * Entity types whose results are redacted
+ * Tools declare theirs with `entity` in the tool definition; resources in RESOURCE_TYPES.
+ */
+export const REDACTION_ENTITIES = ['users', 'availability', 'missions', 'candidates', 'search', 'graphql'];
+
+const CONTACT_FIELDS = ['email', 'phone', 'location', 'address'];
+const PAY_FIELDS = ['salary', 'rate', 'iban', 'finances', 'budget'];
+
+/**
+ * Default field rules, used unless .tf/policy.yaml defines `redaction`
+ * entity → role → fields hidden from that role (admins see everything).
+ */
+export const DEFAULT_REDACTION_RULES = {
+    users: {
+        [KB_ROLES.TEAM]: PAY_FIELDS,
+        [KB_ROLES.MEMBER]: [...CONTACT_FIELDS, ...PAY_FIELDS],
+        [KB_ROLES.PUBLIC]: [...CONTACT_FIELDS, ...PAY_FIELDS, 'timezone', 'languages', 'joined_at', 'left_at'],
+    },
+    availability: {
+        [KB_ROLES.MEMBER]: ['reason', 'notes'],
+        [KB_ROLES.PUBLIC]: ['reason', 'notes', 'location'],
+    },
+    missions: {
+        [KB_ROLES.TEAM]: ['finances'],
+        [KB_ROLES.MEMBER]: ['budget', 'finances', 'rate'],
+        [KB_ROLES.PUBLIC]: ['budget', 'finances', 'rate', 'client.contact'],
+    },
+    candidates: {
+        [KB_ROLES.TEAM]: ['score', 'salary', 'rate'],
+        [KB_ROLES.MEMBER]: ['score', 'salary', 'rate', ...CONTACT_FIELDS],
+        [KB_ROLES.PUBLIC]: ['score', 'salary', 'rate', ...CONTACT_FIELDS],
+    },
+    search: {
+        [KB_ROLES.PUBLIC]: ['author'],
+    },
+    graphql: {
+        [KB_ROLES.MEMBER]: [...CONTACT_FIELDS, ...PAY_FIELDS],
+        [KB_ROLES.PUBLIC]: [...CONTACT_FIELDS, ...PAY_FIELDS],
+    },
+};
+
+/**
+ * Get the active redaction rules
+ * @returns {Object} entity → role → field patterns
+ */
+export function getRedactionRules() {
+    return loadPolicy().redaction || DEFAULT_REDACTION_RULES;
+}
+
+/**
+ * Get the field patterns hidden from a role for an entity type
+ * @param {string} entity - Entity type (users, missions, search, ...)
+ * @param {string} kbRole - KB role
+ * @returns {string[]} Field patterns ("email", "client.contact", "finances.*")
+ */
+export function getRedactedFields(entity, kbRole) {
+    return getRedactionRules()[entity]?.[kbRole] || [];
+}
+
+/**
+ * Check whether a key path ends with a field pattern
+ * Patterns are dotted key names; "*" matches any single key. Array indices are not part of the path.
+ * @param {string[]} pattern - Pattern segments
+ * @param {string[]} keys - Key path of the value
+ * @returns {boolean}
+ */
+function matchesField(pattern, keys) {
+    if (pattern.length > keys.length) return false;
+    const offset = keys.length - pattern.length;
+    return pattern.every((segment, i) => segment === '*' || segment === keys[offset + i]);
+}
+
+/**
+ * Mask fields matching the patterns
+ * @param {*} value - Result to redact
+ * @param {string[][]} patterns - Split field patterns
+ * @param {string[]} keys - Key path of value
+ * @param {string} label - Printable path of value ("results[].author")
+ * @param {Set<string>} redacted - Collects printable paths of masked fields
+ * @returns {*} Redacted copy
+ */
+function maskFields(value, patterns, keys, label, redacted) {
+    if (Array.isArray(value)) {
+        return value.map(item => maskFields(item, patterns, keys, `${label}[]`, redacted));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+        const childKeys = [...keys, key];
+        const childLabel = label ? `${label}.${key}` : key;
+
+        if (child !== null && child !== undefined && patterns.some(pattern => matchesField(pattern, childKeys))) {
+            redacted.add(childLabel);
+            return [key, REDACTED];
+        }
+        return [key, maskFields(child, patterns, childKeys, childLabel, redacted)];
+    }));
+}
+
+/**
+ * Redact a value for the caller of the current request
+ * Nothing is redacted outside a request (CLI scripts) or in perimeter mode.
+ * @param {string} entity - Entity type
+ * @param {*} value - Result or parsed file
+ * @returns {{value: *, redactedFields: string[]}} Redacted copy and the masked field paths
+ */
+export function redactFields(entity, value) {
+    const context = authManager.getRequestContext();
+    if (!context || loadPolicy().mode === POLICY_MODES.PERIMETER) {
+        return { value, redactedFields: [] };
+    }
+
+    const patterns = getRedactedFields(entity, context.kbRole).map(field => field.split('.'));
+    if (patterns.length === 0) {
+        return { value, redactedFields: [] };
+    }
+
+    const redacted = new Set();
+    const masked = maskFields(value, patterns, [], '', redacted);
+    return { value: masked, redactedFields: [...redacted] };
+}
+
+/**
+ * Redact a tool result, listing the masked fields in `redacted_fields`
+ * Tools without an `entity` are returned unchanged; each item of a list result gets its own `redacted_fields`.
+ * @param {Object} tool - Registered tool definition
+ * @param {*} result - Handler result
+ * @returns {*} Redacted result
+ */
+export function redactToolResult(tool, result) {
+    if (!tool.entity || !result || typeof result !== 'object') {
+        return result;
+    }
+    // List results (missions_list) are redacted item by item
+    if (Array.isArray(result)) {
+        return result.map(item => redactToolResult(tool, item));
+    }
+
+    const { value, redactedFields } = redactFields(tool.entity, result);
+    return { ...value, redacted_fields: redactedFields };
+}
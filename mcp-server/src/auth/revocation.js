@@ -0,0 +1,110 @@
+// Token Revocation
+// Local revocation list for JWTs (.tf/revoked-tokens.yaml)
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { KB_ROOT } from '../utils/path-utils.js';
+
+const revocationSchema = z.object({
+    revoked: z.array(z.object({
+        jti: z.string().min(1).optional(),
+        sub: z.coerce.string().min(1).optional(),
+        revoked_at: z.coerce.date().optional(),
+        reason: z.string().optional(),
+    }).refine(entry => entry.jti || entry.sub, 'each entry needs a jti or sub')).default([]),
+});
+
+// Cached list, reloaded when the file's mtime changes
+let cached = null;
+
+/**
+ * Get the revocation list location
+ * @returns {string} Absolute path (ORBIOS_REVOCATION_PATH or {KB_ROOT}/.tf/revoked-tokens.yaml)
+ */
+export function getRevocationPath() {
+    return process.env.ORBIOS_REVOCATION_PATH
+        ? path.resolve(process.env.ORBIOS_REVOCATION_PATH)
+        : path.join(KB_ROOT, '.tf', 'revoked-tokens.yaml');
+}
+
+/**
+ * Load the revocation list
+ * A missing file means nothing is revoked. An invalid file throws, so every token is rejected
+ * until it is fixed rather than revoked tokens slipping through.
+ * @returns {Array<{jti?: string, sub?: string, revoked_at?: Date, reason?: string}>}
+ */
+export function loadRevocations() {
+    const listPath = getRevocationPath();
+
+    let stat;
+    try {
+        stat = fs.statSync(listPath);
+    } catch {
+        return [];
+    }
+
+    if (cached && cached.path === listPath && cached.mtimeMs === stat.mtimeMs) {
+        return cached.revoked;
+    }
+
+    let parsed;
+    try {
+        parsed = revocationSchema.parse(YAML.parse(fs.readFileSync(listPath, 'utf-8')) || {});
+    } catch (error) {
+        throw new Error(`Invalid revocation list ${listPath}: ${error.message}`);
+    }
+
+    cached = { path: listPath, mtimeMs: stat.mtimeMs, revoked: parsed.revoked };
+    return parsed.revoked;
+}
+
+/**
+ * Find the revocation entry matching a decoded token
+ * A `jti` entry revokes one token; a `sub` entry revokes every token of that user
+ * issued before `revoked_at` (or all of them when `revoked_at` is omitted). `iat` has
+ * one-second precision, so tokens issued in the same second as `revoked_at` count as before.
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Object|null} Matching entry, or null if the token is not revoked
+ */
+export function findRevocation(decoded) {
+    const issuedAt = typeof decoded.iat === 'number' ? decoded.iat * 1000 : 0;
+
+    return loadRevocations().find(entry => {
+        if (entry.jti) return entry.jti === decoded.jti;
+        if (entry.sub !== String(decoded.sub)) return false;
+        return !entry.revoked_at || issuedAt <= entry.revoked_at.getTime();
+    }) || null;
+}
+
+/**
+ * Add an entry to the revocation list
+ * @param {Object} entry
+ * @param {string} [entry.jti] - Revoke a single token
+ * @param {string} [entry.sub] - Revoke every token issued to a user until now
+ * @param {string} [entry.reason] - Why access was revoked
+ * @returns {Object} Entry as written
+ */
+export function revokeToken({ jti, sub, reason }) {
+    if (!jti && !sub) {
+        throw new Error('revokeToken needs a jti or sub');
+    }
+
+    const listPath = getRevocationPath();
+    const doc = fs.existsSync(listPath)
+        ? YAML.parse(fs.readFileSync(listPath, 'utf-8')) || {}
+        : {};
+    const revoked = Array.isArray(doc.revoked) ? doc.revoked : [];
+
+    const entry = {
+        ...(jti ? { jti } : { sub: String(sub) }),
+        revoked_at: new Date().toISOString(),
+        ...(reason ? { reason } : {}),
+    };
+    revoked.push(entry);
+
+    fs.mkdirSync(path.dirname(listPath), { recursive: true });
+    fs.writeFileSync(listPath, YAML.stringify({ ...doc, revoked }), 'utf-8');
+    return entry;
+}
@@ -0,0 +1,212 @@
+// Role Mapping
+// Maps Discord guild roles, database role names and profile roles/tags to KB roles (config/role-mapping.yaml)
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { KB_ROOT } from '../utils/path-utils.js';
+import { DISCORD_ROLES, KB_ROLES } from './discord-roles.js';
+
+/**
+ * KB roles from most to least privileged
+ */
+const ROLE_RANK = [KB_ROLES.ADMIN, KB_ROLES.TEAM, KB_ROLES.MEMBER, KB_ROLES.PUBLIC];
+
+const kbRoleSchema = z.enum(ROLE_RANK);
+
+const guildSchema = z.object({
+    id: z.coerce.string().min(1),
+    name: z.string().optional(),
+    roles: z.array(z.object({
+        id: z.coerce.string().min(1),
+        name: z.string().optional(),
+        kb_role: kbRoleSchema,
+    })).default([]),
+});
+
+const roleMappingSchema = z.object({
+    version: z.number().int().default(1),
+    default_role: kbRoleSchema.default(KB_ROLES.PUBLIC),
+    guilds: z.array(guildSchema).default([]),
+    database_roles: z.record(kbRoleSchema).default({}),
+    profile_roles: z.record(kbRoleSchema).default({}),
+    profile_tags: z.record(kbRoleSchema).default({}),
+});
+
+/**
+ * Built-in mapping for the Orbios guild, used when no role mapping file exists
+ */
+const DEFAULT_ROLE_MAPPING = {
+    default_role: KB_ROLES.PUBLIC,
+    guilds: [{
+        id: '1414519140861083792',
+        name: 'Orbios',
+        roles: [
+            { id: DISCORD_ROLES.CORE_LEAD, name: 'Core Lead', kb_role: KB_ROLES.ADMIN },
+            { id: DISCORD_ROLES.DEV_LEAD, name: 'Dev Lead', kb_role: KB_ROLES.TEAM },
+            { id: DISCORD_ROLES.DEV, name: 'Dev', kb_role: KB_ROLES.MEMBER },
+            { id: DISCORD_ROLES.OPEN, name: 'Open', kb_role: KB_ROLES.PUBLIC },
+        ],
+    }],
+    database_roles: {
+        admin: KB_ROLES.ADMIN,
+        core_lead: KB_ROLES.ADMIN,
+        dev_lead: KB_ROLES.TEAM,
+        team: KB_ROLES.TEAM,
+        dev: KB_ROLES.MEMBER,
+        member: KB_ROLES.PUBLIC,
+        guest: KB_ROLES.PUBLIC,
+    },
+    profile_roles: {
+        Founder: KB_ROLES.ADMIN,
+    },
+    profile_tags: {
+        'Core Team': KB_ROLES.TEAM,
+        Dev: KB_ROLES.MEMBER,
+        Ops: KB_ROLES.MEMBER,
+    },
+};
+
+// Cached mapping, reloaded when the file's mtime changes
+let cached = null;
+
+/**
+ * Get the role mapping file location
+ * @returns {string} Absolute path (ORBIOS_ROLE_MAPPING_PATH or {KB_ROOT}/config/role-mapping.yaml)
+ */
+export function getRoleMappingPath() {
+    return process.env.ORBIOS_ROLE_MAPPING_PATH
+        ? path.resolve(process.env.ORBIOS_ROLE_MAPPING_PATH)
+        : path.join(KB_ROOT, 'config', 'role-mapping.yaml');
+}
+
+/**
+ * Load the role mapping
+ * Without a mapping file the built-in Orbios roles apply.
+ * An unreadable or invalid file throws, so a broken mapping never grants a role.
+ * @returns {{default_role: string, guilds: Array, database_roles: Object, profile_roles: Object,
+ *   profile_tags: Object, source: string}}
+ */
+export function loadRoleMapping() {
+    const mappingPath = getRoleMappingPath();
+
+    let stat;
+    try {
+        stat = fs.statSync(mappingPath);
+    } catch {
+        return { ...DEFAULT_ROLE_MAPPING, source: 'built-in' };
+    }
+
+    if (cached && cached.path === mappingPath && cached.mtimeMs === stat.mtimeMs) {
+        return cached.mapping;
+    }
+
+    let parsed;
+    try {
+        parsed = roleMappingSchema.parse(YAML.parse(fs.readFileSync(mappingPath, 'utf-8')) || {});
+    } catch (error) {
+        throw new Error(`Invalid role mapping ${mappingPath}: ${error.message}`);
+    }
+
+    const mapping = {
+        default_role: parsed.default_role,
+        guilds: parsed.guilds,
+        database_roles: parsed.database_roles,
+        profile_roles: parsed.profile_roles,
+        profile_tags: parsed.profile_tags,
+        source: mappingPath,
+    };
+    cached = { path: mappingPath, mtimeMs: stat.mtimeMs, mapping };
+
+    console.error('[Auth] Loaded role mapping:', mappingPath);
+    return mapping;
+}
+
+/**
+ * Pick the most privileged of several KB roles
+ * @param {string[]} kbRoles - Candidate roles
+ * @returns {string|null} Highest role, or null if none
+ */
+function highestRole(kbRoles) {
+    return ROLE_RANK.find(role => kbRoles.includes(role)) || null;
+}
+
+/**
+ * Look up a profile role or tag by name, ignoring case (profiles are edited by hand)
+ * @param {Object} table - Name → KB role
+ * @param {string} name - Role or tag from a profile
+ * @returns {string|null} Matching key in the table
+ */
+function findProfileKey(table, name) {
+    const wanted = String(name).trim().toLowerCase();
+    return Object.keys(table).find(key => key.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Resolve the KB role for a user's Discord, database and profile roles
+ * Highest privilege wins across all sources.
+ * @param {Object} roles
+ * @param {string[]} [roles.discordRoles] - Discord role IDs
+ * @param {string[]} [roles.dbRoles] - Database role names
+ * @param {string[]} [roles.profileRoles] - `roles` from the user's db/users profile
+ * @param {string[]} [roles.profileTags] - `tags` from the user's db/users profile
+ * @param {string} [roles.guildId] - Guild the Discord roles belong to (all guilds if omitted)
+ * @returns {{kbRole: string, matched: string[], source: string}}
+ *   `matched` lists the mapping entries that granted a role
+ *   (e.g. "Orbios/Dev Lead", "db:dev_lead", "profile-role:Founder", "tag:Core Team")
+ */
+export function resolveKBRole({ discordRoles = [], dbRoles = [], profileRoles = [], profileTags = [], guildId = null } = {}) {
+    const mapping = loadRoleMapping();
+    const granted = [];
+    const matched = [];
+
+    const discordIds = new Set((Array.isArray(discordRoles) ? discordRoles : []).map(String));
+    const guilds = guildId
+        ? mapping.guilds.filter(guild => guild.id === String(guildId))
+        : mapping.guilds;
+
+    for (const guild of guilds) {
+        for (const role of guild.roles) {
+            if (!discordIds.has(role.id)) continue;
+            granted.push(role.kb_role);
+            matched.push(`${guild.name || guild.id}/${role.name || role.id}`);
+        }
+    }
+
+    for (const name of Array.isArray(dbRoles) ? dbRoles : []) {
+        const kbRole = mapping.database_roles[name];
+        if (!kbRole) continue;
+        granted.push(kbRole);
+        matched.push(`db:${name}`);
+    }
+
+    const profileSources = [
+        ['profile-role', mapping.profile_roles, profileRoles],
+        ['tag', mapping.profile_tags, profileTags],
+    ];
+    for (const [prefix, table, names] of profileSources) {
+        for (const name of Array.isArray(names) ? names : []) {
+            const key = findProfileKey(table, name);
+            if (!key) continue;
+            granted.push(table[key]);
+            matched.push(`${prefix}:${key}`);
+        }
+    }
+
+    return {
+        kbRole: highestRole(granted) || mapping.default_role,
+        matched,
+        source: mapping.source,
+    };
+}
+
+/**
+ * Map Discord roles to KB role
+ * @param {string[]} discordRoles - Array of Discord role IDs
+ * @param {string} [guildId] - Guild the roles belong to (all guilds if omitted)
+ * @returns {string} KB role (admin, team, member, or public)
+ */
+export function mapDiscordRoleToKBRole(discordRoles, guildId = null) {
+    return resolveKBRole({ discordRoles, guildId }).kbRole;
+}
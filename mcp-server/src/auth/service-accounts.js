@@ -0,0 +1,174 @@
+// Service Accounts
+// Named API keys for scripts and scheduled jobs (.tf/service-accounts.yaml)
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { KB_ROOT } from '../utils/path-utils.js';
+import { KB_ROLES } from './discord-roles.js';
+
+/**
+ * Prefix of every service account API key, so keys are recognisable in headers and env
+ */
+export const API_KEY_PREFIX = 'kbsa_';
+
+const serviceAccountSchema = z.object({
+    name: z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'use lowercase letters, digits and dashes'),
+    description: z.string().optional(),
+    key_hash: z.string().regex(/^sha256:[0-9a-f]{64}$/, 'expected sha256:<hex digest>'),
+    role: z.enum(Object.values(KB_ROLES)),
+    tools: z.array(z.string()).default([]),
+    folders: z.array(z.string()).default([]),
+    expires_at: z.coerce.date().optional(),
+});
+
+const serviceAccountsSchema = z.object({
+    service_accounts: z.array(serviceAccountSchema).default([]),
+});
+
+// Cached accounts, reloaded when the file's mtime changes
+let cached = null;
+
+/**
+ * Get the service account file location
+ * @returns {string} Absolute path (ORBIOS_SERVICE_ACCOUNTS_PATH or {KB_ROOT}/.tf/service-accounts.yaml)
+ */
+export function getServiceAccountsPath() {
+    return process.env.ORBIOS_SERVICE_ACCOUNTS_PATH
+        ? path.resolve(process.env.ORBIOS_SERVICE_ACCOUNTS_PATH)
+        : path.join(KB_ROOT, '.tf', 'service-accounts.yaml');
+}
+
+/**
+ * Hash an API key for storage
+ * Keys are 256-bit random values, so a plain SHA-256 digest is enough.
+ * @param {string} apiKey - Raw API key
+ * @returns {string} "sha256:<hex>"
+ */
+export function hashApiKey(apiKey) {
+    return `sha256:${crypto.createHash('sha256').update(String(apiKey)).digest('hex')}`;
+}
+
+/**
+ * Load the service accounts
+ * A missing file means there are none. An invalid file throws, so no key is accepted
+ * until it is fixed.
+ * @returns {Array<Object>} Service accounts
+ */
+export function loadServiceAccounts() {
+    const accountsPath = getServiceAccountsPath();
+
+    let stat;
+    try {
+        stat = fs.statSync(accountsPath);
+    } catch {
+        return [];
+    }
+
+    if (cached && cached.path === accountsPath && cached.mtimeMs === stat.mtimeMs) {
+        return cached.accounts;
+    }
+
+    let parsed;
+    try {
+        parsed = serviceAccountsSchema.parse(YAML.parse(fs.readFileSync(accountsPath, 'utf-8')) || {});
+    } catch (error) {
+        throw new Error(`Invalid service accounts ${accountsPath}: ${error.message}`);
+    }
+
+    cached = { path: accountsPath, mtimeMs: stat.mtimeMs, accounts: parsed.service_accounts };
+    return parsed.service_accounts;
+}
+
+/**
+ * Check whether a bearer token or env value is a service account API key
+ * @param {string} token - Candidate key
+ * @returns {boolean}
+ */
+export function isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Resolve an API key to a user identity
+ * @param {string} apiKey - Raw API key
+ * @returns {Object|null} User ({ user_id, username, roles, kb_role, service_account }) or null if rejected
+ */
+export function authenticateApiKey(apiKey) {
+    if (!isApiKey(apiKey)) {
+        return null;
+    }
+
+    const digest = Buffer.from(hashApiKey(apiKey));
+    const account = loadServiceAccounts().find(entry => {
+        const stored = Buffer.from(entry.key_hash);
+        return stored.length === digest.length && crypto.timingSafeEqual(stored, digest);
+    });
+
+    if (!account) {
+        console.error('[Auth] Rejected API key: no matching service account');
+        return null;
+    }
+
+    if (account.expires_at && account.expires_at.getTime() <= Date.now()) {
+        console.error(`[Auth] Rejected API key: service account '${account.name}' expired ${account.expires_at.toISOString()}`);
+        return null;
+    }
+
+    return {
+        user_id: `service:${account.name}`,
+        username: account.name,
+        roles: [],
+        kb_role: account.role,
+        service_account: {
+            name: account.name,
+            tools: account.tools,
+            folders: account.folders,
+        },
+    };
+}
+
+/**
+ * Create a service account and return its API key
+ * Only the key's hash is stored; the key itself cannot be recovered later.
+ * @param {Object} account
+ * @param {string} account.name - Account name (lowercase, dashes)
+ * @param {string} account.role - KB role
+ * @param {string[]} account.tools - Allowed tool names or globs
+ * @param {string[]} account.folders - Allowed KB folders or globs
+ * @param {string} [account.description] - What the account is for
+ * @param {string} [account.expires_at] - ISO date after which the key is rejected
+ * @returns {{apiKey: string, account: Object}}
+ */
+export function createServiceAccount({ name, role, tools, folders, description, expires_at }) {
+    const accountsPath = getServiceAccountsPath();
+    const doc = fs.existsSync(accountsPath)
+        ? YAML.parse(fs.readFileSync(accountsPath, 'utf-8')) || {}
+        : {};
+    const accounts = Array.isArray(doc.service_accounts) ? doc.service_accounts : [];
+
+    if (accounts.some(entry => entry.name === name)) {
+        throw new Error(`Service account '${name}' already exists`);
+    }
+
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const account = serviceAccountSchema.parse({
+        name,
+        ...(description ? { description } : {}),
+        key_hash: hashApiKey(apiKey),
+        role,
+        tools,
+        folders,
+        ...(expires_at ? { expires_at } : {}),
+    });
+
+    // Store the date as written rather than as a Date object
+    const entry = { ...account, ...(expires_at ? { expires_at } : {}) };
+    accounts.push(entry);
+
+    fs.mkdirSync(path.dirname(accountsPath), { recursive: true });
+    fs.writeFileSync(accountsPath, YAML.stringify({ ...doc, service_accounts: accounts }), 'utf-8');
+    return { apiKey, account: entry };
+}
@@ -0,0 +1,111 @@
+// Bearer Token Resolution
+// Maps bearer tokens presented by HTTP clients to user identities
+
+import crypto from 'crypto';
+import { verifyHasuraJWT, getKBRoleFromClaims } from './jwt.js';
+import { isApiKey, authenticateApiKey } from './service-accounts.js';
+
+/**
+ * Compact JWS serialization: header.payload.signature
+ */
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+/**
+ * Hash a token so comparisons run in constant time regardless of length
+ * @param {string} token - Raw token
+ * @returns {Buffer} SHA-256 digest
+ */
+function digestToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Load static bearer tokens from ORBIOS_HTTP_TOKENS
+ * Format: JSON object mapping token → { user_id, username, roles, db_roles?, guild_id?, email? }
+ * @returns {Array<{digest: Buffer, user: Object}>}
+ */
+function loadStaticTokens() {
+    const raw = process.env.ORBIOS_HTTP_TOKENS;
+    if (!raw || !raw.trim()) {
+        return [];
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch {
+        throw new Error('Invalid ORBIOS_HTTP_TOKENS. Must be a JSON object mapping tokens to { user_id, username, roles }.');
+    }
+
+    return Object.entries(parsed).map(([token, user]) => ({
+        digest: digestToken(token),
+        user: {
+            user_id: user.user_id,
+            username: user.username || user.user_id,
+            roles: Array.isArray(user.roles) ? user.roles : [],
+            db_roles: Array.isArray(user.db_roles) ? user.db_roles : [],
+            guild_id: user.guild_id || null,
+            email: user.email || null
+        }
+    }));
+}
+
+/**
+ * Check whether anonymous HTTP connections are allowed
+ * @returns {boolean}
+ */
+export function isAnonymousHttpAllowed() {
+    return String(process.env.ORBIOS_HTTP_ALLOW_ANONYMOUS || '').toLowerCase() === 'true';
+}
+
+/**
+ * Resolve a JWT to a user identity
+ * The KB role comes from the token's Hasura claims, not from a role lookup.
+ * @param {string} token - JWT access token
+ * @returns {Object|null} User ({ user_id, username, roles, kb_role }) or null if the token is rejected
+ */
+export function authenticateJWT(token) {
+    if (!process.env.HASURA_JWT_SECRET || !JWT_PATTERN.test(token)) {
+        return null;
+    }
+
+    try {
+        const decoded = verifyHasuraJWT(token);
+        return {
+            user_id: String(decoded.sub),
+            username: decoded.name || String(decoded.sub),
+            roles: [],
+            kb_role: getKBRoleFromClaims(decoded)
+        };
+    } catch (error) {
+        console.error('[Auth] Rejected JWT:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Resolve a bearer token to auth metadata for initializeAuthContext
+ * Accepts static tokens from ORBIOS_HTTP_TOKENS, service account API keys and
+ * JWTs signed with HASURA_JWT_SECRET.
+ * @param {string|null} token - Bearer token from the Authorization header
+ * @returns {Promise<Object|null>} Auth metadata ({ user, tokenType }) or null if the token is rejected
+ */
+export async function authenticateBearerToken(token) {
+    if (!token) {
+        return isAnonymousHttpAllowed() ? { user: null, tokenType: 'anonymous' } : null;
+    }
+
+    const digest = digestToken(token);
+    const match = loadStaticTokens().find(entry => crypto.timingSafeEqual(entry.digest, digest));
+    if (match) {
+        return { user: match.user, tokenType: 'static' };
+    }
+
+    if (isApiKey(token)) {
+        const user = authenticateApiKey(token);
+        return user ? { user, tokenType: 'api_key' } : null;
+    }
+
+    const user = authenticateJWT(token);
+    return user ? { user, tokenType: 'jwt' } : null;
+}
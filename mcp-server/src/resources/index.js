@@ -0,0 +1,447 @@
+// MCP Resources for Orbios KB
+// Exposes KB entities (missions, users, availability, inbox, actions) as kb:// resources
+
+import { readdir } from 'fs/promises';
+import YAML from 'yaml';
+import { resolveKBPath, fileExists, readKBFile } from '../utils/path-utils.js';
+import { findVisibleMission, missionsList } from '../tools/missions.js';
+import { canAccessPath } from '../auth/path-acl.js';
+import { AuthorizationError, checkToolAuthorization, applyDataFilters } from '../auth/middleware.js';
+import { redactFields } from '../auth/redaction.js';
+import { MISSION_FOLDERS } from '../validation/mission-states.js';
+
+const MIME_YAML = 'application/yaml';
+const MIME_MARKDOWN = 'text/markdown';
+
+/**
+ * Mission files exposed as sub-resources of kb://missions/{id}
+ */
+const MISSION_FILES = [
+    { suffix: '', file: 'mission.yaml', mimeType: MIME_YAML },
+    { suffix: '/description', file: 'description.md', mimeType: MIME_MARKDOWN },
+    { suffix: '/chat', file: 'chat.md', mimeType: MIME_MARKDOWN }
+];
+
+/**
+ * Category folders a mission directory may live in (missions/{category}/{id})
+ */
+const MISSION_CATEGORIES = new Set(MISSION_FOLDERS);
+
+/**
+ * Files in content folders that are documentation, not entities
+ */
+const IGNORED_FILES = new Set(['README.md', '_TEMPLATE.md']);
+
+/**
+ * Parse a kb:// URI into resource type and path segments
+ * @param {string} uri - Resource URI (e.g. kb://missions/my-mission/chat)
+ * @returns {{type: string, segments: string[]}}
+ * @throws {Error} If URI is malformed
+ */
+export function parseResourceUri(uri) {
+    const match = /^kb:\/\/([a-z]+)\/(.+)$/.exec(uri || '');
+    if (!match) {
+        throw new Error(`Invalid resource URI: "${uri}". Expected kb://{type}/{id}`);
+    }
+
+    const segments = match[2].split('/');
+    for (const segment of segments) {
+        if (!/^[A-Za-z0-9._-]+$/.test(segment) || segment === '.' || segment === '..') {
+            throw new Error(`Invalid resource URI segment "${segment}" in ${uri}`);
+        }
+    }
+
+    return { type: match[1], segments };
+}
+
+/**
+ * List directory entries, returning [] when the directory does not exist
+ * @param {string} relativePath - KB-relative directory
+ * @returns {Promise<import('fs').Dirent[]>}
+ */
+async function listDir(relativePath) {
+    const absolutePath = resolveKBPath(relativePath);
+    if (!await fileExists(absolutePath)) {
+        return [];
+    }
+    return await readdir(absolutePath, { withFileTypes: true });
+}
+
+/**
+ * Read a file as resource contents
+ * YAML entities are redacted for the caller's role; the YAML is only re-serialized
+ * (dropping comments) when a field was masked.
+ * @param {string} uri - Resource URI
+ * @param {string} path - KB-relative file path
+ * @param {string} mimeType - MIME type
+ * @param {string} [entity] - Entity type for field redaction
+ * @returns {Promise<Object>} Text resource contents (with redacted_fields for entities)
+ */
+async function readContents(uri, path, mimeType, entity = null) {
+    const text = await readKBFile(path);
+    if (!entity || mimeType !== MIME_YAML) {
+        return { uri, mimeType, text };
+    }
+
+    const { value, redactedFields } = redactFields(entity, YAML.parse(text));
+    return {
+        uri,
+        mimeType,
+        text: redactedFields.length > 0 ? YAML.stringify(value) : text,
+        redacted_fields: redactedFields
+    };
+}
+
+// --- Missions ---
+
+/**
+ * Resolve the caller's mission filter the way the equivalent tool call gets it
+ * @param {string} toolName - missions_list or missions_read
+ * @returns {Object|undefined} _accessFilter (undefined when unfiltered)
+ * @throws {AuthorizationError} If the caller may not use the tool
+ */
+function getMissionAccessFilter(toolName) {
+    checkToolAuthorization(toolName);
+    return applyDataFilters(toolName, {})._accessFilter;
+}
+
+async function listMissionResources() {
+    let accessFilter;
+    try {
+        accessFilter = getMissionAccessFilter('missions_list');
+    } catch (error) {
+        if (error instanceof AuthorizationError) return [];
+        throw error;
+    }
+
+    const missions = await missionsList({ _accessFilter: accessFilter });
+
+    return missions
+        .filter(mission => mission && mission.id)
+        .map(mission => ({
+            uri: `kb://missions/${mission.id}`,
+            name: mission.title || mission.id,
+            description: `Mission ${mission.id} (${mission.status || 'unknown status'})`,
+            mimeType: MIME_YAML
+        }));
+}
+
+async function readMissionResource(uri, segments) {
+    const [id, part] = segments;
+    const { missionPath } = await findVisibleMission(id, getMissionAccessFilter('missions_read'));
+
+    // kb://missions/{id} returns all mission files; sub-URIs return one file
+    const files = part
+        ? MISSION_FILES.filter(f => f.suffix === `/${part}`)
+        : MISSION_FILES;
+
+    if (files.length === 0 || segments.length > 2) {
+        throw new Error(`Unknown mission resource: ${uri}`);
+    }
+
+    const contents = [];
+    for (const f of files) {
+        const path = `${missionPath}/${f.file}`;
+        if (await fileExists(resolveKBPath(path))) {
+            contents.push(await readContents(`kb://missions/${id}${f.suffix}`, path, f.mimeType, 'missions'));
+        }
+    }
+    return contents;
+}
+
+// --- Users ---
+
+async function listUserResources() {
+    const entries = await listDir('db/users');
+    const resources = [];
+
+    for (const entry of entries) {
+        if (!entry.isFile() || !entry.name.endsWith('.yaml')) continue;
+
+        const id = entry.name.replace(/\.yaml$/, '');
+        let name = id;
+        try {
+            const profile = YAML.parse(await readKBFile(`db/users/${entry.name}`));
+            name = profile?.name || id;
+        } catch {
+            // Unreadable profile - still list it by ID
+        }
+
+        resources.push({
+            uri: `kb://users/${id}`,
+            name,
+            description: `User profile ${id}`,
+            mimeType: MIME_YAML
+        });
+    }
+
+    return resources;
+}
+
+async function readUserResource(uri, segments) {
+    const [id, part] = segments;
+    if (segments.length > 2 || (part && part !== 'profile')) {
+        throw new Error(`Unknown user resource: ${uri}`);
+    }
+
+    const yamlPath = `db/users/${id}.yaml`;
+    const profilePath = `db/users/${id}.md`;
+    const contents = [];
+
+    if (!part) {
+        contents.push(await readContents(`kb://users/${id}`, yamlPath, MIME_YAML, 'users'));
+    }
+    if (await fileExists(resolveKBPath(profilePath))) {
+        contents.push(await readContents(`kb://users/${id}/profile`, profilePath, MIME_MARKDOWN));
+    } else if (part) {
+        throw new Error(`User "${id}" has no profile document`);
+    }
+
+    return contents;
+}
+
+// --- Availability ---
+
+async function listAvailabilityResources() {
+    const years = (await listDir('db/availability')).filter(e => e.isDirectory());
+    const resources = [];
+
+    for (const year of years) {
+        const weeks = await listDir(`db/availability/${year.name}`);
+        for (const week of weeks) {
+            if (!week.isFile() || !week.name.endsWith('.yaml')) continue;
+
+            const weekId = week.name.replace(/\.yaml$/, '');
+            resources.push({
+                uri: `kb://availability/${year.name}/${weekId}`,
+                name: `Availability ${year.name} ${weekId}`,
+                description: `Team availability for ${weekId} of ${year.name}`,
+                mimeType: MIME_YAML
+            });
+        }
+    }
+
+    return resources;
+}
+
+async function readAvailabilityResource(uri, segments) {
+    if (segments.length !== 2) {
+        throw new Error(`Unknown availability resource: ${uri}. Expected kb://availability/{year}/{week}`);
+    }
+
+    const [year, week] = segments;
+    return [await readContents(uri, `db/availability/${year}/${week}.yaml`, MIME_YAML, 'availability')];
+}
+
+// --- Inbox ---
+
+async function listInboxResources() {
+    const months = (await listDir('inbox')).filter(e => e.isDirectory());
+    const resources = [];
+
+    for (const month of months) {
+        const threads = await listDir(`inbox/${month.name}`);
+        for (const thread of threads) {
+            if (!thread.isFile() || !thread.name.endsWith('.md') || IGNORED_FILES.has(thread.name)) continue;
+
+            const threadId = thread.name.replace(/\.md$/, '');
+            resources.push({
+                uri: `kb://inbox/${month.name}/${threadId}`,
+                name: threadId,
+                description: `Inbox thread from ${month.name}`,
+                mimeType: MIME_MARKDOWN
+            });
+        }
+    }
+
+    return resources;
+}
+
+async function readInboxResource(uri, segments) {
+    if (segments.length !== 2) {
+        throw new Error(`Unknown inbox resource: ${uri}. Expected kb://inbox/{month}/{thread}`);
+    }
+
+    const [month, thread] = segments;
+    return [await readContents(uri, `inbox/${month}/${thread}.md`, MIME_MARKDOWN)];
+}
+
+// --- Action Tickets ---
+
+async function listActionResources() {
+    const entries = await listDir('actions');
+
+    return entries
+        .filter(e => e.isFile() && e.name.endsWith('.md') && !IGNORED_FILES.has(e.name))
+        .map(e => {
+            const id = e.name.replace(/\.md$/, '');
+            return {
+                uri: `kb://actions/${id}`,
+                name: id,
+                description: `Action ticket ${id}`,
+                mimeType: MIME_MARKDOWN
+            };
+        });
+}
+
+async function readActionResource(uri, segments) {
+    if (segments.length !== 1) {
+        throw new Error(`Unknown action resource: ${uri}. Expected kb://actions/{id}`);
+    }
+
+    return [await readContents(uri, `actions/${segments[0]}.md`, MIME_MARKDOWN)];
+}
+
+/**
+ * Resource types keyed by the kb:// URI host
+ * `folder` is the KB folder checked against the path ACL before listing.
+ */
+const RESOURCE_TYPES = {
+    missions: {
+        folder: 'missions/',
+        template: { uriTemplate: 'kb://missions/{id}', name: 'Mission', description: 'Mission metadata (mission.yaml) with description and chat; use /description or /chat for a single file', mimeType: MIME_YAML },
+        list: listMissionResources,
+        read: readMissionResource
+    },
+    users: {
+        folder: 'db/users/',
+        template: { uriTemplate: 'kb://users/{id}', name: 'User profile', description: 'User profile from db/users/{id}.yaml; use /profile for the markdown profile', mimeType: MIME_YAML },
+        list: listUserResources,
+        read: readUserResource
+    },
+    availability: {
+        folder: 'db/availability/',
+        template: { uriTemplate: 'kb://availability/{year}/{week}', name: 'Availability week', description: 'Weekly team availability from db/availability/{year}/{week}.yaml', mimeType: MIME_YAML },
+        list: listAvailabilityResources,
+        read: readAvailabilityResource
+    },
+    inbox: {
+        folder: 'inbox/',
+        template: { uriTemplate: 'kb://inbox/{month}/{thread}', name: 'Inbox thread', description: 'Archived email thread from inbox/{YYYY-MM}/{thread}.md', mimeType: MIME_MARKDOWN },
+        list: listInboxResources,
+        read: readInboxResource
+    },
+    actions: {
+        folder: 'actions/',
+        template: { uriTemplate: 'kb://actions/{id}', name: 'Action ticket', description: 'Action ticket from actions/{id}.md', mimeType: MIME_MARKDOWN },
+        list: listActionResources,
+        read: readActionResource
+    }
+};
+
+/**
+ * List all KB resources
+ * @returns {Promise<Array>} Resource descriptors
+ */
+export async function listResources() {
+    const resources = [];
+
+    for (const [type, def] of Object.entries(RESOURCE_TYPES)) {
+        // Don't enumerate folders the caller cannot read
+        if (!canAccessPath(def.folder)) continue;
+
+        try {
+            resources.push(...await def.list());
+        } catch (error) {
+            console.error(`[Resources] Failed to list ${type}:`, error.message);
+        }
+    }
+
+    return resources;
+}
+
+/**
+ * List resource URI templates
+ * @returns {Array} Resource templates
+ */
+export function listResourceTemplates() {
+    return Object.values(RESOURCE_TYPES).map(def => def.template);
+}
+
+/**
+ * Map a changed KB file to the resource URIs whose contents it affects
+ * A mission file change also updates the aggregate kb://missions/{id} resource.
+ * @param {string} relativePath - KB-relative path (e.g. missions/active/foo/chat.md)
+ * @returns {string[]} Affected resource URIs (empty if the file is not a resource)
+ */
+export function getResourceUrisForPath(relativePath) {
+    const parts = String(relativePath || '').split(/[\\/]/).filter(Boolean);
+    const name = parts[parts.length - 1] || '';
+
+    if (IGNORED_FILES.has(name)) {
+        return [];
+    }
+
+    switch (parts[0]) {
+        case 'missions': {
+            // missions/{id}/{file} or missions/{category}/{id}/{file}
+            const rest = MISSION_CATEGORIES.has(parts[1]) ? parts.slice(2) : parts.slice(1);
+            const [id, file] = rest;
+            if (!id || rest.length > 2) return [];
+
+            // A mission directory was created, moved or removed
+            if (!file) return [`kb://missions/${id}`];
+
+            const missionFile = MISSION_FILES.find(f => f.file === file);
+            if (!missionFile) return [];
+            return missionFile.suffix
+                ? [`kb://missions/${id}`, `kb://missions/${id}${missionFile.suffix}`]
+                : [`kb://missions/${id}`];
+        }
+
+        case 'db': {
+            if (parts[1] === 'users' && parts.length === 3) {
+                if (name.endsWith('.yaml')) return [`kb://users/${name.replace(/\.yaml$/, '')}`];
+                if (name.endsWith('.md')) {
+                    const id = name.replace(/\.md$/, '');
+                    return [`kb://users/${id}`, `kb://users/${id}/profile`];
+                }
+            }
+            if (parts[1] === 'availability' && parts.length === 4 && name.endsWith('.yaml')) {
+                return [`kb://availability/${parts[2]}/${name.replace(/\.yaml$/, '')}`];
+            }
+            return [];
+        }
+
+        case 'inbox':
+            return parts.length === 3 && name.endsWith('.md')
+                ? [`kb://inbox/${parts[1]}/${name.replace(/\.md$/, '')}`]
+                : [];
+
+        case 'actions':
+            return parts.length === 2 && name.endsWith('.md')
+                ? [`kb://actions/${name.replace(/\.md$/, '')}`]
+                : [];
+
+        default:
+            return [];
+    }
+}
+
+/**
+ * Read a KB resource
+ * @param {string} uri - Resource URI
+ * @returns {Promise<Array>} Resource contents
+ */
+export async function readResource(uri) {
+    const { type, segments } = parseResourceUri(uri);
+    const def = RESOURCE_TYPES[type];
+
+    if (!def) {
+        throw new Error(`Unknown resource type "${type}". Available: ${Object.keys(RESOURCE_TYPES).join(', ')}`);
+    }
+
+    return await def.read(uri, segments);
+}
+
+/**
+ * Check that the caller may read a resource
+ * Runs the resources/read checks (path ACL, mission access filter), so a subscription
+ * is only accepted for resources the caller could read.
+ * @param {string} uri - Resource URI
+ * @throws {AuthorizationError} If the resource is outside the caller's access
+ * @throws {Error} If the URI is invalid or the resource does not exist
+ */
+export async function checkResourceAccess(uri) {
+    await readResource(uri);
+}
@@ -0,0 +1,124 @@
+// KB File Watcher
+// Watches KB_ROOT and reports changed kb:// resources in coalesced batches
+
+import { watch } from 'fs';
+import { KB_ROOT } from '../utils/path-utils.js';
+import { getResourceUrisForPath } from './index.js';
+
+/**
+ * Top-level folders that never contain resources
+ */
+const IGNORED_DIRS = new Set(['.git', 'node_modules', 'logs']);
+
+/**
+ * Quiet period before a batch is flushed. Every new change restarts it,
+ * so a git pull touching hundreds of files produces one batch.
+ */
+const DEBOUNCE_MS = parseInt(process.env.ORBIOS_WATCH_DEBOUNCE_MS || '500');
+
+/**
+ * Upper bound on how long a batch may be held back by a continuous stream of changes
+ */
+const MAX_WAIT_MS = parseInt(process.env.ORBIOS_WATCH_MAX_WAIT_MS || '5000');
+
+class KBWatcher {
+    constructor() {
+        this.listeners = new Set();
+        this.pending = new Set();
+        this.watcher = null;
+        this.timer = null;
+        this.firstPendingAt = null;
+    }
+
+    /**
+     * Register a listener for changed resource URIs
+     * The underlying fs watcher runs only while at least one listener is registered.
+     * @param {Function} listener - Called with an array of unique changed URIs per batch
+     * @returns {Function} Function that removes the listener
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        this.start();
+
+        return () => {
+            this.listeners.delete(listener);
+            if (this.listeners.size === 0) {
+                this.stop();
+            }
+        };
+    }
+
+    start() {
+        if (this.watcher) return;
+
+        try {
+            this.watcher = watch(KB_ROOT, { recursive: true }, (eventType, filename) => {
+                if (filename) this.handleChange(filename.toString());
+            });
+            this.watcher.on('error', (error) => {
+                console.error('[Watcher] KB watcher failed:', error.message);
+                this.stop();
+            });
+            console.error('[Watcher] Watching KB for resource changes:', KB_ROOT);
+        } catch (error) {
+            console.error('[Watcher] Could not watch KB:', error.message);
+            this.watcher = null;
+        }
+    }
+
+    stop() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending.clear();
+        this.firstPendingAt = null;
+    }
+
+    /**
+     * Queue the resources affected by a changed file and (re)schedule the flush
+     * @param {string} filename - Path relative to KB_ROOT
+     */
+    handleChange(filename) {
+        const topLevel = filename.split(/[\\/]/)[0];
+        if (IGNORED_DIRS.has(topLevel)) return;
+
+        const uris = getResourceUrisForPath(filename);
+        if (uris.length === 0) return;
+
+        for (const uri of uris) {
+            this.pending.add(uri);
+        }
+
+        const now = Date.now();
+        if (this.firstPendingAt === null) {
+            this.firstPendingAt = now;
+        }
+
+        clearTimeout(this.timer);
+        const delay = Math.min(DEBOUNCE_MS, Math.max(0, this.firstPendingAt + MAX_WAIT_MS - now));
+        this.timer = setTimeout(() => this.flush(), delay);
+    }
+
+    flush() {
+        const uris = [...this.pending];
+        this.pending.clear();
+        this.firstPendingAt = null;
+        this.timer = null;
+
+        if (uris.length === 0) return;
+
+        for (const listener of this.listeners) {
+            try {
+                listener(uris);
+            } catch (error) {
+                console.error('[Watcher] Listener failed:', error.message);
+            }
+        }
+    }
+}
+
+// Singleton instance shared by all sessions
+export const kbWatcher = new KBWatcher();
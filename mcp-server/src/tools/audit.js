@@ -0,0 +1,44 @@
+import { z } from 'zod';
+import { queryAuditLog, verifyAuditLog } from '../auth/audit-log.js';
+import { matchesToolPattern } from '../auth/policy.js';
+
+const auditQuerySchema = z.object({
+    user_id: z.string().optional().describe('Exact user ID (Discord ID, or service:<name> for service accounts)'),
+    tool: z.string().optional().describe('Tool name or glob, e.g. "missions_*"'),
+    from: z.string().datetime({ offset: true }).optional().describe('Earliest timestamp (ISO 8601)'),
+    to: z.string().datetime({ offset: true }).optional().describe('Latest timestamp (ISO 8601)'),
+    allowed: z.boolean().optional().describe('true for allowed calls, false for denials'),
+    limit: z.number().int().min(1).max(1000).default(100),
+    verify_chain: z.boolean().default(false).describe('Also verify the hash chain of the whole log')
+});
+
+/**
+ * Query the audit log (newest entries first)
+ */
+export async function auditQuery({ user_id, tool, from, to, allowed, limit, verify_chain }) {
+    const { entries, total } = queryAuditLog({
+        userId: user_id,
+        matchTool: tool ? (name) => matchesToolPattern(tool, name || '') : undefined,
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+        allowed,
+        limit
+    });
+
+    return {
+        total_matched: total,
+        returned: entries.length,
+        entries,
+        ...(verify_chain ? { chain: verifyAuditLog() } : {})
+    };
+}
+
+// Audit tools registered with the tool registry
+export const auditTools = {
+    audit_query: {
+        description: 'Query the audit log of tool calls (admin only). Filter by user, tool, time range and allowed/denied',
+        schema: auditQuerySchema,
+        handler: auditQuery,
+        readOnly: true
+    }
+};
@@ -0,0 +1,214 @@
+import { z } from 'zod';
+import { resolveTool } from './registry.js';
+import { authManager, initializeAuthContext } from '../auth/auth-manager.js';
+import { KB_ROLES } from '../auth/discord-roles.js';
+import { TOOL_PERMISSIONS } from '../auth/permissions.js';
+import { evaluateToolPolicy, POLICY_MODES } from '../auth/policy.js';
+import { getRedactedFields, redactToolResult } from '../auth/redaction.js';
+import {
+    AuthorizationError,
+    checkToolAuthorization,
+    applyDataFilters,
+    logAuthEvent
+} from '../auth/middleware.js';
+
+const targetUserFields = {
+    user_id: z.string().optional().describe('Explain for another user (admin only). Roles are looked up like a login'),
+    discord_roles: z.array(z.string()).optional().describe('Discord role IDs to assume for user_id'),
+    db_roles: z.array(z.string()).optional().describe('Database role names to assume for user_id')
+};
+
+const authExplainSchema = z.object({
+    tool: z.string().describe('Tool name (any alias spelling)'),
+    args: z.record(z.any()).optional().describe('Arguments to validate against the tool schema'),
+    ...targetUserFields
+});
+
+const authRunAsSchema = z.object({
+    tool: z.string().describe('Read-only tool to run'),
+    args: z.record(z.any()).default({}),
+    role: z.enum(Object.values(KB_ROLES)).optional().describe('KB role to run as (overrides the user\'s role)'),
+    ...targetUserFields
+});
+
+/**
+ * Resolve a registered tool or fail with the requested name
+ */
+function requireTool(name) {
+    const tool = resolveTool(name);
+    if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+    }
+    return tool;
+}
+
+/**
+ * Resolve the auth context of the user named in the request
+ * Roles given in the request are used as configured roles; with Hasura configured
+ * the user's stored roles take precedence, as they would at login.
+ * @returns {Promise<Object|null>} Context, or null if no target user was named
+ */
+async function resolveTargetContext({ user_id, discord_roles, db_roles }) {
+    if (!user_id) {
+        if (discord_roles || db_roles) {
+            throw new Error('discord_roles and db_roles require user_id');
+        }
+        return null;
+    }
+
+    return await initializeAuthContext({
+        user: { user_id, username: user_id, roles: discord_roles || [], db_roles: db_roles || [] },
+        tokenType: 'provided'
+    });
+}
+
+/**
+ * Only admins may look at (or act with) someone else's access
+ */
+function requireAdminFor(action) {
+    const caller = authManager.getContext();
+    if (caller.kbRole !== KB_ROLES.ADMIN) {
+        throw new AuthorizationError(`Access denied: Only admins can ${action}`, {
+            userRole: caller.kbRole,
+            userId: caller.userId,
+            rule: 'admin only'
+        });
+    }
+    return caller;
+}
+
+/**
+ * Explain why a tool call is allowed or denied
+ */
+export async function authExplain({ tool, args, ...target }) {
+    const toolDef = requireTool(tool);
+
+    // Checked before the target is resolved: looking up another user's roles is itself admin only.
+    // Assumed roles make even the caller's own ID a different identity.
+    const caller = authManager.getContext();
+    if (target.user_id && (target.user_id !== caller.userId || target.discord_roles || target.db_roles)) {
+        requireAdminFor('explain access for another user');
+    }
+    const context = await resolveTargetContext(target) || caller;
+
+    return authManager.runWithContext(context, () => {
+        const decision = evaluateToolPolicy(toolDef.name, context.kbRole);
+
+        let denial = null;
+        try {
+            checkToolAuthorization(toolDef.name);
+        } catch (error) {
+            if (!(error instanceof AuthorizationError)) throw error;
+            denial = { reason: error.message, rule: error.details.rule };
+        }
+
+        const builtIn = TOOL_PERMISSIONS[toolDef.name];
+        const parsed = args !== undefined ? toolDef.schema.safeParse(args) : null;
+
+        return {
+            tool: toolDef.name,
+            allowed: !denial,
+            ...(denial ? { denial } : {}),
+            identity: {
+                user_id: context.userId,
+                username: context.username,
+                authenticated: context.authenticated,
+                source: context.roleResolution.identity,
+                ...(context.serviceAccount ? { service_account: context.serviceAccount } : {})
+            },
+            role_resolution: {
+                discord_roles: context.discordRoles,
+                db_roles: context.dbRoles,
+                profile: context.profile,
+                method: context.roleResolution.method,
+                matched: context.roleResolution.matched,
+                mapping: context.roleResolution.mapping,
+                kb_role: context.kbRole
+            },
+            policy: {
+                mode: decision.mode,
+                source: decision.source,
+                rule: decision.rule,
+                allowed: decision.allowed
+            },
+            tool_permissions: {
+                rule: `TOOL_PERMISSIONS.${toolDef.name}.${context.kbRole}`,
+                value: builtIn ? builtIn[context.kbRole] ?? null : null,
+                in_effect: decision.source === 'built-in'
+            },
+            data_filter: {
+                type: decision.filter,
+                access_filter: denial ? null : applyDataFilters(toolDef.name, {})._accessFilter || null
+            },
+            redaction: toolDef.entity ? {
+                entity: toolDef.entity,
+                fields: decision.mode === POLICY_MODES.PERIMETER ? [] : getRedactedFields(toolDef.entity, context.kbRole)
+            } : null,
+            ...(parsed ? {
+                arguments: parsed.success
+                    ? { valid: true }
+                    : { valid: false, errors: parsed.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`) }
+            } : {}),
+            read_only: Boolean(toolDef.readOnly)
+        };
+    });
+}
+
+/**
+ * Run a read-only tool as another role or user (admin only)
+ */
+export async function authRunAs({ tool, args, role, ...target }) {
+    const caller = requireAdminFor('run tools as another role');
+    const toolDef = requireTool(tool);
+
+    if (!toolDef.readOnly) {
+        throw new Error(`Tool '${toolDef.name}' is not read-only and cannot be run as another role`);
+    }
+    if (!role && !target.user_id) {
+        throw new Error('Specify role, user_id, or both');
+    }
+
+    let context = await resolveTargetContext(target) || {
+        ...authManager.getAnonymousContext(),
+        username: `as ${role}`,
+        authenticated: true,
+        roleResolution: { identity: 'run-as', method: 'run-as', matched: [], mapping: null }
+    };
+    if (role) {
+        context = { ...context, kbRole: role };
+    }
+    context = { ...context, impersonatedBy: caller.userId || caller.username };
+
+    const as = { user_id: context.userId, username: context.username, kb_role: context.kbRole };
+
+    return await authManager.runWithContext(context, async () => {
+        try {
+            checkToolAuthorization(toolDef.name);
+            logAuthEvent(toolDef.name, true, { args });
+
+            const filteredArgs = applyDataFilters(toolDef.name, toolDef.schema.parse(args));
+            const result = redactToolResult(toolDef, await toolDef.handler(filteredArgs));
+            return { tool: toolDef.name, as, allowed: true, result };
+        } catch (error) {
+            if (!(error instanceof AuthorizationError)) throw error;
+
+            logAuthEvent(toolDef.name, false, { args, reason: error.message, details: error.details });
+            return { tool: toolDef.name, as, allowed: false, reason: error.message, details: error.details };
+        }
+    });
+}
+
+// Auth tools registered with the tool registry
+export const authTools = {
+    auth_explain: {
+        description: 'Explain why a tool call is allowed or denied: identity, role resolution, policy rule and data filter',
+        schema: authExplainSchema,
+        handler: authExplain,
+        readOnly: true
+    },
+    auth_run_as: {
+        description: 'Run a read-only tool as another role or user to preview a policy (admin only)',
+        schema: authRunAsSchema,
+        handler: authRunAs
+    }
+};
@@ -1,7 +1,11 @@
 import { spawn } from 'child_process';
 import { readdir } from 'fs/promises';
-import { join } from 'path';
-import { resolveKBPath, fileExists, resolveDiscordPath } from '../utils/path-utils.js';
+import { join, resolve } from 'path';
+import { z } from 'zod';
+import { KB_ROOT, resolveKBPath, fileExists, resolveDiscordPath } from '../utils/path-utils.js';
+import { resolveChannelAccess } from '../auth/channel-access.js';
+import { isLevelAllowed } from '../auth/data-filters.js';
+import { AuthorizationError } from '../auth/middleware.js';
 
 async function runGit(args) {
     return new Promise((resolve, reject) => {
@@ -92,18 +96,26 @@ async function discordCheckUpdates(params = {}) {
             const lastSyncTime = new Date(cursor.last_synced_at);
             const minutesSinceSync = (Date.now() - lastSyncTime.getTime()) / 1000 / 60;
 
+            const access = resolveSyncedChannelAccess(join(contextPath, channelId), channelId, cursor.category_id);
+
             channelStatuses.push({
                 channel_id: channelId,
+                access_level: access.access_level,
+                sync_enabled: access.sync_enabled,
                 last_synced_at: cursor.last_synced_at,
                 minutes_since_sync: Math.round(minutesSinceSync),
-                needs_update: minutesSinceSync > thresholdMinutes
+                needs_update: access.sync_enabled && minutesSinceSync > thresholdMinutes
             });
         } else {
+            const access = resolveSyncedChannelAccess(join(contextPath, channelId), channelId);
+
             channelStatuses.push({
                 channel_id: channelId,
+                access_level: access.access_level,
+                sync_enabled: access.sync_enabled,
                 last_synced_at: null,
                 minutes_since_sync: null,
-                needs_update: true
+                needs_update: access.sync_enabled
             });
         }
     }
@@ -290,6 +302,26 @@ async function discordTriggerSync(params = {}) {
     });
 }
 
+/**
+ * Resolve the access level of a synced channel folder
+ * Channels found in a sibling repository use that repository's category mapping and are
+ * private unless it maps them, since this KB's default level says nothing about them.
+ * @param {string} channelPath - Channel folder ({repo}/context/discord/{server}/{channel})
+ * @param {string} channelId - Discord channel ID
+ * @param {string} [categoryId] - Parent category ID, when known
+ * @returns {Object} Channel access (see resolveChannelAccess)
+ */
+function resolveSyncedChannelAccess(channelPath, channelId, categoryId = null) {
+    const repo = resolve(channelPath, '..', '..', '..', '..');
+    if (repo === KB_ROOT) {
+        return resolveChannelAccess(channelId, categoryId);
+    }
+    return resolveChannelAccess(channelId, categoryId, {
+        mappingPath: join(repo, 'config', 'category-mapping.yaml'),
+        failClosed: true
+    });
+}
+
 /**
  * Read Discord messages for a channel
  * @param {Object} params - Read parameters
@@ -300,7 +332,8 @@ async function discordReadMessages(params = {}) {
         server_id = process.env.SYNC_SERVER_ID || '1414519140861083792',
         channel_id,
         limit = 50,
-        days = 7
+        days = 7,
+        _accessFilter
     } = params;
 
     if (!channel_id) {
@@ -310,6 +343,29 @@ async function discordReadMessages(params = {}) {
     // Resolve channel path across all repos
     const channelPath = await resolveDiscordPath(server_id, channel_id);
 
+    // The sync stores the parent category in cursor.json when it knows it
+    let categoryId = null;
+    const cursorPath = join(channelPath, 'cursor.json');
+    if (await fileExists(cursorPath)) {
+        try {
+            const { readFile } = await import('fs/promises');
+            categoryId = JSON.parse(await readFile(cursorPath, 'utf-8')).category_id || null;
+        } catch {
+            // Unreadable cursor - resolve by channel ID only
+        }
+    }
+
+    // Check channel access level before revealing anything about it
+    const access = resolveSyncedChannelAccess(channelPath, channel_id, categoryId);
+    if (!isLevelAllowed(access.access_level, _accessFilter)) {
+        throw new AuthorizationError(`Access denied: channel ${channel_id} is ${access.access_level}`, {
+            channel_id,
+            access_level: access.access_level,
+            source: access.source,
+            allowed_levels: _accessFilter.levels
+        });
+    }
+
     if (!await fileExists(channelPath)) {
         return {
             channel_id,
@@ -344,6 +400,7 @@ async function discordReadMessages(params = {}) {
     return {
         channel_id,
         found: true,
+        access_level: access.access_level,
         path: channelPath,
         files_loaded: loadedFiles,
         content: allContent // TODO: In future, parse this into JSON messages if needed
@@ -354,62 +411,32 @@ async function discordReadMessages(params = {}) {
 export const discordTools = {
     discord_check_updates: {
         description: 'Check if Discord data has updates available (compares local sync time)',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                server_id: {
-                    type: 'string',
-                    description: 'Discord server/guild ID (default: 1414519140861083792)'
-                },
-                channel_id: {
-                    type: 'string',
-                    description: 'Specific channel ID to check (optional)'
-                },
-                check_remote: {
-                    type: 'boolean',
-                    description: 'If true, fetch origin/staging and compare it to local HEAD to detect remote updates (default: true)'
-                }
-            }
-        },
-        handler: discordCheckUpdates
+        schema: z.object({
+            server_id: z.string().optional().describe('Discord server/guild ID (default: 1414519140861083792)'),
+            channel_id: z.string().optional().describe('Specific channel ID to check (optional)'),
+            check_remote: z.boolean().optional().describe('If true, fetch origin/staging and compare it to local HEAD to detect remote updates (default: true)')
+        }),
+        handler: discordCheckUpdates,
+        readOnly: true
     },
     discord_pull_updates: {
         description: 'Pull latest Discord data from Git repository (git pull origin staging)',
-        inputSchema: {
-            type: 'object',
-            properties: {}
-        },
+        schema: z.object({}),
         handler: discordPullUpdates
     },
     discord_trigger_sync: {
         description: 'Trigger Discord sync on server (on-demand) - syncs from Hasura to staging branch',
-        inputSchema: {
-            type: 'object',
-            properties: {}
-        },
+        schema: z.object({}),
         handler: discordTriggerSync
     },
     discord_read_messages: {
         description: 'Read raw Discord messages from local cache (supports Public, Core, Board repos)',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                server_id: {
-                    type: 'string',
-                    description: 'Discord server/guild ID (optional)'
-                },
-                channel_id: {
-                    type: 'string',
-                    description: 'Channel ID to read'
-                },
-                days: {
-                    type: 'number',
-                    description: 'Number of past days to include (default: 7)',
-                    default: 7
-                }
-            },
-            required: ['channel_id']
-        },
-        handler: discordReadMessages
+        schema: z.object({
+            server_id: z.string().optional().describe('Discord server/guild ID (optional)'),
+            channel_id: z.string().describe('Channel ID to read'),
+            days: z.number().default(7).describe('Number of past days to include (default: 7)')
+        }),
+        handler: discordReadMessages,
+        readOnly: true
     }
 };
@@ -0,0 +1,206 @@
+// GraphQL Operation Guard
+// Parses GraphQL documents before they reach Hasura: operation type, depth and complexity
+
+import { parse, valueFromASTUntyped, Kind, OperationTypeNode } from 'graphql';
+
+/**
+ * Default limits (ORBIOS_GRAPHQL_MAX_DEPTH, ORBIOS_GRAPHQL_MAX_COMPLEXITY)
+ */
+export const DEFAULT_GRAPHQL_LIMITS = {
+    maxDepth: 10,
+    maxComplexity: 1000,
+};
+
+// Arguments that bound the number of items a list field returns
+const PAGE_SIZE_ARGUMENTS = ['limit', 'first', 'last'];
+// Arguments that only list fields take (Hasura)
+const LIST_ARGUMENTS = ['where', 'order_by', 'offset', 'distinct_on'];
+// Root fields that return a single object (Hasura)
+const SINGLE_ROOT_FIELD = /(_by_pk|_aggregate)$/;
+
+// Items assumed for a list field without a page size
+const UNBOUNDED_LIST_SIZE = 100;
+
+/**
+ * Estimate how many items a field returns
+ * Root fields and fields with list arguments are lists; without a page size they count as
+ * UNBOUNDED_LIST_SIZE items.
+ * @param {import('graphql').FieldNode} field - Field node
+ * @param {Object} variables - Operation variables, defaults applied
+ * @param {boolean} root - Whether the field is a root field of the operation
+ * @returns {number} Multiplier for the field's children
+ */
+function pageSize(field, variables, root) {
+    let list = root && !SINGLE_ROOT_FIELD.test(field.name.value);
+
+    for (const arg of field.arguments || []) {
+        const name = arg.name.value;
+        if (LIST_ARGUMENTS.includes(name)) {
+            list = true;
+        }
+        if (!PAGE_SIZE_ARGUMENTS.includes(name)) continue;
+
+        // A missing or null variable leaves the list unbounded
+        const raw = arg.value.kind === Kind.VARIABLE
+            ? variables[arg.value.name.value]
+            : valueFromASTUntyped(arg.value);
+        const value = raw === null || raw === undefined ? NaN : Number(raw);
+        if (Number.isFinite(value)) return Math.max(value, 1);
+        list = true;
+    }
+
+    return list ? UNBOUNDED_LIST_SIZE : 1;
+}
+
+/**
+ * Collect the default values of an operation's variables
+ * @param {import('graphql').OperationDefinitionNode} operation - Operation node
+ * @returns {Object} Variable name → default value
+ */
+function variableDefaults(operation) {
+    return Object.fromEntries((operation.variableDefinitions || [])
+        .filter(definition => definition.defaultValue)
+        .map(definition => [definition.variable.name.value, valueFromASTUntyped(definition.defaultValue)]));
+}
+
+/**
+ * Measure a selection set
+ * Fragment spreads are expanded in place; inline fragments and spreads do not add depth.
+ * Each fragment is measured once and reused, so nested spreads cost linear time.
+ * Each field costs 1, times the page sizes (`limit`, `first`, `last`) of the lists above it.
+ * @param {import('graphql').SelectionSetNode} selectionSet - Selections to measure
+ * @param {Object} context - { fragments, variables, visiting, measured }
+ * @param {boolean} [root=false] - Whether the selections are the operation's root fields
+ * @returns {{depth: number, complexity: number}}
+ */
+function measure(selectionSet, context, root = false) {
+    let depth = 0;
+    let complexity = 0;
+
+    for (const selection of selectionSet.selections) {
+        let inner;
+
+        if (selection.kind === Kind.FIELD) {
+            const children = selection.selectionSet
+                ? measure(selection.selectionSet, context)
+                : { depth: 0, complexity: 0 };
+            inner = {
+                depth: children.depth + 1,
+                complexity: 1 + children.complexity * pageSize(selection, context.variables, root),
+            };
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            inner = measure(selection.selectionSet, context, root);
+        } else {
+            const name = selection.name.value;
+            const fragment = context.fragments.get(name);
+            if (!fragment) {
+                throw new Error(`Unknown fragment "${name}"`);
+            }
+            if (context.visiting.has(name)) {
+                throw new Error(`Fragment "${name}" spreads itself`);
+            }
+
+            // Root fields are costed differently, so a fragment can have two measurements
+            const key = `${root ? 'root' : 'nested'}:${name}`;
+            inner = context.measured.get(key);
+            if (!inner) {
+                context.visiting.add(name);
+                inner = measure(fragment.selectionSet, context, root);
+                context.visiting.delete(name);
+                context.measured.set(key, inner);
+            }
+        }
+
+        depth = Math.max(depth, inner.depth);
+        complexity += inner.complexity;
+    }
+
+    return { depth, complexity };
+}
+
+/**
+ * Parse and check a GraphQL document before it is sent
+ * Every operation in the document is checked: subscriptions are always rejected and
+ * mutations unless allowed, whichever operation is selected.
+ * @param {string} query - GraphQL document
+ * @param {Object} [options]
+ * @param {string} [options.operationName] - Operation to run (required for multi-operation documents)
+ * @param {Object} [options.variables] - Operation variables (used for page sizes; defaults come from the operation)
+ * @param {boolean} [options.allowMutations=false] - Whether mutations may run
+ * @param {{maxDepth: number, maxComplexity: number}} [options.limits] - Depth and complexity limits
+ * @returns {{name: string|null, type: string, depth: number, complexity: number}} Selected operation
+ * @throws {Error} If the document is invalid or not allowed
+ */
+export function analyzeGraphqlOperation(query, {
+    operationName,
+    variables = {},
+    allowMutations = false,
+    limits = DEFAULT_GRAPHQL_LIMITS
+} = {}) {
+    let document;
+    try {
+        document = parse(query);
+    } catch (error) {
+        throw new Error(`Invalid GraphQL document: ${error.message}`);
+    }
+
+    const operations = [];
+    const fragments = new Map();
+    for (const definition of document.definitions) {
+        if (definition.kind === Kind.OPERATION_DEFINITION) {
+            operations.push(definition);
+        } else if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+            fragments.set(definition.name.value, definition);
+        } else {
+            throw new Error(`Only queries and fragments can be sent (found ${definition.kind})`);
+        }
+    }
+
+    if (operations.length === 0) {
+        throw new Error('The GraphQL document contains no operation');
+    }
+
+    for (const operation of operations) {
+        const label = operation.name ? `"${operation.name.value}"` : '(anonymous)';
+        if (operation.operation === OperationTypeNode.SUBSCRIPTION) {
+            throw new Error(`Subscriptions are not supported (operation ${label})`);
+        }
+        if (operation.operation === OperationTypeNode.MUTATION && !allowMutations) {
+            throw new Error(`Mutations are disabled (operation ${label}). Set ORBIOS_GRAPHQL_ALLOW_MUTATIONS=true to enable.`);
+        }
+    }
+
+    let selected;
+    if (operationName) {
+        selected = operations.find(op => op.name?.value === operationName);
+        if (!selected) {
+            throw new Error(`Operation "${operationName}" not found in the document`);
+        }
+    } else if (operations.length > 1) {
+        throw new Error('operationName is required when the document contains several operations');
+    } else {
+        [selected] = operations;
+    }
+
+    const { depth, complexity } = measure(selected.selectionSet, {
+        fragments,
+        // Variables left out take the operation's defaults
+        variables: { ...variableDefaults(selected), ...(variables || {}) },
+        visiting: new Set(),
+        measured: new Map(),
+    }, true);
+
+    if (depth > limits.maxDepth) {
+        throw new Error(`Query depth ${depth} exceeds the limit of ${limits.maxDepth}`);
+    }
+    if (complexity > limits.maxComplexity) {
+        throw new Error(`Query complexity ${complexity} exceeds the limit of ${limits.maxComplexity}`);
+    }
+
+    return {
+        name: selected.name?.value || null,
+        type: selected.operation,
+        depth,
+        complexity,
+    };
+}
@@ -0,0 +1,223 @@
+// Persisted GraphQL Queries
+// Reviewed query documents stored in the KB ({KB_ROOT}/.tf/graphql/*.graphql)
+
+import fs from 'fs';
+import path from 'path';
+import { parse, print, Kind, OperationTypeNode } from 'graphql';
+import { KB_ROOT } from '../utils/path-utils.js';
+import { KB_ROLES } from '../auth/discord-roles.js';
+import { analyzeGraphqlOperation, DEFAULT_GRAPHQL_LIMITS } from './graphql-guard.js';
+
+/**
+ * A persisted query
+ * @typedef {Object} NamedQuery
+ * @property {string} name - File name without extension (e.g. "active-users-with-roles")
+ * @property {string} description - From the `# description:` header
+ * @property {string[]} roles - KB roles that may run it (admins always can)
+ * @property {string} operationName - Name of the query operation
+ * @property {string} query - GraphQL document
+ * @property {Array<{name: string, type: string, required: boolean, default: *}>} variables -
+ *   Declared variables
+ * @property {string} file - Absolute file path
+ */
+
+// Header lines ("# key: value") before the first definition
+const HEADER_PATTERN = /^#\s*([a-z_]+)\s*:\s*(.*)$/i;
+
+// Built-in scalars checked before the query is sent (Hasura checks everything else)
+const SCALAR_CHECKS = {
+    Int: value => Number.isInteger(value),
+    Float: value => typeof value === 'number' && Number.isFinite(value),
+    String: value => typeof value === 'string',
+    ID: value => typeof value === 'string' || Number.isInteger(value),
+    Boolean: value => typeof value === 'boolean',
+};
+
+// Loaded queries, rebuilt when any file in the directory changes
+let cached = null;
+
+/**
+ * Get the persisted query directory
+ * @returns {string} Absolute path (ORBIOS_GRAPHQL_QUERIES_DIR or {KB_ROOT}/.tf/graphql)
+ */
+export function getNamedQueriesDir() {
+    return process.env.ORBIOS_GRAPHQL_QUERIES_DIR
+        ? path.resolve(process.env.ORBIOS_GRAPHQL_QUERIES_DIR)
+        : path.join(KB_ROOT, '.tf', 'graphql');
+}
+
+/**
+ * Read the `# key: value` header of a query file
+ * @param {string} source - File contents
+ * @returns {Object} Header fields (lower-case keys)
+ */
+function readHeader(source) {
+    const header = {};
+    for (const line of source.split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        if (!trimmed.startsWith('#')) break;
+
+        const match = trimmed.match(HEADER_PATTERN);
+        if (match) header[match[1].toLowerCase()] = match[2].trim();
+    }
+    return header;
+}
+
+/**
+ * Describe a variable's declared type
+ * @param {import('graphql').TypeNode} type - Type node
+ * @returns {{type: string, required: boolean}}
+ */
+function describeType(type) {
+    return { type: print(type), required: type.kind === Kind.NON_NULL_TYPE };
+}
+
+/**
+ * Parse and check one query file
+ * A persisted query must hold exactly one named query operation within the guard's limits.
+ * @param {string} file - Absolute file path
+ * @returns {NamedQuery}
+ * @throws {Error} If the file is not a valid persisted query
+ */
+function loadNamedQuery(file) {
+    const query = fs.readFileSync(file, 'utf-8');
+    const header = readHeader(query);
+
+    // Syntax, fragments and limits first; the operation type is checked below
+    analyzeGraphqlOperation(query, { allowMutations: true, limits: DEFAULT_GRAPHQL_LIMITS });
+
+    const operations = parse(query).definitions.filter(d => d.kind === Kind.OPERATION_DEFINITION);
+    if (operations.length !== 1 || !operations[0].name) {
+        throw new Error('must contain exactly one named operation');
+    }
+    const [operation] = operations;
+    if (operation.operation !== OperationTypeNode.QUERY) {
+        throw new Error(`only queries can be persisted (found ${operation.operation})`);
+    }
+
+    const roles = (header.roles || '').split(',').map(r => r.trim()).filter(Boolean);
+    const unknown = roles.filter(role => !Object.values(KB_ROLES).includes(role));
+    if (unknown.length > 0) {
+        throw new Error(`unknown roles: ${unknown.join(', ')}`);
+    }
+
+    return {
+        name: path.basename(file, '.graphql'),
+        description: header.description || '',
+        roles,
+        operationName: operation.name.value,
+        query,
+        variables: (operation.variableDefinitions || []).map(def => ({
+            name: def.variable.name.value,
+            ...describeType(def.type),
+            default: def.defaultValue ? print(def.defaultValue) : null,
+        })),
+        file,
+    };
+}
+
+/**
+ * Load the persisted queries
+ * Files are re-read when any of them is added, removed or modified. An invalid file is
+ * skipped and reported in `errors`, so a broken query is never runnable.
+ * @returns {{queries: Map<string, NamedQuery>, errors: Array<{file: string, error: string}>, source: string}}
+ */
+export function loadNamedQueries() {
+    const dir = getNamedQueriesDir();
+
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(name => name.endsWith('.graphql')).sort();
+    } catch {
+        return { queries: new Map(), errors: [], source: dir };
+    }
+
+    const signature = files.map(name => {
+        try {
+            const { mtimeMs, size } = fs.statSync(path.join(dir, name));
+            return `${name}:${mtimeMs}:${size}`;
+        } catch {
+            return `${name}:missing`;
+        }
+    }).join('\n');
+
+    if (cached && cached.dir === dir && cached.signature === signature) {
+        return cached.result;
+    }
+
+    const queries = new Map();
+    const errors = [];
+    for (const name of files) {
+        try {
+            const namedQuery = loadNamedQuery(path.join(dir, name));
+            queries.set(namedQuery.name, namedQuery);
+        } catch (error) {
+            console.error(`[GraphQL] Skipping persisted query ${name}:`, error.message);
+            errors.push({ file: name, error: error.message });
+        }
+    }
+
+    const result = { queries, errors, source: dir };
+    cached = { dir, signature, result };
+    return result;
+}
+
+/**
+ * Check whether a role may run a persisted query
+ * @param {NamedQuery} namedQuery - Persisted query
+ * @param {string} kbRole - KB role
+ * @returns {boolean}
+ */
+export function canRunNamedQuery(namedQuery, kbRole) {
+    return kbRole === KB_ROLES.ADMIN || namedQuery.roles.includes(kbRole);
+}
+
+/**
+ * Check a value against a declared variable type
+ * @param {*} value - Variable value
+ * @param {string} type - Declared type (e.g. "[String!]!", "Int")
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    const required = type.endsWith('!');
+    const inner = required ? type.slice(0, -1) : type;
+
+    if (value === null || value === undefined) return !required;
+    if (inner.startsWith('[')) {
+        return Array.isArray(value) && value.every(item => matchesType(item, inner.slice(1, -1)));
+    }
+    const check = SCALAR_CHECKS[inner];
+    return check ? check(value) : true;
+}
+
+/**
+ * Validate variables against a persisted query's declarations
+ * @param {NamedQuery} namedQuery - Persisted query
+ * @param {Object} [variables] - Supplied variables
+ * @returns {Object} Variables to send
+ * @throws {Error} If a variable is undeclared, missing or of the wrong type
+ */
+export function validateNamedQueryVariables(namedQuery, variables = {}) {
+    const declared = new Map(namedQuery.variables.map(v => [v.name, v]));
+
+    const undeclared = Object.keys(variables).filter(name => !declared.has(name));
+    if (undeclared.length > 0) {
+        throw new Error(`Query "${namedQuery.name}" does not declare: ${undeclared.join(', ')}`);
+    }
+
+    for (const variable of declared.values()) {
+        const value = variables[variable.name];
+        if (value === undefined) {
+            if (variable.required && variable.default === null) {
+                throw new Error(`Query "${namedQuery.name}" requires variable "${variable.name}" (${variable.type})`);
+            }
+            continue;
+        }
+        if (!matchesType(value, variable.type)) {
+            throw new Error(`Variable "${variable.name}" must be ${variable.type}`);
+        }
+    }
+
+    return variables;
+}
@@ -0,0 +1,316 @@
+// GraphQL Schema Explorer
+// Disk-cached introspection ({KB_ROOT}/.tf/cache/) and compact views of the schema
+
+import fs from 'fs';
+import path from 'path';
+import {
+    buildClientSchema,
+    getNamedType,
+    isIntrospectionType,
+    isSpecifiedScalarType,
+    isObjectType,
+    isInterfaceType,
+    isInputObjectType,
+    isEnumType,
+    isUnionType,
+    parse,
+    print,
+    printType,
+    validate,
+    visit,
+} from 'graphql';
+import { KB_ROOT } from '../utils/path-utils.js';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Schema built from the cache file, reused until the file changes
+let loaded = null;
+
+/**
+ * Get the schema cache file
+ * @returns {string} Absolute path (ORBIOS_GRAPHQL_SCHEMA_CACHE or {KB_ROOT}/.tf/cache/graphql-schema.json)
+ */
+export function getSchemaCachePath() {
+    return process.env.ORBIOS_GRAPHQL_SCHEMA_CACHE
+        ? path.resolve(process.env.ORBIOS_GRAPHQL_SCHEMA_CACHE)
+        : path.join(KB_ROOT, '.tf', 'cache', 'graphql-schema.json');
+}
+
+/**
+ * Get how long a cached schema is used before it is fetched again
+ * @returns {number} Milliseconds (ORBIOS_GRAPHQL_SCHEMA_TTL_MS, default 24h)
+ */
+export function getSchemaTtlMs() {
+    const ttl = parseInt(process.env.ORBIOS_GRAPHQL_SCHEMA_TTL_MS || '', 10);
+    return ttl > 0 ? ttl : DEFAULT_TTL_MS;
+}
+
+/**
+ * Read the cached schema for an endpoint
+ * @param {string} endpoint - GraphQL endpoint the schema must come from
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=true] - Ignore a cache older than the TTL
+ * @returns {{schema: import('graphql').GraphQLSchema, fetchedAt: string}|null} Null if there is none
+ */
+export function readCachedSchema(endpoint, { fresh = true } = {}) {
+    const file = getSchemaCachePath();
+
+    let mtimeMs;
+    try {
+        ({ mtimeMs } = fs.statSync(file));
+    } catch {
+        return null;
+    }
+
+    if (!loaded || loaded.file !== file || loaded.mtimeMs !== mtimeMs) {
+        try {
+            const cache = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            loaded = {
+                file,
+                mtimeMs,
+                endpoint: cache.endpoint,
+                fetchedAt: cache.fetched_at,
+                schema: buildClientSchema(cache.introspection),
+            };
+        } catch (error) {
+            console.error(`[GraphQL] Ignoring unreadable schema cache ${file}:`, error.message);
+            loaded = null;
+            return null;
+        }
+    }
+
+    if (loaded.endpoint !== endpoint) return null;
+    if (fresh && Date.now() - Date.parse(loaded.fetchedAt) > getSchemaTtlMs()) return null;
+
+    return { schema: loaded.schema, fetchedAt: loaded.fetchedAt };
+}
+
+/**
+ * Store an introspection result
+ * @param {string} endpoint - GraphQL endpoint it came from
+ * @param {Object} introspection - `data` of the introspection query
+ * @returns {{schema: import('graphql').GraphQLSchema, fetchedAt: string}}
+ * @throws {Error} If the result is not a valid introspection
+ */
+export function writeCachedSchema(endpoint, introspection) {
+    const schema = buildClientSchema(introspection);
+    const fetchedAt = new Date().toISOString();
+
+    const file = getSchemaCachePath();
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, '.gitignore'), '*\n', 'utf-8');
+    }
+    fs.writeFileSync(file, JSON.stringify({ endpoint, fetched_at: fetchedAt, introspection }), 'utf-8');
+
+    loaded = { file, mtimeMs: fs.statSync(file).mtimeMs, endpoint, fetchedAt, schema };
+    return { schema, fetchedAt };
+}
+
+/**
+ * Match a type or field name against a pattern
+ * Patterns with "*" are globs; anything else matches as a substring. Case-insensitive.
+ * @param {string} name - Name to test
+ * @param {string} [pattern] - Pattern (everything matches when omitted)
+ * @returns {boolean}
+ */
+function matchesName(name, pattern) {
+    if (!pattern) return true;
+    if (!pattern.includes('*')) {
+        return name.toLowerCase().includes(pattern.toLowerCase());
+    }
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`, 'i').test(name);
+}
+
+/**
+ * Get the types defined by the API (no introspection types or built-in scalars)
+ * @param {import('graphql').GraphQLSchema} schema - Schema
+ * @returns {import('graphql').GraphQLNamedType[]}
+ */
+function userTypes(schema) {
+    return Object.values(schema.getTypeMap())
+        .filter(type => !isIntrospectionType(type) && !isSpecifiedScalarType(type))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Print the schema as SDL
+ * @param {import('graphql').GraphQLSchema} schema - Schema
+ * @param {Object} [options]
+ * @param {string} [options.pattern] - Only types whose name matches
+ * @param {boolean} [options.descriptions=false] - Keep descriptions
+ * @returns {{sdl: string, types: number}}
+ */
+export function printSchemaSdl(schema, { pattern, descriptions = false } = {}) {
+    const types = userTypes(schema).filter(type => matchesName(type.name, pattern));
+    let sdl = types.map(type => printType(type)).join('\n\n');
+
+    if (!descriptions && sdl) {
+        sdl = print(visit(parse(sdl), {
+            enter(node) {
+                if (node.description) return { ...node, description: undefined };
+                return undefined;
+            },
+        }));
+    }
+
+    return { sdl, types: types.length };
+}
+
+/**
+ * Describe an argument or input field
+ * @param {Object} arg - GraphQL argument or input field
+ * @returns {{name: string, type: string, default?: *}}
+ */
+function describeArg(arg) {
+    return {
+        name: arg.name,
+        type: String(arg.type),
+        ...(arg.defaultValue !== undefined && { default: arg.defaultValue }),
+    };
+}
+
+/**
+ * Get a type's introspection kind
+ * @param {import('graphql').GraphQLNamedType} type - Named type
+ * @returns {string} OBJECT, INTERFACE, UNION, ENUM, INPUT_OBJECT or SCALAR
+ */
+function typeKind(type) {
+    if (isObjectType(type)) return 'OBJECT';
+    if (isInterfaceType(type)) return 'INTERFACE';
+    if (isUnionType(type)) return 'UNION';
+    if (isEnumType(type)) return 'ENUM';
+    if (isInputObjectType(type)) return 'INPUT_OBJECT';
+    return 'SCALAR';
+}
+
+/**
+ * Look up a single type
+ * @param {import('graphql').GraphQLSchema} schema - Schema
+ * @param {string} name - Type name
+ * @returns {Object} Kind, description, and the fields/args, input fields, enum values or members
+ * @throws {Error} If the type does not exist (with similarly named types)
+ */
+export function describeSchemaType(schema, name) {
+    const type = schema.getType(name);
+    if (!type) {
+        const similar = userTypes(schema).map(t => t.name).filter(n => matchesName(n, name)).slice(0, 10);
+        throw new Error(`Unknown type: ${name}${similar.length ? `. Similar: ${similar.join(', ')}` : ''}`);
+    }
+
+    const result = { name: type.name, kind: typeKind(type) };
+    if (type.description) result.description = type.description;
+
+    if (isObjectType(type) || isInterfaceType(type)) {
+        result.fields = Object.values(type.getFields()).map(field => ({
+            name: field.name,
+            type: String(field.type),
+            ...(field.args.length > 0 && { args: field.args.map(describeArg) }),
+            ...(field.description && { description: field.description }),
+        }));
+        const interfaces = type.getInterfaces().map(i => i.name);
+        if (interfaces.length > 0) result.interfaces = interfaces;
+    } else if (isInputObjectType(type)) {
+        result.inputFields = Object.values(type.getFields()).map(describeArg);
+    } else if (isEnumType(type)) {
+        result.values = type.getValues().map(value => value.name);
+    } else if (isUnionType(type)) {
+        result.possibleTypes = type.getTypes().map(t => t.name);
+    }
+
+    return result;
+}
+
+/**
+ * List root fields
+ * @param {import('graphql').GraphQLSchema} schema - Schema
+ * @param {Object} [options]
+ * @param {string} [options.root='query'] - query, mutation or subscription
+ * @param {string} [options.pattern] - Only fields whose name matches
+ * @param {number} [options.limit=100] - Maximum fields returned
+ * @returns {{root: string, total: number, fields: Array<{name: string, type: string, args: string[]}>}}
+ */
+export function listRootFields(schema, { root = 'query', pattern, limit = 100 } = {}) {
+    const rootType = schema.getRootType(root);
+    if (!rootType) {
+        return { root: null, total: 0, fields: [] };
+    }
+
+    const fields = Object.values(rootType.getFields())
+        .filter(field => matchesName(field.name, pattern))
+        .map(field => ({ name: field.name, type: String(field.type), args: field.args.map(arg => arg.name) }));
+
+    return { root: rootType.name, total: fields.length, fields: fields.slice(0, limit) };
+}
+
+/**
+ * Find the shortest chain of fields leading from one type to another
+ * @param {import('graphql').GraphQLSchema} schema - Schema
+ * @param {string} from - Starting object or interface type
+ * @param {string} to - Type to reach
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=5] - Longest chain considered
+ * @returns {{path: Array<{type: string, field: string, returns: string}>, selection: string}|null}
+ *   Null if no chain exists within maxDepth
+ * @throws {Error} If either type does not exist
+ */
+export function findTypePath(schema, from, to, { maxDepth = 5 } = {}) {
+    for (const name of [from, to]) {
+        if (!schema.getType(name)) throw new Error(`Unknown type: ${name}`);
+    }
+    if (from === to) return { path: [], selection: '' };
+
+    const visited = new Set([from]);
+    let frontier = [{ type: from, path: [] }];
+
+    for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+        const next = [];
+        for (const { type, path: steps } of frontier) {
+            const named = schema.getType(type);
+            if (!isObjectType(named) && !isInterfaceType(named)) continue;
+
+            for (const field of Object.values(named.getFields())) {
+                const target = getNamedType(field.type).name;
+                const chain = [...steps, { type, field: field.name, returns: String(field.type) }];
+
+                if (target === to) {
+                    const selection = chain.reduceRight(
+                        (inner, step) => `${step.field}${inner ? ` { ${inner} }` : ''}`,
+                        ''
+                    );
+                    return { path: chain, selection };
+                }
+                if (!visited.has(target)) {
+                    visited.add(target);
+                    next.push({ type: target, path: chain });
+                }
+            }
+        }
+        frontier = next;
+    }
+
+    return null;
+}
+
+/**
+ * Validate a document against a schema
+ * @param {import('graphql').GraphQLSchema} schema - Schema
+ * @param {string} query - GraphQL document
+ * @returns {{valid: boolean, errors: Array<{message: string, locations?: Array}>}}
+ */
+export function validateAgainstSchema(schema, query) {
+    let document;
+    try {
+        document = parse(query);
+    } catch (error) {
+        return { valid: false, errors: [{ message: error.message, locations: error.locations }] };
+    }
+
+    const errors = validate(schema, document).map(error => ({
+        message: error.message,
+        ...(error.locations && { locations: error.locations }),
+    }));
+    return { valid: errors.length === 0, errors };
+}
@@ -1,12 +1,36 @@
 import { z } from 'zod';
+import { getIntrospectionQuery } from 'graphql';
 import { generateTokenForUser } from '../auth/jwt.js';
+import { authManager } from '../auth/auth-manager.js';
+import { AuthorizationError } from '../auth/middleware.js';
+import { KB_ROLES } from '../auth/discord-roles.js';
+import { analyzeGraphqlOperation, DEFAULT_GRAPHQL_LIMITS } from './graphql-guard.js';
+import { loadNamedQueries, canRunNamedQuery, validateNamedQueryVariables } from './graphql-queries.js';
+import {
+  readCachedSchema,
+  writeCachedSchema,
+  printSchemaSdl,
+  describeSchemaType,
+  listRootFields,
+  findTypePath,
+  validateAgainstSchema
+} from './graphql-schema.js';
 
 const configSchema = z.object({
   endpoint: z.string().url(),
   headers: z.record(z.string()).default({}),
-  allowMutations: z.boolean().default(false)
+  allowMutations: z.boolean().default(false),
+  limits: z.object({
+    maxDepth: z.number().int().positive(),
+    maxComplexity: z.number().int().positive()
+  })
 });
 
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return value > 0 ? value : fallback;
+}
+
 async function loadConfig() {
   const endpoint = process.env.ORBIOS_GRAPHQL_ENDPOINT || process.env.ENDPOINT;
   if (!endpoint) {
@@ -23,8 +47,8 @@ async function loadConfig() {
     }
   }
 
-  // Add JWT token if user is authenticated
-  const userId = process.env.ORBIOS_USER_ID;
+  // Add JWT token for the user making this request
+  const userId = authManager.getCurrentUserId();
   if (userId) {
     try {
       const token = await generateTokenForUser(userId);
@@ -38,7 +62,12 @@ async function loadConfig() {
   const allowMutationsRaw = process.env.ORBIOS_GRAPHQL_ALLOW_MUTATIONS || process.env.ALLOW_MUTATIONS;
   const allowMutations = String(allowMutationsRaw || '').toLowerCase() === 'true';
 
-  return configSchema.parse({ endpoint, headers, allowMutations });
+  const limits = {
+    maxDepth: readLimit('ORBIOS_GRAPHQL_MAX_DEPTH', DEFAULT_GRAPHQL_LIMITS.maxDepth),
+    maxComplexity: readLimit('ORBIOS_GRAPHQL_MAX_COMPLEXITY', DEFAULT_GRAPHQL_LIMITS.maxComplexity)
+  };
+
+  return configSchema.parse({ endpoint, headers, allowMutations, limits });
 }
 
 async function postGraphql({ endpoint, headers, body }) {
@@ -155,30 +184,267 @@ export async function graphqlIntrospectSchema() {
   };
 }
 
+const graphqlIntrospectSchemaSchema = z.object({});
+
+// Cached schema for the configured endpoint, fetched when missing, stale or on refresh
+async function getSchema(cfg, refresh = false) {
+  const cached = refresh ? null : readCachedSchema(cfg.endpoint);
+  if (cached) {
+    return cached;
+  }
+
+  const result = await postGraphql({
+    endpoint: cfg.endpoint,
+    headers: cfg.headers,
+    body: { query: getIntrospectionQuery() }
+  });
+  if (!result.data) {
+    throw new Error(`Introspection failed: ${JSON.stringify(result.errors || result).slice(0, 500)}`);
+  }
+  return writeCachedSchema(cfg.endpoint, result.data);
+}
+
+// Check a document against the cached schema (when there is a fresh one) before sending it
+function checkAgainstCachedSchema(cfg, query) {
+  const cached = readCachedSchema(cfg.endpoint);
+  if (!cached) {
+    return;
+  }
+
+  const { valid, errors } = validateAgainstSchema(cached.schema, query);
+  if (!valid) {
+    throw new Error(
+      `Query does not match the schema cached at ${cached.fetchedAt}: ${errors.map(e => e.message).join('; ')}` +
+      ' (use graphql_schema_sdl with refresh=true if the schema changed)'
+    );
+  }
+}
+
+const refreshField = z.boolean().optional().describe('Fetch the schema again instead of using the cache');
+
+const graphqlSchemaSdlSchema = z.object({
+  pattern: z.string().optional().describe('Only types whose name contains this (or matches a glob like "users*")'),
+  descriptions: z.boolean().optional().describe('Include descriptions (default: false)'),
+  refresh: refreshField
+});
+
+export async function graphqlSchemaSdl(params) {
+  const { pattern, descriptions, refresh } = graphqlSchemaSdlSchema.parse(params || {});
+  const { schema, fetchedAt } = await getSchema(await loadConfig(), refresh);
+
+  return {
+    fetched_at: fetchedAt,
+    ...printSchemaSdl(schema, { pattern, descriptions })
+  };
+}
+
+const graphqlSchemaTypeSchema = z.object({
+  name: z.string().min(1).describe('Type name (e.g. "users", "users_bool_exp")'),
+  refresh: refreshField
+});
+
+export async function graphqlSchemaType(params) {
+  const { name, refresh } = graphqlSchemaTypeSchema.parse(params || {});
+  const { schema } = await getSchema(await loadConfig(), refresh);
+
+  return describeSchemaType(schema, name);
+}
+
+const graphqlSchemaRootFieldsSchema = z.object({
+  root: z.enum(['query', 'mutation', 'subscription']).default('query').describe('Root operation type'),
+  pattern: z.string().optional().describe('Only fields whose name contains this (or matches a glob)'),
+  limit: z.number().int().positive().max(500).default(100).describe('Maximum fields returned'),
+  refresh: refreshField
+});
+
+export async function graphqlSchemaRootFields(params) {
+  const { root, pattern, limit, refresh } = graphqlSchemaRootFieldsSchema.parse(params || {});
+  const { schema } = await getSchema(await loadConfig(), refresh);
+
+  return listRootFields(schema, { root, pattern, limit });
+}
+
+const graphqlSchemaPathSchema = z.object({
+  from: z.string().min(1).describe('Starting type (e.g. "query_root", "users")'),
+  to: z.string().min(1).describe('Type to reach'),
+  max_depth: z.number().int().min(1).max(10).default(5).describe('Longest chain of fields considered'),
+  refresh: refreshField
+});
+
+export async function graphqlSchemaPath(params) {
+  const { from, to, max_depth, refresh } = graphqlSchemaPathSchema.parse(params || {});
+  const { schema } = await getSchema(await loadConfig(), refresh);
+
+  const found = findTypePath(schema, from, to, { maxDepth: max_depth });
+  return found ? { found: true, from, to, ...found } : { found: false, from, to, max_depth };
+}
+
+const graphqlValidateSchema = z.object({
+  query: z.string().min(1).describe('GraphQL document to validate'),
+  refresh: refreshField
+});
+
+export async function graphqlValidate(params) {
+  const { query, refresh } = graphqlValidateSchema.parse(params || {});
+  const { schema, fetchedAt } = await getSchema(await loadConfig(), refresh);
+
+  return {
+    fetched_at: fetchedAt,
+    ...validateAgainstSchema(schema, query)
+  };
+}
+
 const graphqlQuerySchema = z.object({
-  query: z.string().min(1),
-  variables: z.record(z.any()).optional()
+  query: z.string().min(1).describe('GraphQL query document'),
+  variables: z.record(z.any()).optional().describe('Query variables (optional)'),
+  operationName: z.string().optional().describe('Operation to run (required when the document has several)')
 });
 
 export async function graphqlQuery(params) {
   const cfg = await loadConfig();
-  const { query, variables } = graphqlQuerySchema.parse(params || {});
+  const { query, variables, operationName } = graphqlQuerySchema.parse(params || {});
 
-  const trimmed = query.trim().toLowerCase();
-  const isMutation = trimmed.startsWith('mutation');
+  // Parse the document and check every operation before anything is sent
+  const operation = analyzeGraphqlOperation(query, {
+    operationName,
+    variables,
+    allowMutations: cfg.allowMutations,
+    limits: cfg.limits
+  });
+  checkAgainstCachedSchema(cfg, query);
+
+  const result = await postGraphql({
+    endpoint: cfg.endpoint,
+    headers: cfg.headers,
+    body: { query, variables, ...(operationName && { operationName }) }
+  });
 
-  if (isMutation && !cfg.allowMutations) {
-    throw new Error('Mutations are disabled. Set ORBIOS_GRAPHQL_ALLOW_MUTATIONS=true to enable.');
+  return {
+    success: true,
+    operation,
+    result
+  };
+}
+
+const graphqlListNamedSchema = z.object({});
+
+export async function graphqlListNamed() {
+  const { queries, errors, source } = loadNamedQueries();
+  const kbRole = authManager.getContext().kbRole;
+
+  return {
+    source,
+    queries: [...queries.values()]
+      .filter(namedQuery => canRunNamedQuery(namedQuery, kbRole))
+      .map(({ name, description, roles, variables }) => ({ name, description, roles, variables })),
+    // Broken files are only of interest to the admins who review them
+    ...(kbRole === KB_ROLES.ADMIN && errors.length > 0 && { errors })
+  };
+}
+
+const graphqlRunNamedSchema = z.object({
+  name: z.string().min(1).describe('Persisted query name (see graphql_list_named)'),
+  variables: z.record(z.any()).optional().describe('Values for the variables the query declares')
+});
+
+export async function graphqlRunNamed(params) {
+  const { name, variables } = graphqlRunNamedSchema.parse(params || {});
+  const { queries } = loadNamedQueries();
+
+  const namedQuery = queries.get(name);
+  if (!namedQuery) {
+    throw new Error(`Unknown persisted query: ${name}. Use graphql_list_named to see the available queries.`);
+  }
+
+  const context = authManager.getContext();
+  if (!canRunNamedQuery(namedQuery, context.kbRole)) {
+    throw new AuthorizationError(`Access denied: Role '${context.kbRole}' cannot run query '${name}'`, {
+      toolName: 'graphql_run_named',
+      userRole: context.kbRole,
+      userId: context.userId,
+      rule: `${namedQuery.file}: roles`
+    });
   }
 
+  const cfg = await loadConfig();
+  const values = validateNamedQueryVariables(namedQuery, variables);
+
+  // Re-check with the actual page sizes and the configured limits
+  const operation = analyzeGraphqlOperation(namedQuery.query, {
+    operationName: namedQuery.operationName,
+    variables: values,
+    limits: cfg.limits
+  });
+  checkAgainstCachedSchema(cfg, namedQuery.query);
+
   const result = await postGraphql({
     endpoint: cfg.endpoint,
     headers: cfg.headers,
-    body: { query, variables }
+    body: { query: namedQuery.query, variables: values, operationName: namedQuery.operationName }
   });
 
   return {
     success: true,
+    name,
+    operation,
     result
   };
 }
+
+export const graphqlTools = {
+  graphql_introspect_schema: {
+    description: 'Introspect GraphQL schema from configured endpoint',
+    schema: graphqlIntrospectSchemaSchema,
+    handler: graphqlIntrospectSchema,
+    readOnly: true
+  },
+  graphql_schema_sdl: {
+    description: 'Compact SDL of the GraphQL schema (cached on disk), optionally limited to matching types',
+    schema: graphqlSchemaSdlSchema,
+    handler: graphqlSchemaSdl,
+    readOnly: true
+  },
+  graphql_schema_type: {
+    description: 'Look up one GraphQL type with its fields and their arguments',
+    schema: graphqlSchemaTypeSchema,
+    handler: graphqlSchemaType,
+    readOnly: true
+  },
+  graphql_schema_root_fields: {
+    description: 'List root query (or mutation) fields whose name matches a pattern',
+    schema: graphqlSchemaRootFieldsSchema,
+    handler: graphqlSchemaRootFields,
+    readOnly: true
+  },
+  graphql_schema_path: {
+    description: 'Find the shortest chain of fields from one GraphQL type to another',
+    schema: graphqlSchemaPathSchema,
+    handler: graphqlSchemaPath,
+    readOnly: true
+  },
+  graphql_validate: {
+    description: 'Validate a GraphQL document against the cached schema without sending it',
+    schema: graphqlValidateSchema,
+    handler: graphqlValidate,
+    readOnly: true
+  },
+  graphql_query: {
+    description: 'Execute a GraphQL query against configured endpoint (mutations disabled by default)',
+    schema: graphqlQuerySchema,
+    handler: graphqlQuery,
+    entity: 'graphql'
+  },
+  graphql_list_named: {
+    description: 'List the persisted GraphQL queries you may run, with their declared variables',
+    schema: graphqlListNamedSchema,
+    handler: graphqlListNamed,
+    readOnly: true
+  },
+  graphql_run_named: {
+    description: 'Run a reviewed, persisted GraphQL query from .tf/graphql by name',
+    schema: graphqlRunNamedSchema,
+    handler: graphqlRunNamed,
+    readOnly: true,
+    entity: 'graphql'
+  }
+};
@@ -0,0 +1,28 @@
+// Tool Module Index
+// Registers every toolset with the tool registry
+
+import { registerTools } from './registry.js';
+import { missionTools } from './missions.js';
+import { teamTools } from './team.js';
+import { graphqlTools } from './graphql-tools.js';
+import { discordTools } from './discord.js';
+import { searchTools } from './search/index.js';
+import { auditTools } from './audit.js';
+import { authTools } from './auth-tools.js';
+
+registerTools(missionTools);
+registerTools(teamTools);
+registerTools(graphqlTools);
+registerTools(discordTools);
+registerTools(searchTools);
+registerTools(auditTools);
+registerTools(authTools);
+
+export {
+    buildToolAliases,
+    registerTool,
+    registerTools,
+    resolveTool,
+    listTools,
+    getRegisteredTools
+} from './registry.js';
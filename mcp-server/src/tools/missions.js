@@ -5,14 +5,38 @@ import {
     fileExists,
     readKBFile,
     writeKBFile,
-    ensureDirectory
+    ensureDirectory,
+    moveKBPath,
+    appendKBFile
 } from '../utils/path-utils.js';
 import { resolveKBPath as resolveModulePath } from '../utils/modules-config.js';
 import {
     validateMissionCreate,
     validateMissionUpdate,
-    missionListFilterSchema
+    missionCreateSchema,
+    missionReadSchema,
+    missionUpdateSchema,
+    missionListSchema,
+    missionListFilterSchema,
+    missionObjectivesListSchema,
+    missionObjectiveAddSchema,
+    missionObjectiveSetDoneSchema,
+    missionChatAppendSchema,
+    missionChatReadSchema,
+    missionHistorySchema,
+    missionScanContextSchema,
+    missionLinkDiscordChannelSchema,
+    missionImportDiscordContextSchema,
+    missionGenerateDiscordSummarySchema
 } from '../validation/validators.js';
+import { MISSION_FOLDERS, getStatusFolder, checkTransition } from '../validation/mission-states.js';
+import { parseObjectives, summarizeObjectives, addObjective, setObjectiveDone } from '../utils/objectives.js';
+import { formatChatEntry, lastChatDate, parseChatLog } from '../utils/chat-log.js';
+import { diffMission, parseHistory, eventTouchesField } from '../utils/mission-history.js';
+import { AuthorizationError } from '../auth/middleware.js';
+import { canSeeMission } from '../auth/data-filters.js';
+import { authManager } from '../auth/auth-manager.js';
+import { KB_ROLES } from '../auth/discord-roles.js';
 
 /**
  * Resolve missions path using modules config
@@ -22,13 +46,12 @@ async function resolveMissionsPath(...paths) {
 }
 
 /**
- * Create a new mission
- * @param {Object} params - Mission parameters
- * @returns {Promise<Object>} Result with success status and created files
+ * Find a mission folder in the standard category locations
+ * @param {string} id - Mission ID
+ * @returns {Promise<string|null>} KB-relative mission path or null if not found
  */
-// Helper to find mission ID in standard locations
-async function findMissionPath(id) {
-    const categories = ['', 'active', 'completed', 'archived', 'planned', 'draft'];
+export async function findMissionPath(id) {
+    const categories = ['', ...MISSION_FOLDERS];
 
     for (const cat of categories) {
         const path = cat
@@ -42,6 +65,103 @@ async function findMissionPath(id) {
     return null;
 }
 
+/**
+ * List every mission directory, in category folders and the legacy flat layout
+ * @returns {Promise<Array<{id: string, path: string}>>} KB-relative mission directories
+ */
+async function listMissionDirs() {
+    const missionsDir = resolveKBPath('missions');
+
+    // Check if missions directory exists
+    if (!await fileExists(missionsDir)) {
+        return [];
+    }
+
+    // Read top-level directories
+    const entries = await readdir(missionsDir, { withFileTypes: true });
+    const topLevelDirs = entries.filter(entry => entry.isDirectory());
+
+    // Collect all potential mission paths
+    const missionDirs = [];
+
+    for (const dir of topLevelDirs) {
+        if (MISSION_FOLDERS.includes(dir.name)) {
+            // It is a category folder, scan inside for missions
+            const catPathStr = `missions/${dir.name}`;
+            try {
+                const catPath = resolveKBPath(catPathStr);
+                const catEntries = await readdir(catPath, { withFileTypes: true });
+                const catMissionDirs = catEntries.filter(e => e.isDirectory());
+
+                for (const subDir of catMissionDirs) {
+                    missionDirs.push({ id: subDir.name, path: `${catPathStr}/${subDir.name}` });
+                }
+            } catch (err) {
+                console.warn(`Failed to read category dir ${dir.name}:`, err.message);
+            }
+        } else {
+            // It is likely a mission folder (legacy/flat structure)
+            missionDirs.push({ id: dir.name, path: `missions/${dir.name}` });
+        }
+    }
+
+    return missionDirs;
+}
+
+/**
+ * Move a mission directory into the category folder of its status
+ * @param {string} id - Mission ID
+ * @param {string} missionPath - Current KB-relative mission directory
+ * @param {string} status - Mission status
+ * @returns {Promise<{from: string, to: string}|null>} Relocation, or null if already in place
+ */
+async function relocateMission(id, missionPath, status) {
+    const target = `missions/${getStatusFolder(status)}/${id}`;
+    if (missionPath === target) {
+        return null;
+    }
+
+    await moveKBPath(missionPath, target);
+    return { from: missionPath, to: target };
+}
+
+/**
+ * Append an event to a mission's history.jsonl
+ * The mutation has already been written, so a failed append is logged rather than thrown.
+ * @param {string} missionPath - KB-relative mission directory (after any relocation)
+ * @param {string} tool - Tool making the change
+ * @param {Object|null} before - mission.yaml data before (null for a new mission)
+ * @param {Object} after - mission.yaml data after
+ * @param {Object} [details] - Extra event fields (transition, relocated, files)
+ * @returns {Promise<void>}
+ */
+async function recordMissionEvent(missionPath, tool, before, after, details = {}) {
+    const context = authManager.getContext();
+    const event = {
+        timestamp: new Date().toISOString(),
+        tool,
+        actor: {
+            user_id: context.userId || null,
+            username: context.username || null,
+            role: context.kbRole,
+            ...(context.serviceAccount && { service_account: context.serviceAccount.name })
+        },
+        ...diffMission(before, after),
+        ...details
+    };
+
+    try {
+        await appendKBFile(`${missionPath}/history.jsonl`, `${JSON.stringify(event)}\n`);
+    } catch (error) {
+        console.error(`[Missions] Failed to record ${tool} in ${missionPath}/history.jsonl:`, error.message);
+    }
+}
+
+/**
+ * Create a new mission
+ * @param {Object} params - Mission parameters
+ * @returns {Promise<Object>} Result with success status and created files
+ */
 export async function missionsCreate(params) {
     // Validate input
     const validated = validateMissionCreate(params);
@@ -53,9 +173,8 @@ export async function missionsCreate(params) {
         throw new Error(`Mission "${id}" already exists`);
     }
 
-    // Determine target category
-    // Default to 'active' unless status maps directly to a folder
-    const targetCategory = ['completed', 'archived'].includes(status) ? status : 'active';
+    // Determine target category from the state machine (blocked and on-hold live in active/)
+    const targetCategory = getStatusFolder(status);
     const missionPath = `missions/${targetCategory}/${id}`;
     const missionYamlPath = `${missionPath}/mission.yaml`;
 
@@ -112,20 +231,24 @@ ${participants.length > 0 ? participants.map(p => `- ${p}`).join('\n') : '- None
 
     await writeKBFile(`${missionPath}/chat.md`, chatTemplate);
 
+    const filesCreated = ['mission.yaml', 'description.md', 'chat.md'];
+    await recordMissionEvent(missionPath, 'missions_create', null, missionData, { files: filesCreated });
+
     return {
         success: true,
         path: missionPath,
-        files_created: ['mission.yaml', 'description.md', 'chat.md']
+        files_created: filesCreated
     };
 }
 
 /**
  * Read mission data
- * @param {Object} params - Parameters with mission ID
+ * @param {Object} params - Parameters with mission ID (and _accessFilter from RBAC)
  * @returns {Promise<Object>} Mission data aggregated from multiple files
+ * @throws {AuthorizationError} If the mission is outside the caller's access filter
  */
 export async function missionsRead(params) {
-    const { id } = params;
+    const { id, _accessFilter } = params;
 
     if (!id) {
         throw new Error('Mission ID is required');
@@ -143,6 +266,13 @@ export async function missionsRead(params) {
     const missionYaml = await readKBFile(missionYamlPath);
     const missionData = YAML.parse(missionYaml);
 
+    if (!canSeeMission(missionData, _accessFilter)) {
+        throw new AuthorizationError(`Access denied: mission "${id}" is outside your access`, {
+            missionId: id,
+            accessFilter: _accessFilter
+        });
+    }
+
     // Read description.md if exists
     let description = null;
     const descriptionPath = `${missionPath}/description.md`;
@@ -159,6 +289,7 @@ export async function missionsRead(params) {
 
     return {
         ...missionData,
+        objectives_progress: description === null ? null : summarizeObjectives(parseObjectives(description)),
         files: {
             mission: missionYamlPath,
             description: descriptionPath,
@@ -171,48 +302,122 @@ export async function missionsRead(params) {
     };
 }
 
+/**
+ * Check a status change against the mission state machine
+ * Transitions the machine does not define need `reopen` from an admin.
+ * @param {string} id - Mission ID
+ * @param {Object} missionData - Current mission.yaml data
+ * @param {Object} updates - Requested updates (with status)
+ * @param {boolean} [reopen] - Admin override for undefined transitions
+ * @returns {{from: string, to: string, reopened: boolean}}
+ * @throws {Error} If the transition is not allowed or required fields are missing
+ * @throws {AuthorizationError} If a non-admin passes reopen for an undefined transition
+ */
+function checkStatusChange(id, missionData, updates, reopen) {
+    const transition = checkTransition(missionData, updates.status, updates);
+
+    if (!transition.allowed) {
+        if (!reopen) {
+            throw new Error(
+                `Cannot change status of mission "${id}": ${transition.reason}. ` +
+                'An admin can pass reopen: true to override.'
+            );
+        }
+
+        const context = authManager.getContext();
+        if (context.kbRole !== KB_ROLES.ADMIN) {
+            throw new AuthorizationError(`Access denied: Only admins can reopen mission "${id}" (${transition.from} → ${transition.to})`, {
+                missionId: id,
+                userRole: context.kbRole,
+                userId: context.userId,
+                rule: 'admin only'
+            });
+        }
+        return { from: transition.from, to: transition.to, reopened: true };
+    }
+
+    if (transition.missing.length > 0) {
+        throw new Error(
+            `Mission "${id}" needs ${transition.missing.join(', ')} to move from ${transition.from} to ${transition.to}`
+        );
+    }
+    return { from: transition.from, to: transition.to, reopened: false };
+}
+
 /**
  * Update mission data
- * @param {Object} params - Parameters with mission ID and updates
+ * Status changes follow the mission state machine (config/mission-states.yaml).
+ * Missions outside params._accessFilter (set by RBAC) cannot be updated.
+ * @param {Object} params - Parameters with mission ID, updates and optional reopen flag
  * @returns {Promise<Object>} Result with success status
  */
 export async function missionsUpdate(params) {
     // Validate input
     const validated = validateMissionUpdate(params);
-    const { id, updates } = validated;
+    const { id, updates, reopen } = validated;
 
-    const foundPath = await findMissionPath(id);
-    if (!foundPath) {
-        throw new Error(`Mission "${id}" not found`);
-    }
-
-    const missionPath = foundPath;
+    // Read current mission data
+    const { missionPath, missionData } = await findVisibleMission(id, params._accessFilter);
     const missionYamlPath = `${missionPath}/mission.yaml`;
 
-    // Read current mission data
-    const missionYaml = await readKBFile(missionYamlPath);
-    const missionData = YAML.parse(missionYaml);
+    const transition = updates.status && updates.status !== missionData.status
+        ? checkStatusChange(id, missionData, updates, reopen)
+        : null;
 
     // Apply updates
+    const now = new Date().toISOString();
     const updatedData = {
         ...missionData,
         ...updates,
-        updated_at: new Date().toISOString()
+        ...(transition?.reopened && { reopened_at: now, reopened_by: authManager.getCurrentUserId() }),
+        updated_at: now
     };
 
+    // Move the directory first; if mission.yaml cannot be written afterwards, move it back
+    const relocation = updates.status ? await relocateMission(id, missionPath, updates.status) : null;
+    const updatedYamlPath = relocation ? `${relocation.to}/mission.yaml` : missionYamlPath;
+
     // Write updated mission.yaml
     const updatedYaml = YAML.stringify(updatedData);
-    await writeKBFile(missionYamlPath, updatedYaml);
+    try {
+        await writeKBFile(updatedYamlPath, updatedYaml);
+    } catch (error) {
+        if (relocation) {
+            await moveKBPath(relocation.to, relocation.from);
+        }
+        throw error;
+    }
+
+    await recordMissionEvent(relocation ? relocation.to : missionPath, 'missions_update', missionData, updatedData, {
+        ...(transition && { transition }),
+        ...(relocation && { relocated: relocation })
+    });
 
     return {
         success: true,
-        path: missionYamlPath,
-        updated_fields: Object.keys(updates)
+        path: updatedYamlPath,
+        updated_fields: Object.keys(updates),
+        ...(transition && { transition }),
+        ...(relocation && { relocated: relocation })
     };
 }
 
+/**
+ * Summarize a mission's objectives checklist
+ * @param {string} missionPath - KB-relative mission directory
+ * @returns {Promise<{total: number, done: number, percent: number|null}|null>} Null without description.md
+ */
+async function readObjectivesProgress(missionPath) {
+    const descriptionPath = `${missionPath}/description.md`;
+    if (!await fileExists(resolveKBPath(descriptionPath))) {
+        return null;
+    }
+    return summarizeObjectives(parseObjectives(await readKBFile(descriptionPath)));
+}
+
 /**
  * List missions with optional filtering
+ * Missions outside params._accessFilter (set by RBAC) are skipped.
  * @param {Object} params - Filter parameters
  * @returns {Promise<Array>} List of missions
  */
@@ -220,56 +425,19 @@ export async function missionsList(params = {}) {
     // Validate filter
     const filter = missionListFilterSchema.parse(params.filter);
 
-    const missionsDir = resolveKBPath('missions');
-
-    // Check if missions directory exists
-    if (!await fileExists(missionsDir)) {
-        return [];
-    }
-
-    // Read top-level directories
-    const entries = await readdir(missionsDir, { withFileTypes: true });
-    const topLevelDirs = entries.filter(entry => entry.isDirectory());
-
-    // Collect all potential mission paths
-    const missionFiles = [];
-    const categories = ['active', 'completed', 'archived', 'planned', 'draft'];
-
-    for (const dir of topLevelDirs) {
-        if (categories.includes(dir.name)) {
-            // It is a category folder, scan inside for missions
-            const catPathStr = `missions/${dir.name}`;
-            try {
-                const catPath = resolveKBPath(catPathStr);
-                const catEntries = await readdir(catPath, { withFileTypes: true });
-                const catMissionDirs = catEntries.filter(e => e.isDirectory());
-
-                for (const subDir of catMissionDirs) {
-                    missionFiles.push({
-                        id: subDir.name,
-                        path: `missions/${dir.name}/${subDir.name}/mission.yaml`
-                    });
-                }
-            } catch (err) {
-                console.warn(`Failed to read category dir ${dir.name}:`, err.message);
-            }
-        } else {
-            // It is likely a mission folder (legacy/flat structure)
-            missionFiles.push({
-                id: dir.name,
-                path: `missions/${dir.name}/mission.yaml`
-            });
-        }
-    }
-
     // Read all mission.yaml files
     const missions = [];
 
-    for (const m of missionFiles) {
+    for (const m of await listMissionDirs()) {
         try {
-            const missionYaml = await readKBFile(m.path);
+            const missionYaml = await readKBFile(`${m.path}/mission.yaml`);
             const missionData = YAML.parse(missionYaml);
 
+            // Apply access filter (role-based visibility)
+            if (!canSeeMission(missionData, params._accessFilter)) {
+                continue;
+            }
+
             // Apply filters
             if (filter) {
                 if (filter.status && missionData.status !== filter.status) {
@@ -284,7 +452,7 @@ export async function missionsList(params = {}) {
                 }
             }
 
-            missions.push(missionData);
+            missions.push({ ...missionData, objectives_progress: await readObjectivesProgress(m.path) });
         } catch (error) {
             // Silent fail for non-mission folders that might be mistaken (e.g. if they don't have mission.yaml)
             // console.warn(`Failed to read mission ${m.id}:`, error.message);
@@ -294,16 +462,322 @@ export async function missionsList(params = {}) {
     return missions;
 }
 
+/**
+ * Find a mission the caller may see
+ * @param {string} id - Mission ID
+ * @param {Object} [accessFilter] - _accessFilter from RBAC
+ * @returns {Promise<{missionPath: string, missionData: Object}>}
+ * @throws {AuthorizationError} If the mission is outside the caller's access filter
+ */
+export async function findVisibleMission(id, accessFilter) {
+    const missionPath = await findMissionPath(id);
+    if (!missionPath) {
+        throw new Error(`Mission "${id}" not found`);
+    }
+
+    const missionData = YAML.parse(await readKBFile(`${missionPath}/mission.yaml`));
+    if (!canSeeMission(missionData, accessFilter)) {
+        throw new AuthorizationError(`Access denied: mission "${id}" is outside your access`, {
+            missionId: id,
+            accessFilter
+        });
+    }
+    return { missionPath, missionData };
+}
+
+/**
+ * Load a mission's description.md for the objective tools
+ * @param {string} id - Mission ID
+ * @param {Object} [accessFilter] - _accessFilter from RBAC
+ * @returns {Promise<{descriptionPath: string, markdown: string}>}
+ * @throws {AuthorizationError} If the mission is outside the caller's access filter
+ */
+async function readMissionDescription(id, accessFilter) {
+    const { missionPath } = await findVisibleMission(id, accessFilter);
+
+    const descriptionPath = `${missionPath}/description.md`;
+    if (!await fileExists(resolveKBPath(descriptionPath))) {
+        throw new Error(`Mission "${id}" has no description.md`);
+    }
+    return { descriptionPath, markdown: await readKBFile(descriptionPath) };
+}
+
+/**
+ * Drop the parser's line number from an objective
+ */
+function formatObjective({ line, ...objective }) {
+    return objective;
+}
+
+/**
+ * List the objectives checklist of a mission
+ * @param {Object} params - Parameters with mission ID (and _accessFilter from RBAC)
+ * @returns {Promise<Object>} Objectives with owner, due date and completion
+ */
+export async function missionsObjectivesList(params) {
+    const { id, _accessFilter } = params;
+    const { markdown } = await readMissionDescription(id, _accessFilter);
+    const objectives = parseObjectives(markdown);
+
+    return {
+        id,
+        objectives: objectives.map(formatObjective),
+        progress: summarizeObjectives(objectives)
+    };
+}
+
+/**
+ * Add an objective to a mission's checklist
+ * @param {Object} params - Mission ID, text, optional owner and due date
+ * @returns {Promise<Object>} Added objective and completion
+ */
+export async function missionsObjectiveAdd(params) {
+    const { id, text, owner, due } = missionObjectiveAddSchema.parse(params);
+    const { descriptionPath, markdown } = await readMissionDescription(id, params._accessFilter);
+
+    const updated = addObjective(markdown, { text, owner, due });
+    await writeKBFile(descriptionPath, updated);
+
+    const objectives = parseObjectives(updated);
+    return {
+        success: true,
+        id,
+        objective: formatObjective(objectives[objectives.length - 1]),
+        progress: summarizeObjectives(objectives)
+    };
+}
+
+/**
+ * Tick or untick an objective, found by number or by text
+ * @param {Object} params - Mission ID, index or text, done
+ * @returns {Promise<Object>} Changed objective and completion
+ */
+export async function missionsObjectiveSetDone(params) {
+    const { id, index, text, done } = missionObjectiveSetDoneSchema.parse(params);
+    const { descriptionPath, markdown } = await readMissionDescription(id, params._accessFilter);
+    const objectives = parseObjectives(markdown);
+
+    let objective;
+    if (index !== undefined) {
+        objective = objectives[index - 1];
+        if (!objective) {
+            throw new Error(`Mission "${id}" has no objective ${index} (it has ${objectives.length})`);
+        }
+    } else {
+        const wanted = text.toLowerCase();
+        const exact = objectives.filter(o => o.text.toLowerCase() === wanted);
+        const matches = exact.length > 0 ? exact : objectives.filter(o => o.text.toLowerCase().includes(wanted));
+        if (matches.length === 0) {
+            throw new Error(`No objective of mission "${id}" matches "${text}"`);
+        }
+        if (matches.length > 1) {
+            throw new Error(
+                `"${text}" matches several objectives: ${matches.map(o => `${o.index}. ${o.text}`).join('; ')}. Pass index instead.`
+            );
+        }
+        [objective] = matches;
+    }
+
+    const updated = setObjectiveDone(markdown, objective, done);
+    if (updated !== markdown) {
+        await writeKBFile(descriptionPath, updated);
+    }
+
+    return {
+        success: true,
+        id,
+        objective: { ...formatObjective(objective), done },
+        progress: summarizeObjectives(parseObjectives(updated))
+    };
+}
+
+// chat.md path → last queued append, so appends to one log run one at a time
+const chatAppends = new Map();
+
+/**
+ * Run an append to a chat log after the appends already queued for it
+ * Whether a day heading is needed depends on the file's last entry, so reading the file
+ * and appending must not interleave with another append.
+ * @param {string} chatPath - KB-relative chat.md path
+ * @param {Function} append - Async function doing the read and append
+ * @returns {Promise<*>} Result of append
+ */
+function queueChatAppend(chatPath, append) {
+    const result = (chatAppends.get(chatPath) || Promise.resolve()).then(append);
+    const settled = result.catch(() => {});
+    chatAppends.set(chatPath, settled);
+    settled.then(() => {
+        if (chatAppends.get(chatPath) === settled) chatAppends.delete(chatPath);
+    });
+    return result;
+}
+
+/**
+ * Append an entry to a mission's chat log
+ * The entry goes under today's `## YYYY-MM-DD` heading (UTC), which is added if needed.
+ * The file is only ever appended to, so earlier entries cannot be lost. Appends to the
+ * same log are queued so concurrent calls cannot both add the heading.
+ * @param {Object} params - Mission ID, text and tags (and _accessFilter from RBAC)
+ * @returns {Promise<Object>} Written entry
+ */
+export async function missionsChatAppend(params) {
+    const { id, text, tags } = missionChatAppendSchema.parse(params);
+    const { missionPath, missionData } = await findVisibleMission(id, params._accessFilter);
+
+    const context = authManager.getContext();
+    const author = String(context.username || context.userId || 'anonymous').replace(/[*\n\r]/g, '');
+    const chatPath = `${missionPath}/chat.md`;
+
+    const { date, line } = await queueChatAppend(chatPath, async () => {
+        // Timestamped once queued, so entries stay in order
+        const entry = formatChatEntry({ at: new Date(), author, tags, text });
+        const existing = await fileExists(resolveKBPath(chatPath))
+            ? await readKBFile(chatPath)
+            : null;
+
+        let content = entry.line;
+        if (existing === null) {
+            content = `# ${missionData.title || id} - Chat Log\n\n## ${entry.date}\n\n${entry.line}`;
+        } else if (lastChatDate(existing) !== entry.date) {
+            content = `${existing.endsWith('\n') ? '' : '\n'}\n## ${entry.date}\n\n${entry.line}`;
+        } else if (!existing.endsWith('\n')) {
+            content = `\n${entry.line}`;
+        }
+        await appendKBFile(chatPath, content);
+        return entry;
+    });
+
+    const [entry] = parseChatLog(`## ${date}\n${line}`);
+    return {
+        success: true,
+        id,
+        path: chatPath,
+        entry
+    };
+}
+
+/**
+ * Read a mission's chat log as structured entries
+ * @param {Object} params - Mission ID and filters (and _accessFilter from RBAC)
+ * @returns {Promise<Object>} Matching entries, oldest first
+ */
+export async function missionsChatRead(params) {
+    const { id, from, to, author, tag, limit } = missionChatReadSchema.parse(params);
+    const { missionPath } = await findVisibleMission(id, params._accessFilter);
+
+    const chatPath = `${missionPath}/chat.md`;
+    const entries = await fileExists(resolveKBPath(chatPath))
+        ? parseChatLog(await readKBFile(chatPath))
+        : [];
+
+    const matching = entries.filter(entry =>
+        (!from || entry.date >= from) &&
+        (!to || entry.date <= to) &&
+        (!author || entry.author.toLowerCase() === author.toLowerCase()) &&
+        (!tag || entry.tags.includes(tag))
+    );
+
+    return {
+        id,
+        total: matching.length,
+        entries: limit ? matching.slice(-limit) : matching
+    };
+}
+
+/**
+ * Read a mission's change history
+ * @param {Object} params - Mission ID and filters (and _accessFilter from RBAC)
+ * @returns {Promise<Object>} Matching events, oldest first
+ */
+export async function missionsHistory(params) {
+    const { id, from, to, actor, tool, field, limit } = missionHistorySchema.parse(params);
+    const { missionPath } = await findVisibleMission(id, params._accessFilter);
+
+    const historyPath = `${missionPath}/history.jsonl`;
+    const { events, invalid } = await fileExists(resolveKBPath(historyPath))
+        ? parseHistory(await readKBFile(historyPath))
+        : { events: [], invalid: 0 };
+
+    const wantedActor = actor?.toLowerCase();
+    const matching = events.filter(event => {
+        const day = String(event.timestamp || '').slice(0, 10);
+        return (!from || day >= from) &&
+            (!to || day <= to) &&
+            (!wantedActor || [event.actor?.user_id, event.actor?.username].some(v => String(v).toLowerCase() === wantedActor)) &&
+            (!tool || event.tool === tool) &&
+            (!field || eventTouchesField(event, field));
+    });
+
+    return {
+        id,
+        total: matching.length,
+        ...(invalid > 0 && { invalid_lines: invalid }),
+        events: limit ? matching.slice(-limit) : matching
+    };
+}
+
+/**
+ * Move missions whose folder does not match their status
+ * For missions created before status updates relocated them, and hand-edited mission.yaml files.
+ * @param {Object} [params]
+ * @param {boolean} [params.dry_run=false] - Report what would move without moving anything
+ * @returns {Promise<{checked: number, moved: Array, skipped: Array}>}
+ */
+export async function missionsReconcileFolders({ dry_run = false } = {}) {
+    const moved = [];
+    const skipped = [];
+    const missionDirs = await listMissionDirs();
+
+    for (const m of missionDirs) {
+        // Folders without mission.yaml are not missions
+        if (!await fileExists(resolveKBPath(m.path, 'mission.yaml'))) {
+            continue;
+        }
+
+        let status;
+        try {
+            status = YAML.parse(await readKBFile(`${m.path}/mission.yaml`))?.status;
+        } catch (error) {
+            skipped.push({ id: m.id, path: m.path, reason: error.message });
+            continue;
+        }
+
+        let target;
+        try {
+            target = `missions/${getStatusFolder(status)}/${m.id}`;
+        } catch (error) {
+            skipped.push({ id: m.id, path: m.path, reason: error.message });
+            continue;
+        }
+        if (target === m.path) {
+            continue;
+        }
+
+        try {
+            if (!dry_run) {
+                await moveKBPath(m.path, target);
+            }
+            moved.push({ id: m.id, status, from: m.path, to: target });
+        } catch (error) {
+            skipped.push({ id: m.id, path: m.path, reason: error.message });
+        }
+    }
+
+    return { checked: missionDirs.length, dry_run, moved, skipped };
+}
+
 /**
  * Scan missions and generate context bundles
+ * Only missions inside params._accessFilter (set by RBAC) are bundled.
  * @param {Object} params - Parameters with output path
  * @returns {Promise<Object>} Result with bundle information
  */
 export async function missionsScanContext(params = {}) {
     const outputPath = params.output_path || '.ai/summaries/missions_bundles.json';
+    const { _accessFilter } = params;
 
-    // Get all missions
-    const missions = await missionsList();
+    // Get the missions the caller may see
+    const missions = await missionsList({ _accessFilter });
 
     // Generate context bundles
     const bundles = [];
@@ -311,7 +785,7 @@ export async function missionsScanContext(params = {}) {
     for (const mission of missions) {
         try {
             // Read full mission data
-            const fullMission = await missionsRead({ id: mission.id });
+            const fullMission = await missionsRead({ id: mission.id, _accessFilter });
 
             // Create context bundle
             const bundle = {
@@ -353,11 +827,12 @@ export async function missionsScanContext(params = {}) {
 
 /**
  * Link Discord channel to mission
+ * Missions outside params._accessFilter (set by RBAC) cannot be linked.
  * @param {Object} params - Parameters with mission ID and Discord channel info
  * @returns {Promise<Object>} Result with success status
  */
 export async function missionsLinkDiscordChannel(params) {
-    const { mission_id, channel_id, channel_name, guild_id } = params;
+    const { mission_id, channel_id, channel_name, guild_id, _accessFilter } = params;
 
     if (!mission_id) {
         throw new Error('Mission ID is required');
@@ -367,17 +842,9 @@ export async function missionsLinkDiscordChannel(params) {
         throw new Error('Discord channel ID is required');
     }
 
-    const foundPath = await findMissionPath(mission_id);
-    if (!foundPath) {
-        throw new Error(`Mission "${mission_id}" not found`);
-    }
-
-    const missionPath = foundPath;
-    const missionYamlPath = `${missionPath}/mission.yaml`;
-
     // Read current mission data
-    const missionYaml = await readKBFile(missionYamlPath);
-    const missionData = YAML.parse(missionYaml);
+    const { missionPath, missionData } = await findVisibleMission(mission_id, _accessFilter);
+    const missionYamlPath = `${missionPath}/mission.yaml`;
 
     // Add Discord link to mission data
     const updatedData = {
@@ -394,6 +861,7 @@ export async function missionsLinkDiscordChannel(params) {
     // Write updated mission.yaml
     const updatedYaml = YAML.stringify(updatedData);
     await writeKBFile(missionYamlPath, updatedYaml);
+    await recordMissionEvent(missionPath, 'missions_link_discord_channel', missionData, updatedData);
 
     return {
         success: true,
@@ -404,27 +872,20 @@ export async function missionsLinkDiscordChannel(params) {
 
 /**
  * Import Discord channel context into mission
+ * Missions outside params._accessFilter (set by RBAC) cannot be imported into.
  * @param {Object} params - Parameters with mission ID and optional channel ID
  * @returns {Promise<Object>} Result with import information
  */
 export async function missionsImportDiscordContext(params) {
-    const { mission_id, channel_id, output_path, format = 'markdown' } = params;
+    const { mission_id, channel_id, output_path, format = 'markdown', _accessFilter } = params;
 
     if (!mission_id) {
         throw new Error('Mission ID is required');
     }
 
-    const foundPath = await findMissionPath(mission_id);
-    if (!foundPath) {
-        throw new Error(`Mission "${mission_id}" not found`);
-    }
-
-    const missionPath = foundPath;
-    const missionYamlPath = `${missionPath}/mission.yaml`;
-
     // Read current mission data
-    const missionYaml = await readKBFile(missionYamlPath);
-    const missionData = YAML.parse(missionYaml);
+    const { missionPath, missionData } = await findVisibleMission(mission_id, _accessFilter);
+    const missionYamlPath = `${missionPath}/mission.yaml`;
 
     // Determine which channel to import from
     let targetChannelId = channel_id;
@@ -492,6 +953,9 @@ To populate this file with actual Discord messages:
 
     const updatedYaml = YAML.stringify(updatedData);
     await writeKBFile(missionYamlPath, updatedYaml);
+    await recordMissionEvent(missionPath, 'missions_import_discord_context', missionData, updatedData, {
+        files: [contextOutputPath]
+    });
 
     return {
         success: true,
@@ -504,11 +968,12 @@ To populate this file with actual Discord messages:
 
 /**
  * Generate Discord channel summary
+ * A mission outside params._accessFilter (set by RBAC) cannot be summarized.
  * @param {Object} params - Parameters with mission ID or channel ID
  * @returns {Promise<Object>} Result with summary information
  */
 export async function missionsGenerateDiscordSummary(params) {
-    const { mission_id, channel_id, period = 'daily', output_path, format = 'markdown' } = params;
+    const { mission_id, channel_id, period = 'daily', output_path, format = 'markdown', _accessFilter } = params;
 
     if (!mission_id && !channel_id) {
         throw new Error('Either mission_id or channel_id is required');
@@ -521,16 +986,8 @@ export async function missionsGenerateDiscordSummary(params) {
 
     // If mission_id provided, get channel info from mission
     if (mission_id) {
-        const foundPath = await findMissionPath(mission_id);
-        if (!foundPath) {
-            throw new Error(`Mission "${mission_id}" not found`);
-        }
-
-        resolvedMissionPath = foundPath;
-        const missionYamlPath = `${resolvedMissionPath}/mission.yaml`;
-
-        const missionYaml = await readKBFile(missionYamlPath);
-        const missionData = YAML.parse(missionYaml);
+        const { missionPath, missionData } = await findVisibleMission(mission_id, _accessFilter);
+        resolvedMissionPath = missionPath;
 
         if (!missionData.discord || !missionData.discord.channel_id) {
             throw new Error(`Mission "${mission_id}" has no linked Discord channel`);
@@ -652,6 +1109,9 @@ This is a template for Discord channel summary. To generate an actual summary:
 
         const updatedYaml = YAML.stringify(updatedData);
         await writeKBFile(missionYamlPath, updatedYaml);
+        await recordMissionEvent(resolvedMissionPath, 'missions_generate_discord_summary', missionData, updatedData, {
+            files: [summaryOutputPath]
+        });
     }
 
     return {
@@ -664,3 +1124,97 @@ This is a template for Discord channel summary. To generate an actual summary:
     };
 }
 
+/**
+ * Mission tools registered with the tool registry
+ */
+export const missionTools = {
+    missions_create: {
+        description: 'Create a new mission with full directory structure, mission.yaml, description.md, and chat.md',
+        schema: missionCreateSchema,
+        handler: missionsCreate,
+        entity: 'missions'
+    },
+    missions_read: {
+        description: 'Read mission data aggregated from mission.yaml, description.md, and chat.md',
+        schema: missionReadSchema,
+        handler: missionsRead,
+        readOnly: true,
+        entity: 'missions'
+    },
+    missions_update: {
+        description: 'Update mission data with validation of status transitions and participants',
+        schema: missionUpdateSchema,
+        handler: missionsUpdate,
+        entity: 'missions'
+    },
+    missions_list: {
+        description: 'List all missions with optional filtering by status or participant',
+        schema: missionListSchema,
+        handler: missionsList,
+        readOnly: true,
+        entity: 'missions'
+    },
+    missions_objectives_list: {
+        description: 'List the objectives checklist from a mission\'s description.md with owners, due dates and completion %',
+        schema: missionObjectivesListSchema,
+        handler: missionsObjectivesList,
+        readOnly: true,
+        entity: 'missions'
+    },
+    missions_objective_add: {
+        description: 'Add an objective (optionally with @owner and due date) to a mission\'s Objectives checklist',
+        schema: missionObjectiveAddSchema,
+        handler: missionsObjectiveAdd,
+        entity: 'missions'
+    },
+    missions_objective_set_done: {
+        description: 'Tick or untick a mission objective by number or text, keeping its annotations',
+        schema: missionObjectiveSetDoneSchema,
+        handler: missionsObjectiveSetDone,
+        entity: 'missions'
+    },
+    missions_chat_append: {
+        description: 'Append a timestamped entry (author from your identity, optional decision/blocker/note tags) to a mission\'s chat.md',
+        schema: missionChatAppendSchema,
+        handler: missionsChatAppend,
+        entity: 'missions'
+    },
+    missions_chat_read: {
+        description: 'Read a mission\'s chat log as structured entries, filtered by date range, author or tag',
+        schema: missionChatReadSchema,
+        handler: missionsChatRead,
+        readOnly: true,
+        entity: 'missions'
+    },
+    missions_history: {
+        description: 'Read a mission\'s change history (who changed which fields, when, with before/after values), filtered by date range, actor, tool or field',
+        schema: missionHistorySchema,
+        handler: missionsHistory,
+        readOnly: true,
+        entity: 'missions'
+    },
+    missions_scan_context: {
+        description: 'Scan all missions and generate context bundles JSON file for AI consumption',
+        schema: missionScanContextSchema,
+        handler: missionsScanContext,
+        entity: 'missions'
+    },
+    missions_link_discord_channel: {
+        description: 'Link a Discord channel to a mission by storing channel metadata in mission.yaml',
+        schema: missionLinkDiscordChannelSchema,
+        handler: missionsLinkDiscordChannel,
+        entity: 'missions'
+    },
+    missions_import_discord_context: {
+        description: 'Import Discord channel context into mission by creating a context file template',
+        schema: missionImportDiscordContextSchema,
+        handler: missionsImportDiscordContext,
+        entity: 'missions'
+    },
+    missions_generate_discord_summary: {
+        description: 'Generate a summary template for Discord channel messages (daily/weekly reports)',
+        schema: missionGenerateDiscordSummarySchema,
+        handler: missionsGenerateDiscordSummary,
+        entity: 'missions'
+    }
+};
@@ -0,0 +1,182 @@
+// Tool Registry
+// Single source of truth for tool schemas, name aliases and dispatch
+
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+/**
+ * Prefixes gateways put in front of tool names (e.g. "orbios-kb:missions:list")
+ */
+const SERVER_PREFIXES = ['orbios-kb:', 'orbios-kb__'];
+
+/**
+ * Registered tools keyed by canonical name (e.g. "missions_create")
+ * @type {Map<string, Object>}
+ */
+const tools = new Map();
+
+/**
+ * Alias spelling → canonical name
+ * @type {Map<string, string>}
+ */
+const aliases = new Map();
+
+/**
+ * Registered tool definition
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - Canonical name, also used as the authorization key
+ * @property {string} description - Human-readable description shown to clients
+ * @property {import('zod').ZodTypeAny} schema - Zod schema for the tool arguments
+ * @property {Function} handler - Async handler receiving the parsed arguments
+ * @property {boolean} [readOnly] - Tool never modifies the KB (may be run "as" another role)
+ * @property {string} [entity] - Entity type of the result, for field redaction (see auth/redaction.js)
+ * @property {Object} inputSchema - JSON schema generated from `schema`
+ * @property {string[]} aliases - All accepted spellings of the tool name
+ */
+
+/**
+ * Build every spelling a client or gateway may use for a tool
+ * missions_create → missions:create, missions__create, orbios-kb:missions:create, ...
+ * @param {string} name - Canonical tool name
+ * @returns {string[]} Alias list (canonical name first)
+ */
+export function buildToolAliases(name) {
+    const separatorIndex = name.indexOf('_');
+    if (separatorIndex === -1) {
+        return [name, ...SERVER_PREFIXES.map(prefix => `${prefix}${name}`)];
+    }
+
+    const namespace = name.slice(0, separatorIndex);
+    const action = name.slice(separatorIndex + 1);
+
+    return [
+        name,
+        `${namespace}:${action}`,
+        `${namespace}__${action}`,
+        `orbios-kb:${namespace}:${action}`,
+        `orbios-kb__${namespace}__${action}`
+    ];
+}
+
+/**
+ * Convert a zod schema to the JSON schema advertised in tools/list
+ * @param {import('zod').ZodTypeAny} schema - Zod schema
+ * @returns {Object} JSON schema (draft-07, inlined)
+ */
+function toJsonSchema(schema) {
+    const { $schema, ...jsonSchema } = zodToJsonSchema(schema, {
+        target: 'jsonSchema7',
+        $refStrategy: 'none'
+    });
+    return jsonSchema;
+}
+
+/**
+ * Register a single tool
+ * @param {string} name - Canonical tool name (snake_case, namespace first)
+ * @param {Object} definition - Tool definition
+ * @param {string} definition.description - Tool description
+ * @param {import('zod').ZodTypeAny} definition.schema - Zod schema for arguments
+ * @param {Function} definition.handler - Async tool handler
+ * @param {boolean} [definition.readOnly] - Tool never modifies the KB
+ * @param {string} [definition.entity] - Entity type of the result, for field redaction
+ * @returns {ToolDefinition} Registered tool
+ */
+export function registerTool(name, definition) {
+    if (tools.has(name)) {
+        throw new Error(`Tool already registered: ${name}`);
+    }
+
+    const { description, schema, handler, ...extra } = definition || {};
+
+    if (!description) {
+        throw new Error(`Tool "${name}" is missing a description`);
+    }
+    if (!schema || typeof schema.parse !== 'function') {
+        throw new Error(`Tool "${name}" is missing a zod schema`);
+    }
+    if (typeof handler !== 'function') {
+        throw new Error(`Tool "${name}" is missing a handler`);
+    }
+
+    const tool = {
+        ...extra,
+        name,
+        description,
+        schema,
+        handler,
+        inputSchema: toJsonSchema(schema),
+        aliases: buildToolAliases(name)
+    };
+
+    for (const alias of tool.aliases) {
+        const existing = aliases.get(alias);
+        if (existing && existing !== name) {
+            throw new Error(`Tool alias "${alias}" of "${name}" conflicts with "${existing}"`);
+        }
+        aliases.set(alias, name);
+    }
+
+    tools.set(name, tool);
+    return tool;
+}
+
+/**
+ * Register every tool of a toolset object ({ [name]: definition })
+ * @param {Object<string, Object>} toolset - Toolset exported by a tool module
+ */
+export function registerTools(toolset) {
+    for (const [name, definition] of Object.entries(toolset)) {
+        registerTool(name, definition);
+    }
+}
+
+/**
+ * Normalize a tool name that is not a known alias
+ * (e.g. "orbios-kb:missions:scan:context" → "missions_scan_context")
+ * @param {string} name - Requested tool name
+ * @returns {string} Normalized name
+ */
+function normalizeToolName(name) {
+    let normalized = name;
+
+    for (const prefix of SERVER_PREFIXES) {
+        if (normalized.startsWith(prefix)) {
+            normalized = normalized.slice(prefix.length);
+            break;
+        }
+    }
+
+    return normalized.replace(/__|:/g, '_');
+}
+
+/**
+ * Resolve any accepted spelling of a tool name to its registered definition
+ * @param {string} name - Requested tool name
+ * @returns {ToolDefinition|null} Tool definition or null if unknown
+ */
+export function resolveTool(name) {
+    if (!name) return null;
+
+    const canonical = aliases.get(name) || aliases.get(normalizeToolName(name));
+    return canonical ? tools.get(canonical) : null;
+}
+
+/**
+ * Get tool entries for the MCP tools/list response
+ * @returns {Array<{name: string, description: string, inputSchema: Object}>}
+ */
+export function listTools() {
+    return [...tools.values()].map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.inputSchema
+    }));
+}
+
+/**
+ * Get all registered tool definitions
+ * @returns {ToolDefinition[]}
+ */
+export function getRegisteredTools() {
+    return [...tools.values()];
+}
@@ -1,9 +1,11 @@
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { existsSync } from 'fs';
+import { z } from 'zod';
 import { generateEmbedding } from '../core/embeddings.js';
 import { vectorSearch, loadVectorDb } from '../core/vector-search.js';
 import { getVectorDbPath } from '../../../utils/modules-config.js';
+import { isLevelAllowed, getMessageAccessLevel } from '../../../auth/data-filters.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -50,7 +52,8 @@ async function discordSemanticSearch(params = {}) {
         author,
         start_date,
         end_date,
-        limit = 20
+        limit = 20,
+        _accessFilter
     } = params;
 
     if (!query) {
@@ -80,6 +83,9 @@ async function discordSemanticSearch(params = {}) {
         if (start_date && metadata.date < start_date) continue;
         if (end_date && metadata.date > end_date) continue;
 
+        // Drop messages from channels above the caller's access level
+        if (!isLevelAllowed(getMessageAccessLevel(metadata), _accessFilter)) continue;
+
         filteredResults.push({
             text: metadata.text,
             score: result.similarity,
@@ -125,7 +131,8 @@ async function discordHybridSearch(params = {}) {
         start_date,
         end_date,
         limit = 20,
-        semantic_weight = 0.7
+        semantic_weight = 0.7,
+        _accessFilter
     } = params;
 
     if (!query) {
@@ -142,7 +149,8 @@ async function discordHybridSearch(params = {}) {
         author,
         start_date,
         end_date,
-        limit: limit * 2 // Get more for reranking
+        limit: limit * 2, // Get more for reranking
+        _accessFilter
     });
 
     // Simple keyword matching for hybrid
@@ -193,91 +201,41 @@ async function discordHybridSearch(params = {}) {
     };
 }
 
+/**
+ * Discord search arguments shared by semantic and hybrid search
+ */
+const discordSearchArgs = {
+    server_id: z.string().optional().describe('Discord server ID (optional)'),
+    channel_id: z.string().optional().describe('Discord channel ID (optional)'),
+    author: z.string().optional().describe('Filter by message author (optional)'),
+    start_date: z.string().optional().describe('Start date YYYY-MM-DD (optional)'),
+    end_date: z.string().optional().describe('End date YYYY-MM-DD (optional)'),
+    limit: z.number().default(20).describe('Maximum results (default: 20)')
+};
+
 /**
  * Discord search tools export
  */
 export const discordSearchTools = {
     discord_semantic_search: {
         description: 'Semantic search in Discord messages using AI embeddings (finds messages by meaning, not just keywords)',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: 'Search query (what you want to find)'
-                },
-                server_id: {
-                    type: 'string',
-                    description: 'Discord server ID (optional)'
-                },
-                channel_id: {
-                    type: 'string',
-                    description: 'Discord channel ID (optional)'
-                },
-                author: {
-                    type: 'string',
-                    description: 'Filter by message author (optional)'
-                },
-                start_date: {
-                    type: 'string',
-                    description: 'Start date YYYY-MM-DD (optional)'
-                },
-                end_date: {
-                    type: 'string',
-                    description: 'End date YYYY-MM-DD (optional)'
-                },
-                limit: {
-                    type: 'number',
-                    description: 'Maximum results (default: 20)',
-                    default: 20
-                }
-            },
-            required: ['query']
-        },
-        handler: discordSemanticSearch
+        schema: z.object({
+            query: z.string().describe('Search query (what you want to find)'),
+            ...discordSearchArgs
+        }),
+        handler: discordSemanticSearch,
+        readOnly: true,
+        entity: 'search'
     },
     discord_hybrid_search: {
         description: 'Hybrid search combining semantic (meaning-based) and keyword matching for best results',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: 'Search query'
-                },
-                server_id: {
-                    type: 'string',
-                    description: 'Discord server ID (optional)'
-                },
-                channel_id: {
-                    type: 'string',
-                    description: 'Discord channel ID (optional)'
-                },
-                author: {
-                    type: 'string',
-                    description: 'Filter by message author (optional)'
-                },
-                start_date: {
-                    type: 'string',
-                    description: 'Start date YYYY-MM-DD (optional)'
-                },
-                end_date: {
-                    type: 'string',
-                    description: 'End date YYYY-MM-DD (optional)'
-                },
-                limit: {
-                    type: 'number',
-                    description: 'Maximum results (default: 20)',
-                    default: 20
-                },
-                semantic_weight: {
-                    type: 'number',
-                    description: 'Weight for semantic vs keyword (0-1, default: 0.7)',
-                    default: 0.7
-                }
-            },
-            required: ['query']
-        },
-        handler: discordHybridSearch
+        schema: z.object({
+            query: z.string().describe('Search query'),
+            ...discordSearchArgs,
+            semantic_weight: z.number().default(0.7).describe('Weight for semantic vs keyword (0-1, default: 0.7)')
+        }),
+        handler: discordHybridSearch,
+        readOnly: true,
+        entity: 'search'
     }
 };
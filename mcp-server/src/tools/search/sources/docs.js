@@ -1,6 +1,7 @@
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { existsSync } from 'fs';
+import { z } from 'zod';
 import { generateEmbedding } from '../core/embeddings.js';
 import { vectorSearch, loadVectorDb } from '../core/vector-search.js';
 import { getVectorDbPath } from '../../../utils/modules-config.js';
@@ -183,75 +184,39 @@ async function docsHybridSearch(params = {}) {
     };
 }
 
+/**
+ * Documentation search arguments shared by semantic and hybrid search
+ */
+const docsSearchArgs = {
+    file_path: z.string().optional().describe('Filter by file path substring (optional)'),
+    category: z.string().optional().describe('Filter by category: tutorials, how-to, reference, explanation (optional)'),
+    doc_type: z.string().optional().describe('Filter by document type: architecture, guides, reference, tutorials (optional)'),
+    limit: z.number().default(20).describe('Maximum results (default: 20)')
+};
+
 /**
  * Documentation search tools export
  */
 export const docsSearchTools = {
     docs_semantic_search: {
         description: 'Semantic search in documentation using AI embeddings (finds docs by meaning, not just keywords)',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: 'Search query (what you want to find)'
-                },
-                file_path: {
-                    type: 'string',
-                    description: 'Filter by file path substring (optional)'
-                },
-                category: {
-                    type: 'string',
-                    description: 'Filter by category: tutorials, how-to, reference, explanation (optional)'
-                },
-                doc_type: {
-                    type: 'string',
-                    description: 'Filter by document type: architecture, guides, reference, tutorials (optional)'
-                },
-                limit: {
-                    type: 'number',
-                    description: 'Maximum results (default: 20)',
-                    default: 20
-                }
-            },
-            required: ['query']
-        },
-        handler: docsSemanticSearch
+        schema: z.object({
+            query: z.string().describe('Search query (what you want to find)'),
+            ...docsSearchArgs
+        }),
+        handler: docsSemanticSearch,
+        readOnly: true,
+        entity: 'search'
     },
     docs_hybrid_search: {
         description: 'Hybrid search in documentation combining semantic (meaning-based) and keyword matching',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: 'Search query'
-                },
-                file_path: {
-                    type: 'string',
-                    description: 'Filter by file path substring (optional)'
-                },
-                category: {
-                    type: 'string',
-                    description: 'Filter by category: tutorials, how-to, reference, explanation (optional)'
-                },
-                doc_type: {
-                    type: 'string',
-                    description: 'Filter by document type: architecture, guides, reference, tutorials (optional)'
-                },
-                limit: {
-                    type: 'number',
-                    description: 'Maximum results (default: 20)',
-                    default: 20
-                },
-                semantic_weight: {
-                    type: 'number',
-                    description: 'Weight for semantic vs keyword (0-1, default: 0.7)',
-                    default: 0.7
-                }
-            },
-            required: ['query']
-        },
-        handler: docsHybridSearch
+        schema: z.object({
+            query: z.string().describe('Search query'),
+            ...docsSearchArgs,
+            semantic_weight: z.number().default(0.7).describe('Weight for semantic vs keyword (0-1, default: 0.7)')
+        }),
+        handler: docsHybridSearch,
+        readOnly: true,
+        entity: 'search'
     }
 };
@@ -1,6 +1,7 @@
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { existsSync } from 'fs';
+import { z } from 'zod';
 import { generateEmbedding } from '../core/embeddings.js';
 import { vectorSearch, loadVectorDb } from '../core/vector-search.js';
 import { getVectorDbPath } from '../../../utils/modules-config.js';
@@ -186,69 +187,38 @@ async function knowledgeHybridSearch(params = {}) {
     };
 }
 
+/**
+ * Knowledge search arguments shared by semantic and hybrid search
+ */
+const knowledgeSearchArgs = {
+    cluster: z.enum(Object.keys(KNOWLEDGE_CLUSTERS)).optional().describe('Filter by knowledge cluster (optional)'),
+    file_path: z.string().optional().describe('Filter by file path substring (optional)'),
+    limit: z.number().default(20).describe('Maximum results (default: 20)')
+};
+
 /**
  * Knowledge base search tools export
  */
 export const knowledgeSearchTools = {
     knowledge_semantic_search: {
         description: 'Semantic search in knowledge base using AI embeddings (ai, company, rules, info-signals)',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: 'Search query (what you want to find)'
-                },
-                cluster: {
-                    type: 'string',
-                    enum: ['ai', 'company', 'rules', 'info-signals'],
-                    description: 'Filter by knowledge cluster (optional)'
-                },
-                file_path: {
-                    type: 'string',
-                    description: 'Filter by file path substring (optional)'
-                },
-                limit: {
-                    type: 'number',
-                    description: 'Maximum results (default: 20)',
-                    default: 20
-                }
-            },
-            required: ['query']
-        },
-        handler: knowledgeSemanticSearch
+        schema: z.object({
+            query: z.string().describe('Search query (what you want to find)'),
+            ...knowledgeSearchArgs
+        }),
+        handler: knowledgeSemanticSearch,
+        readOnly: true,
+        entity: 'search'
     },
     knowledge_hybrid_search: {
         description: 'Hybrid search in knowledge base combining semantic and keyword matching',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: 'Search query'
-                },
-                cluster: {
-                    type: 'string',
-                    enum: ['ai', 'company', 'rules', 'info-signals'],
-                    description: 'Filter by knowledge cluster (optional)'
-                },
-                file_path: {
-                    type: 'string',
-                    description: 'Filter by file path substring (optional)'
-                },
-                limit: {
-                    type: 'number',
-                    description: 'Maximum results (default: 20)',
-                    default: 20
-                },
-                semantic_weight: {
-                    type: 'number',
-                    description: 'Weight for semantic vs keyword (0-1, default: 0.7)',
-                    default: 0.7
-                }
-            },
-            required: ['query']
-        },
-        handler: knowledgeHybridSearch
+        schema: z.object({
+            query: z.string().describe('Search query'),
+            ...knowledgeSearchArgs,
+            semantic_weight: z.number().default(0.7).describe('Weight for semantic vs keyword (0-1, default: 0.7)')
+        }),
+        handler: knowledgeHybridSearch,
+        readOnly: true,
+        entity: 'search'
     }
 };
@@ -1,3 +1,4 @@
+import { z } from 'zod';
 import { generateEmbedding } from '../core/embeddings.js';
 import { discordSearchTools } from './discord.js';
 import { docsSearchTools } from './docs.js';
@@ -12,7 +13,8 @@ async function unifiedSemanticSearch(params = {}) {
     const {
         query,
         sources = ['discord', 'docs', 'knowledge'], // Default: search all
-        limit = 20
+        limit = 20,
+        _accessFilter
     } = params;
 
     if (!query) {
@@ -30,7 +32,7 @@ async function unifiedSemanticSearch(params = {}) {
 
     if (sources.includes('discord')) {
         searchPromises.push(
-            discordSearchTools.discord_semantic_search.handler({ query, limit })
+            discordSearchTools.discord_semantic_search.handler({ query, limit, _accessFilter })
                 .then(result => {
                     sourceResults.discord = result;
                     return (result.results || []).map(r => ({ ...r, source: 'discord' }));
@@ -111,7 +113,8 @@ async function unifiedHybridSearch(params = {}) {
         query,
         sources = ['discord', 'docs', 'knowledge'],
         limit = 20,
-        semantic_weight = 0.7
+        semantic_weight = 0.7,
+        _accessFilter
     } = params;
 
     if (!query) {
@@ -129,7 +132,7 @@ async function unifiedHybridSearch(params = {}) {
 
     if (sources.includes('discord')) {
         searchPromises.push(
-            discordSearchTools.discord_hybrid_search.handler({ query, limit, semantic_weight })
+            discordSearchTools.discord_hybrid_search.handler({ query, limit, semantic_weight, _accessFilter })
                 .then(result => {
                     sourceResults.discord = result;
                     return (result.results || []).map(r => ({ ...r, source: 'discord' }));
@@ -204,69 +207,38 @@ async function unifiedHybridSearch(params = {}) {
     };
 }
 
+/**
+ * Sources available to unified search
+ */
+const unifiedSourcesSchema = z.array(z.enum(['discord', 'docs', 'knowledge']))
+    .default(['discord', 'docs', 'knowledge'])
+    .describe('Sources to search (default: all)');
+
 /**
  * Unified search tools export
  */
 export const unifiedSearchTools = {
     unified_semantic_search: {
         description: 'Search across ALL sources (discord, docs, knowledge) using semantic AI search',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: 'Search query (what you want to find)'
-                },
-                sources: {
-                    type: 'array',
-                    items: {
-                        type: 'string',
-                        enum: ['discord', 'docs', 'knowledge']
-                    },
-                    description: 'Sources to search (default: all)',
-                    default: ['discord', 'docs', 'knowledge']
-                },
-                limit: {
-                    type: 'number',
-                    description: 'Maximum results (default: 20)',
-                    default: 20
-                }
-            },
-            required: ['query']
-        },
-        handler: unifiedSemanticSearch
+        schema: z.object({
+            query: z.string().describe('Search query (what you want to find)'),
+            sources: unifiedSourcesSchema,
+            limit: z.number().default(20).describe('Maximum results (default: 20)')
+        }),
+        handler: unifiedSemanticSearch,
+        readOnly: true,
+        entity: 'search'
     },
     unified_hybrid_search: {
         description: 'Search across ALL sources using hybrid (semantic + keyword) search',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: 'Search query'
-                },
-                sources: {
-                    type: 'array',
-                    items: {
-                        type: 'string',
-                        enum: ['discord', 'docs', 'knowledge']
-                    },
-                    description: 'Sources to search (default: all)',
-                    default: ['discord', 'docs', 'knowledge']
-                },
-                limit: {
-                    type: 'number',
-                    description: 'Maximum results (default: 20)',
-                    default: 20
-                },
-                semantic_weight: {
-                    type: 'number',
-                    description: 'Weight for semantic vs keyword (0-1, default: 0.7)',
-                    default: 0.7
-                }
-            },
-            required: ['query']
-        },
-        handler: unifiedHybridSearch
+        schema: z.object({
+            query: z.string().describe('Search query'),
+            sources: unifiedSourcesSchema,
+            limit: z.number().default(20).describe('Maximum results (default: 20)'),
+            semantic_weight: z.number().default(0.7).describe('Weight for semantic vs keyword (0-1, default: 0.7)')
+        }),
+        handler: unifiedHybridSearch,
+        readOnly: true,
+        entity: 'search'
     }
 };
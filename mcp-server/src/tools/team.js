@@ -259,3 +259,85 @@ export const hrCandidateSave = async ({ category, role, lastName, firstName, sco
 
     return { success: true, path: relativePath };
 }
+
+// --- Schemas ---
+
+const userProfileCreateSchema = z.object({
+    firstName: z.string(),
+    lastName: z.string(),
+    email: z.string(),
+    role: z.enum(['open', 'core']),
+    accessCore: z.boolean().optional(),
+    language: z.enum(['en', 'ru', 'ua', 'uk']).optional()
+});
+
+const dailyStatusCreateSchema = z.object({
+    firstName: z.string(),
+    date: z.string().describe('YYYY-MM-DD'),
+    content: z.object({
+        entries: z.array(z.object({
+            project: z.string(),
+            hours: z.number(),
+            progress: z.string()
+        })),
+        nextSteps: z.string(),
+        blockers: z.string().optional(),
+        asks: z.string().optional(),
+        links: z.string().optional()
+    })
+});
+
+const dailyTasksCreateSchema = z.object({
+    firstName: z.string(),
+    date: z.string(),
+    tasks: z.object({
+        willDo: z.array(z.record(z.any())).optional(),
+        inProgress: z.array(z.record(z.any())).optional(),
+        finished: z.array(z.record(z.any())).optional()
+    })
+});
+
+const availabilityCreateSchema = z.object({
+    firstName: z.string(),
+    month: z.string(),
+    weekDates: z.string().describe('DD-DD format'),
+    schedule: z.record(z.string())
+});
+
+const hrCandidateSaveSchema = z.object({
+    category: z.enum(['low', 'medium', 'top']),
+    role: z.string(),
+    lastName: z.string(),
+    firstName: z.string(),
+    score: z.number(),
+    content: z.string().describe('Full markdown content')
+});
+
+// Team tools registered with the tool registry
+export const teamTools = {
+    team_user_profile_create: {
+        description: 'Create a user profile (user.json) with validation',
+        schema: userProfileCreateSchema,
+        handler: userProfileCreate
+    },
+    team_daily_status_create: {
+        description: 'Create a daily status report with project validation',
+        schema: dailyStatusCreateSchema,
+        handler: dailyStatusCreate
+    },
+    team_daily_tasks_create: {
+        description: 'Create a daily tasks file',
+        schema: dailyTasksCreateSchema,
+        handler: dailyTasksCreate
+    },
+    team_availability_create: {
+        description: 'Create weekly availability file',
+        schema: availabilityCreateSchema,
+        handler: availabilityCreate
+    },
+    hr_candidate_save: {
+        description: 'Save evaluated candidate to correct folder',
+        schema: hrCandidateSaveSchema,
+        handler: hrCandidateSave
+    }
+};
@@ -0,0 +1,186 @@
+// HTTP Transport (SSE)
+// Serves one shared MCP instance to many clients over Server-Sent Events
+
+import http from 'http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { authenticateBearerToken } from '../auth/index.js';
+import { refreshHasuraJWT } from '../auth/jwt.js';
+
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+const REFRESH_PATH = '/auth/refresh';
+
+// Largest request body accepted by the refresh endpoint
+const MAX_REFRESH_BODY = 16 * 1024;
+
+/**
+ * Extract bearer token from the Authorization header
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {string|null} Token or null
+ */
+function getBearerToken(req) {
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a small JSON request body
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ * @throws {Error} If the body is too large or not JSON
+ */
+async function readJsonBody(req) {
+    let raw = '';
+    for await (const chunk of req) {
+        raw += chunk;
+        if (raw.length > MAX_REFRESH_BODY) {
+            throw new Error('Request body too large');
+        }
+    }
+    return raw.trim() ? JSON.parse(raw) : {};
+}
+
+/**
+ * Check whether a message's credentials belong to the session's identity
+ * Static and anonymous sessions must present the exact token that opened them;
+ * JWT sessions may present a refreshed token for the same user.
+ * @param {Object} session - Session ({ token, auth })
+ * @param {string|null} token - Token presented with the message
+ * @param {Object} auth - Auth metadata resolved from that token
+ * @returns {boolean}
+ */
+function matchesSession(session, token, auth) {
+    if (token === session.token) return true;
+    return session.auth.tokenType === 'jwt' && auth.tokenType === 'jwt'
+        && auth.user.user_id === session.auth.user.user_id;
+}
+
+/**
+ * Start the HTTP transport
+ * Each SSE connection gets its own MCP server instance bound to the identity
+ * resolved from the connection's bearer token.
+ * @param {Object} options - Transport options
+ * @param {Function} options.createServer - Factory returning a configured MCP server for a session
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Host/interface to bind
+ * @returns {Promise<http.Server>} Listening HTTP server
+ */
+export async function startHttpTransport({ createServer, port, host }) {
+    // sessionId → { transport, token, auth }
+    const sessions = new Map();
+
+    async function handleSseConnect(req, res) {
+        const token = getBearerToken(req);
+        const auth = await authenticateBearerToken(token);
+
+        if (!auth) {
+            sendJson(res, 401, { error: 'Unauthorized: missing or invalid bearer token' });
+            return;
+        }
+
+        const transport = new SSEServerTransport(MESSAGES_PATH, res);
+        const server = createServer({ auth });
+
+        sessions.set(transport.sessionId, { transport, token, auth });
+        const releaseServer = server.onclose;
+        server.onclose = () => {
+            sessions.delete(transport.sessionId);
+            if (releaseServer) releaseServer();
+        };
+
+        await server.connect(transport);
+        console.error('[HTTP] Session opened:', transport.sessionId, auth.user ? auth.user.username : 'anonymous');
+    }
+
+    async function handleMessage(req, res, url) {
+        const sessionId = url.searchParams.get('sessionId');
+        const session = sessionId ? sessions.get(sessionId) : null;
+
+        if (!session) {
+            sendJson(res, 404, { error: `Unknown session: ${sessionId}` });
+            return;
+        }
+
+        // Every message is re-authenticated, so expired or revoked JWTs stop working
+        // mid-session. Messages must carry the credentials of the session's identity.
+        const token = getBearerToken(req);
+        const auth = await authenticateBearerToken(token);
+        if (!auth || !matchesSession(session, token, auth)) {
+            sendJson(res, 401, { error: 'Unauthorized: token does not match session' });
+            return;
+        }
+
+        // A refreshed JWT may carry a new role; the session's server reads auth.user per request
+        session.token = token;
+        session.auth.user = auth.user;
+
+        await session.transport.handlePostMessage(req, res);
+    }
+
+    async function handleRefresh(req, res) {
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            sendJson(res, 400, { error: error.message });
+            return;
+        }
+
+        if (!body.refresh_token) {
+            sendJson(res, 400, { error: 'Missing refresh_token' });
+            return;
+        }
+
+        try {
+            sendJson(res, 200, await refreshHasuraJWT(body.refresh_token));
+        } catch (error) {
+            console.error('[HTTP] Token refresh rejected:', error.message);
+            sendJson(res, 401, { error: 'Unauthorized: invalid refresh token' });
+        }
+    }
+
+    const httpServer = http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        try {
+            if (req.method === 'GET' && url.pathname === HEALTH_PATH) {
+                sendJson(res, 200, { status: 'ok', sessions: sessions.size });
+            } else if (req.method === 'GET' && url.pathname === SSE_PATH) {
+                await handleSseConnect(req, res);
+            } else if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+                await handleMessage(req, res, url);
+            } else if (req.method === 'POST' && url.pathname === REFRESH_PATH) {
+                await handleRefresh(req, res);
+            } else {
+                sendJson(res, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            // Details stay in the server log; they may name paths or upstream hosts
+            console.error('[HTTP] Request failed:', error.stack || error.message);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Internal server error' });
+            }
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, resolve);
+    });
+
+    console.error(`[HTTP] MCP server listening on http://${host}:${port}${SSE_PATH}`);
+    return httpServer;
+}
@@ -0,0 +1,95 @@
+// Mission Chat Log
+// Entry format of a mission's chat.md: `## YYYY-MM-DD` headings with one list item per entry
+
+export const CHAT_TAGS = ['decision', 'blocker', 'note'];
+
+const DATE_HEADING_PATTERN = /^##\s+(\d{4}-\d{2}-\d{2})\s*$/;
+// - 14:05 **erik** [decision, blocker]: Text
+const ENTRY_PATTERN = /^- (\d{2}:\d{2}) \*\*(.+?)\*\*(?: \[([^\]]*)\])?: ?(.*)$/;
+const CONTINUATION_PATTERN = /^ {2}(.*)$/;
+
+/**
+ * A chat log entry
+ * @typedef {Object} ChatEntry
+ * @property {string} date - YYYY-MM-DD (UTC)
+ * @property {string} time - HH:MM (UTC)
+ * @property {string} author - Who wrote it
+ * @property {string[]} tags - decision, blocker, note
+ * @property {string} text - Message (may span several lines)
+ */
+
+/**
+ * Format an entry as chat.md lines
+ * @param {Object} entry
+ * @param {Date} entry.at - Entry time
+ * @param {string} entry.author - Author
+ * @param {string[]} [entry.tags] - Tags
+ * @param {string} entry.text - Message
+ * @returns {{date: string, line: string}} UTC date heading it belongs under and the entry text
+ */
+export function formatChatEntry({ at, author, tags = [], text }) {
+    const iso = at.toISOString();
+    const tagList = tags.length > 0 ? ` [${tags.join(', ')}]` : '';
+    const body = text.trim().split(/\r?\n/).join('\n  ');
+    return {
+        date: iso.slice(0, 10),
+        line: `- ${iso.slice(11, 16)} **${author}**${tagList}: ${body}\n`,
+    };
+}
+
+/**
+ * Get the date of the last `## YYYY-MM-DD` heading
+ * @param {string} markdown - chat.md contents
+ * @returns {string|null}
+ */
+export function lastChatDate(markdown) {
+    let last = null;
+    for (const line of markdown.split('\n')) {
+        const match = line.match(DATE_HEADING_PATTERN);
+        if (match) last = match[1];
+    }
+    return last;
+}
+
+/**
+ * Parse the entries of a chat log
+ * Lines that are not entries (the template placeholder, hand-written notes) are skipped.
+ * @param {string} markdown - chat.md contents
+ * @returns {ChatEntry[]} Entries in file order
+ */
+export function parseChatLog(markdown) {
+    const entries = [];
+    let date = null;
+    let current = null;
+
+    for (const line of markdown.split('\n')) {
+        const heading = line.match(DATE_HEADING_PATTERN);
+        if (heading) {
+            date = heading[1];
+            current = null;
+            continue;
+        }
+
+        const entry = date && line.match(ENTRY_PATTERN);
+        if (entry) {
+            current = {
+                date,
+                time: entry[1],
+                author: entry[2],
+                tags: entry[3] ? entry[3].split(',').map(t => t.trim()).filter(Boolean) : [],
+                text: entry[4],
+            };
+            entries.push(current);
+            continue;
+        }
+
+        const continuation = current && line.match(CONTINUATION_PATTERN);
+        if (continuation) {
+            current.text += `\n${continuation[1]}`;
+        } else {
+            current = null;
+        }
+    }
+
+    return entries;
+}
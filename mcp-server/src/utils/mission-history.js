@@ -0,0 +1,96 @@
+// Mission History
+// Events of a mission's history.jsonl: one JSON object per line with the fields each mutation changed
+
+// Stamped on every write; the event's own timestamp already records it
+const IGNORED_FIELDS = ['updated_at'];
+
+/**
+ * A mission history event
+ * @typedef {Object} HistoryEvent
+ * @property {string} timestamp - ISO time of the change
+ * @property {string} tool - Tool that made it (missions_update, ...)
+ * @property {{user_id: string|null, username: string|null, role: string, service_account?: string}} actor
+ * @property {string[]} fields - Dotted paths of the changed fields ("status", "discord.channel_id")
+ * @property {Object} before - Changed fields before, nested like mission.yaml (null where unset)
+ * @property {Object} after - Changed fields after (null where removed)
+ */
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Diff two versions of mission.yaml
+ * Nested objects are compared key by key; arrays and scalars as whole values.
+ * before/after keep the mission.yaml nesting, so field redaction rules apply to them as-is.
+ * @param {Object|null} before - Previous data (null for a new mission)
+ * @param {Object} after - New data
+ * @returns {{fields: string[], before: Object, after: Object}}
+ */
+export function diffMission(before, after) {
+    const fields = [];
+
+    const walk = (a, b, prefix, outA, outB) => {
+        const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+        for (const key of keys) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+
+            const valueA = a[key] ?? null;
+            const valueB = b[key] ?? null;
+            if (isPlainObject(valueA) && isPlainObject(valueB)) {
+                const childA = {};
+                const childB = {};
+                walk(valueA, valueB, path, childA, childB);
+                if (Object.keys(childA).length > 0) {
+                    outA[key] = childA;
+                    outB[key] = childB;
+                }
+            } else if (JSON.stringify(valueA) !== JSON.stringify(valueB)) {
+                fields.push(path);
+                outA[key] = valueA;
+                outB[key] = valueB;
+            }
+        }
+    };
+
+    const changedBefore = {};
+    const changedAfter = {};
+    walk(before || {}, after || {}, '', changedBefore, changedAfter);
+    return { fields, before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Parse history.jsonl
+ * Lines that are not JSON objects are counted and skipped, so one bad line never hides the rest.
+ * @param {string} content - history.jsonl contents
+ * @returns {{events: HistoryEvent[], invalid: number}} Events in file order
+ */
+export function parseHistory(content) {
+    const events = [];
+    let invalid = 0;
+
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const event = JSON.parse(line);
+            if (isPlainObject(event)) {
+                events.push(event);
+                continue;
+            }
+        } catch {
+            // counted below
+        }
+        invalid++;
+    }
+
+    return { events, invalid };
+}
+
+/**
+ * Check whether an event changed a field or anything under it
+ * @param {HistoryEvent} event
+ * @param {string} field - Dotted path ("discord" matches "discord.channel_id")
+ * @returns {boolean}
+ */
+export function eventTouchesField(event, field) {
+    return (event.fields || []).some(path => path === field || path.startsWith(`${field}.`));
+}
@@ -1,6 +1,7 @@
 import { readFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { KB_ROOT } from './path-utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -13,7 +14,7 @@ let modulesConfig = null;
 async function loadModulesConfig() {
     if (modulesConfig) return modulesConfig;
 
-    const configPath = join(__dirname, '../../../.tf/modules-config.json');
+    const configPath = join(KB_ROOT, '.tf', 'modules-config.json');
     const content = await readFile(configPath, 'utf-8');
     modulesConfig = JSON.parse(content);
 
@@ -150,6 +151,5 @@ export async function getVectorDbPath(moduleId) {
         throw new Error(`Vector DB not enabled for module '${moduleId}'`);
     }
 
-    const kbRoot = join(__dirname, '../../..');
-    return join(kbRoot, module.vectorDb.path, 'vectors.json');
+    return join(KB_ROOT, module.vectorDb.path, 'vectors.json');
 }
@@ -0,0 +1,136 @@
+// Mission Objectives
+// Parses and edits the `## Objectives` checklist in a mission's description.md
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const ITEM_PATTERN = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/;
+const OWNER_PATTERN = /(^|\s)@([\w.-]+)/;
+const DUE_PATTERN = /\(?\bdue:\s*(\d{4}-\d{2}-\d{2})\)?/i;
+
+/**
+ * A checklist item
+ * @typedef {Object} Objective
+ * @property {number} index - 1-based position in the checklist
+ * @property {string} text - Item text without the owner and due annotations
+ * @property {boolean} done - Whether the box is ticked
+ * @property {string|null} owner - From an `@name` annotation
+ * @property {string|null} due - From a `(due: YYYY-MM-DD)` annotation
+ * @property {number} line - 0-based line number in the file
+ */
+
+/**
+ * Find the Objectives section
+ * @param {string[]} lines - File lines
+ * @returns {{heading: number, end: number}|null} Heading line and the line after the section
+ */
+function findSection(lines) {
+    const heading = lines.findIndex(line => {
+        const match = line.match(HEADING_PATTERN);
+        return match && match[2].toLowerCase() === 'objectives';
+    });
+    if (heading === -1) return null;
+
+    const level = lines[heading].match(HEADING_PATTERN)[1].length;
+    let end = heading + 1;
+    while (end < lines.length) {
+        const match = lines[end].match(HEADING_PATTERN);
+        if (match && match[1].length <= level) break;
+        end++;
+    }
+    return { heading, end };
+}
+
+/**
+ * Parse the objectives checklist
+ * @param {string} markdown - description.md contents
+ * @returns {Objective[]} Items in file order (empty when there is no Objectives section)
+ */
+export function parseObjectives(markdown) {
+    const lines = markdown.split('\n');
+    const section = findSection(lines);
+    if (!section) return [];
+
+    const objectives = [];
+    for (let i = section.heading + 1; i < section.end; i++) {
+        const match = lines[i].match(ITEM_PATTERN);
+        if (!match) continue;
+
+        const body = match[3];
+        const text = body.replace(DUE_PATTERN, '').replace(OWNER_PATTERN, '$1').replace(/\s+/g, ' ').trim();
+        objectives.push({
+            index: objectives.length + 1,
+            text,
+            done: match[2] !== ' ',
+            owner: body.match(OWNER_PATTERN)?.[2] || null,
+            due: body.match(DUE_PATTERN)?.[1] || null,
+            line: i,
+        });
+    }
+    return objectives;
+}
+
+/**
+ * Summarize checklist completion
+ * @param {Objective[]} objectives - Parsed objectives
+ * @returns {{total: number, done: number, percent: number|null}} percent is null without objectives
+ */
+export function summarizeObjectives(objectives) {
+    const done = objectives.filter(o => o.done).length;
+    return {
+        total: objectives.length,
+        done,
+        percent: objectives.length > 0 ? Math.round((done / objectives.length) * 100) : null,
+    };
+}
+
+/**
+ * Add an objective to the end of the checklist
+ * The section is appended to the file if it does not exist yet.
+ * @param {string} markdown - description.md contents
+ * @param {Object} objective
+ * @param {string} objective.text - Objective text
+ * @param {string} [objective.owner] - Owner (written as `@owner`)
+ * @param {string} [objective.due] - Due date YYYY-MM-DD (written as `(due: ...)`)
+ * @returns {string} Updated markdown
+ */
+export function addObjective(markdown, { text, owner, due }) {
+    const item = `- [ ] ${text}${owner ? ` @${owner.replace(/^@/, '')}` : ''}${due ? ` (due: ${due})` : ''}`;
+    const lines = markdown.split('\n');
+    const section = findSection(lines);
+
+    if (!section) {
+        const trimmed = markdown.replace(/\n+$/, '');
+        return `${trimmed}${trimmed ? '\n\n' : ''}## Objectives\n\n${item}\n`;
+    }
+
+    const objectives = parseObjectives(markdown);
+    let insertAt;
+    let insert;
+    if (objectives.length > 0) {
+        insertAt = objectives[objectives.length - 1].line + 1;
+        insert = [item];
+    } else {
+        // After the section's last non-blank line
+        let last = section.end - 1;
+        while (last > section.heading && !lines[last].trim()) last--;
+        insertAt = last + 1;
+        insert = ['', item];
+    }
+    // Keep a blank line before the next heading
+    if (insertAt < lines.length && HEADING_PATTERN.test(lines[insertAt])) insert.push('');
+
+    lines.splice(insertAt, 0, ...insert);
+    return lines.join('\n');
+}
+
+/**
+ * Tick or untick an objective, leaving the rest of the line untouched
+ * @param {string} markdown - description.md contents
+ * @param {Objective} objective - Objective to change (from parseObjectives)
+ * @param {boolean} done - New state
+ * @returns {string} Updated markdown
+ */
+export function setObjectiveDone(markdown, objective, done) {
+    const lines = markdown.split('\n');
+    lines[objective.line] = lines[objective.line].replace(/\[[ xX]\]/, done ? '[x]' : '[ ]');
+    return lines.join('\n');
+}
@@ -1,7 +1,8 @@
 import { fileURLToPath } from 'url';
 import { dirname, join, resolve, relative } from 'path';
-import { readFile, writeFile, access, mkdir } from 'fs/promises';
+import { readFile, writeFile, appendFile, access, mkdir, rename } from 'fs/promises';
 import { constants } from 'fs';
+import { checkPathAccess } from '../auth/path-acl.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -96,6 +97,7 @@ export async function fileExists(path) {
  * Read file content
  * @param {string} path - Path to file
  * @returns {Promise<string>} File content
+ * @throws {AuthorizationError} If the caller's role cannot read the folder (path ACL)
  */
 export async function readKBFile(path) {
     const absolutePath = resolveKBPath(path);
@@ -104,6 +106,8 @@ export async function readKBFile(path) {
         throw new Error(`Path traversal detected: ${path}`);
     }
 
+    checkPathAccess(relative(KB_ROOT, absolutePath), 'read');
+
     if (!await fileExists(absolutePath)) {
         throw new Error(`File not found: ${path}`);
     }
@@ -115,6 +119,7 @@ export async function readKBFile(path) {
  * Write file content
  * @param {string} path - Path to file
  * @param {string} content - Content to write
+ * @throws {AuthorizationError} If the caller's role cannot write the folder (path ACL)
  */
 export async function writeKBFile(path, content) {
     const absolutePath = resolveKBPath(path);
@@ -123,6 +128,8 @@ export async function writeKBFile(path, content) {
         throw new Error(`Path traversal detected: ${path}`);
     }
 
+    checkPathAccess(relative(KB_ROOT, absolutePath), 'write');
+
     // Ensure directory exists
     const dir = dirname(absolutePath);
     await mkdir(dir, { recursive: true });
@@ -130,6 +137,26 @@ export async function writeKBFile(path, content) {
     await writeFile(absolutePath, content, 'utf-8');
 }
 
+/**
+ * Append to a file, creating it if needed
+ * Existing content is never rewritten.
+ * @param {string} path - Path to file
+ * @param {string} content - Content to append
+ * @throws {AuthorizationError} If the caller's role cannot write the folder (path ACL)
+ */
+export async function appendKBFile(path, content) {
+    const absolutePath = resolveKBPath(path);
+
+    if (!isPathSafe(absolutePath)) {
+        throw new Error(`Path traversal detected: ${path}`);
+    }
+
+    checkPathAccess(relative(KB_ROOT, absolutePath), 'write');
+
+    await mkdir(dirname(absolutePath), { recursive: true });
+    await appendFile(absolutePath, content, 'utf-8');
+}
+
 /**
  * Create directory if it doesn't exist
  * @param {string} path - Path to directory
@@ -141,5 +168,34 @@ export async function ensureDirectory(path) {
         throw new Error(`Path traversal detected: ${path}`);
     }
 
+    checkPathAccess(relative(KB_ROOT, absolutePath), 'write');
+
     await mkdir(absolutePath, { recursive: true });
 }
+
+/**
+ * Move a file or directory within the KB
+ * A single rename, so the move is atomic: readers see the old or the new location, never a partial copy.
+ * @param {string} from - Existing KB-relative path
+ * @param {string} to - New KB-relative path (must not exist)
+ * @throws {AuthorizationError} If the caller's role cannot write either folder (path ACL)
+ * @throws {Error} If the target already exists
+ */
+export async function moveKBPath(from, to) {
+    const absoluteFrom = resolveKBPath(from);
+    const absoluteTo = resolveKBPath(to);
+
+    for (const [path, absolutePath] of [[from, absoluteFrom], [to, absoluteTo]]) {
+        if (!isPathSafe(absolutePath)) {
+            throw new Error(`Path traversal detected: ${path}`);
+        }
+        checkPathAccess(relative(KB_ROOT, absolutePath), 'write');
+    }
+
+    if (await fileExists(absoluteTo)) {
+        throw new Error(`Cannot move ${from} to ${to}: target already exists`);
+    }
+
+    await mkdir(dirname(absoluteTo), { recursive: true });
+    await rename(absoluteFrom, absoluteTo);
+}
@@ -0,0 +1,197 @@
+// Mission State Machine
+// Mission statuses, the folder each lives in and the allowed transitions (config/mission-states.yaml)
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { KB_ROOT } from '../utils/path-utils.js';
+
+/**
+ * Category folders under missions/ (findMissionPath and missionsList look in each)
+ */
+export const MISSION_FOLDERS = ['active', 'completed', 'archived', 'planned', 'draft'];
+
+const stateSchema = z.object({
+    description: z.string().optional(),
+    folder: z.enum(MISSION_FOLDERS),
+    // target status → mission.yaml fields required to enter it
+    transitions: z.record(z.array(z.string().min(1))).default({}),
+});
+
+const missionStatesSchema = z.object({
+    version: z.number().int().default(1),
+    initial: z.string().min(1).default('active'),
+    states: z.record(stateSchema),
+}).superRefine((config, ctx) => {
+    const names = Object.keys(config.states);
+    if (!names.includes(config.initial)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: `initial state "${config.initial}" is not defined` });
+    }
+    for (const [name, state] of Object.entries(config.states)) {
+        for (const target of Object.keys(state.transitions)) {
+            if (!names.includes(target)) {
+                ctx.addIssue({ code: z.ZodIssueCode.custom, message: `${name} → ${target}: "${target}" is not defined` });
+            }
+        }
+    }
+});
+
+/**
+ * Built-in lifecycle, used when no config/mission-states.yaml exists
+ */
+const DEFAULT_MISSION_STATES = {
+    initial: 'active',
+    states: {
+        draft: {
+            description: 'Idea being written up',
+            folder: 'draft',
+            transitions: { planned: [], active: [], archived: ['closing_note'] },
+        },
+        planned: {
+            description: 'Approved, not started',
+            folder: 'planned',
+            transitions: { draft: [], active: [], 'on-hold': [], archived: ['closing_note'] },
+        },
+        active: {
+            description: 'In progress',
+            folder: 'active',
+            transitions: {
+                blocked: ['blocked_reason'],
+                'on-hold': [],
+                completed: ['completed_at', 'closing_note'],
+                archived: ['closing_note'],
+            },
+        },
+        blocked: {
+            description: 'In progress, waiting on something outside the team',
+            folder: 'active',
+            transitions: { active: [], 'on-hold': [], archived: ['closing_note'] },
+        },
+        'on-hold': {
+            description: 'Paused on purpose',
+            folder: 'active',
+            transitions: { active: [], planned: [], archived: ['closing_note'] },
+        },
+        completed: {
+            description: 'Done',
+            folder: 'completed',
+            transitions: { archived: [] },
+        },
+        archived: {
+            description: 'Closed and kept for reference',
+            folder: 'archived',
+            transitions: {},
+        },
+    },
+};
+
+// Cached state machine, reloaded when the file's mtime changes
+let cached = null;
+
+/**
+ * Get the mission state machine file location
+ * @returns {string} Absolute path (ORBIOS_MISSION_STATES_PATH or {KB_ROOT}/config/mission-states.yaml)
+ */
+export function getMissionStatesPath() {
+    return process.env.ORBIOS_MISSION_STATES_PATH
+        ? path.resolve(process.env.ORBIOS_MISSION_STATES_PATH)
+        : path.join(KB_ROOT, 'config', 'mission-states.yaml');
+}
+
+/**
+ * Load the mission state machine
+ * Without a file the built-in lifecycle applies.
+ * An unreadable or invalid file throws, so a broken config never allows a transition.
+ * @returns {{initial: string, states: Object, source: string}}
+ */
+export function loadMissionStates() {
+    const statesPath = getMissionStatesPath();
+
+    let stat;
+    try {
+        stat = fs.statSync(statesPath);
+    } catch {
+        return { ...DEFAULT_MISSION_STATES, source: 'built-in' };
+    }
+
+    if (cached && cached.path === statesPath && cached.mtimeMs === stat.mtimeMs) {
+        return cached.config;
+    }
+
+    let parsed;
+    try {
+        parsed = missionStatesSchema.parse(YAML.parse(fs.readFileSync(statesPath, 'utf-8')) || {});
+    } catch (error) {
+        throw new Error(`Invalid mission states ${statesPath}: ${error.message}`);
+    }
+
+    const config = { initial: parsed.initial, states: parsed.states, source: statesPath };
+    cached = { path: statesPath, mtimeMs: stat.mtimeMs, config };
+
+    console.error('[Missions] Loaded mission states:', statesPath);
+    return config;
+}
+
+/**
+ * Get the defined mission statuses
+ * @returns {string[]}
+ */
+export function getMissionStatuses() {
+    return Object.keys(loadMissionStates().states);
+}
+
+/**
+ * Get the folder missions with a status live in
+ * @param {string} status - Mission status
+ * @returns {string} Category folder under missions/
+ * @throws {Error} If the status is not defined
+ */
+export function getStatusFolder(status) {
+    const state = loadMissionStates().states[status];
+    if (!state) {
+        throw new Error(`Invalid mission status: "${status}". Must be one of: ${getMissionStatuses().join(', ')}`);
+    }
+    return state.folder;
+}
+
+/**
+ * Check a status change against the state machine
+ * @param {Object} mission - Current mission.yaml data
+ * @param {string} to - Requested status
+ * @param {Object} [updates] - Fields set by the same update
+ * @returns {{from: string, to: string, allowed: boolean, reason?: string, requires: string[], missing: string[]}}
+ *   `allowed` is false for transitions the machine does not define; `missing` lists required
+ *   fields the update does not provide. Values left on the mission from an earlier visit to the
+ *   state do not count, so every entry needs its own reason.
+ */
+export function checkTransition(mission, to, updates = {}) {
+    const { states } = loadMissionStates();
+    const from = mission.status;
+
+    if (!states[to]) {
+        return { from, to, allowed: false, reason: `"${to}" is not a mission status`, requires: [], missing: [] };
+    }
+    if (from === to) {
+        return { from, to, allowed: true, requires: [], missing: [] };
+    }
+    if (!states[from]) {
+        return { from, to, allowed: false, reason: `current status "${from}" is not in the state machine`, requires: [], missing: [] };
+    }
+
+    const requires = states[from].transitions[to];
+    if (!requires) {
+        const allowed = Object.keys(states[from].transitions);
+        return {
+            from,
+            to,
+            allowed: false,
+            reason: `${from} → ${to} is not allowed (from ${from}: ${allowed.join(', ') || 'none'})`,
+            requires: [],
+            missing: [],
+        };
+    }
+
+    const isSet = field => updates[field] !== undefined && updates[field] !== null && updates[field] !== '';
+    return { from, to, allowed: true, requires, missing: requires.filter(field => !isSet(field)) };
+}
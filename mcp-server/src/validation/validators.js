@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { getMissionStatuses, loadMissionStates } from './mission-states.js';
+import { CHAT_TAGS } from '../utils/chat-log.js';
 
 /**
  * Validate mission ID format (kebab-case)
@@ -31,7 +33,7 @@ export function validateMissionId(id) {
  * @throws {Error} If status is invalid
  */
 export function validateMissionStatus(status) {
-    const validStatuses = ['active', 'completed', 'archived'];
+    const validStatuses = getMissionStatuses();
 
     if (!validStatuses.includes(status)) {
         throw new Error(
@@ -40,44 +42,174 @@ export function validateMissionStatus(status) {
     }
 }
 
+/**
+ * Mission status (checked against config/mission-states.yaml by validateMissionStatus)
+ */
+const missionStatusSchema = z.string().min(1)
+    .describe('Mission status (a state defined in config/mission-states.yaml)');
+
+/**
+ * Agent configuration schema
+ */
+const missionAgentSchema = z.object({
+    model: z.string().describe('AI model name'),
+    alias: z.string().describe('AI model alias')
+});
+
 /**
  * Mission creation schema
  */
 export const missionCreateSchema = z.object({
-    id: z.string().min(1),
-    title: z.string().min(1),
-    status: z.enum(['active', 'completed', 'archived']).default('active'),
-    participants: z.array(z.string()).optional().default([]),
-    agent: z.object({
-        model: z.string(),
-        alias: z.string()
-    }).optional()
+    id: z.string().min(1).describe('Mission ID in kebab-case format (e.g., "new-mission-2025")'),
+    title: z.string().min(1).describe('Mission title'),
+    status: missionStatusSchema.optional().describe('Mission status (default: the initial state, usually active)'),
+    participants: z.array(z.string()).optional().default([]).describe('Array of participant user IDs'),
+    agent: missionAgentSchema.optional().describe('Agent configuration (optional)')
+});
+
+/**
+ * Mission read schema
+ */
+export const missionReadSchema = z.object({
+    id: z.string().min(1).describe('Mission ID')
 });
 
 /**
  * Mission update schema
  */
 export const missionUpdateSchema = z.object({
-    id: z.string().min(1),
+    id: z.string().min(1).describe('Mission ID'),
     updates: z.object({
         title: z.string().optional(),
-        status: z.enum(['active', 'completed', 'archived']).optional(),
+        status: missionStatusSchema.optional(),
         participants: z.array(z.string()).optional(),
-        agent: z.object({
-            model: z.string(),
-            alias: z.string()
-        }).optional()
-    })
+        agent: missionAgentSchema.optional(),
+        completed_at: z.string().datetime({ offset: true }).optional().describe('Completion time (ISO 8601)'),
+        closing_note: z.string().min(1).optional().describe('Why the mission was completed or archived'),
+        blocked_reason: z.string().min(1).optional().describe('What the mission is waiting on')
+    }).describe('Fields to update'),
+    reopen: z.boolean().optional().describe('Admin only: allow a status change the state machine does not define (e.g. archived → active)')
+});
+
+/**
+ * Mission objectives list schema
+ */
+export const missionObjectivesListSchema = z.object({
+    id: z.string().min(1).describe('Mission ID')
+});
+
+/**
+ * Mission objective add schema
+ */
+export const missionObjectiveAddSchema = z.object({
+    id: z.string().min(1).describe('Mission ID'),
+    text: z.string().trim().min(1).refine(text => !text.includes('\n'), 'Must be a single line')
+        .describe('Objective text'),
+    owner: z.string().regex(/^@?[\w.-]+$/).optional().describe('Owner username (written as @owner)'),
+    due: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe('Due date (YYYY-MM-DD)')
+});
+
+/**
+ * Mission objective set-done schema
+ */
+export const missionObjectiveSetDoneSchema = z.object({
+    id: z.string().min(1).describe('Mission ID'),
+    index: z.number().int().positive().optional().describe('Objective number from missions_objectives_list'),
+    text: z.string().min(1).optional().describe('Objective text (or a unique part of it) if no index is given'),
+    done: z.boolean().default(true).describe('Tick (true) or untick (false)')
+}).refine(input => input.index !== undefined || input.text !== undefined, {
+    message: 'Either index or text is required'
+});
+
+const isoDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Must be YYYY-MM-DD');
+
+/**
+ * Mission chat append schema
+ */
+export const missionChatAppendSchema = z.object({
+    id: z.string().min(1).describe('Mission ID'),
+    text: z.string().trim().min(1).describe('Entry text (may span several lines)'),
+    tags: z.array(z.enum(CHAT_TAGS)).optional().default([]).describe('Entry tags: decision, blocker, note')
+});
+
+/**
+ * Mission chat read schema
+ */
+export const missionChatReadSchema = z.object({
+    id: z.string().min(1).describe('Mission ID'),
+    from: isoDateSchema.optional().describe('First day to include (YYYY-MM-DD, UTC)'),
+    to: isoDateSchema.optional().describe('Last day to include (YYYY-MM-DD, UTC)'),
+    author: z.string().min(1).optional().describe('Only entries by this author (case-insensitive)'),
+    tag: z.enum(CHAT_TAGS).optional().describe('Only entries with this tag'),
+    limit: z.number().int().positive().max(500).optional().describe('Return only the most recent entries')
+});
+
+/**
+ * Mission history schema
+ */
+export const missionHistorySchema = z.object({
+    id: z.string().min(1).describe('Mission ID'),
+    from: isoDateSchema.optional().describe('First day to include (YYYY-MM-DD, UTC)'),
+    to: isoDateSchema.optional().describe('Last day to include (YYYY-MM-DD, UTC)'),
+    actor: z.string().min(1).optional().describe('Only events by this user ID or username (case-insensitive)'),
+    tool: z.string().min(1).optional().describe('Only events made by this tool (e.g. missions_update)'),
+    field: z.string().min(1).optional().describe('Only events that changed this field or anything under it (e.g. status, discord)'),
+    limit: z.number().int().positive().max(500).optional().describe('Return only the most recent events')
 });
 
 /**
  * Mission list filter schema
  */
 export const missionListFilterSchema = z.object({
-    status: z.enum(['active', 'completed', 'archived']).optional(),
-    participant: z.string().optional()
+    status: missionStatusSchema.optional().describe('Filter by status'),
+    participant: z.string().optional().describe('Filter by participant user ID')
 }).optional();
 
+/**
+ * Mission list schema
+ */
+export const missionListSchema = z.object({
+    filter: missionListFilterSchema
+});
+
+/**
+ * Mission context scan schema
+ */
+export const missionScanContextSchema = z.object({
+    output_path: z.string().optional().describe('Output path for bundles JSON file (default: .ai/summaries/missions_bundles.json)')
+});
+
+/**
+ * Mission Discord channel link schema
+ */
+export const missionLinkDiscordChannelSchema = z.object({
+    mission_id: z.string().min(1).describe('Mission ID to link'),
+    channel_id: z.string().min(1).describe('Discord channel ID'),
+    channel_name: z.string().optional().describe('Discord channel name (optional)'),
+    guild_id: z.string().optional().describe('Discord guild/server ID (optional)')
+});
+
+/**
+ * Mission Discord context import schema
+ */
+export const missionImportDiscordContextSchema = z.object({
+    mission_id: z.string().min(1).describe('Mission ID to import context into'),
+    channel_id: z.string().optional().describe('Discord channel ID (optional if mission already has linked channel)'),
+    output_path: z.string().optional().describe('Output path for context file (optional, defaults to mission/discord-context.md)'),
+    format: z.string().default('markdown').describe('Output format')
+});
+
+/**
+ * Mission Discord summary schema
+ */
+export const missionGenerateDiscordSummarySchema = z.object({
+    mission_id: z.string().optional().describe('Mission ID (if generating summary for a mission-linked channel)'),
+    channel_id: z.string().optional().describe('Discord channel ID (required if mission_id not provided)'),
+    period: z.enum(['daily', 'weekly', 'monthly']).default('daily').describe('Summary period'),
+    output_path: z.string().optional().describe('Output path for summary file (optional)'),
+    format: z.string().default('markdown').describe('Output format')
+});
+
 /**
  * Validate mission creation input
  * @param {Object} input - Input to validate
@@ -86,6 +218,10 @@ export const missionListFilterSchema = z.object({
 export function validateMissionCreate(input) {
     const validated = missionCreateSchema.parse(input);
     validateMissionId(validated.id);
+
+    validated.status = validated.status || loadMissionStates().initial;
+    validateMissionStatus(validated.status);
+
     return validated;
 }
 
@@ -0,0 +1,197 @@
+// Audit log tests
+// Redaction, hash chaining across rotations, and audit_query filters
+
+import { test, before, after, beforeEach, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let audit;
+let auditTools;
+let auth;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'kb-audit-'));
+    process.env.ORBIOS_AUDIT_DIR = join(dir, 'audit');
+    process.env.ORBIOS_POLICY_PATH = join(dir, 'policy.yaml'); // absent → built-in matrix
+
+    audit = await import('../src/auth/audit-log.js');
+    auditTools = await import('../src/tools/audit.js');
+    auth = await import('../src/auth/index.js');
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    await rm(join(dir, 'audit'), { recursive: true, force: true });
+    delete process.env.ORBIOS_AUDIT_MAX_BYTES;
+});
+
+/**
+ * Read every entry of the current audit file
+ */
+async function currentEntries() {
+    const raw = await readFile(join(dir, 'audit', 'audit.jsonl'), 'utf-8');
+    return raw.trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('redaction', () => {
+    test('removes secrets, PII and free-text content from args', async () => {
+        audit.appendAuditEntry({
+            toolName: 'hr_candidate_save',
+            allowed: true,
+            args: {
+                firstName: 'Ada',
+                email: 'ada@example.com',
+                password: 'hunter2',
+                content: 'Strong candidate, weak on ops',
+                notes: [{ text: 'reach me at ada@example.com' }],
+                query: 'token eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl and mail bob@example.com'
+            }
+        });
+
+        const [entry] = await currentEntries();
+        assert.equal(entry.args.firstName, 'Ada');
+        assert.equal(entry.args.email, audit.REDACTED);
+        assert.equal(entry.args.password, audit.REDACTED);
+        assert.equal(entry.args.content, `${audit.REDACTED} (29 chars)`);
+        assert.equal(entry.args.notes[0].text, `${audit.REDACTED} (27 chars)`);
+        assert.equal(entry.args.query, `token ${audit.REDACTED} and mail ${audit.REDACTED}`);
+    });
+});
+
+describe('hash chain', () => {
+    test('verifies an untouched log across rotated files', async () => {
+        process.env.ORBIOS_AUDIT_MAX_BYTES = '600';
+        for (let i = 0; i < 6; i++) {
+            audit.appendAuditEntry({ toolName: 'missions_list', allowed: true, args: { i } });
+        }
+
+        const files = (await readdir(join(dir, 'audit'))).filter(name => name.endsWith('.jsonl'));
+        assert.ok(files.length > 1, 'expected size-based rotation');
+        assert.deepEqual(audit.verifyAuditLog(), { valid: true, entries: 6, files: files.length });
+    });
+
+    test('detects a modified entry', async () => {
+        for (let i = 0; i < 3; i++) {
+            audit.appendAuditEntry({ toolName: 'missions_read', allowed: false, args: { i } });
+        }
+
+        const path = join(dir, 'audit', 'audit.jsonl');
+        const raw = await readFile(path, 'utf-8');
+        await writeFile(path, raw.replace('"allowed":false,"args":{"i":1}', '"allowed":true,"args":{"i":1}'));
+
+        const result = audit.verifyAuditLog();
+        assert.equal(result.valid, false);
+        assert.equal(result.error.line, 2);
+        assert.match(result.error.reason, /hash mismatch/);
+    });
+
+    describe('removed entries', () => {
+        let path;
+        let lines;
+
+        beforeEach(async () => {
+            for (let i = 0; i < 4; i++) {
+                audit.appendAuditEntry({ toolName: 'missions_read', allowed: true, args: { i } });
+            }
+            path = join(dir, 'audit', 'audit.jsonl');
+            lines = (await readFile(path, 'utf-8')).trim().split('\n');
+        });
+
+        const keep = (...indexes) => writeFile(path, indexes.map(i => lines[i]).join('\n') + '\n');
+
+        test('from the start', async () => {
+            await keep(1, 2, 3);
+            const result = audit.verifyAuditLog();
+            assert.equal(result.error.line, 1);
+            assert.match(result.error.reason, /chain starts at seq 2 .*removed from the start/);
+        });
+
+        test('from the middle', async () => {
+            await keep(0, 2, 3);
+            const result = audit.verifyAuditLog();
+            assert.equal(result.error.line, 2);
+            assert.match(result.error.reason, /chain broken/);
+        });
+
+        test('from the end', async () => {
+            await keep(0, 1);
+            const result = audit.verifyAuditLog();
+            assert.equal(result.error.line, 2);
+            assert.match(result.error.reason, /ends at seq 2 but the head is at seq 4/);
+        });
+
+        test('all of them', async () => {
+            await writeFile(path, '');
+            assert.match(audit.verifyAuditLog().error.reason, /ends at seq 0 but the head is at seq 4/);
+        });
+
+        test('with the head record', async () => {
+            await rm(join(dir, 'audit', 'head.json'));
+            assert.match(audit.verifyAuditLog().error.reason, /head record missing/);
+        });
+    });
+
+    test('detects a removed rotated file', async () => {
+        process.env.ORBIOS_AUDIT_MAX_BYTES = '600';
+        for (let i = 0; i < 6; i++) {
+            audit.appendAuditEntry({ toolName: 'missions_list', allowed: true, args: { i } });
+        }
+
+        // Rotations within the same second get a counter, so find the oldest file by content
+        for (const name of await readdir(join(dir, 'audit'))) {
+            if (name.startsWith('audit-') && (await readFile(join(dir, 'audit', name), 'utf-8')).startsWith('{"seq":1,')) {
+                await rm(join(dir, 'audit', name));
+            }
+        }
+
+        assert.match(audit.verifyAuditLog().error.reason, /removed from the start/);
+    });
+});
+
+describe('audit_query', () => {
+    beforeEach(() => {
+        const events = [
+            ['2026-10-01T10:00:00.000Z', '100', 'missions_list', true],
+            ['2026-10-02T10:00:00.000Z', '100', 'missions_create', false],
+            ['2026-10-03T10:00:00.000Z', '200', 'missions_update', true],
+            ['2026-10-04T10:00:00.000Z', 'service:bot', 'discord_read_messages', true],
+        ];
+        for (const [timestamp, userId, toolName, allowed] of events) {
+            audit.appendAuditEntry({ timestamp, toolName, allowed, userId });
+        }
+    });
+
+    test('filters by user, tool glob, time range and outcome', async () => {
+        const byUser = await auditTools.auditQuery({ user_id: '100', limit: 100 });
+        assert.deepEqual(byUser.entries.map(e => e.toolName), ['missions_create', 'missions_list']);
+
+        const byTool = await auditTools.auditQuery({ tool: 'missions_*', allowed: true, limit: 100 });
+        assert.deepEqual(byTool.entries.map(e => e.toolName), ['missions_update', 'missions_list']);
+
+        const byTime = await auditTools.auditQuery({
+            from: '2026-10-02T00:00:00Z',
+            to: '2026-10-03T23:59:59Z',
+            limit: 1,
+            verify_chain: true
+        });
+        assert.equal(byTime.total_matched, 2);
+        assert.deepEqual(byTime.entries.map(e => e.toolName), ['missions_update']);
+        assert.equal(byTime.chain.valid, true);
+    });
+
+    test('is restricted to admins', async () => {
+        const asRole = async roles => await auth.withAuthContext(
+            { user: { user_id: '100000000000000001', username: 'tester', roles } },
+            async () => auth.checkToolAuthorization('audit_query')
+        );
+
+        await assert.doesNotReject(() => asRole([auth.DISCORD_ROLES.CORE_LEAD]));
+        await assert.rejects(() => asRole([auth.DISCORD_ROLES.DEV_LEAD]), auth.AuthorizationError);
+    });
+});
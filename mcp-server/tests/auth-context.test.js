@@ -0,0 +1,81 @@
+// Auth context tests
+// Per-request AsyncLocalStorage isolation and debug-only authentication logging
+
+import { test, before, after, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { ROLE_USERS, createTestKB, removeTestKB, as } from './helpers/kb-fixture.js';
+
+let authManager;
+
+before(async () => {
+    await createTestKB('auth-context');
+    delete process.env.ORBIOS_USER_ID;
+    delete process.env.DEBUG;
+
+    ({ authManager } = await import('../src/auth/auth-manager.js'));
+});
+
+after(removeTestKB);
+
+describe('request isolation', () => {
+    test('overlapping requests keep their own context across awaits', async () => {
+        const seen = [];
+
+        // The admin request starts first and finishes last; the member request runs in between
+        const observe = (label, delays) => async () => {
+            for (const ms of delays) {
+                await sleep(ms);
+                const context = authManager.getContext();
+                seen.push([label, context.userId, context.kbRole]);
+            }
+            return authManager.getRequestContext().userId;
+        };
+
+        const [adminId, memberId] = await Promise.all([
+            as('admin', observe('admin', [5, 60, 5])),
+            as('member', observe('member', [20, 10, 10]))
+        ]);
+
+        assert.equal(adminId, ROLE_USERS.admin.user_id);
+        assert.equal(memberId, ROLE_USERS.member.user_id);
+        assert.deepEqual(seen.map(([label]) => label), ['admin', 'member', 'member', 'member', 'admin', 'admin']);
+        for (const [label, userId, kbRole] of seen) {
+            assert.equal(userId, ROLE_USERS[label].user_id);
+            assert.equal(kbRole, label);
+        }
+
+        // Nothing leaks outside the requests
+        assert.equal(authManager.getRequestContext(), null);
+        assert.equal(authManager.getContext().kbRole, 'public');
+    });
+
+    test('a nested request does not change the outer one', async () => {
+        const roles = await as('team', async () => {
+            const inner = await as('member', async () => authManager.getContext().kbRole);
+            return [inner, authManager.getContext().kbRole];
+        });
+        assert.deepEqual(roles, ['member', 'team']);
+    });
+});
+
+describe('authentication logging', () => {
+    const authLines = calls => calls
+        .map(call => String(call.arguments[0]))
+        .filter(line => line.startsWith('[Auth]'));
+
+    test('is silent unless DEBUG=true', async () => {
+        const logged = mock.method(console, 'error', () => {});
+        try {
+            await as('team', async () => {});
+            assert.deepEqual(authLines(logged.mock.calls), []);
+
+            process.env.DEBUG = 'true';
+            await as('team', async () => {});
+            assert.deepEqual(authLines(logged.mock.calls), ['[Auth] Using configured roles:']);
+        } finally {
+            delete process.env.DEBUG;
+            logged.mock.restore();
+        }
+    });
+});
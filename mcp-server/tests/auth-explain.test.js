@@ -0,0 +1,168 @@
+// auth_explain / auth_run_as tests
+// Role resolution chain, deciding rule and data filter, and admin run-as for read tools
+
+import { test, before, after, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { ADMIN_ID, MEMBER_ID, createTestKB, removeTestKB, writeMission, callTool } from './helpers/kb-fixture.js';
+
+const MISSIONS = {
+    'internal-tooling': { status: 'active', participants: [MEMBER_ID] },
+    'public-launch': { status: 'active', participants: ['300000000000000001'], access_level: 'public' },
+    'board-strategy': { status: 'active', participants: ['300000000000000002'], access_level: 'private' }
+};
+
+let kbRoot;
+let auth;
+
+const admin = () => ({ user_id: ADMIN_ID, username: 'lead', roles: [auth.DISCORD_ROLES.CORE_LEAD] });
+const member = () => ({ user_id: MEMBER_ID, username: 'dev', roles: [auth.DISCORD_ROLES.DEV] });
+
+before(async () => {
+    kbRoot = await createTestKB('explain');
+    process.env.ORBIOS_AUDIT_DIR = join(kbRoot, 'audit');
+    for (const [id, data] of Object.entries(MISSIONS)) {
+        await writeMission(id, data);
+    }
+
+    auth = await import('../src/auth/index.js');
+    const registry = await import('../src/tools/registry.js');
+    const { authTools } = await import('../src/tools/auth-tools.js');
+    const { missionTools } = await import('../src/tools/missions.js');
+    registry.registerTools(missionTools);
+    registry.registerTools(authTools);
+});
+
+after(removeTestKB);
+
+describe('auth_explain', () => {
+    test('explains the caller\'s own access with the deciding rule and filter', async () => {
+        const result = await callTool(member(), 'auth_explain', { tool: 'missions:list' });
+
+        assert.equal(result.tool, 'missions_list');
+        assert.equal(result.allowed, true);
+        assert.equal(result.identity.user_id, MEMBER_ID);
+        assert.equal(result.role_resolution.kb_role, 'member');
+        assert.equal(result.role_resolution.method, 'role-mapping');
+        assert.deepEqual(result.role_resolution.discord_roles, [auth.DISCORD_ROLES.DEV]);
+        assert.equal(result.policy.rule, 'TOOL_PERMISSIONS.missions_list.member');
+        assert.equal(result.data_filter.type, 'assigned');
+        assert.equal(result.data_filter.access_filter.assignedTo, MEMBER_ID);
+        assert.equal(result.read_only, true);
+    });
+
+    test('reports denials and the rule that caused them', async () => {
+        const result = await callTool(member(), 'auth_explain', { tool: 'missions_create' });
+
+        assert.equal(result.allowed, false);
+        assert.equal(result.denial.rule, 'TOOL_PERMISSIONS.missions_create.member');
+        assert.equal(result.tool_permissions.value, false);
+        assert.equal(result.data_filter.access_filter, null);
+    });
+
+    test('validates args against the tool schema', async () => {
+        const result = await callTool(member(), 'auth_explain', { tool: 'missions_read', args: { id: 42 } });
+
+        assert.equal(result.arguments.valid, false);
+        assert.match(result.arguments.errors[0], /^id: /);
+    });
+
+    test('admins can explain access for another user by database role', async () => {
+        const result = await callTool(admin(), 'auth_explain', {
+            tool: 'missions_list',
+            user_id: '400000000000000001',
+            db_roles: ['dev_lead']
+        });
+
+        assert.equal(result.identity.user_id, '400000000000000001');
+        assert.equal(result.role_resolution.kb_role, 'team');
+        assert.deepEqual(result.role_resolution.matched, ['db:dev_lead']);
+        assert.equal(result.data_filter.type, 'team');
+    });
+
+    test('non-admins cannot explain access for another user', async () => {
+        await assert.rejects(
+            callTool(member(), 'auth_explain', { tool: 'missions_list', user_id: ADMIN_ID }),
+            { name: 'AuthorizationError' }
+        );
+    });
+
+    test('non-admins are refused before the target user is looked up', async () => {
+        const created = mock.method(auth.authManager, 'createContext');
+        try {
+            await assert.rejects(
+                callTool(member(), 'auth_explain', { tool: 'missions_list', user_id: ADMIN_ID, db_roles: ['admin'] }),
+                { name: 'AuthorizationError' }
+            );
+            // Only the caller's own context was created
+            assert.deepEqual(created.mock.calls.map(call => call.arguments[0].user_id), [MEMBER_ID]);
+        } finally {
+            created.mock.restore();
+        }
+    });
+
+    test('non-admins cannot assume roles for themselves', async () => {
+        await assert.rejects(
+            callTool(member(), 'auth_explain', { tool: 'missions_list', user_id: MEMBER_ID, db_roles: ['admin'] }),
+            { name: 'AuthorizationError' }
+        );
+    });
+
+    test('unknown tools are rejected', async () => {
+        await assert.rejects(
+            callTool(member(), 'auth_explain', { tool: 'no_such_tool' }),
+            /Unknown tool: no_such_tool/
+        );
+    });
+});
+
+describe('auth_run_as', () => {
+    test('runs a read tool with the target role\'s data filter', async () => {
+        const result = await callTool(admin(), 'auth_run_as', {
+            tool: 'missions_list',
+            user_id: MEMBER_ID,
+            discord_roles: [auth.DISCORD_ROLES.DEV]
+        });
+
+        assert.equal(result.allowed, true);
+        assert.equal(result.as.kb_role, 'member');
+        assert.deepEqual(result.result.map(m => m.id), ['internal-tooling']);
+    });
+
+    test('a role alone previews that role\'s view', async () => {
+        const result = await callTool(admin(), 'auth_run_as', { tool: 'missions_list', role: 'public' });
+        assert.deepEqual(result.result.map(m => m.id), ['public-launch']);
+    });
+
+    test('denials are returned, not thrown, and audited with the impersonating admin', async () => {
+        const result = await callTool(admin(), 'auth_run_as', {
+            tool: 'missions_read',
+            role: 'public',
+            args: { id: 'public-launch' }
+        });
+
+        assert.equal(result.allowed, false);
+        assert.equal(result.details.rule, 'TOOL_PERMISSIONS.missions_read.public');
+
+        const entries = (await readFile(join(kbRoot, 'audit', 'audit.jsonl'), 'utf-8'))
+            .trim().split('\n').map(line => JSON.parse(line));
+        const denied = entries.find(e => e.toolName === 'missions_read' && !e.allowed);
+        assert.equal(denied.kbRole, 'public');
+        assert.equal(denied.impersonatedBy, ADMIN_ID);
+    });
+
+    test('tools that are not read-only cannot be run as another role', async () => {
+        await assert.rejects(
+            callTool(admin(), 'auth_run_as', { tool: 'missions_create', role: 'team', args: {} }),
+            /not read-only/
+        );
+    });
+
+    test('only admins can run tools as another role', async () => {
+        await assert.rejects(
+            callTool(member(), 'auth_run_as', { tool: 'missions_list', role: 'public' }),
+            { name: 'AuthorizationError' }
+        );
+    });
+});
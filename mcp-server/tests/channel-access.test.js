@@ -0,0 +1,101 @@
+// Channel access level tests
+// Resolution order: channel override → category → default_access_level
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const MAPPING = `
+categories:
+  - name: "Public"
+    id: "1000000000000000001"
+    access_level: "public"
+  - name: "Board"
+    id: "1000000000000000002"
+    access_level: "board"
+  - name: "Archive"
+    id: "1000000000000000003"
+    access_level: "archive"
+    sync_enabled: false
+  - name: "Placeholder"
+    id: "BOARD_CATEGORY_ID_PLACEHOLDER"
+    access_level: "board"
+default_access_level: "core"
+channels:
+  - id: "2000000000000000001"
+    access_level: "public"
+`;
+
+let dir;
+let channels;
+let dataFilters;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'kb-channels-'));
+    await writeFile(join(dir, 'category-mapping.yaml'), MAPPING);
+    process.env.ORBIOS_CATEGORY_MAPPING_PATH = join(dir, 'category-mapping.yaml');
+
+    channels = await import('../src/auth/channel-access.js');
+    dataFilters = await import('../src/auth/data-filters.js');
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+describe('resolveChannelAccess', () => {
+    test('channel override wins over its category', () => {
+        const access = channels.resolveChannelAccess('2000000000000000001', '1000000000000000002');
+        assert.equal(access.access_level, 'public');
+        assert.equal(access.source, 'channel');
+    });
+
+    test('falls back to the category level', () => {
+        const access = channels.resolveChannelAccess('2000000000000000099', '1000000000000000002');
+        assert.equal(access.access_level, 'private');
+        assert.equal(access.mapping_level, 'board');
+        assert.equal(access.source, 'category');
+    });
+
+    test('falls back to the default level for unknown channels', () => {
+        const access = channels.resolveChannelAccess('2000000000000000099');
+        assert.equal(access.access_level, 'core');
+        assert.equal(access.source, 'default');
+    });
+
+    test('archive categories are core and report sync_enabled', () => {
+        const access = channels.resolveChannelAccess('2000000000000000099', '1000000000000000003');
+        assert.equal(access.access_level, 'core');
+        assert.equal(access.sync_enabled, false);
+    });
+
+    test('board channels are hidden from team search results', () => {
+        const teamFilter = { levels: ['public', 'team', 'core'] };
+        const message = { channel_id: '2000000000000000099', category_id: '1000000000000000002' };
+        assert.equal(dataFilters.isLevelAllowed(dataFilters.getMessageAccessLevel(message), teamFilter), false);
+    });
+});
+
+describe('validateCategoryMapping', () => {
+    test('flags placeholder IDs', () => {
+        const issues = channels.validateCategoryMapping(channels.loadCategoryMapping());
+        assert.equal(issues.length, 1);
+        assert.equal(issues[0].severity, 'warning');
+        assert.match(issues[0].message, /BOARD_CATEGORY_ID_PLACEHOLDER/);
+    });
+
+    test('flags unknown access levels and conflicting duplicates', () => {
+        const issues = channels.validateCategoryMapping({
+            categories: [],
+            channels: [
+                { id: '2000000000000000001', access_level: 'secret' },
+                { id: '2000000000000000002', access_level: 'public' },
+                { id: '2000000000000000002', access_level: 'core' }
+            ],
+            default_access_level: 'core'
+        });
+        assert.deepEqual(issues.map(i => i.severity), ['error', 'error']);
+    });
+});
@@ -0,0 +1,65 @@
+// Data filter tests
+// Checks which Discord channel access levels each role's search filter lets through
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+process.env.ORBIOS_POLICY_PATH = join(tmpdir(), 'kb-no-policy', 'policy.yaml'); // absent → built-in matrix
+process.env.ORBIOS_CATEGORY_MAPPING_PATH = join(tmpdir(), 'kb-no-policy', 'category-mapping.yaml'); // absent → default core
+
+const auth = await import('../src/auth/index.js');
+const { isLevelAllowed, getMessageAccessLevel } = await import('../src/auth/data-filters.js');
+const { DISCORD_ROLES } = auth;
+
+const MESSAGES = [
+    { message_id: 'pub', access_level: 'public' },
+    { message_id: 'team', access_level: 'team' },
+    { message_id: 'core', access_level: 'core' },
+    { message_id: 'board', access_level: 'private' },
+    { message_id: 'unknown' }
+];
+
+/**
+ * Message IDs a user with the given Discord roles may see from a search tool
+ */
+async function visibleMessages(roles, toolName) {
+    const user = roles ? { user_id: '100000000000000001', username: 'tester', roles } : null;
+
+    return await auth.withAuthContext({ user }, async () => {
+        const { _accessFilter } = auth.applyDataFilters(toolName, { query: 'x' });
+        return MESSAGES
+            .filter(m => isLevelAllowed(getMessageAccessLevel(m), _accessFilter))
+            .map(m => m.message_id);
+    });
+}
+
+describe('discord search access levels', () => {
+    test('admin sees messages from every channel', async () => {
+        assert.deepEqual(await visibleMessages([DISCORD_ROLES.CORE_LEAD], 'discord_semantic_search'),
+            ['pub', 'team', 'core', 'board', 'unknown']);
+    });
+
+    test('team does not see private (board) channels', async () => {
+        assert.deepEqual(await visibleMessages([DISCORD_ROLES.DEV_LEAD], 'discord_hybrid_search'),
+            ['pub', 'team', 'core', 'unknown']);
+    });
+
+    test('member sees public and team channels only', async () => {
+        assert.deepEqual(await visibleMessages([DISCORD_ROLES.DEV], 'discord_semantic_search'),
+            ['pub', 'team']);
+    });
+
+    test('member gets public-only Discord results from unified search', async () => {
+        assert.deepEqual(await visibleMessages([DISCORD_ROLES.DEV], 'unified_semantic_search'), ['pub']);
+    });
+
+    test('public sees public channels only', async () => {
+        assert.deepEqual(await visibleMessages(null, 'discord_semantic_search'), ['pub']);
+    });
+
+    test('channels without a level default to core', () => {
+        assert.equal(getMessageAccessLevel({}), 'core');
+    });
+});
@@ -0,0 +1,178 @@
+// GraphQL guard tests
+// Operation-type detection, operationName, and depth/complexity limits before anything reaches Hasura
+
+import { test, before, after, beforeEach, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+
+let server;
+let received = [];
+let guard;
+let graphql;
+
+before(async () => {
+    server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.writeHead(200, { 'content-type': 'application/json' })
+                .end(JSON.stringify({ data: { users: [] } }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.ORBIOS_GRAPHQL_ENDPOINT = `http://127.0.0.1:${server.address().port}/v1/graphql`;
+    delete process.env.ORBIOS_GRAPHQL_ALLOW_MUTATIONS;
+
+    guard = await import('../src/tools/graphql-guard.js');
+    graphql = await import('../src/tools/graphql-tools.js');
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    received = [];
+});
+
+describe('operation type', () => {
+    const rejected = {
+        'a leading comment': '# list users\nmutation { delete_users(where: {}) { affected_rows } }',
+        'a fragment defined first': 'fragment F on users { id }\nmutation M { insert_users(objects: []) { affected_rows } }',
+        'a mutation after a query': 'query Q { users { id } }\nmutation M { delete_users(where: {}) { affected_rows } }'
+    };
+
+    for (const [label, query] of Object.entries(rejected)) {
+        test(`rejects mutations behind ${label}`, () => {
+            assert.throws(() => guard.analyzeGraphqlOperation(query, { operationName: 'Q' }), /Mutations are disabled/);
+        });
+    }
+
+    test('allows mutations when enabled', () => {
+        const op = guard.analyzeGraphqlOperation('mutation M { x { id } }', { allowMutations: true });
+        assert.deepEqual([op.name, op.type], ['M', 'mutation']);
+    });
+
+    test('always rejects subscriptions', () => {
+        assert.throws(
+            () => guard.analyzeGraphqlOperation('subscription S { users { id } }', { allowMutations: true }),
+            /Subscriptions are not supported/
+        );
+    });
+
+    test('rejects schema definitions and syntax errors', () => {
+        assert.throws(() => guard.analyzeGraphqlOperation('type Foo { id: ID }'), /Only queries and fragments/);
+        assert.throws(() => guard.analyzeGraphqlOperation('query {'), /Invalid GraphQL document/);
+    });
+});
+
+describe('operationName', () => {
+    const doc = 'query A { users { id } }\nquery B { roles { role_name } }';
+
+    test('selects the named operation', () => {
+        assert.equal(guard.analyzeGraphqlOperation(doc, { operationName: 'B' }).name, 'B');
+    });
+
+    test('is required for multi-operation documents', () => {
+        assert.throws(() => guard.analyzeGraphqlOperation(doc), /operationName is required/);
+    });
+
+    test('must exist in the document', () => {
+        assert.throws(() => guard.analyzeGraphqlOperation(doc, { operationName: 'C' }), /Operation "C" not found/);
+    });
+});
+
+describe('limits', () => {
+    const limits = { maxDepth: 3, maxComplexity: 50 };
+
+    test('measures depth through fragments', () => {
+        const query = 'query { users { ...U } }\nfragment U on users { id roles { role { role_name } } }';
+        assert.throws(() => guard.analyzeGraphqlOperation(query, { limits }), /depth 4 exceeds the limit of 3/);
+    });
+
+    test('multiplies nested fields by page size, including variables', () => {
+        const query = 'query Q($n: Int) { users(limit: $n) { id email } }';
+
+        assert.equal(guard.analyzeGraphqlOperation(query, { variables: { n: 10 }, limits }).complexity, 21);
+        assert.throws(
+            () => guard.analyzeGraphqlOperation(query, { variables: { n: 100 }, limits }),
+            /complexity 201 exceeds the limit of 50/
+        );
+    });
+
+    test('variables left out take their default from the operation', () => {
+        const query = 'query Q($n: Int = 30) { users(limit: $n) { id email } }';
+
+        assert.equal(guard.analyzeGraphqlOperation(query, { limits: { maxDepth: 3, maxComplexity: 100 } }).complexity, 61);
+        assert.equal(guard.analyzeGraphqlOperation(query, { variables: { n: 10 }, limits }).complexity, 21);
+    });
+
+    test('lists without a page size count as 100 items', () => {
+        const measure = (query, variables) => guard.analyzeGraphqlOperation(query, { variables }).complexity;
+
+        assert.equal(measure('{ users { id email } }'), 201);
+        assert.equal(measure('query Q($n: Int) { users(limit: $n) { id } }'), 101);
+        assert.equal(measure('query Q($n: Int) { users(limit: $n) { id } }', { n: null }), 101);
+        assert.equal(measure('{ users(limit: 5) { roles(where: { active: { _eq: true } }) { id } } }'), 506);
+        // Single-object root fields and nested fields without list arguments are not multiplied
+        assert.equal(measure('{ users_by_pk(id: 1) { id role { name } } }'), 4);
+    });
+
+    test('measures the shipped named query with its default limit', async () => {
+        const query = await readFile(new URL('../../.tf/graphql/active-users-with-roles.graphql', import.meta.url), 'utf-8');
+
+        assert.equal(guard.analyzeGraphqlOperation(query).complexity, 401);
+        assert.equal(guard.analyzeGraphqlOperation(query, { variables: { limit: 10 } }).complexity, 41);
+    });
+
+    test('rejects self-referencing fragments', () => {
+        const query = 'query { users { ...A } }\nfragment A on users { id ...A }';
+        assert.throws(() => guard.analyzeGraphqlOperation(query), /spreads itself/);
+    });
+
+    test('measures each fragment once', () => {
+        // F0 spreads F1 twice, F1 spreads F2 twice, ... : 2^24 expansions if measured in place
+        const fragments = Array.from({ length: 25 }, (_, i) => i < 24
+            ? `fragment F${i} on users { ...F${i + 1} ...F${i + 1} }`
+            : `fragment F${i} on users { id }`);
+        const query = ['query { users(limit: 1) { ...F0 } }', ...fragments].join('\n');
+
+        const started = Date.now();
+        assert.throws(() => guard.analyzeGraphqlOperation(query), /complexity 16777217 exceeds the limit of 1000/);
+        assert.ok(Date.now() - started < 1000, 'nested fragments took too long to measure');
+    });
+});
+
+describe('graphql_query', () => {
+    test('sends nothing when a document is rejected', async () => {
+        await assert.rejects(
+            graphql.graphqlQuery({ query: '# harmless\nmutation { delete_users(where: {}) { affected_rows } }' }),
+            /Mutations are disabled/
+        );
+        assert.equal(received.length, 0);
+    });
+
+    test('forwards operationName and reports the operation', async () => {
+        const result = await graphql.graphqlQuery({
+            query: 'query A { users { id } }\nquery B { roles { role_name } }',
+            operationName: 'A'
+        });
+
+        assert.equal(received[0].operationName, 'A');
+        assert.deepEqual(result.operation, { name: 'A', type: 'query', depth: 2, complexity: 101 });
+    });
+
+    test('applies limits from the environment', async () => {
+        process.env.ORBIOS_GRAPHQL_MAX_DEPTH = '1';
+        try {
+            await assert.rejects(graphql.graphqlQuery({ query: '{ users { id } }' }), /exceeds the limit of 1/);
+        } finally {
+            delete process.env.ORBIOS_GRAPHQL_MAX_DEPTH;
+        }
+        assert.equal(received.length, 0);
+    });
+});
@@ -0,0 +1,143 @@
+// Persisted GraphQL query tests
+// Loading .tf/graphql documents, per-query roles and declared-variable checks for graphql_run_named
+
+import { test, before, after, beforeEach, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { createTestKB, removeTestKB, as } from './helpers/kb-fixture.js';
+
+let server;
+let received = [];
+let kbRoot;
+let queriesDir;
+let graphql;
+
+before(async () => {
+    server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.writeHead(200, { 'content-type': 'application/json' })
+                .end(JSON.stringify({ data: { users: [{ username: 'ada', email: 'ada@example.com' }] } }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    kbRoot = await createTestKB('graphql-queries');
+    queriesDir = join(kbRoot, '.tf', 'graphql');
+    await mkdir(queriesDir, { recursive: true });
+
+    await writeFile(join(queriesDir, 'active-users.graphql'), [
+        '# description: Active users',
+        '# roles: team, member',
+        'query ActiveUsers($limit: Int = 10, $role: String) {',
+        '  users(limit: $limit) { username email }',
+        '}'
+    ].join('\n') + '\n');
+    await writeFile(join(queriesDir, 'user-by-id.graphql'), [
+        '# description: One user',
+        '# roles: team',
+        'query UserById($id: String!) { users(where: { discord_id: { _eq: $id } }) { username } }'
+    ].join('\n') + '\n');
+    await writeFile(join(queriesDir, 'payroll.graphql'),
+        'query Payroll { users { username salary } }\n');
+    await writeFile(join(queriesDir, 'purge.graphql'),
+        '# roles: team\nmutation Purge { delete_users(where: {}) { affected_rows } }\n');
+
+    process.env.ORBIOS_GRAPHQL_ENDPOINT = `http://127.0.0.1:${server.address().port}/v1/graphql`;
+    delete process.env.ORBIOS_GRAPHQL_QUERIES_DIR;
+
+    graphql = await import('../src/tools/graphql-tools.js');
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await removeTestKB();
+});
+
+beforeEach(() => {
+    received = [];
+});
+
+describe('graphql_list_named', () => {
+    test('lists only the queries the caller may run', async () => {
+        const { queries, errors } = await as('member', () => graphql.graphqlListNamed());
+
+        assert.deepEqual(queries.map(q => q.name), ['active-users']);
+        assert.deepEqual(queries[0].variables.map(v => [v.name, v.type, v.default]), [
+            ['limit', 'Int', '10'],
+            ['role', 'String', null]
+        ]);
+        assert.equal(errors, undefined);
+    });
+
+    test('admins see every query and the files that failed to load', async () => {
+        const { queries, errors } = await as('admin', () => graphql.graphqlListNamed());
+
+        assert.deepEqual(queries.map(q => q.name), ['active-users', 'payroll', 'user-by-id']);
+        assert.equal(errors[0].file, 'purge.graphql');
+        assert.match(errors[0].error, /only queries can be persisted/);
+    });
+});
+
+describe('graphql_run_named', () => {
+    test('runs an approved query for a listed role', async () => {
+        const result = await as('member', () => graphql.graphqlRunNamed({ name: 'active-users', variables: { limit: 5 } }));
+
+        assert.equal(received[0].operationName, 'ActiveUsers');
+        assert.deepEqual(received[0].variables, { limit: 5 });
+        assert.match(received[0].query, /query ActiveUsers/);
+        assert.equal(result.operation.complexity, 11);
+    });
+
+    test('denies roles the query does not list, and defaults to admin only', async () => {
+        await assert.rejects(
+            as('member', () => graphql.graphqlRunNamed({ name: 'user-by-id', variables: { id: '1' } })),
+            err => err.name === 'AuthorizationError' && /cannot run query 'user-by-id'/.test(err.message)
+        );
+        await assert.rejects(as('team', () => graphql.graphqlRunNamed({ name: 'payroll' })), /cannot run query/);
+        await as('admin', () => graphql.graphqlRunNamed({ name: 'payroll' }));
+        assert.equal(received.length, 1);
+    });
+
+    test('checks variables against the declarations', async () => {
+        const run = variables => as('team', () => graphql.graphqlRunNamed({ name: 'user-by-id', variables }));
+
+        await assert.rejects(run({}), /requires variable "id" \(String!\)/);
+        await assert.rejects(run({ id: 42 }), /"id" must be String!/);
+        await assert.rejects(run({ id: '1', limit: 1000 }), /does not declare: limit/);
+        assert.equal(received.length, 0);
+    });
+
+    test('rejects unknown and invalid queries', async () => {
+        await assert.rejects(as('admin', () => graphql.graphqlRunNamed({ name: 'purge' })), /Unknown persisted query: purge/);
+        await assert.rejects(as('admin', () => graphql.graphqlRunNamed({ name: '../policy' })), /Unknown persisted query/);
+    });
+
+    test('applies the configured limits to the actual page size', async () => {
+        process.env.ORBIOS_GRAPHQL_MAX_COMPLEXITY = '50';
+        try {
+            await assert.rejects(
+                as('member', () => graphql.graphqlRunNamed({ name: 'active-users', variables: { limit: 100 } })),
+                /complexity 201 exceeds the limit of 50/
+            );
+        } finally {
+            delete process.env.ORBIOS_GRAPHQL_MAX_COMPLEXITY;
+        }
+        assert.equal(received.length, 0);
+    });
+
+    test('picks up new files without a restart', async () => {
+        await writeFile(join(queriesDir, 'roles.graphql'), '# roles: member\nquery Roles { roles { role_name } }\n');
+        try {
+            await as('member', () => graphql.graphqlRunNamed({ name: 'roles' }));
+            assert.equal(received[0].operationName, 'Roles');
+        } finally {
+            await rm(join(queriesDir, 'roles.graphql'));
+        }
+    });
+});
@@ -0,0 +1,175 @@
+// GraphQL schema explorer tests
+// Disk-cached introspection, compact SDL, type lookup, root fields, type paths and local validation
+
+import { test, before, after, beforeEach, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtemp, readFile, writeFile, rm, utimes } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildSchema, graphqlSync, getIntrospectionQuery } from 'graphql';
+
+const SDL = `
+"""A Hub user"""
+type users {
+  id: Int!
+  username: String!
+  "Private address"
+  email: String
+  user_roles: [user_roles!]!
+}
+
+type user_roles {
+  role: roles
+}
+
+type roles {
+  role_name: String!
+}
+
+type query_root {
+  users(limit: Int, offset: Int): [users!]!
+  users_by_pk(id: Int!): users
+  roles: [roles!]!
+}
+
+schema { query: query_root }
+`;
+
+let server;
+let received = [];
+let kbRoot;
+let graphql;
+
+before(async () => {
+    const introspection = graphqlSync({ schema: buildSchema(SDL), source: getIntrospectionQuery() });
+
+    server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            received.push(request);
+            const response = request.query.includes('__schema') ? introspection : { data: { users: [] } };
+            res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(response));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    kbRoot = await mkdtemp(join(tmpdir(), 'kb-graphql-schema-'));
+    process.env.KB_ROOT = kbRoot;
+    process.env.ORBIOS_GRAPHQL_ENDPOINT = `http://127.0.0.1:${server.address().port}/v1/graphql`;
+    delete process.env.ORBIOS_GRAPHQL_SCHEMA_CACHE;
+    delete process.env.ORBIOS_GRAPHQL_SCHEMA_TTL_MS;
+
+    graphql = await import('../src/tools/graphql-tools.js');
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await rm(kbRoot, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    received = [];
+});
+
+const introspections = () => received.filter(r => r.query.includes('__schema')).length;
+
+describe('schema cache', () => {
+    test('fetches once and serves later calls from disk', async () => {
+        await rm(join(kbRoot, '.tf', 'cache'), { recursive: true, force: true });
+
+        const first = await graphql.graphqlSchemaSdl({});
+        await graphql.graphqlSchemaType({ name: 'users' });
+        assert.equal(introspections(), 1);
+
+        const cacheFile = join(kbRoot, '.tf', 'cache', 'graphql-schema.json');
+        const cache = JSON.parse(await readFile(cacheFile, 'utf-8'));
+        assert.equal(cache.endpoint, process.env.ORBIOS_GRAPHQL_ENDPOINT);
+        assert.equal(cache.fetched_at, first.fetched_at);
+        assert.ok(existsSync(join(kbRoot, '.tf', 'cache', '.gitignore')));
+    });
+
+    test('refetches on refresh and when the cache is stale', async () => {
+        await graphql.graphqlSchemaSdl({ refresh: true });
+        assert.equal(introspections(), 1);
+
+        const cacheFile = join(kbRoot, '.tf', 'cache', 'graphql-schema.json');
+        const cache = JSON.parse(await readFile(cacheFile, 'utf-8'));
+        cache.fetched_at = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+        await writeFile(cacheFile, JSON.stringify(cache));
+        await utimes(cacheFile, new Date(), new Date(Date.now() + 1000)); // make sure the mtime changes
+
+        await graphql.graphqlSchemaSdl({});
+        assert.equal(introspections(), 2);
+    });
+});
+
+describe('views', () => {
+    test('SDL drops descriptions and filters types', async () => {
+        const { sdl, types } = await graphql.graphqlSchemaSdl({ pattern: 'user*' });
+
+        assert.equal(types, 2);
+        assert.match(sdl, /type users \{/);
+        assert.match(sdl, /type user_roles \{/);
+        assert.doesNotMatch(sdl, /type roles|A Hub user|Private address/);
+
+        const described = await graphql.graphqlSchemaSdl({ pattern: 'users', descriptions: true });
+        assert.match(described.sdl, /A Hub user/);
+    });
+
+    test('type lookup lists fields with their args', async () => {
+        const root = await graphql.graphqlSchemaType({ name: 'query_root' });
+        const users = root.fields.find(f => f.name === 'users');
+
+        assert.equal(root.kind, 'OBJECT');
+        assert.equal(users.type, '[users!]!');
+        assert.deepEqual(users.args.map(a => [a.name, a.type]), [['limit', 'Int'], ['offset', 'Int']]);
+        await assert.rejects(graphql.graphqlSchemaType({ name: 'user' }), /Unknown type: user\. Similar: user_roles, users/);
+    });
+
+    test('root fields match a pattern', async () => {
+        const { root, total, fields } = await graphql.graphqlSchemaRootFields({ pattern: 'users' });
+
+        assert.equal(root, 'query_root');
+        assert.equal(total, 2);
+        assert.deepEqual(fields.map(f => f.name), ['users', 'users_by_pk']);
+    });
+
+    test('finds the shortest path between types', async () => {
+        const result = await graphql.graphqlSchemaPath({ from: 'query_root', to: 'roles' });
+
+        assert.equal(result.found, true);
+        assert.equal(result.selection, 'roles');
+
+        const nested = await graphql.graphqlSchemaPath({ from: 'users', to: 'roles' });
+        assert.equal(nested.selection, 'user_roles { role }');
+        assert.deepEqual(nested.path.map(step => `${step.type}.${step.field}`), ['users.user_roles', 'user_roles.role']);
+
+        assert.equal((await graphql.graphqlSchemaPath({ from: 'roles', to: 'users' })).found, false);
+    });
+});
+
+describe('validation', () => {
+    test('graphql_validate reports schema errors', async () => {
+        assert.equal((await graphql.graphqlValidate({ query: '{ users(limit: 5) { username } }' })).valid, true);
+
+        const { valid, errors } = await graphql.graphqlValidate({ query: '{ users { password } }' });
+        assert.equal(valid, false);
+        assert.match(errors[0].message, /Cannot query field "password" on type "users"/);
+    });
+
+    test('graphql_query checks documents against the cached schema before sending', async () => {
+        await assert.rejects(
+            graphql.graphqlQuery({ query: '{ users { password } }' }),
+            /does not match the schema cached at .*Cannot query field "password"/
+        );
+        assert.equal(received.length, 0);
+
+        await graphql.graphqlQuery({ query: '{ users { username } }' });
+        assert.equal(received.length, 1);
+    });
+});
@@ -0,0 +1,207 @@
+// Hasura auth tests
+// GraphQL user lookups against a local endpoint: caching, negative caching, circuit breaker, token refresh
+
+import { test, before, after, beforeEach, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const USERS = {
+    '600000000000000001': { discord_id: '600000000000000001', username: 'lead', email: 'lead@example.com', roles: ['dev_lead'] }
+};
+
+let dir;
+let server;
+let requests = 0;
+let failing = false;
+let hasura;
+let auth;
+let jwt;
+
+/**
+ * Minimal Hasura GraphQL endpoint serving USERS
+ */
+function handle(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests++;
+        if (failing || req.headers['x-hasura-admin-secret'] !== 'test-secret') {
+            res.writeHead(503).end('unavailable');
+            return;
+        }
+
+        const { variables } = JSON.parse(body);
+        const user = USERS[variables.discordId];
+        const users = user
+            ? [{ ...user, roles: undefined, user_roles: user.roles.map(role_name => ({ role: { role_name } })) }]
+            : [];
+        res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify({ data: { users } }));
+    });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'kb-hasura-'));
+    await writeFile(join(dir, 'role-mapping.yaml'), 'default_role: public\ndatabase_roles:\n  dev_lead: team\n');
+
+    server = createServer(handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.KB_ROOT = dir;
+    process.env.ORBIOS_ROLE_MAPPING_PATH = join(dir, 'role-mapping.yaml');
+    process.env.HASURA_GRAPHQL_ENDPOINT = `http://127.0.0.1:${server.address().port}/v1/graphql`;
+    process.env.HASURA_ADMIN_SECRET = 'test-secret';
+    process.env.HASURA_AUTH_BREAKER_THRESHOLD = '2';
+    process.env.HASURA_AUTH_BREAKER_COOLDOWN_MS = '100';
+    delete process.env.HASURA_HOST;
+
+    process.env.HASURA_JWT_SECRET = 'test-secret-0123456789abcdef0123456789abcdef';
+    process.env.ORBIOS_REVOCATION_PATH = join(dir, 'revoked-tokens.yaml');
+
+    hasura = await import('../src/auth/hasura-auth.js');
+    auth = await import('../src/auth/auth-manager.js');
+    jwt = await import('../src/auth/jwt.js');
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    hasura.hasuraAuth.invalidate();
+    hasura.hasuraAuth.recordSuccess();
+    requests = 0;
+    failing = false;
+});
+
+describe('lookups', () => {
+    test('prefers the GraphQL backend when configured', () => {
+        assert.equal(hasura.getHasuraBackend(), hasura.HASURA_BACKENDS.GRAPHQL);
+    });
+
+    test('maps database roles and caches the result', async () => {
+        const first = await hasura.authenticateViaHasura('600000000000000001');
+        const second = await hasura.authenticateViaHasura('600000000000000001');
+
+        assert.deepEqual(first.db_roles, ['dev_lead']);
+        assert.equal(second, first);
+        assert.equal(requests, 1);
+    });
+
+    test('caches unknown users too', async () => {
+        assert.equal(await hasura.authenticateViaHasura('600000000000000009'), null);
+        assert.equal(await hasura.authenticateViaHasura('600000000000000009'), null);
+        assert.equal(requests, 1);
+    });
+
+    test('concurrent lookups share one request', async () => {
+        await Promise.all([1, 2, 3].map(() => hasura.hasuraAuth.getUserData('600000000000000001')));
+        assert.equal(requests, 1);
+    });
+
+    test('initializeAuthContext resolves the KB role from Hasura', async () => {
+        const context = await auth.initializeAuthContext({ user: { user_id: '600000000000000001' } });
+
+        assert.equal(context.kbRole, 'team');
+        assert.equal(context.roleResolution.identity, 'hasura');
+        assert.deepEqual(context.dbRoles, ['dev_lead']);
+    });
+});
+
+describe('circuit breaker', () => {
+    test('opens after repeated failures and stops calling Hasura', async () => {
+        failing = true;
+        assert.equal(await hasura.hasuraAuth.getUserData('600000000000000001'), null);
+        assert.equal(await hasura.hasuraAuth.getUserData('600000000000000001'), null);
+        assert.equal(hasura.hasuraAuth.getStatus().circuit, 'open');
+
+        assert.equal(await hasura.hasuraAuth.getUserData('600000000000000001'), null);
+        assert.equal(requests, 2);
+    });
+
+    test('failures are not cached, and a successful trial closes the circuit', async () => {
+        failing = true;
+        await hasura.hasuraAuth.getUserData('600000000000000001');
+        await hasura.hasuraAuth.getUserData('600000000000000001');
+        assert.equal(hasura.hasuraAuth.getStatus().circuit, 'open');
+
+        failing = false;
+        await sleep(120);
+        assert.equal(hasura.hasuraAuth.getStatus().circuit, 'half-open');
+
+        const user = await hasura.hasuraAuth.getUserData('600000000000000001');
+        assert.equal(user.username, 'lead');
+        assert.equal(hasura.hasuraAuth.getStatus().circuit, 'closed');
+    });
+
+    test('a failed trial reopens the circuit', async () => {
+        failing = true;
+        await hasura.hasuraAuth.getUserData('600000000000000001');
+        await hasura.hasuraAuth.getUserData('600000000000000001');
+        await sleep(120);
+
+        await hasura.hasuraAuth.getUserData('600000000000000001');
+        assert.equal(hasura.hasuraAuth.getStatus().circuit, 'open');
+        assert.equal(requests, 3);
+    });
+
+    test('users fall back to configured roles while Hasura is down', async () => {
+        failing = true;
+        const context = await auth.initializeAuthContext({
+            user: { user_id: '600000000000000001', db_roles: ['dev_lead'] }
+        });
+
+        assert.equal(context.kbRole, 'team');
+        assert.equal(context.roleResolution.identity, 'request');
+    });
+
+    test('never writes to stdout (the stdio MCP stream)', async () => {
+        const original = console.log;
+        const logged = [];
+        console.log = (...args) => logged.push(args);
+        try {
+            failing = true;
+            for (let i = 0; i < 3; i++) {
+                await hasura.authenticateViaHasura('600000000000000001');
+            }
+        } finally {
+            console.log = original;
+        }
+        assert.deepEqual(logged, []);
+    });
+});
+
+describe('token refresh', () => {
+    const refreshedRole = async refreshToken =>
+        jwt.getRoleFromToken((await jwt.refreshHasuraJWT(refreshToken)).access_token);
+
+    test('picks up the user\'s current roles from Hasura', async () => {
+        const refresh = jwt.generateRefreshToken({ userId: '600000000000000001', role: 'member' });
+        assert.equal(await refreshedRole(refresh), 'team');
+    });
+
+    test('users no longer in Hasura are refreshed as public', async () => {
+        const refresh = jwt.generateRefreshToken({ userId: '600000000000000009', role: 'team' });
+        assert.equal(await refreshedRole(refresh), 'public');
+    });
+
+    test('keeps the refresh token\'s role while the circuit is open', async () => {
+        failing = true;
+        await hasura.hasuraAuth.getUserData('600000000000000001');
+        await hasura.hasuraAuth.getUserData('600000000000000001');
+        assert.equal(hasura.hasuraAuth.getStatus().circuit, 'open');
+
+        const refresh = jwt.generateRefreshToken({ userId: '600000000000000001', role: 'member' });
+        assert.equal(await refreshedRole(refresh), 'member');
+        assert.equal(requests, 2);
+
+        // Issuing a token from a lookup fails instead of granting public access
+        await assert.rejects(jwt.generateTokenForUser('600000000000000001'), { name: 'HasuraUnavailableError' });
+    });
+});
@@ -0,0 +1,13 @@
+// Module resolution hooks for search tests
+// Redirects the embedding model to fixed-embeddings.js so searches run without @xenova/transformers
+
+const EMBEDDINGS_URL = new URL('../../src/tools/search/core/embeddings.js', import.meta.url).href;
+const FIXED_EMBEDDINGS_URL = new URL('./fixed-embeddings.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    const resolved = await nextResolve(specifier, context);
+    if (resolved.url === EMBEDDINGS_URL) {
+        return { ...resolved, url: FIXED_EMBEDDINGS_URL, shortCircuit: true };
+    }
+    return resolved;
+}
@@ -0,0 +1,23 @@
+// Fixed embeddings for search tests
+// Same exports as src/tools/search/core/embeddings.js; every text maps to FIXED_EMBEDDING
+
+export const FIXED_EMBEDDING = [1, 0, 0];
+
+export async function initializeEmbedder() {
+    return null;
+}
+
+export async function generateEmbedding() {
+    return FIXED_EMBEDDING;
+}
+
+export async function generateEmbeddings(texts) {
+    return texts.map(() => FIXED_EMBEDDING);
+}
+
+export function getEmbeddingConfig() {
+    return {
+        model: 'fixed',
+        dimensions: FIXED_EMBEDDING.length
+    };
+}
@@ -0,0 +1,132 @@
+// Shared test fixture
+// Temporary KB root, policy selection, role users, and calls that go through the server's auth path
+
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+export const ADMIN_ID = '100000000000000001';
+export const TEAM_ID = '100000000000000002';
+export const MEMBER_ID = '200000000000000001';
+
+/**
+ * One user per KB role (roles resolve from db_roles through role-mapping.js)
+ */
+export const ROLE_USERS = {
+    admin: { user_id: ADMIN_ID, username: 'lead', db_roles: ['admin'] },
+    team: { user_id: TEAM_ID, username: 'dev-lead', db_roles: ['dev_lead'] },
+    member: { user_id: MEMBER_ID, username: 'dev', db_roles: ['dev'] }
+};
+
+/**
+ * The policy file the repository ships
+ */
+export const SHIPPED_POLICY_PATH = fileURLToPath(new URL('../../../.tf/policy.yaml', import.meta.url));
+
+let kbRoot = null;
+
+/**
+ * Create a temporary KB and point the server at it
+ * Call before importing src modules: KB_ROOT is read at import time.
+ * @param {string} name - Directory name prefix
+ * @param {Object} [options]
+ * @param {'built-in'|'shipped'} [options.policy='built-in'] - built-in: no policy file (TOOL_PERMISSIONS matrix);
+ *   shipped: the repository's .tf/policy.yaml
+ * @param {string} [options.parent] - Directory to create the KB in (default: the OS temp directory)
+ * @returns {Promise<string>} KB root
+ */
+export async function createTestKB(name, { policy = 'built-in', parent = tmpdir() } = {}) {
+    kbRoot = await mkdtemp(join(parent, `kb-${name}-`));
+    process.env.KB_ROOT = kbRoot;
+    process.env.ORBIOS_POLICY_PATH = policy === 'shipped'
+        ? SHIPPED_POLICY_PATH
+        : join(kbRoot, '.tf', 'policy.yaml'); // absent → built-in matrix
+    return kbRoot;
+}
+
+/**
+ * Remove the temporary KB
+ */
+export async function removeTestKB() {
+    if (kbRoot) {
+        await rm(kbRoot, { recursive: true, force: true });
+        kbRoot = null;
+    }
+}
+
+/**
+ * Write missions/<status>/<id>/mission.yaml (plus optional sibling files)
+ * @param {string} id - Mission ID
+ * @param {Object} [data] - Extra mission.yaml fields (status defaults to active, participants to none)
+ * @param {Object<string, string>} [files] - File name → contents, next to mission.yaml
+ * @returns {Promise<string>} Mission folder
+ */
+export async function writeMission(id, data = {}, files = {}) {
+    const mission = { id, title: id, status: 'active', participants: [], ...data };
+    const dir = join(kbRoot, 'missions', mission.status, id);
+    await mkdir(dir, { recursive: true });
+    await writeFile(join(dir, 'mission.yaml'), YAML.stringify(mission));
+    for (const [file, content] of Object.entries(files)) {
+        await writeFile(join(dir, file), content);
+    }
+    return dir;
+}
+
+const loadAuth = () => import('../../src/auth/index.js');
+
+/**
+ * Resolve a caller to session user metadata
+ * @param {string|Object|null} who - KB role name from ROLE_USERS, a user object, or null (anonymous)
+ * @returns {Object|null}
+ */
+function toUser(who) {
+    if (typeof who === 'string') {
+        if (!ROLE_USERS[who]) throw new Error(`Unknown test role: ${who}`);
+        return ROLE_USERS[who];
+    }
+    return who;
+}
+
+/**
+ * Run fn inside the auth context of a caller
+ * @param {string|Object|null} who - Role name, user object, or null
+ * @param {Function} fn
+ */
+export async function as(who, fn) {
+    const auth = await loadAuth();
+    return await auth.withAuthContext({ user: toUser(who) }, fn);
+}
+
+/**
+ * Run a tool handler as a caller, through the same policy → applyDataFilters path the server uses
+ * @param {string|Object|null} who - Role name, user object, or null
+ * @param {string} toolName - Tool the handler belongs to
+ * @param {Function} handler
+ * @param {Object} [args]
+ */
+export async function callAs(who, toolName, handler, args = {}) {
+    const auth = await loadAuth();
+    return await as(who, async () => {
+        auth.checkToolAuthorization(toolName);
+        return await handler(auth.applyDataFilters(toolName, args));
+    });
+}
+
+/**
+ * Call a registered tool the way the server does: resolve, authorize, parse, filter, run, redact
+ * @param {string|Object|null} who - Role name, user object, or null
+ * @param {string} name - Tool name or alias
+ * @param {Object} [args]
+ */
+export async function callTool(who, name, args = {}) {
+    const auth = await loadAuth();
+    const registry = await import('../../src/tools/registry.js');
+    return await as(who, async () => {
+        const tool = registry.resolveTool(name);
+        auth.checkToolAuthorization(tool.name);
+        const result = await tool.handler(auth.applyDataFilters(tool.name, tool.schema.parse(args)));
+        return auth.redactToolResult(tool, result);
+    });
+}
@@ -0,0 +1,237 @@
+// HTTP transport tests
+// Bearer auth on /sse, per-message re-authentication against the session identity, and /auth/refresh
+
+import { test, before, after, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createTestKB, removeTestKB } from './helpers/kb-fixture.js';
+
+const USER_ID = '500000000000000001';
+const OTHER_ID = '500000000000000002';
+
+let httpServer;
+let baseUrl;
+let jwt;
+let auth;
+const openSessions = [];
+
+/**
+ * Open an SSE session; resolves once the endpoint event arrives (or with the error status)
+ * @returns {Promise<{status: number, endpoint?: string, nextEvent?: Function}>}
+ */
+function openSession(token) {
+    return new Promise((resolve, reject) => {
+        const headers = token ? { authorization: `Bearer ${token}` } : {};
+        const req = http.get(`${baseUrl}/sse`, { headers }, res => {
+            if (res.statusCode !== 200) {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { body += chunk; });
+                res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+                return;
+            }
+
+            const events = [];
+            const waiting = [];
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = Object.fromEntries(block.split('\n').map(line => {
+                        const colon = line.indexOf(': ');
+                        return [line.slice(0, colon), line.slice(colon + 2)];
+                    }));
+                    if (waiting.length) waiting.shift()(event);
+                    else events.push(event);
+                }
+            });
+
+            const nextEvent = () => events.length
+                ? Promise.resolve(events.shift())
+                : new Promise(next => waiting.push(next));
+
+            openSessions.push(req);
+            nextEvent().then(event => resolve({ status: 200, endpoint: event.data, nextEvent }));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * POST a JSON-RPC request to a session's message endpoint
+ * @returns {Promise<number>} HTTP status
+ */
+async function postMessage(session, token, id) {
+    const headers = { 'content-type': 'application/json' };
+    if (token) headers.authorization = `Bearer ${token}`;
+    const response = await fetch(`${baseUrl}${session.endpoint}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ jsonrpc: '2.0', id, method: 'tools/list', params: {} })
+    });
+    await response.text();
+    return response.status;
+}
+
+/**
+ * Send tools/list and read the KB role the session server saw
+ */
+async function roleSeenBy(session, token, id) {
+    assert.equal(await postMessage(session, token, id), 202);
+    const event = await session.nextEvent();
+    return JSON.parse(event.data).result.tools[0].description;
+}
+
+async function refresh(body) {
+    const response = await fetch(`${baseUrl}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    await createTestKB('http');
+    process.env.HASURA_JWT_SECRET = 'test-secret-0123456789abcdef0123456789abcdef';
+    process.env.ORBIOS_HTTP_TOKENS = JSON.stringify({
+        'static-token-a': { user_id: USER_ID, username: 'ada', db_roles: ['dev_lead'] },
+        'static-token-b': { user_id: USER_ID, username: 'ada', db_roles: ['dev_lead'] },
+        'static-token-broken': { user_id: OTHER_ID, username: 'broken', db_roles: ['dev_lead'] }
+    });
+    delete process.env.ORBIOS_HTTP_ALLOW_ANONYMOUS;
+    delete process.env.HASURA_HOST;
+    delete process.env.HASURA_PASSWORD;
+
+    jwt = await import('../src/auth/jwt.js');
+    auth = await import('../src/auth/index.js');
+    const { Server } = await import('@modelcontextprotocol/sdk/server/index.js');
+    const { ListToolsRequestSchema } = await import('@modelcontextprotocol/sdk/types.js');
+    const { startHttpTransport } = await import('../src/transports/http.js');
+
+    // Reports the caller's KB role the way server.js resolves it: from session.auth on each request
+    const createServer = session => {
+        if (session.auth.user?.username === 'broken') {
+            throw new Error('Cannot read /srv/kb/.tf/policy.yaml');
+        }
+        const server = new Server({ name: 'test', version: '0.0.0' }, { capabilities: { tools: {} } });
+        server.setRequestHandler(ListToolsRequestSchema, async () => ({
+            tools: [{
+                name: 'whoami',
+                description: await auth.withAuthContext(session.auth, async context => context.kbRole),
+                inputSchema: { type: 'object' }
+            }]
+        }));
+        return server;
+    };
+
+    httpServer = await startHttpTransport({ createServer, port: 0, host: '127.0.0.1' });
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+after(async () => {
+    for (const req of openSessions) req.destroy();
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+    await removeTestKB();
+    delete process.env.ORBIOS_HTTP_TOKENS;
+});
+
+describe('SSE connection', () => {
+    test('requires a valid bearer token', async () => {
+        const missing = await openSession(null);
+        assert.equal(missing.status, 401);
+        assert.match(missing.body.error, /missing or invalid bearer token/);
+
+        assert.equal((await openSession('not-a-known-token')).status, 401);
+
+        const forged = jwt.generateHasuraJWT({ userId: USER_ID, role: 'admin' }).slice(0, -4) + 'AAAA';
+        assert.equal((await openSession(forged)).status, 401);
+    });
+
+    test('anonymous sessions open only when allowed', async () => {
+        process.env.ORBIOS_HTTP_ALLOW_ANONYMOUS = 'true';
+        try {
+            const session = await openSession(null);
+            assert.equal(session.status, 200);
+            assert.equal(await roleSeenBy(session, null, 1), 'public');
+        } finally {
+            delete process.env.ORBIOS_HTTP_ALLOW_ANONYMOUS;
+        }
+    });
+
+    test('unexpected errors are logged, not returned', async () => {
+        const log = mock.method(console, 'error', () => {});
+        try {
+            const session = await openSession('static-token-broken');
+            assert.deepEqual(session, { status: 500, body: { error: 'Internal server error' } });
+            assert.ok(log.mock.calls.some(call => String(call.arguments[1]).includes('/srv/kb/.tf/policy.yaml')));
+        } finally {
+            log.mock.restore();
+        }
+    });
+
+    test('unknown sessions are rejected', async () => {
+        assert.equal(await postMessage({ endpoint: '/messages?sessionId=nope' }, 'static-token-a', 1), 404);
+    });
+});
+
+describe('per-message re-authentication', () => {
+    test('static sessions accept only the token that opened them', async () => {
+        const session = await openSession('static-token-a');
+        assert.equal(session.status, 200);
+
+        assert.equal(await roleSeenBy(session, 'static-token-a', 1), 'team');
+        assert.equal(await postMessage(session, 'static-token-b', 2), 401);
+        assert.equal(await postMessage(session, null, 3), 401);
+        assert.equal(await postMessage(session, 'not-a-known-token', 4), 401);
+    });
+
+    test('JWT sessions accept a refreshed token for the same user and pick up its role', async () => {
+        const session = await openSession(jwt.generateHasuraJWT({ userId: USER_ID, role: 'member' }));
+        assert.equal(session.status, 200);
+
+        const refreshed = jwt.generateHasuraJWT({ userId: USER_ID, role: 'team' });
+        assert.equal(await roleSeenBy(session, refreshed, 1), 'team');
+    });
+
+    test('JWT sessions reject tokens of another user or another token type', async () => {
+        const token = jwt.generateHasuraJWT({ userId: USER_ID, role: 'member' });
+        const session = await openSession(token);
+
+        assert.equal(await postMessage(session, jwt.generateHasuraJWT({ userId: OTHER_ID, role: 'member' }), 1), 401);
+        assert.equal(await postMessage(session, 'static-token-a', 2), 401);
+        assert.equal(await postMessage(session, jwt.generateRefreshToken({ userId: USER_ID, role: 'member' }), 3), 401);
+        assert.equal(await roleSeenBy(session, token, 4), 'member');
+    });
+});
+
+describe('/auth/refresh', () => {
+    test('exchanges a refresh token for an access token with the recorded role', async () => {
+        const { status, body } = await refresh(JSON.stringify({
+            refresh_token: jwt.generateRefreshToken({ userId: USER_ID, role: 'team' })
+        }));
+
+        assert.equal(status, 200);
+        assert.equal(body.token_type, 'Bearer');
+        assert.ok(body.expires_in > 0);
+        const decoded = jwt.verifyHasuraJWT(body.access_token);
+        assert.equal(decoded.sub, USER_ID);
+        assert.equal(jwt.getKBRoleFromClaims(decoded), 'team');
+    });
+
+    test('rejects access tokens and forged refresh tokens', async () => {
+        const access = jwt.generateHasuraJWT({ userId: USER_ID, role: 'team' });
+        assert.equal((await refresh(JSON.stringify({ refresh_token: access }))).status, 401);
+        assert.equal((await refresh(JSON.stringify({ refresh_token: 'garbage' }))).status, 401);
+    });
+
+    test('rejects a missing refresh_token or a malformed body', async () => {
+        assert.deepEqual(await refresh('{}'), { status: 400, body: { error: 'Missing refresh_token' } });
+        assert.equal((await refresh('{not json')).status, 400);
+    });
+});
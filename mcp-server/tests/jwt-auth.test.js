@@ -0,0 +1,108 @@
+// JWT authentication tests
+// Bearer JWTs: role from claims, refresh, and the local revocation list
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let jwt;
+let tokens;
+let auth;
+let revocation;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'kb-jwt-'));
+    process.env.HASURA_JWT_SECRET = 'test-secret-0123456789abcdef0123456789abcdef';
+    process.env.ORBIOS_REVOCATION_PATH = join(dir, 'revoked-tokens.yaml');
+    delete process.env.HASURA_HOST;
+    delete process.env.HASURA_PASSWORD;
+
+    jwt = await import('../src/auth/jwt.js');
+    tokens = await import('../src/auth/tokens.js');
+    auth = await import('../src/auth/auth-manager.js');
+    revocation = await import('../src/auth/revocation.js');
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Resolve the auth context a bearer token gets
+ */
+async function contextFor(token) {
+    const metadata = await tokens.authenticateBearerToken(token);
+    if (!metadata) return null;
+    return await auth.withAuthContext(metadata, async context => context);
+}
+
+describe('bearer JWT authentication', () => {
+    test('takes the KB role from the token claims', async () => {
+        const token = jwt.generateHasuraJWT({ userId: '500000000000000001', role: 'team' });
+        const context = await contextFor(token);
+
+        assert.equal(context.authenticated, true);
+        assert.equal(context.userId, '500000000000000001');
+        assert.equal(context.kbRole, 'team');
+    });
+
+    test('rejects tokens with a bad signature', async () => {
+        const token = jwt.generateHasuraJWT({ userId: '500000000000000001', role: 'admin' });
+        const [header, payload] = token.split('.');
+        assert.equal(await contextFor(`${header}.${payload}.forged`), null);
+    });
+
+    test('rejects refresh tokens used as access tokens', async () => {
+        const refresh = jwt.generateRefreshToken({ userId: '500000000000000001', role: 'admin' });
+        assert.equal(await contextFor(refresh), null);
+    });
+});
+
+describe('refresh', () => {
+    test('exchanges a refresh token for a new access token with the same role', async () => {
+        const pair = await jwt.generateTokenPair('500000000000000002', { role: 'member' });
+        const refreshed = await jwt.refreshHasuraJWT(pair.refresh_token);
+
+        assert.equal(refreshed.token_type, 'Bearer');
+        assert.ok(refreshed.expires_in > 0);
+        assert.equal((await contextFor(refreshed.access_token)).kbRole, 'member');
+    });
+
+    test('rejects access tokens as refresh tokens', async () => {
+        const access = jwt.generateHasuraJWT({ userId: '500000000000000002', role: 'member' });
+        await assert.rejects(() => jwt.refreshHasuraJWT(access), /expected refresh token/);
+    });
+});
+
+describe('revocation', () => {
+    test('revoking a single token leaves the user\'s other tokens valid', async () => {
+        const first = jwt.generateHasuraJWT({ userId: '500000000000000003', role: 'team' });
+        const second = jwt.generateHasuraJWT({ userId: '500000000000000003', role: 'team' });
+
+        revocation.revokeToken({ jti: jwt.verifyHasuraJWT(first).jti });
+
+        assert.equal(await contextFor(first), null);
+        assert.equal((await contextFor(second)).kbRole, 'team');
+    });
+
+    test('revoking a user cuts off access and refresh tokens issued before', async () => {
+        const pair = await jwt.generateTokenPair('500000000000000004', { role: 'admin' });
+
+        revocation.revokeToken({ sub: '500000000000000004', reason: 'left the team' });
+
+        assert.equal(await contextFor(pair.access_token), null);
+        await assert.rejects(() => jwt.refreshHasuraJWT(pair.refresh_token), /revoked \(left the team\)/);
+    });
+
+    test('tokens issued after a user was revoked are valid', async () => {
+        const revokedAt = new Date(Date.now() - 2000).toISOString();
+        await writeFile(process.env.ORBIOS_REVOCATION_PATH,
+            `revoked:\n  - sub: "500000000000000005"\n    revoked_at: "${revokedAt}"\n`);
+
+        const token = jwt.generateHasuraJWT({ userId: '500000000000000005', role: 'team' });
+        assert.equal((await contextFor(token)).kbRole, 'team');
+    });
+});
@@ -0,0 +1,132 @@
+// Mission chat log tests
+// Append-only entries under date headings, structured reads and filters
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { MEMBER_ID, createTestKB, removeTestKB, writeMission, callAs } from './helpers/kb-fixture.js';
+
+const CHAT = `# Client portal - Chat Log
+
+## 2025-11-01
+
+[Mission chat log will be recorded here]
+
+## 2025-11-03
+
+- 09:15 **erik** [decision]: Go with Postgres
+- 11:40 **andrew** [blocker, note]: Waiting on API keys
+  from the client
+- 16:00 **erik**: Kick-off done
+`;
+
+let kbRoot;
+let chatLog;
+let missions;
+
+before(async () => {
+    // Runs under the shipped .tf/policy.yaml, so its chat filters are covered too
+    kbRoot = await createTestKB('chat', { policy: 'shipped' });
+    await writeMission('client-portal', { participants: [MEMBER_ID] }, { 'chat.md': CHAT });
+    await writeMission('no-chat', { participants: [MEMBER_ID] });
+    await writeMission('busy', { participants: [MEMBER_ID] }, { 'chat.md': CHAT });
+    await writeMission('busy-no-chat', { participants: [MEMBER_ID] });
+    await writeMission('other-team', { participants: ['300000000000000001'] }, { 'chat.md': CHAT });
+
+    chatLog = await import('../src/utils/chat-log.js');
+    missions = await import('../src/tools/missions.js');
+});
+
+after(removeTestKB);
+
+describe('chat log format', () => {
+    test('parses entries with tags and continuation lines, skipping other text', () => {
+        assert.deepEqual(chatLog.parseChatLog(CHAT), [
+            { date: '2025-11-03', time: '09:15', author: 'erik', tags: ['decision'], text: 'Go with Postgres' },
+            { date: '2025-11-03', time: '11:40', author: 'andrew', tags: ['blocker', 'note'], text: 'Waiting on API keys\nfrom the client' },
+            { date: '2025-11-03', time: '16:00', author: 'erik', tags: [], text: 'Kick-off done' }
+        ]);
+    });
+
+    test('formats entries in UTC and round-trips multi-line text', () => {
+        const { date, line } = chatLog.formatChatEntry({
+            at: new Date('2025-12-01T23:30:00-02:00'),
+            author: 'dev',
+            tags: ['note'],
+            text: 'Line one\nLine two'
+        });
+
+        assert.equal(date, '2025-12-02');
+        assert.equal(line, '- 01:30 **dev** [note]: Line one\n  Line two\n');
+        assert.equal(chatLog.parseChatLog(`## ${date}\n${line}`)[0].text, 'Line one\nLine two');
+    });
+});
+
+describe('missions_chat_append', () => {
+    test('adds today\'s heading and only appends to the file', async () => {
+        const result = await callAs('member', 'missions_chat_append', missions.missionsChatAppend, {
+            id: 'client-portal',
+            text: 'Opened the beta PR',
+            tags: ['note']
+        });
+        const today = new Date().toISOString().slice(0, 10);
+
+        assert.equal(result.entry.author, 'dev');
+        assert.equal(result.entry.date, today);
+
+        const content = await readFile(join(kbRoot, 'missions', 'active', 'client-portal', 'chat.md'), 'utf-8');
+        assert.ok(content.startsWith(CHAT), 'earlier content is untouched');
+        assert.match(content.slice(CHAT.length), new RegExp(`^\\n## ${today}\\n\\n- \\d{2}:\\d{2} \\*\\*dev\\*\\* \\[note\\]: Opened the beta PR\\n$`));
+
+        await callAs('team', 'missions_chat_append', missions.missionsChatAppend, { id: 'client-portal', text: 'Reviewed' });
+        const again = await readFile(join(kbRoot, 'missions', 'active', 'client-portal', 'chat.md'), 'utf-8');
+        assert.equal(again.split(`## ${today}`).length, 2, 'same day reuses the heading');
+    });
+
+    test('creates chat.md when the mission has none', async () => {
+        await callAs('team', 'missions_chat_append', missions.missionsChatAppend, { id: 'no-chat', text: 'First entry' });
+        const content = await readFile(join(kbRoot, 'missions', 'active', 'no-chat', 'chat.md'), 'utf-8');
+        assert.match(content, /^# no-chat - Chat Log\n\n## \d{4}-\d{2}-\d{2}\n\n- \d{2}:\d{2} \*\*dev-lead\*\*: First entry\n$/);
+    });
+
+    test('concurrent appends add one heading and keep every entry', async () => {
+        const today = new Date().toISOString().slice(0, 10);
+
+        for (const id of ['busy', 'busy-no-chat']) {
+            await Promise.all(Array.from({ length: 5 }, (_, i) =>
+                callAs('team', 'missions_chat_append', missions.missionsChatAppend, { id, text: `Entry ${i}` })));
+
+            const content = await readFile(join(kbRoot, 'missions', 'active', id, 'chat.md'), 'utf-8');
+            assert.equal(content.split(`## ${today}`).length, 2, `${id}: one heading for today`);
+            assert.equal(content.split(' - Chat Log').length, 2, `${id}: one title`);
+            const entries = chatLog.parseChatLog(content).filter(entry => entry.date === today);
+            assert.deepEqual(entries.map(entry => entry.text).sort(), ['Entry 0', 'Entry 1', 'Entry 2', 'Entry 3', 'Entry 4']);
+        }
+    });
+
+    test('members can only log to their own missions and tags are checked', async () => {
+        await assert.rejects(
+            callAs('member', 'missions_chat_append', missions.missionsChatAppend, { id: 'other-team', text: 'x' }),
+            { name: 'AuthorizationError' }
+        );
+        await assert.rejects(
+            callAs('member', 'missions_chat_append', missions.missionsChatAppend, { id: 'client-portal', text: 'x', tags: ['rumor'] }),
+            /Invalid enum value/
+        );
+    });
+});
+
+describe('missions_chat_read', () => {
+    test('filters by date range, author and tag', async () => {
+        const read = args => callAs('member', 'missions_chat_read', missions.missionsChatRead, { id: 'client-portal', ...args });
+
+        assert.deepEqual((await read({ to: '2025-11-03', author: 'ERIK' })).entries.map(e => e.time), ['09:15', '16:00']);
+        assert.deepEqual((await read({ tag: 'blocker' })).entries.map(e => e.author), ['andrew']);
+        assert.deepEqual((await read({ from: '2025-11-04' })).entries.map(e => e.text), ['Opened the beta PR', 'Reviewed']);
+
+        const latest = await read({ limit: 1 });
+        assert.equal(latest.total, 5);
+        assert.deepEqual(latest.entries.map(e => e.text), ['Reviewed']);
+    });
+});
@@ -0,0 +1,157 @@
+// Mission history tests
+// history.jsonl events from each mission mutation, field diffs and missions_history filters
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, appendFile } from 'fs/promises';
+import { join } from 'path';
+import { MEMBER_ID, ROLE_USERS, createTestKB, removeTestKB, writeMission, callAs, callTool } from './helpers/kb-fixture.js';
+
+let kbRoot;
+let history;
+let missions;
+
+/**
+ * Read the raw events of a mission's history.jsonl
+ */
+async function readEvents(missionPath) {
+    const content = await readFile(join(kbRoot, missionPath, 'history.jsonl'), 'utf-8');
+    return content.trim().split('\n').map(line => JSON.parse(line));
+}
+
+before(async () => {
+    kbRoot = await createTestKB('history');
+    await writeMission('other-team', { title: 'Other', participants: ['300000000000000001'] });
+    await writeMission('budgeted', { title: 'Budgeted', budget: 8000, participants: [MEMBER_ID] }, {
+        'history.jsonl': `${JSON.stringify({
+            timestamp: '2025-11-02T09:00:00.000Z',
+            tool: 'missions_update',
+            actor: { user_id: ROLE_USERS.admin.user_id, username: 'lead', role: 'admin' },
+            fields: ['budget', 'title'],
+            before: { budget: 5000, title: 'Draft' },
+            after: { budget: 8000, title: 'Budgeted' }
+        })}\n`
+    });
+
+    history = await import('../src/utils/mission-history.js');
+    missions = await import('../src/tools/missions.js');
+    const registry = await import('../src/tools/registry.js');
+    registry.registerTools(missions.missionTools);
+});
+
+after(removeTestKB);
+
+describe('field diffs', () => {
+    test('compares nested objects key by key and arrays as whole values', () => {
+        const diff = history.diffMission(
+            { status: 'active', participants: ['a'], discord: { channel_id: '1', linked_at: 't1' }, updated_at: 'x' },
+            { status: 'active', participants: ['a', 'b'], discord: { channel_id: '2', linked_at: 't1' }, closing_note: 'Done', updated_at: 'y' }
+        );
+
+        assert.deepEqual(diff, {
+            fields: ['participants', 'discord.channel_id', 'closing_note'],
+            before: { participants: ['a'], discord: { channel_id: '1' }, closing_note: null },
+            after: { participants: ['a', 'b'], discord: { channel_id: '2' }, closing_note: 'Done' }
+        });
+    });
+
+    test('a new mission lists every field as set', () => {
+        const diff = history.diffMission(null, { id: 'x', status: 'draft' });
+        assert.deepEqual(diff, { fields: ['id', 'status'], before: { id: null, status: null }, after: { id: 'x', status: 'draft' } });
+    });
+});
+
+describe('recorded events', () => {
+    test('create and update append events with actor, tool and diff; the file moves with the mission', async () => {
+        await callAs('team', 'missions_create', missions.missionsCreate, {
+            id: 'client-portal',
+            title: 'Client portal',
+            participants: [MEMBER_ID]
+        });
+        await callAs('team', 'missions_update', missions.missionsUpdate, {
+            id: 'client-portal',
+            updates: { participants: [MEMBER_ID, ROLE_USERS.team.user_id] }
+        });
+        await callAs('admin', 'missions_update', missions.missionsUpdate, {
+            id: 'client-portal',
+            updates: { status: 'completed', completed_at: '2025-12-01T10:00:00Z', closing_note: 'Shipped' }
+        });
+
+        const events = await readEvents('missions/completed/client-portal');
+        assert.deepEqual(events.map(e => e.tool), ['missions_create', 'missions_update', 'missions_update']);
+
+        const [created, , completed] = events;
+        assert.deepEqual(created.actor, { user_id: ROLE_USERS.team.user_id, username: 'dev-lead', role: 'team' });
+        assert.deepEqual(created.files, ['mission.yaml', 'description.md', 'chat.md']);
+        assert.equal(created.after.status, 'active');
+
+        assert.equal(completed.actor.role, 'admin');
+        assert.deepEqual(completed.fields, ['status', 'completed_at', 'closing_note']);
+        assert.deepEqual(completed.before, { status: 'active', completed_at: null, closing_note: null });
+        assert.deepEqual(completed.transition, { from: 'active', to: 'completed', reopened: false });
+        assert.deepEqual(completed.relocated, { from: 'missions/active/client-portal', to: 'missions/completed/client-portal' });
+        assert.ok(!completed.fields.includes('updated_at'));
+    });
+
+    test('Discord link, context import and summary are recorded', async () => {
+        await callAs('team', 'missions_link_discord_channel', missions.missionsLinkDiscordChannel, {
+            mission_id: 'client-portal',
+            channel_id: '900000000000000001'
+        });
+        await callAs('team', 'missions_import_discord_context', missions.missionsImportDiscordContext, { mission_id: 'client-portal' });
+        await callAs('team', 'missions_generate_discord_summary', missions.missionsGenerateDiscordSummary, { mission_id: 'client-portal' });
+
+        const events = (await readEvents('missions/completed/client-portal')).slice(3);
+        assert.deepEqual(events.map(e => e.tool), [
+            'missions_link_discord_channel',
+            'missions_import_discord_context',
+            'missions_generate_discord_summary'
+        ]);
+        assert.deepEqual(events[0].fields, ['discord']);
+        assert.equal(events[0].after.discord.channel_id, '900000000000000001');
+        assert.deepEqual(events[1].files, ['missions/completed/client-portal/discord-context.md']);
+        assert.deepEqual(events[2].fields, ['discord.summaries']);
+    });
+});
+
+describe('missions_history', () => {
+    test('filters by field, tool, actor and date, oldest first', async () => {
+        const read = args => callAs('admin', 'missions_history', missions.missionsHistory, { id: 'client-portal', ...args });
+        const today = new Date().toISOString().slice(0, 10);
+
+        assert.deepEqual((await read({ field: 'status' })).events.map(e => e.tool), ['missions_create', 'missions_update']);
+        assert.equal((await read({ field: 'discord' })).total, 3);
+        assert.equal((await read({ tool: 'missions_update' })).total, 2);
+        assert.deepEqual((await read({ actor: 'LEAD' })).events.map(e => e.after.status), ['completed']);
+        assert.equal((await read({ actor: ROLE_USERS.team.user_id })).total, 5);
+        assert.equal((await read({ to: '2000-01-01' })).total, 0);
+
+        const latest = await read({ from: today, limit: 1 });
+        assert.equal(latest.total, 6);
+        assert.deepEqual(latest.events.map(e => e.tool), ['missions_generate_discord_summary']);
+    });
+
+    test('skips and counts lines that are not JSON', async () => {
+        await appendFile(join(kbRoot, 'missions', 'completed', 'client-portal', 'history.jsonl'), '{"truncated\n');
+
+        const result = await callAs('admin', 'missions_history', missions.missionsHistory, { id: 'client-portal' });
+        assert.equal(result.total, 6);
+        assert.equal(result.invalid_lines, 1);
+    });
+
+    test('members see the history of their missions with pay fields masked', async () => {
+        const result = await callTool('member', 'missions_history', { id: 'budgeted' });
+        assert.equal(result.events[0].after.budget, '[REDACTED]');
+        assert.equal(result.events[0].after.title, 'Budgeted');
+        assert.deepEqual(result.redacted_fields, ['events[].before.budget', 'events[].after.budget']);
+
+        await assert.rejects(
+            callAs('member', 'missions_history', missions.missionsHistory, { id: 'other-team' }),
+            { name: 'AuthorizationError' }
+        );
+        await assert.rejects(
+            callAs(null, 'missions_history', missions.missionsHistory, { id: 'client-portal' }),
+            { name: 'AuthorizationError' }
+        );
+    });
+});
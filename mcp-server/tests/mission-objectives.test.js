@@ -0,0 +1,141 @@
+// Mission objectives tests
+// Parsing and in-place editing of the description.md checklist, and completion in missions_read/list
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { MEMBER_ID, createTestKB, removeTestKB, writeMission, callAs } from './helpers/kb-fixture.js';
+
+const DESCRIPTION = `# Client portal
+
+## Overview
+
+Portal for Acme.
+
+## Objectives
+
+- [x] Kick-off call @erik (due: 2025-11-03)
+- [ ] Launch the beta @andrew (due: 2025-12-01)
+- [ ] Write the launch post
+
+## Notes
+
+- [ ] Not an objective
+`;
+
+let kbRoot;
+let objectives;
+let missions;
+
+const descriptionFile = () => join(kbRoot, 'missions', 'active', 'client-portal', 'description.md');
+
+before(async () => {
+    kbRoot = await createTestKB('objectives');
+    await writeMission('client-portal', { title: 'Client portal', participants: [MEMBER_ID] }, { 'description.md': DESCRIPTION });
+    await writeMission('board-strategy', { access_level: 'private' }, { 'description.md': DESCRIPTION });
+
+    objectives = await import('../src/utils/objectives.js');
+    missions = await import('../src/tools/missions.js');
+});
+
+after(removeTestKB);
+
+describe('checklist parsing', () => {
+    test('reads items of the Objectives section with owner and due date', () => {
+        const items = objectives.parseObjectives(DESCRIPTION);
+
+        assert.deepEqual(items.map(({ line, ...item }) => item), [
+            { index: 1, text: 'Kick-off call', done: true, owner: 'erik', due: '2025-11-03' },
+            { index: 2, text: 'Launch the beta', done: false, owner: 'andrew', due: '2025-12-01' },
+            { index: 3, text: 'Write the launch post', done: false, owner: null, due: null }
+        ]);
+        assert.deepEqual(objectives.summarizeObjectives(items), { total: 3, done: 1, percent: 33 });
+    });
+
+    test('adds items after the last one, or creates the section', () => {
+        const added = objectives.addObjective(DESCRIPTION, { text: 'Collect feedback', owner: 'dev', due: '2026-01-15' });
+        assert.match(added, /- \[ \] Write the launch post\n- \[ \] Collect feedback @dev \(due: 2026-01-15\)\n\n## Notes/);
+
+        assert.equal(objectives.addObjective('# Empty\n', { text: 'First' }), '# Empty\n\n## Objectives\n\n- [ ] First\n');
+        assert.equal(
+            objectives.addObjective('## Objectives\n\nTBD\n\n## Status\n', { text: 'First' }),
+            '## Objectives\n\nTBD\n\n- [ ] First\n\n## Status\n'
+        );
+    });
+
+    test('without objectives there is no percentage', () => {
+        assert.deepEqual(objectives.summarizeObjectives(objectives.parseObjectives('# Nothing\n')), { total: 0, done: 0, percent: null });
+    });
+});
+
+describe('objective tools', () => {
+    test('set_done ticks by text and keeps the annotations', async () => {
+        const result = await callAs('team', 'missions_objective_set_done', missions.missionsObjectiveSetDone, {
+            id: 'client-portal',
+            text: 'launch the beta'
+        });
+
+        assert.equal(result.objective.index, 2);
+        assert.deepEqual(result.progress, { total: 3, done: 2, percent: 67 });
+        assert.match(await readFile(descriptionFile(), 'utf-8'), /- \[x\] Launch the beta @andrew \(due: 2025-12-01\)/);
+    });
+
+    test('set_done unticks by index and rejects ambiguous text', async () => {
+        await callAs('team', 'missions_objective_set_done', missions.missionsObjectiveSetDone, { id: 'client-portal', index: 1, done: false });
+        assert.match(await readFile(descriptionFile(), 'utf-8'), /- \[ \] Kick-off call @erik/);
+
+        await assert.rejects(
+            callAs('team', 'missions_objective_set_done', missions.missionsObjectiveSetDone, { id: 'client-portal', text: 'launch' }),
+            /matches several objectives: 2\. Launch the beta; 3\. Write the launch post/
+        );
+        await assert.rejects(
+            callAs('team', 'missions_objective_set_done', missions.missionsObjectiveSetDone, { id: 'client-portal', index: 9 }),
+            /has no objective 9 \(it has 3\)/
+        );
+    });
+
+    test('add appends to the checklist; members cannot edit', async () => {
+        const result = await callAs('admin', 'missions_objective_add', missions.missionsObjectiveAdd, {
+            id: 'client-portal',
+            text: 'Hand over',
+            owner: '@erik'
+        });
+        assert.deepEqual(result.objective, { index: 4, text: 'Hand over', done: false, owner: 'erik', due: null });
+
+        await assert.rejects(
+            callAs('member', 'missions_objective_add', missions.missionsObjectiveAdd, { id: 'client-portal', text: 'x' }),
+            { name: 'AuthorizationError' }
+        );
+    });
+
+    test('team edits only missions within its access filter', async () => {
+        await assert.rejects(
+            callAs('team', 'missions_objective_add', missions.missionsObjectiveAdd, { id: 'board-strategy', text: 'x' }),
+            { name: 'AuthorizationError' }
+        );
+        await assert.rejects(
+            callAs('team', 'missions_objective_set_done', missions.missionsObjectiveSetDone, { id: 'board-strategy', index: 2 }),
+            { name: 'AuthorizationError' }
+        );
+        assert.equal(await readFile(join(kbRoot, 'missions', 'active', 'board-strategy', 'description.md'), 'utf-8'), DESCRIPTION);
+
+        const result = await callAs('admin', 'missions_objective_set_done', missions.missionsObjectiveSetDone, { id: 'board-strategy', index: 2 });
+        assert.equal(result.objective.done, true);
+    });
+
+    test('members list objectives of missions assigned to them', async () => {
+        const result = await callAs('member', 'missions_objectives_list', missions.missionsObjectivesList, { id: 'client-portal' });
+
+        assert.deepEqual(result.objectives.map(o => o.done), [false, true, false, false]);
+        assert.deepEqual(result.progress, { total: 4, done: 1, percent: 25 });
+    });
+
+    test('missions_read and missions_list report completion', async () => {
+        const mission = await callAs('admin', 'missions_read', missions.missionsRead, { id: 'client-portal' });
+        assert.deepEqual(mission.objectives_progress, { total: 4, done: 1, percent: 25 });
+
+        const listed = (await callAs('admin', 'missions_list', missions.missionsList)).find(m => m.id === 'client-portal');
+        assert.deepEqual(listed.objectives_progress, { total: 4, done: 1, percent: 25 });
+    });
+});
@@ -0,0 +1,334 @@
+// Mission tool tests
+// Runs against a temporary KB (KB_ROOT is read at import time, so modules are loaded dynamically)
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { ADMIN_ID, MEMBER_ID, createTestKB, removeTestKB, writeMission, callAs as callAsUser } from './helpers/kb-fixture.js';
+
+const MISSIONS = {
+    'internal-tooling': { status: 'active', participants: [MEMBER_ID] },
+    'public-launch': { status: 'active', participants: ['300000000000000001'], access_level: 'public' },
+    'board-strategy': { status: 'active', participants: ['300000000000000002'], access_level: 'private' },
+    'hiring-round': { status: 'completed', participants: [MEMBER_ID, '300000000000000001'], access_level: 'private' }
+};
+
+let kbRoot;
+let missions;
+let DISCORD_ROLES;
+
+/**
+ * Run a tool handler as a user with the given Discord roles, through the same
+ * policy → applyDataFilters path the server uses
+ */
+async function callAs(roles, toolName, handler, args = {}) {
+    const user = roles === null
+        ? null
+        : { user_id: roles.includes(DISCORD_ROLES.DEV) ? MEMBER_ID : ADMIN_ID, username: 'tester', roles };
+
+    return await callAsUser(user, toolName, handler, args);
+}
+
+before(async () => {
+    kbRoot = await createTestKB('missions');
+    for (const [id, data] of Object.entries(MISSIONS)) {
+        await writeMission(id, data);
+    }
+
+    missions = await import('../src/tools/missions.js');
+    ({ DISCORD_ROLES } = await import('../src/auth/index.js'));
+});
+
+after(removeTestKB);
+
+describe('missions_list access filter', () => {
+    const listIds = async (roles) =>
+        (await callAs(roles, 'missions_list', missions.missionsList)).map(m => m.id).sort();
+
+    test('admin sees every mission', async () => {
+        assert.deepEqual(await listIds([DISCORD_ROLES.CORE_LEAD]),
+            ['board-strategy', 'hiring-round', 'internal-tooling', 'public-launch']);
+    });
+
+    test('team sees core, team and public missions but not private ones', async () => {
+        assert.deepEqual(await listIds([DISCORD_ROLES.DEV_LEAD]), ['internal-tooling', 'public-launch']);
+    });
+
+    test('member sees only missions they participate in', async () => {
+        assert.deepEqual(await listIds([DISCORD_ROLES.DEV]), ['hiring-round', 'internal-tooling']);
+    });
+
+    test('public sees only public missions', async () => {
+        assert.deepEqual(await listIds(null), ['public-launch']);
+        assert.deepEqual(await listIds([DISCORD_ROLES.OPEN]), ['public-launch']);
+    });
+
+    test('status filter still applies within the visible set', async () => {
+        const result = await callAs([DISCORD_ROLES.DEV], 'missions_list', missions.missionsList, {
+            filter: { status: 'completed' }
+        });
+        assert.deepEqual(result.map(m => m.id), ['hiring-round']);
+    });
+});
+
+describe('missions_read access filter', () => {
+    test('member can read a mission they participate in', async () => {
+        const mission = await callAs([DISCORD_ROLES.DEV], 'missions_read', missions.missionsRead, { id: 'internal-tooling' });
+        assert.equal(mission.id, 'internal-tooling');
+    });
+
+    test('member cannot read a mission they do not participate in', async () => {
+        await assert.rejects(
+            callAs([DISCORD_ROLES.DEV], 'missions_read', missions.missionsRead, { id: 'public-launch' }),
+            { name: 'AuthorizationError' }
+        );
+    });
+
+    test('team cannot read a private mission', async () => {
+        await assert.rejects(
+            callAs([DISCORD_ROLES.DEV_LEAD], 'missions_read', missions.missionsRead, { id: 'board-strategy' }),
+            { name: 'AuthorizationError' }
+        );
+    });
+
+    test('admin can read a private mission', async () => {
+        const mission = await callAs([DISCORD_ROLES.CORE_LEAD], 'missions_read', missions.missionsRead, { id: 'board-strategy' });
+        assert.equal(mission.access_level, 'private');
+    });
+
+    test('public cannot use missions_read at all', async () => {
+        await assert.rejects(
+            callAs(null, 'missions_read', missions.missionsRead, { id: 'public-launch' }),
+            { name: 'AuthorizationError' }
+        );
+    });
+});
+
+describe('missions_update access filter', () => {
+    test('team cannot update missions outside its access', async () => {
+        await assert.rejects(
+            callAs([DISCORD_ROLES.DEV_LEAD], 'missions_update', missions.missionsUpdate, {
+                id: 'board-strategy',
+                updates: { title: 'Renamed' }
+            }),
+            { name: 'AuthorizationError' }
+        );
+        const yaml = await readFile(join(kbRoot, 'missions/active/board-strategy/mission.yaml'), 'utf-8');
+        assert.doesNotMatch(yaml, /Renamed/);
+
+        const result = await callAs([DISCORD_ROLES.CORE_LEAD], 'missions_update', missions.missionsUpdate, {
+            id: 'board-strategy',
+            updates: { title: 'Board strategy' }
+        });
+        assert.equal(result.success, true);
+    });
+});
+
+describe('mission context and Discord tools access filter', () => {
+    const TEAM = () => [DISCORD_ROLES.DEV_LEAD];
+    const MEMBER = () => [DISCORD_ROLES.DEV];
+
+    test('scan_context bundles only the missions the caller may see', async () => {
+        const result = await callAs(TEAM(), 'missions_scan_context', missions.missionsScanContext, {
+            output_path: '.ai/summaries/team-bundles.json'
+        });
+        const ids = result.bundles_preview.map(b => b.id).sort();
+        assert.deepEqual(ids, ['internal-tooling', 'public-launch']);
+
+        const written = JSON.parse(await readFile(join(kbRoot, '.ai/summaries/team-bundles.json'), 'utf-8'));
+        assert.deepEqual(written.bundles.map(b => b.id).sort(), ids);
+    });
+
+    test('team cannot link, import into or summarize a private mission', async () => {
+        const calls = [
+            ['missions_link_discord_channel', missions.missionsLinkDiscordChannel, { mission_id: 'board-strategy', channel_id: '123' }],
+            ['missions_import_discord_context', missions.missionsImportDiscordContext, { mission_id: 'board-strategy', channel_id: '123' }],
+            ['missions_generate_discord_summary', missions.missionsGenerateDiscordSummary, { mission_id: 'board-strategy' }]
+        ];
+        for (const [tool, handler, args] of calls) {
+            await assert.rejects(callAs(TEAM(), tool, handler, args), { name: 'AuthorizationError' }, tool);
+        }
+
+        const yaml = await readFile(join(kbRoot, 'missions/active/board-strategy/mission.yaml'), 'utf-8');
+        assert.doesNotMatch(yaml, /discord:/);
+        assert.equal(existsSync(join(kbRoot, 'missions/active/board-strategy/discord-context.md')), false);
+    });
+
+    test('members cannot use them, even on their own mission', async () => {
+        await assert.rejects(
+            callAs(MEMBER(), 'missions_link_discord_channel', missions.missionsLinkDiscordChannel, {
+                mission_id: 'internal-tooling',
+                channel_id: '123'
+            }),
+            { name: 'AuthorizationError' }
+        );
+        await assert.rejects(
+            callAs(MEMBER(), 'missions_scan_context', missions.missionsScanContext),
+            { name: 'AuthorizationError' }
+        );
+    });
+
+    test('team links a channel to a mission it can see', async () => {
+        const result = await callAs(TEAM(), 'missions_link_discord_channel', missions.missionsLinkDiscordChannel, {
+            mission_id: 'internal-tooling',
+            channel_id: '123'
+        });
+        assert.equal(result.linked_channel.channel_id, '123');
+    });
+});
+
+describe('missions_update state machine', () => {
+    const ADMIN = () => [DISCORD_ROLES.CORE_LEAD];
+    const TEAM = () => [DISCORD_ROLES.DEV_LEAD];
+
+    const create = (id, status) =>
+        callAs(ADMIN(), 'missions_create', missions.missionsCreate, { id, title: id, ...(status && { status }) });
+    const update = (roles, args) => callAs(roles, 'missions_update', missions.missionsUpdate, args);
+
+    test('new missions start in the initial state and land in their status folder', async () => {
+        assert.equal((await create('state-default')).path, 'missions/active/state-default');
+        assert.equal((await create('state-planned', 'planned')).path, 'missions/planned/state-planned');
+        await assert.rejects(create('state-bogus', 'in-progress'), /Invalid mission status: "in-progress"/);
+    });
+
+    test('transitions require their fields', async () => {
+        await assert.rejects(
+            update(TEAM(), { id: 'state-default', updates: { status: 'completed' } }),
+            /needs completed_at, closing_note to move from active to completed/
+        );
+
+        const result = await update(TEAM(), {
+            id: 'state-default',
+            updates: { status: 'completed', completed_at: '2025-12-01T17:00:00Z', closing_note: 'Shipped' }
+        });
+        assert.deepEqual(result.transition, { from: 'active', to: 'completed', reopened: false });
+        assert.deepEqual(result.relocated, { from: 'missions/active/state-default', to: 'missions/completed/state-default' });
+        assert.equal(result.path, 'missions/completed/state-default/mission.yaml');
+    });
+
+    test('re-entering a state needs its fields again', async () => {
+        await create('state-reblocked');
+        await update(TEAM(), { id: 'state-reblocked', updates: { status: 'blocked', blocked_reason: 'Waiting on legal' } });
+        await update(TEAM(), { id: 'state-reblocked', updates: { status: 'active' } });
+
+        await assert.rejects(
+            update(TEAM(), { id: 'state-reblocked', updates: { status: 'blocked' } }),
+            /needs blocked_reason to move from active to blocked/
+        );
+        const result = await update(TEAM(), { id: 'state-reblocked', updates: { status: 'blocked', blocked_reason: 'Waiting on the client' } });
+        assert.deepEqual(result.transition, { from: 'active', to: 'blocked', reopened: false });
+    });
+
+    test('undefined transitions are rejected', async () => {
+        await assert.rejects(
+            update(TEAM(), { id: 'state-planned', updates: { status: 'completed' } }),
+            /planned → completed is not allowed \(from planned: draft, active, on-hold, archived\)/
+        );
+        await assert.rejects(
+            update(TEAM(), { id: 'state-default', updates: { status: 'active' } }),
+            /completed → active is not allowed.*reopen: true/
+        );
+    });
+
+    test('only admins can reopen', async () => {
+        await assert.rejects(
+            update(TEAM(), { id: 'state-default', updates: { status: 'active' }, reopen: true }),
+            { name: 'AuthorizationError' }
+        );
+
+        const result = await update(ADMIN(), { id: 'state-default', updates: { status: 'active' }, reopen: true });
+        assert.deepEqual(result.transition, { from: 'completed', to: 'active', reopened: true });
+        assert.equal(result.relocated.to, 'missions/active/state-default');
+
+        const mission = await callAs(ADMIN(), 'missions_read', missions.missionsRead, { id: 'state-default' });
+        assert.equal(mission.status, 'active');
+        assert.ok(mission.reopened_at);
+    });
+
+    test('the state machine comes from config/mission-states.yaml and fails closed', async () => {
+        const configPath = join(kbRoot, 'config', 'mission-states.yaml');
+        await mkdir(join(kbRoot, 'config'), { recursive: true });
+        try {
+            await writeFile(configPath, [
+                'initial: planned',
+                'states:',
+                '  planned: { folder: planned, transitions: { active: [] } }',
+                '  active: { folder: active, transitions: { planned: [] } }'
+            ].join('\n') + '\n');
+            await update(TEAM(), { id: 'state-planned', updates: { status: 'active' } });
+            assert.equal((await create('state-custom')).path, 'missions/planned/state-custom');
+
+            await writeFile(configPath, 'states:\n  active: { folder: active, transitions: { done: [] } }\n');
+            await assert.rejects(
+                update(TEAM(), { id: 'state-planned', updates: { status: 'planned' } }),
+                /Invalid mission states [\s\S]*\\"done\\" is not defined/
+            );
+        } finally {
+            await rm(configPath);
+        }
+    });
+});
+
+describe('mission folder relocation', () => {
+    const ADMIN = () => [DISCORD_ROLES.CORE_LEAD];
+
+    /**
+     * Write a mission.yaml straight to disk, bypassing the tools
+     */
+    async function writeMission(path, status) {
+        await mkdir(join(kbRoot, path), { recursive: true });
+        await writeFile(join(kbRoot, path, 'mission.yaml'), `id: x\ntitle: x\nstatus: ${status}\n`);
+        await writeFile(join(kbRoot, path, 'chat.md'), '# chat\n');
+    }
+
+    test('statuses sharing a folder do not move the mission', async () => {
+        await callAs(ADMIN(), 'missions_create', missions.missionsCreate, { id: 'relocate-blocked', title: 'x' });
+        const result = await callAs(ADMIN(), 'missions_update', missions.missionsUpdate, {
+            id: 'relocate-blocked',
+            updates: { status: 'blocked', blocked_reason: 'Waiting on the client' }
+        });
+
+        assert.equal(result.relocated, undefined);
+        assert.equal(await missions.findMissionPath('relocate-blocked'), 'missions/active/relocate-blocked');
+    });
+
+    test('a move never overwrites an existing mission folder', async () => {
+        await callAs(ADMIN(), 'missions_create', missions.missionsCreate, { id: 'relocate-clash', title: 'x' });
+        await writeMission('missions/archived/relocate-clash', 'archived');
+
+        await assert.rejects(
+            callAs(ADMIN(), 'missions_update', missions.missionsUpdate, {
+                id: 'relocate-clash',
+                updates: { status: 'archived', closing_note: 'Dropped' }
+            }),
+            /target already exists/
+        );
+        const yaml = await readFile(join(kbRoot, 'missions/active/relocate-clash/mission.yaml'), 'utf-8');
+        assert.match(yaml, /status: active/);
+        await rm(join(kbRoot, 'missions/archived/relocate-clash'), { recursive: true });
+    });
+
+    test('reconcile moves missions whose folder and status disagree', async () => {
+        await writeMission('missions/active/stale-done', 'completed');
+        await writeMission('missions/legacy-flat', 'archived');
+        await writeMission('missions/draft/stale-unknown', 'in-progress');
+
+        const preview = await missions.missionsReconcileFolders({ dry_run: true });
+        assert.deepEqual(preview.moved.map(m => `${m.from} → ${m.to}`).sort(), [
+            'missions/active/stale-done → missions/completed/stale-done',
+            'missions/legacy-flat → missions/archived/legacy-flat'
+        ]);
+        assert.ok(existsSync(join(kbRoot, 'missions/active/stale-done')));
+
+        const result = await missions.missionsReconcileFolders();
+        assert.equal(result.moved.length, 2);
+        assert.deepEqual(result.skipped.map(m => m.path), ['missions/draft/stale-unknown']);
+        assert.match(result.skipped[0].reason, /Invalid mission status: "in-progress"/);
+        assert.ok(existsSync(join(kbRoot, 'missions/completed/stale-done/chat.md')));
+        assert.equal(await missions.findMissionPath('legacy-flat'), 'missions/archived/legacy-flat');
+
+        assert.equal((await missions.missionsReconcileFolders()).moved.length, 0);
+    });
+});
@@ -0,0 +1,109 @@
+// Path ACL tests
+// readKBFile/writeKBFile must refuse folders above the caller's access level
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { ADMIN_ID, createTestKB, removeTestKB, as as asUser } from './helpers/kb-fixture.js';
+
+let kbRoot;
+let pathUtils;
+let auth;
+
+/**
+ * Run fn as a user with the given Discord roles (null = anonymous)
+ */
+async function as(roles, fn) {
+    return await asUser(roles === null ? null : { user_id: ADMIN_ID, username: 'tester', roles }, fn);
+}
+
+before(async () => {
+    kbRoot = await createTestKB('acl');
+
+    await mkdir(join(kbRoot, 'db', 'users'), { recursive: true });
+    await mkdir(join(kbRoot, 'candidates', 'dev'), { recursive: true });
+    await mkdir(join(kbRoot, 'actions'), { recursive: true });
+    await mkdir(join(kbRoot, '.tf'), { recursive: true });
+    await writeFile(join(kbRoot, 'db', 'users', 'erik.yaml'), 'id: erik\n');
+    await writeFile(join(kbRoot, 'candidates', 'dev', 'dev_doe_jane_80pts.md'), '# Jane\n');
+    await writeFile(join(kbRoot, 'actions', 'AT-001.md'), '# AT-001\n');
+
+    pathUtils = await import('../src/utils/path-utils.js');
+    auth = await import('../src/auth/index.js');
+});
+
+after(removeTestKB);
+
+describe('default folder rules', () => {
+    test('team can read core folders', async () => {
+        const content = await as([auth.DISCORD_ROLES.DEV_LEAD], () => pathUtils.readKBFile('db/users/erik.yaml'));
+        assert.equal(content, 'id: erik\n');
+    });
+
+    test('member cannot read or write db/', async () => {
+        await assert.rejects(
+            as([auth.DISCORD_ROLES.DEV], () => pathUtils.readKBFile('db/users/erik.yaml')),
+            (error) => error.name === 'AuthorizationError' &&
+                error.details.requiredLevel === 'core' &&
+                error.details.rule === 'db/' &&
+                error.details.operation === 'read'
+        );
+        await assert.rejects(
+            as([auth.DISCORD_ROLES.DEV], () => pathUtils.writeKBFile('db/users/new.yaml', 'id: new\n')),
+            { name: 'AuthorizationError' }
+        );
+    });
+
+    test('team cannot read HR candidates (private)', async () => {
+        await assert.rejects(
+            as([auth.DISCORD_ROLES.DEV_LEAD], () => pathUtils.readKBFile('candidates/dev/dev_doe_jane_80pts.md')),
+            { name: 'AuthorizationError' }
+        );
+    });
+
+    test('admin can read private folders', async () => {
+        const content = await as([auth.DISCORD_ROLES.CORE_LEAD], () => pathUtils.readKBFile('candidates/dev/dev_doe_jane_80pts.md'));
+        assert.equal(content, '# Jane\n');
+    });
+
+    test('unrestricted folders are readable by anyone', async () => {
+        const content = await as(null, () => pathUtils.readKBFile('actions/AT-001.md'));
+        assert.equal(content, '# AT-001\n');
+    });
+
+    test('path tricks resolve to the protected folder', async () => {
+        await assert.rejects(
+            as(null, () => pathUtils.readKBFile('actions/../db/users/erik.yaml')),
+            { name: 'AuthorizationError' }
+        );
+    });
+
+    test('code outside an MCP request is not restricted', async () => {
+        assert.equal(await pathUtils.readKBFile('db/users/erik.yaml'), 'id: erik\n');
+    });
+});
+
+describe('policy file rules', () => {
+    test('paths from .tf/policy.yaml replace the defaults', async () => {
+        await writeFile(join(kbRoot, '.tf', 'policy.yaml'), [
+            'mode: enforce',
+            'paths:',
+            '  - path: actions/',
+            '    level: team'
+        ].join('\n'));
+
+        await assert.rejects(
+            as(null, () => pathUtils.readKBFile('actions/AT-001.md')),
+            { name: 'AuthorizationError' }
+        );
+        const content = await as([auth.DISCORD_ROLES.DEV], () => pathUtils.readKBFile('db/users/erik.yaml'));
+        assert.equal(content, 'id: erik\n');
+    });
+
+    test('perimeter mode disables the path ACL', async () => {
+        await writeFile(join(kbRoot, '.tf', 'policy.yaml'), 'mode: perimeter\n');
+        const content = await as(null, () => pathUtils.readKBFile('candidates/dev/dev_doe_jane_80pts.md'));
+        assert.equal(content, '# Jane\n');
+    });
+});
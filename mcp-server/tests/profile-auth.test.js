@@ -0,0 +1,181 @@
+// Profile auth tests
+// Identity and KB role from db/users/*.yaml, by Discord ID or email, reloaded on change
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm, utimes } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const MAPPING = `
+default_role: public
+database_roles:
+  dev: member
+profile_roles:
+  Founder: admin
+profile_tags:
+  "Core Team": team
+  Dev: member
+`;
+
+const PROFILES = {
+    'ada-lovelace': `
+id: ada-lovelace
+name: Ada Lovelace
+email: Ada@Example.com
+discord_id: "500000000000000001"
+roles:
+  - Founder
+tags:
+  - Active
+status: active
+`,
+    'grace-hopper': `
+id: grace-hopper
+name: Grace Hopper
+email: grace@example.com
+roles:
+  - Full Stack Developer
+tags:
+  - core team
+  - Dev
+status: active
+`,
+    'alan-turing': `
+id: alan-turing
+name: Alan Turing
+email: alan@example.com
+discord_id: "500000000000000003"
+tags:
+  - Dev
+status: inactive
+`
+};
+
+let kbRoot;
+let usersDir;
+let profiles;
+let auth;
+
+before(async () => {
+    kbRoot = await mkdtemp(join(tmpdir(), 'kb-profiles-'));
+    usersDir = join(kbRoot, 'db', 'users');
+    await mkdir(usersDir, { recursive: true });
+    for (const [id, yaml] of Object.entries(PROFILES)) {
+        await writeFile(join(usersDir, `${id}.yaml`), yaml);
+    }
+    await writeFile(join(kbRoot, 'role-mapping.yaml'), MAPPING);
+
+    process.env.KB_ROOT = kbRoot;
+    process.env.ORBIOS_ROLE_MAPPING_PATH = join(kbRoot, 'role-mapping.yaml');
+    delete process.env.HASURA_HOST;
+
+    profiles = await import('../src/auth/profile-auth.js');
+    auth = await import('../src/auth/auth-manager.js');
+});
+
+after(async () => {
+    await rm(kbRoot, { recursive: true, force: true });
+});
+
+describe('findUserProfile', () => {
+    test('finds profiles by Discord ID', () => {
+        assert.equal(profiles.findUserProfile({ discordId: '500000000000000001' }).id, 'ada-lovelace');
+    });
+
+    test('finds profiles by email, ignoring case', () => {
+        assert.equal(profiles.findUserProfile({ email: 'ada@example.COM' }).id, 'ada-lovelace');
+        assert.equal(profiles.findUserProfile({ email: 'GRACE@example.com' }).id, 'grace-hopper');
+    });
+
+    test('returns null for unknown users', () => {
+        assert.equal(profiles.findUserProfile({ discordId: '999', email: 'nobody@example.com' }), null);
+    });
+});
+
+describe('initializeAuthContext with profiles', () => {
+    test('maps profile roles to a KB role', async () => {
+        const context = await auth.initializeAuthContext({ user: { user_id: '500000000000000001', roles: [] } });
+
+        assert.equal(context.kbRole, 'admin');
+        assert.equal(context.username, 'Ada Lovelace');
+        assert.equal(context.profile.id, 'ada-lovelace');
+        assert.equal(context.roleResolution.identity, 'profile');
+        assert.deepEqual(context.roleResolution.matched, ['profile-role:Founder']);
+    });
+
+    test('resolves users by email and maps tags case-insensitively', async () => {
+        const context = await auth.initializeAuthContext({ user: { user_id: 'grace@example.com' } });
+
+        assert.equal(context.userId, 'grace@example.com');
+        assert.equal(context.kbRole, 'team');
+        assert.deepEqual(context.roleResolution.matched, ['tag:Core Team', 'tag:Dev']);
+    });
+
+    test('uses the token\'s email field when the user ID is not in a profile', async () => {
+        const context = await auth.initializeAuthContext({
+            user: { user_id: '500000000000000002', email: 'grace@example.com' }
+        });
+
+        assert.equal(context.userId, '500000000000000002');
+        assert.equal(context.profile.id, 'grace-hopper');
+    });
+
+    test('inactive profiles lose access even with configured roles', async () => {
+        const context = await auth.initializeAuthContext({
+            user: { user_id: '500000000000000003', db_roles: ['dev'] }
+        });
+
+        assert.equal(context.authenticated, false);
+        assert.equal(context.kbRole, 'public');
+    });
+
+    test('users without a profile fall back to configured roles', async () => {
+        const context = await auth.initializeAuthContext({
+            user: { user_id: '500000000000000009', db_roles: ['dev'] }
+        });
+
+        assert.equal(context.kbRole, 'member');
+        assert.equal(context.profile, null);
+        assert.equal(context.roleResolution.identity, 'request');
+    });
+
+    test('ORBIOS_PROFILE_AUTH=false disables the provider', async () => {
+        process.env.ORBIOS_PROFILE_AUTH = 'false';
+        try {
+            const context = await auth.initializeAuthContext({ user: { user_id: '500000000000000001' } });
+            assert.equal(context.kbRole, 'public');
+            assert.equal(context.profile, null);
+        } finally {
+            delete process.env.ORBIOS_PROFILE_AUTH;
+        }
+    });
+});
+
+describe('reloading', () => {
+    test('picks up edited, added and removed profiles', async () => {
+        const path = join(usersDir, 'ada-lovelace.yaml');
+        await writeFile(path, PROFILES['ada-lovelace'].replace('Founder', 'Advisor'));
+        const later = new Date(Date.now() + 5000);
+        await utimes(path, later, later);
+
+        let context = await auth.initializeAuthContext({ user: { user_id: '500000000000000001' } });
+        assert.equal(context.kbRole, 'public');
+
+        await writeFile(join(usersDir, 'new-hire.yaml'), 'name: New Hire\nemail: new@example.com\ntags: [Dev]\n');
+        context = await auth.initializeAuthContext({ user: { user_id: 'new@example.com' } });
+        assert.equal(context.kbRole, 'member');
+
+        await rm(join(usersDir, 'new-hire.yaml'));
+        assert.equal(profiles.findUserProfile({ email: 'new@example.com' }), null);
+    });
+
+    test('a Discord ID claimed by two profiles resolves to neither', async () => {
+        await writeFile(join(usersDir, 'impostor.yaml'), 'name: Impostor\ndiscord_id: "500000000000000001"\nroles: [Founder]\n');
+        try {
+            assert.equal(profiles.findUserProfile({ discordId: '500000000000000001' }), null);
+        } finally {
+            await rm(join(usersDir, 'impostor.yaml'));
+        }
+    });
+});
@@ -0,0 +1,171 @@
+// Field redaction tests
+// Per-entity, per-role masking of tool results and YAML resources, with redacted_fields
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { MEMBER_ID, createTestKB, removeTestKB, writeMission, as, callTool } from './helpers/kb-fixture.js';
+
+let kbRoot;
+let policyFile;
+let auth;
+let resources;
+
+before(async () => {
+    kbRoot = await createTestKB('redaction');
+    policyFile = process.env.ORBIOS_POLICY_PATH;
+    await mkdir(join(kbRoot, '.tf'), { recursive: true });
+    await writeMission('client-portal', {
+        title: 'Client portal',
+        participants: [MEMBER_ID],
+        budget: 12000,
+        client: { name: 'Acme', contact: 'ceo@acme.test' }
+    });
+
+    await mkdir(join(kbRoot, 'db', 'users'), { recursive: true });
+    await writeFile(join(kbRoot, 'db', 'users', 'ada.yaml'),
+        '# profile\nid: ada\nname: Ada\nemail: ada@example.com\nrate: 50\nlocation: London\n');
+
+    auth = await import('../src/auth/index.js');
+    resources = await import('../src/resources/index.js');
+    const registry = await import('../src/tools/registry.js');
+    const { missionTools } = await import('../src/tools/missions.js');
+    registry.registerTools(missionTools);
+});
+
+after(removeTestKB);
+
+describe('redactFields', () => {
+    const sample = {
+        results: [
+            { text: 'hello', author: 'ada' },
+            { text: 'bye', author: null }
+        ],
+        data: { users: [{ name: 'Ada', email: 'ada@example.com', contact: { email: 'x@y.z' } }] }
+    };
+
+    test('masks matching keys at any depth and lists their paths', async () => {
+        const { value, redactedFields } = await as(null, () => auth.redactFields('graphql', sample));
+
+        assert.equal(value.data.users[0].email, auth.REDACTED);
+        assert.equal(value.data.users[0].contact.email, auth.REDACTED);
+        assert.equal(value.data.users[0].name, 'Ada');
+        assert.deepEqual(redactedFields.sort(), ['data.users[].contact.email', 'data.users[].email']);
+    });
+
+    test('leaves empty values alone', async () => {
+        const { value, redactedFields } = await as(null, () => auth.redactFields('search', sample));
+
+        assert.equal(value.results[0].author, auth.REDACTED);
+        assert.equal(value.results[1].author, null);
+        assert.deepEqual(redactedFields, ['results[].author']);
+    });
+
+    test('admins and code outside a request see everything', async () => {
+        assert.deepEqual((await as('admin', () => auth.redactFields('graphql', sample))).redactedFields, []);
+        assert.deepEqual(auth.redactFields('graphql', sample).value, sample);
+    });
+});
+
+describe('missions_read', () => {
+    test('hides the budget from members and reports it', async () => {
+        const mission = await callTool('member', 'missions_read', { id: 'client-portal' });
+
+        assert.equal(mission.budget, auth.REDACTED);
+        assert.equal(mission.client.contact, 'ceo@acme.test');
+        assert.deepEqual(mission.redacted_fields, ['budget']);
+    });
+
+    test('admins get the full mission with an empty redacted_fields', async () => {
+        const mission = await callTool('admin', 'missions_read', { id: 'client-portal' });
+
+        assert.equal(mission.budget, 12000);
+        assert.deepEqual(mission.redacted_fields, []);
+    });
+});
+
+describe('missions_list', () => {
+    test('hides the same fields on each listed mission as missions_read', async () => {
+        for (const who of ['member', 'team', 'admin']) {
+            const [listed] = await callTool(who, 'missions_list', {});
+            const read = await callTool(who, 'missions_read', { id: 'client-portal' });
+
+            assert.equal(listed.id, 'client-portal');
+            assert.deepEqual([listed.budget, listed.client], [read.budget, read.client], who);
+            assert.deepEqual(listed.redacted_fields, read.redacted_fields, who);
+        }
+
+        const [listed] = await callTool('member', 'missions_list', {});
+        assert.equal(listed.budget, auth.REDACTED);
+    });
+});
+
+describe('YAML resources', () => {
+    test('user profiles are redacted for team and re-serialized', async () => {
+        const [contents] = await as('team', () => resources.readResource('kb://users/ada'));
+
+        assert.match(contents.text, /rate: "?\[REDACTED\]"?/);
+        assert.match(contents.text, /email: ada@example.com/);
+        assert.deepEqual(contents.redacted_fields, ['rate']);
+    });
+
+    test('unredacted files are returned verbatim', async () => {
+        const [contents] = await as('admin', () => resources.readResource('kb://users/ada'));
+
+        assert.ok(contents.text.startsWith('# profile\n'));
+        assert.deepEqual(contents.redacted_fields, []);
+    });
+});
+
+describe('policy', () => {
+    test('a redaction section replaces the built-in rules', async () => {
+        await writeFile(policyFile, [
+            'roles:',
+            '  member:',
+            '    allow: ["missions_*"]',
+            'redaction:',
+            '  missions:',
+            '    member: [client.contact]'
+        ].join('\n') + '\n');
+        try {
+            const mission = await callTool('member', 'missions_read', { id: 'client-portal' });
+
+            assert.equal(mission.budget, 12000);
+            assert.equal(mission.client.contact, auth.REDACTED);
+            assert.deepEqual(mission.redacted_fields, ['client.contact']);
+        } finally {
+            await rm(policyFile);
+        }
+    });
+
+    test('mission tools that return mission data are redacted too', async () => {
+        await writeFile(policyFile, [
+            'roles:',
+            '  team:',
+            '    allow: ["missions_*"]',
+            'redaction:',
+            '  missions:',
+            '    team: [participants]'
+        ].join('\n') + '\n');
+        try {
+            const result = await callTool('team', 'missions_scan_context', { output_path: '.ai/summaries/bundles.json' });
+
+            assert.equal(result.bundles_preview[0].id, 'client-portal');
+            assert.equal(result.bundles_preview[0].participants, auth.REDACTED);
+            assert.deepEqual(result.redacted_fields, ['bundles_preview[].participants']);
+        } finally {
+            await rm(policyFile);
+        }
+    });
+
+    test('perimeter mode disables redaction', async () => {
+        await writeFile(policyFile, 'mode: perimeter\n');
+        try {
+            const mission = await callTool('member', 'missions_read', { id: 'client-portal' });
+            assert.equal(mission.budget, 12000);
+        } finally {
+            await rm(policyFile);
+        }
+    });
+});
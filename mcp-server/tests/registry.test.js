@@ -0,0 +1,108 @@
+// Tool registry tests
+// Registration checks, name aliases, alias conflicts and resolving unknown names
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import {
+    buildToolAliases,
+    registerTool,
+    registerTools,
+    resolveTool,
+    listTools,
+    getRegisteredTools
+} from '../src/tools/registry.js';
+
+const definition = (extra = {}) => ({
+    description: 'Test tool',
+    schema: z.object({ id: z.string().describe('Record ID') }),
+    handler: async args => args,
+    ...extra
+});
+
+describe('buildToolAliases', () => {
+    test('namespaced names get colon, double-underscore and server-prefixed spellings', () => {
+        assert.deepEqual(buildToolAliases('missions_scan_context'), [
+            'missions_scan_context',
+            'missions:scan_context',
+            'missions__scan_context',
+            'orbios-kb:missions:scan_context',
+            'orbios-kb__missions__scan_context'
+        ]);
+    });
+
+    test('names without a namespace only get server prefixes', () => {
+        assert.deepEqual(buildToolAliases('ping'), ['ping', 'orbios-kb:ping', 'orbios-kb__ping']);
+    });
+});
+
+describe('registerTool', () => {
+    test('stores the definition with its JSON schema and aliases', () => {
+        const tool = registerTool('records_read', definition({ readOnly: true, entity: 'records' }));
+
+        assert.equal(tool.name, 'records_read');
+        assert.equal(tool.readOnly, true);
+        assert.equal(tool.entity, 'records');
+        assert.deepEqual(tool.aliases, buildToolAliases('records_read'));
+        assert.deepEqual(tool.inputSchema.required, ['id']);
+        assert.equal(tool.inputSchema.properties.id.description, 'Record ID');
+        assert.equal(tool.inputSchema.$schema, undefined);
+
+        assert.ok(getRegisteredTools().includes(tool));
+        assert.deepEqual(listTools().find(t => t.name === 'records_read'), {
+            name: 'records_read',
+            description: 'Test tool',
+            inputSchema: tool.inputSchema
+        });
+    });
+
+    test('rejects duplicates and incomplete definitions', () => {
+        registerTool('records_delete', definition());
+
+        assert.throws(() => registerTool('records_delete', definition()), /Tool already registered: records_delete/);
+        assert.throws(() => registerTool('records_a', definition({ description: '' })), /missing a description/);
+        assert.throws(() => registerTool('records_b', definition({ schema: {} })), /missing a zod schema/);
+        assert.throws(() => registerTool('records_c', definition({ handler: null })), /missing a handler/);
+        assert.throws(() => registerTool('records_d'), /missing a description/);
+    });
+
+    test('rejects a name that is already another tool\'s alias', () => {
+        registerTool('reports_build', definition());
+
+        assert.throws(
+            () => registerTool('reports:build', definition()),
+            /Tool alias "reports:build" of "reports:build" conflicts with "reports_build"/
+        );
+        assert.equal(resolveTool('reports:build').name, 'reports_build');
+    });
+
+    test('registerTools registers every entry of a toolset', () => {
+        registerTools({ notes_add: definition(), notes_list: definition() });
+
+        assert.equal(resolveTool('notes_add').name, 'notes_add');
+        assert.equal(resolveTool('notes_list').name, 'notes_list');
+    });
+});
+
+describe('resolveTool', () => {
+    test('resolves every alias to the canonical tool', () => {
+        registerTool('tasks_sync_all', definition());
+
+        for (const alias of buildToolAliases('tasks_sync_all')) {
+            assert.equal(resolveTool(alias).name, 'tasks_sync_all', alias);
+        }
+    });
+
+    test('normalizes spellings that are not registered aliases', () => {
+        assert.equal(resolveTool('tasks:sync:all').name, 'tasks_sync_all');
+        assert.equal(resolveTool('orbios-kb:tasks:sync:all').name, 'tasks_sync_all');
+        assert.equal(resolveTool('orbios-kb__tasks__sync__all').name, 'tasks_sync_all');
+    });
+
+    test('returns null for unknown or empty names', () => {
+        assert.equal(resolveTool('tasks_unknown'), null);
+        assert.equal(resolveTool('other-server:tasks:sync:all'), null);
+        assert.equal(resolveTool(''), null);
+        assert.equal(resolveTool(undefined), null);
+    });
+});
@@ -0,0 +1,97 @@
+// KB resource tests
+// kb://missions list/read/subscribe checks apply the same access filters as missions_list/missions_read
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MEMBER_ID, createTestKB, removeTestKB, writeMission, as } from './helpers/kb-fixture.js';
+
+const MISSIONS = {
+    'internal-tooling': { participants: [MEMBER_ID] },
+    'public-launch': { participants: ['300000000000000001'], access_level: 'public' },
+    'board-strategy': { participants: ['300000000000000002'], access_level: 'private' },
+    'team-retro': { participants: ['300000000000000001'], access_level: 'team' }
+};
+
+let resources;
+
+const listMissionUris = async who =>
+    (await as(who, () => resources.listResources()))
+        .map(r => r.uri)
+        .filter(uri => uri.startsWith('kb://missions/'))
+        .sort();
+
+const readIds = async (who, ids) => {
+    const readable = [];
+    for (const id of ids) {
+        try {
+            await as(who, () => resources.readResource(`kb://missions/${id}`));
+            readable.push(id);
+        } catch (error) {
+            assert.equal(error.name, 'AuthorizationError', `${id}: ${error.message}`);
+        }
+    }
+    return readable;
+};
+
+before(async () => {
+    await createTestKB('resources');
+    for (const [id, data] of Object.entries(MISSIONS)) {
+        await writeMission(id, data, { 'chat.md': `# ${id}\n` });
+    }
+
+    resources = await import('../src/resources/index.js');
+});
+
+after(removeTestKB);
+
+describe('kb://missions access per role', () => {
+    const ALL = Object.keys(MISSIONS).sort();
+
+    test('admin lists and reads every mission', async () => {
+        assert.deepEqual(await listMissionUris('admin'), ALL.map(id => `kb://missions/${id}`));
+        assert.deepEqual(await readIds('admin', ALL), ALL);
+    });
+
+    test('team lists and reads public, team and core missions', async () => {
+        const expected = ['internal-tooling', 'public-launch', 'team-retro'];
+        assert.deepEqual(await listMissionUris('team'), expected.map(id => `kb://missions/${id}`));
+        assert.deepEqual(await readIds('team', ALL), expected);
+    });
+
+    test('member lists and reads only assigned missions', async () => {
+        assert.deepEqual(await listMissionUris('member'), ['kb://missions/internal-tooling']);
+        assert.deepEqual(await readIds('member', ALL), ['internal-tooling']);
+    });
+
+    test('public lists public missions and cannot read missions', async () => {
+        assert.deepEqual(await listMissionUris(null), ['kb://missions/public-launch']);
+        assert.deepEqual(await readIds(null, ALL), []);
+    });
+
+    test('sub-resources are filtered like the mission itself', async () => {
+        await assert.rejects(
+            as('member', () => resources.readResource('kb://missions/board-strategy/chat')),
+            { name: 'AuthorizationError' }
+        );
+        const [chat] = await as('member', () => resources.readResource('kb://missions/internal-tooling/chat'));
+        assert.equal(chat.text, '# internal-tooling\n');
+    });
+});
+
+describe('checkResourceAccess', () => {
+    test('accepts what the caller may read and refuses the rest', async () => {
+        await as('member', () => resources.checkResourceAccess('kb://missions/internal-tooling/chat'));
+        await assert.rejects(
+            as('member', () => resources.checkResourceAccess('kb://missions/team-retro')),
+            { name: 'AuthorizationError' }
+        );
+        await assert.rejects(
+            as('team', () => resources.checkResourceAccess('kb://missions/board-strategy/description')),
+            { name: 'AuthorizationError' }
+        );
+        await assert.rejects(
+            as('admin', () => resources.checkResourceAccess('kb://missions/../db')),
+            /Invalid resource URI/
+        );
+    });
+});
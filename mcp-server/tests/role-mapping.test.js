@@ -0,0 +1,100 @@
+// Role mapping tests
+// Discord guild roles and database role names resolve to KB roles through one document
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const MAPPING = `
+default_role: public
+guilds:
+  - id: "3000000000000000001"
+    name: "Main"
+    roles:
+      - { id: "3100000000000000001", name: "Lead", kb_role: admin }
+      - { id: "3100000000000000002", name: "Dev", kb_role: member }
+  - id: "3000000000000000002"
+    name: "Client"
+    roles:
+      - { id: "3200000000000000001", name: "Client Team", kb_role: team }
+database_roles:
+  dev_lead: team
+  dev: member
+  guest: public
+`;
+
+let dir;
+let roleMapping;
+let auth;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'kb-roles-'));
+    await writeFile(join(dir, 'role-mapping.yaml'), MAPPING);
+    process.env.ORBIOS_ROLE_MAPPING_PATH = join(dir, 'role-mapping.yaml');
+
+    roleMapping = await import('../src/auth/role-mapping.js');
+    auth = await import('../src/auth/auth-manager.js');
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+describe('resolveKBRole', () => {
+    test('maps roles from any configured guild', () => {
+        assert.equal(roleMapping.resolveKBRole({ discordRoles: ['3200000000000000001'] }).kbRole, 'team');
+        assert.equal(roleMapping.resolveKBRole({ discordRoles: ['3100000000000000002'] }).kbRole, 'member');
+    });
+
+    test('limits Discord roles to the given guild', () => {
+        const resolved = roleMapping.resolveKBRole({
+            discordRoles: ['3200000000000000001'],
+            guildId: '3000000000000000001'
+        });
+        assert.equal(resolved.kbRole, 'public');
+    });
+
+    test('dev_lead database role maps to team', () => {
+        const resolved = roleMapping.resolveKBRole({ dbRoles: ['dev', 'dev_lead'] });
+        assert.equal(resolved.kbRole, 'team');
+        assert.deepEqual(resolved.matched, ['db:dev', 'db:dev_lead']);
+    });
+
+    test('highest privilege wins across Discord and database roles', () => {
+        const resolved = roleMapping.resolveKBRole({ discordRoles: ['3100000000000000001'], dbRoles: ['dev'] });
+        assert.equal(resolved.kbRole, 'admin');
+        assert.deepEqual(resolved.matched, ['Main/Lead', 'db:dev']);
+    });
+
+    test('unknown roles fall back to default_role', () => {
+        assert.equal(roleMapping.resolveKBRole({ discordRoles: ['999'], dbRoles: ['intern'] }).kbRole, 'public');
+    });
+});
+
+describe('auth context', () => {
+    test('Hasura users get their KB role from database role names', () => {
+        const context = auth.authManager.createContext({ user_id: '1', roles: [], db_roles: ['dev_lead'] });
+        assert.equal(context.kbRole, 'team');
+        assert.deepEqual(context.dbRoles, ['dev_lead']);
+    });
+
+    test('configured users get their KB role from Discord role IDs', () => {
+        const context = auth.authManager.createContext({ user_id: '1', roles: ['3100000000000000001'] });
+        assert.equal(context.kbRole, 'admin');
+    });
+});
+
+describe('loadRoleMapping', () => {
+    test('rejects an invalid mapping instead of granting roles', async () => {
+        const invalid = join(dir, 'invalid.yaml');
+        await writeFile(invalid, 'database_roles:\n  dev: superuser\n');
+        process.env.ORBIOS_ROLE_MAPPING_PATH = invalid;
+        try {
+            assert.throws(() => roleMapping.loadRoleMapping(), /Invalid role mapping/);
+        } finally {
+            process.env.ORBIOS_ROLE_MAPPING_PATH = join(dir, 'role-mapping.yaml');
+        }
+    });
+});
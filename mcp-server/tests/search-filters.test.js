@@ -0,0 +1,177 @@
+// Search access filter tests
+// Discord and unified search handlers drop messages above the caller's level; discord_read_messages refuses restricted channels,
+// including channels synced into sibling repositories
+
+import { register } from 'node:module';
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createTestKB, removeTestKB, callTool } from './helpers/kb-fixture.js';
+import { FIXED_EMBEDDING } from './helpers/fixed-embeddings.js';
+
+// Searches embed the query; the real model is replaced before any src module loads
+register('./helpers/embedding-hooks.js', import.meta.url);
+
+const SERVER_ID = '1414519140861083792';
+const PUBLIC_CATEGORY = '1000000000000000001';
+const BOARD_CATEGORY = '1000000000000000002';
+const PUBLIC_CHANNEL = '3000000000000000001';
+const CORE_CHANNEL = '3000000000000000002';
+const BOARD_CHANNEL = '3000000000000000003';
+// Synced into ../orbios-kb-board only; CORE_SIBLING_CHANNEL is mapped there
+const SIBLING_CHANNEL = '3000000000000000004';
+const CORE_SIBLING_CHANNEL = '3000000000000000005';
+
+const MAPPING = `
+categories:
+  - name: "Public"
+    id: "${PUBLIC_CATEGORY}"
+    access_level: "public"
+  - name: "Board"
+    id: "${BOARD_CATEGORY}"
+    access_level: "board"
+default_access_level: "core"
+`;
+
+/**
+ * One message per access level; the team one predates channel IDs and carries its level
+ */
+const MESSAGES = [
+    { message_id: 'm-public', channel_id: PUBLIC_CHANNEL, category_id: PUBLIC_CATEGORY },
+    { message_id: 'm-team', access_level: 'team' },
+    { message_id: 'm-core', channel_id: CORE_CHANNEL },
+    { message_id: 'm-private', channel_id: BOARD_CHANNEL, category_id: BOARD_CATEGORY }
+];
+
+const ALL = ['m-core', 'm-private', 'm-public', 'm-team'];
+
+const messageIds = result => result.results.map(r => r.message_id).sort();
+
+// Holds the KB and its sibling repositories
+let parent;
+
+before(async () => {
+    parent = await mkdtemp(join(tmpdir(), 'kb-siblings-'));
+    const kbRoot = await createTestKB('search-filters', { parent });
+
+    await mkdir(join(kbRoot, '.tf'), { recursive: true });
+    await writeFile(join(kbRoot, '.tf', 'modules-config.json'), JSON.stringify({
+        modules: [{
+            moduleId: 'discord',
+            enabled: true,
+            dataSource: { path: 'context/discord' },
+            vectorDb: { enabled: true, path: 'vectors/discord' }
+        }]
+    }));
+
+    await mkdir(join(kbRoot, 'vectors', 'discord'), { recursive: true });
+    await writeFile(join(kbRoot, 'vectors', 'discord', 'vectors.json'), JSON.stringify(
+        MESSAGES.map(message => ({
+            id: message.message_id,
+            embedding: FIXED_EMBEDDING,
+            metadata: {
+                text: `release plan (${message.message_id})`,
+                server_id: SERVER_ID,
+                author: 'dev',
+                date: '2026-10-01',
+                ...message
+            }
+        }))
+    ));
+
+    await mkdir(join(kbRoot, 'config'), { recursive: true });
+    await writeFile(join(kbRoot, 'config', 'category-mapping.yaml'), MAPPING);
+    delete process.env.ORBIOS_CATEGORY_MAPPING_PATH;
+
+    const boardChannel = join(kbRoot, 'context', 'discord', SERVER_ID, BOARD_CHANNEL);
+    await mkdir(boardChannel, { recursive: true });
+    await writeFile(join(boardChannel, 'cursor.json'), JSON.stringify({ category_id: BOARD_CATEGORY }));
+    await writeFile(join(boardChannel, '2026-10-01.md'), '# Board\n');
+
+    const boardRepo = join(parent, 'orbios-kb-board');
+    for (const channel of [SIBLING_CHANNEL, CORE_SIBLING_CHANNEL]) {
+        await mkdir(join(boardRepo, 'context', 'discord', SERVER_ID, channel), { recursive: true });
+        await writeFile(join(boardRepo, 'context', 'discord', SERVER_ID, channel, '2026-10-01.md'), '# Sibling\n');
+    }
+    await mkdir(join(boardRepo, 'config'), { recursive: true });
+    await writeFile(join(boardRepo, 'config', 'category-mapping.yaml'),
+        `channels:\n  - id: "${CORE_SIBLING_CHANNEL}"\n    access_level: "core"\ndefault_access_level: "public"\n`);
+
+    const { registerTools } = await import('../src/tools/registry.js');
+    const { searchTools } = await import('../src/tools/search/index.js');
+    const { discordTools } = await import('../src/tools/discord.js');
+    registerTools(searchTools);
+    registerTools(discordTools);
+});
+
+after(async () => {
+    await removeTestKB();
+    await rm(parent, { recursive: true, force: true });
+});
+
+describe('discord search', () => {
+    for (const tool of ['discord_semantic_search', 'discord_hybrid_search']) {
+        test(`${tool} returns only messages the caller's level allows`, async () => {
+            const search = who => callTool(who, tool, { query: 'release plan' });
+
+            assert.deepEqual(messageIds(await search('admin')), ALL);
+            assert.deepEqual(messageIds(await search('team')), ['m-core', 'm-public', 'm-team']);
+            assert.deepEqual(messageIds(await search('member')), ['m-public', 'm-team']);
+            assert.deepEqual(messageIds(await search(null)), ['m-public']);
+        });
+    }
+
+    test('explicit channel filters do not widen access', async () => {
+        const result = await callTool('team', 'discord_semantic_search', { query: 'release plan', channel_id: BOARD_CHANNEL });
+        assert.deepEqual(result.results, []);
+    });
+
+    test('anonymous results have the author redacted', async () => {
+        const result = await callTool(null, 'discord_semantic_search', { query: 'release plan' });
+        assert.equal(result.results[0].author, '[REDACTED]');
+    });
+});
+
+describe('unified search', () => {
+    for (const tool of ['unified_semantic_search', 'unified_hybrid_search']) {
+        test(`${tool} applies its own filter to discord results`, async () => {
+            const search = who => callTool(who, tool, { query: 'release plan', sources: ['discord'] });
+
+            assert.deepEqual(messageIds(await search('admin')), ALL);
+            assert.deepEqual(messageIds(await search('team')), ['m-core', 'm-public', 'm-team']);
+            // Members search unified sources with the public filter
+            assert.deepEqual(messageIds(await search('member')), ['m-public']);
+            assert.deepEqual(messageIds(await search(null)), ['m-public']);
+        });
+    }
+});
+
+describe('discord_read_messages', () => {
+    test('only admins read a board channel', async () => {
+        const read = who => callTool(who, 'discord_read_messages', { server_id: SERVER_ID, channel_id: BOARD_CHANNEL });
+
+        const result = await read('admin');
+        assert.equal(result.access_level, 'private');
+        assert.deepEqual(result.files_loaded, ['2026-10-01.md']);
+
+        for (const who of ['team', 'member', null]) {
+            await assert.rejects(read(who), { name: 'AuthorizationError' });
+        }
+    });
+
+    test('channels from a sibling repository use its mapping and are private when unmapped', async () => {
+        const read = (who, channel_id) => callTool(who, 'discord_read_messages', { server_id: SERVER_ID, channel_id });
+
+        // Neither mapping lists the channel; the sibling's default does not apply either
+        const unmapped = await read('admin', SIBLING_CHANNEL);
+        assert.equal(unmapped.access_level, 'private');
+        assert.deepEqual(unmapped.files_loaded, ['2026-10-01.md']);
+        await assert.rejects(read('team', SIBLING_CHANNEL), { name: 'AuthorizationError' });
+
+        const mapped = await read('team', CORE_SIBLING_CHANNEL);
+        assert.equal(mapped.access_level, 'core');
+        await assert.rejects(read('member', CORE_SIBLING_CHANNEL), { name: 'AuthorizationError' });
+    });
+});
@@ -0,0 +1,108 @@
+// Service account tests
+// API keys resolve to named accounts limited to their tools, folders and expiry
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { createTestKB, removeTestKB } from './helpers/kb-fixture.js';
+
+let dir;
+let accounts;
+let auth;
+let pathAcl;
+let botKey;
+let expiredKey;
+
+before(async () => {
+    dir = await createTestKB('service');
+    process.env.ORBIOS_SERVICE_ACCOUNTS_PATH = join(dir, 'service-accounts.yaml');
+    process.env.ORBIOS_AUDIT_DIR = join(dir, 'audit');
+
+    accounts = await import('../src/auth/service-accounts.js');
+    auth = await import('../src/auth/index.js');
+    pathAcl = await import('../src/auth/path-acl.js');
+
+    botKey = accounts.createServiceAccount({
+        name: 'mission-bot',
+        role: 'team',
+        tools: ['missions_update', 'missions_list'],
+        folders: ['missions/']
+    }).apiKey;
+    expiredKey = accounts.createServiceAccount({
+        name: 'old-summarizer',
+        role: 'team',
+        tools: ['*'],
+        folders: ['**'],
+        expires_at: '2020-01-01'
+    }).apiKey;
+});
+
+after(removeTestKB);
+
+/**
+ * Run fn inside the auth context an API key gets
+ */
+async function asKey(apiKey, fn) {
+    const metadata = await auth.authenticateBearerToken(apiKey);
+    assert.ok(metadata, 'API key rejected');
+    return await auth.withAuthContext(metadata, fn);
+}
+
+describe('service account keys', () => {
+    test('stores only a hash of the key', async () => {
+        const stored = await readFile(join(dir, 'service-accounts.yaml'), 'utf-8');
+        assert.ok(!stored.includes(botKey));
+        assert.ok(stored.includes(accounts.hashApiKey(botKey)));
+    });
+
+    test('resolves to a named identity with the account role', async () => {
+        const context = await asKey(botKey, async context => context);
+        assert.equal(context.userId, 'service:mission-bot');
+        assert.equal(context.username, 'mission-bot');
+        assert.equal(context.kbRole, 'team');
+    });
+
+    test('rejects unknown and expired keys', async () => {
+        assert.equal(await auth.authenticateBearerToken(`${accounts.API_KEY_PREFIX}unknown`), null);
+        assert.equal(await auth.authenticateBearerToken(expiredKey), null);
+    });
+});
+
+describe('service account scope', () => {
+    test('allows only the listed tools even when the role could use more', async () => {
+        await asKey(botKey, async () => {
+            assert.doesNotThrow(() => auth.checkToolAuthorization('missions_update'));
+            assert.throws(() => auth.checkToolAuthorization('missions_create'), error =>
+                error instanceof auth.AuthorizationError
+                && error.details.rule === 'service_accounts.mission-bot.tools');
+        });
+    });
+
+    test('allows only the listed folders', async () => {
+        await asKey(botKey, async () => {
+            assert.doesNotThrow(() => pathAcl.checkPathAccess('missions/orbios-ops/mission.yaml', 'write'));
+            assert.throws(() => pathAcl.checkPathAccess('context/overview.md', 'read'), auth.AuthorizationError);
+        });
+    });
+
+    test('audits tool calls under the account name', async () => {
+        const listMissions = auth.withAuth('missions_list', async () => []);
+        const createMission = auth.withAuth('missions_create', async () => ({}));
+
+        await asKey(botKey, async () => {
+            await listMissions({});
+            await assert.rejects(() => createMission({}), auth.AuthorizationError);
+        });
+
+        const entries = (await readFile(join(dir, 'audit', 'audit.jsonl'), 'utf-8'))
+            .trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(
+            entries.map(e => [e.toolName, e.allowed, e.serviceAccount, e.userId]),
+            [
+                ['missions_list', true, 'mission-bot', 'service:mission-bot'],
+                ['missions_create', false, 'mission-bot', 'service:mission-bot']
+            ]
+        );
+    });
+});
@@ -0,0 +1,150 @@
+// Shipped policy tests
+// Allow, deny and filter resolution of the repository's .tf/policy.yaml per role, and perimeter mode
+
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { MEMBER_ID, SHIPPED_POLICY_PATH, createTestKB, removeTestKB, writeMission, as, callAs } from './helpers/kb-fixture.js';
+
+const ROLES = ['admin', 'team', 'member', 'public'];
+
+let kbRoot;
+let policy;
+let permissions;
+let pathAcl;
+let missions;
+
+/**
+ * Run fn with ORBIOS_POLICY_PATH pointing at another file
+ */
+async function withPolicyFile(policyPath, fn) {
+    const previous = process.env.ORBIOS_POLICY_PATH;
+    process.env.ORBIOS_POLICY_PATH = policyPath;
+    try {
+        return await fn();
+    } finally {
+        process.env.ORBIOS_POLICY_PATH = previous;
+    }
+}
+
+const decide = (tool, role) => {
+    const { allowed, filter } = policy.evaluateToolPolicy(tool, role);
+    return allowed ? filter || 'allowed' : 'denied';
+};
+
+before(async () => {
+    kbRoot = await createTestKB('shipped-policy', { policy: 'shipped' });
+    await writeMission('internal-tooling', { participants: [MEMBER_ID] });
+    await writeMission('public-launch', { participants: ['300000000000000001'], access_level: 'public' });
+    await writeMission('board-strategy', { participants: ['300000000000000002'], access_level: 'private' });
+
+    policy = await import('../src/auth/policy.js');
+    permissions = await import('../src/auth/permissions.js');
+    pathAcl = await import('../src/auth/path-acl.js');
+    missions = await import('../src/tools/missions.js');
+});
+
+after(removeTestKB);
+
+describe('shipped .tf/policy.yaml', () => {
+    test('loads in enforce mode', () => {
+        const loaded = policy.loadPolicy();
+        assert.equal(loaded.source, SHIPPED_POLICY_PATH);
+        assert.equal(loaded.mode, 'enforce');
+        assert.deepEqual(Object.keys(loaded.roles).sort(), [...ROLES].sort());
+    });
+
+    test('allows and filters mission tools per role', () => {
+        assert.deepEqual(ROLES.map(role => decide('missions_read', role)), ['all', 'team', 'assigned', 'denied']);
+        assert.deepEqual(ROLES.map(role => decide('missions_list', role)), ['all', 'team', 'assigned', 'public']);
+        assert.deepEqual(ROLES.map(role => decide('missions_update', role)), ['all', 'team', 'denied', 'denied']);
+        assert.deepEqual(ROLES.map(role => decide('missions_objective_add', role)), ['all', 'team', 'denied', 'denied']);
+        assert.deepEqual(ROLES.map(role => decide('missions_chat_append', role)), ['all', 'team', 'assigned', 'denied']);
+    });
+
+    test('deny overrides a matching allow glob', () => {
+        const decision = policy.evaluateToolPolicy('discord_trigger_sync', 'team');
+        assert.equal(decision.allowed, false);
+        assert.equal(decision.rule, 'roles.team.deny: discord_trigger_sync');
+
+        assert.equal(policy.evaluateToolPolicy('discord_pull_updates', 'team').rule, 'roles.team.allow: discord_*');
+        assert.equal(decide('discord_trigger_sync', 'admin'), 'all');
+    });
+
+    test('exact filter names win over globs, otherwise the first matching glob', () => {
+        assert.deepEqual(ROLES.map(role => decide('discord_semantic_search', role)), ['all', 'team', 'assigned', 'public']);
+        assert.deepEqual(ROLES.map(role => decide('docs_hybrid_search', role)), ['all', 'team', 'public', 'public']);
+        assert.equal(decide('discord_search_messages', 'member'), 'assigned');
+    });
+
+    test('tools outside a role\'s allow list are denied', () => {
+        assert.equal(policy.evaluateToolPolicy('graphql_query', 'team').rule, 'not in roles.team.allow');
+        assert.deepEqual(ROLES.map(role => decide('graphql_query', role)), ['all', 'denied', 'denied', 'denied']);
+        assert.deepEqual(ROLES.map(role => decide('audit_query', role)), ['all', 'denied', 'denied', 'denied']);
+    });
+
+    test('agrees with the built-in TOOL_PERMISSIONS matrix', () => {
+        for (const tool of Object.keys(permissions.TOOL_PERMISSIONS)) {
+            for (const role of ROLES) {
+                const filter = permissions.getToolFilter(tool, role, null);
+                const builtIn = permissions.canUseTool(tool, role) ? filter?.type || 'all' : 'denied';
+                const shipped = decide(tool, role);
+                assert.equal(shipped === 'allowed' ? 'all' : shipped, builtIn, `${tool} as ${role}`);
+            }
+        }
+    });
+
+    test('filters reach the handlers through the request path', async () => {
+        const listIds = async who => (await callAs(who, 'missions_list', missions.missionsList)).map(m => m.id).sort();
+
+        assert.deepEqual(await listIds('admin'), ['board-strategy', 'internal-tooling', 'public-launch']);
+        assert.deepEqual(await listIds('team'), ['internal-tooling', 'public-launch']);
+        assert.deepEqual(await listIds('member'), ['internal-tooling']);
+        assert.deepEqual(await listIds(null), ['public-launch']);
+        await assert.rejects(
+            callAs('member', 'missions_update', missions.missionsUpdate, { id: 'internal-tooling', updates: { title: 'x' } }),
+            { name: 'AuthorizationError' }
+        );
+    });
+});
+
+describe('perimeter mode', () => {
+    let perimeterPath;
+
+    before(async () => {
+        const shipped = await readFile(SHIPPED_POLICY_PATH, 'utf-8');
+        assert.match(shipped, /^mode: enforce$/m);
+        perimeterPath = join(kbRoot, 'perimeter-policy.yaml');
+        await writeFile(perimeterPath, shipped.replace(/^mode: enforce$/m, 'mode: perimeter'));
+    });
+
+    test('allows every tool to every role without filters', async () => {
+        await withPolicyFile(perimeterPath, () => {
+            for (const role of ROLES) {
+                for (const tool of ['missions_read', 'discord_trigger_sync', 'graphql_query', 'missions_objective_add']) {
+                    const decision = policy.evaluateToolPolicy(tool, role);
+                    assert.deepEqual([decision.allowed, decision.filter, decision.rule], [true, null, 'perimeter mode'], `${tool} as ${role}`);
+                }
+            }
+        });
+    });
+
+    test('anonymous callers see every mission and every folder', async () => {
+        await withPolicyFile(perimeterPath, async () => {
+            const ids = (await callAs(null, 'missions_list', missions.missionsList)).map(m => m.id).sort();
+            assert.deepEqual(ids, ['board-strategy', 'internal-tooling', 'public-launch']);
+
+            const mission = await callAs(null, 'missions_read', missions.missionsRead, { id: 'board-strategy' });
+            assert.equal(mission.id, 'board-strategy');
+            assert.equal(await as(null, () => pathAcl.canAccessPath('candidates/')), true);
+        });
+
+        // Back on the shipped file, the same calls are denied again
+        await assert.rejects(
+            callAs(null, 'missions_read', missions.missionsRead, { id: 'board-strategy' }),
+            { name: 'AuthorizationError' }
+        );
+        assert.equal(await as(null, () => pathAcl.canAccessPath('candidates/')), false);
+    });
+});
@@ -0,0 +1,109 @@
+// KB watcher tests
+// Changed files map to kb:// URIs, batched by the debounce and capped by the max wait
+
+import { test, before, after, beforeEach, afterEach, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { createTestKB, removeTestKB } from './helpers/kb-fixture.js';
+
+const DEBOUNCE_MS = 100;
+const MAX_WAIT_MS = 300;
+
+let kbRoot;
+let kbWatcher;
+
+before(async () => {
+    kbRoot = await createTestKB('watcher');
+    process.env.ORBIOS_WATCH_DEBOUNCE_MS = String(DEBOUNCE_MS);
+    process.env.ORBIOS_WATCH_MAX_WAIT_MS = String(MAX_WAIT_MS);
+    await mkdir(join(kbRoot, 'missions', 'active', 'client-portal'), { recursive: true });
+
+    ({ kbWatcher } = await import('../src/resources/watcher.js'));
+});
+
+after(removeTestKB);
+
+describe('file system events', () => {
+    test('a written mission file notifies its resources once', async () => {
+        const batches = [];
+        const received = new Promise(resolve => {
+            const unsubscribe = kbWatcher.subscribe(uris => {
+                batches.push(uris);
+                unsubscribe();
+                resolve();
+            });
+        });
+
+        await writeFile(join(kbRoot, 'missions', 'active', 'client-portal', 'chat.md'), '# Chat\n');
+        await received;
+
+        assert.deepEqual(batches, [['kb://missions/client-portal', 'kb://missions/client-portal/chat']]);
+        assert.equal(kbWatcher.watcher, null);
+    });
+});
+
+describe('coalescing', () => {
+    let batches;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        batches = [];
+        // Changes are fed in directly; the fs watcher itself stays idle
+        kbWatcher.listeners.add(uris => batches.push(uris));
+    });
+
+    afterEach(() => {
+        kbWatcher.listeners.clear();
+        kbWatcher.stop();
+        mock.timers.reset();
+    });
+
+    test('changes within the debounce window flush once, without duplicates', () => {
+        kbWatcher.handleChange('missions/active/client-portal/mission.yaml');
+        mock.timers.tick(DEBOUNCE_MS - 10);
+        kbWatcher.handleChange('missions/active/client-portal/chat.md');
+        mock.timers.tick(DEBOUNCE_MS - 10);
+        kbWatcher.handleChange('actions/AT-001.md');
+
+        // Each change restarts the quiet period
+        mock.timers.tick(DEBOUNCE_MS - 10);
+        assert.deepEqual(batches, []);
+
+        mock.timers.tick(10);
+        assert.deepEqual(batches, [[
+            'kb://missions/client-portal',
+            'kb://missions/client-portal/chat',
+            'kb://actions/AT-001'
+        ]]);
+    });
+
+    test('a continuous stream of changes is flushed at the max wait', () => {
+        const flushTimes = [];
+        kbWatcher.listeners.add(() => flushTimes.push(Date.now()));
+        const start = Date.now();
+
+        for (let elapsed = 0; elapsed < MAX_WAIT_MS + 200; elapsed += DEBOUNCE_MS / 2) {
+            kbWatcher.handleChange(`actions/AT-${String(elapsed).padStart(3, '0')}.md`);
+            mock.timers.tick(DEBOUNCE_MS / 2);
+        }
+
+        assert.deepEqual(flushTimes.map(t => t - start), [MAX_WAIT_MS]);
+        assert.equal(batches[0].length, MAX_WAIT_MS / (DEBOUNCE_MS / 2));
+
+        // The rest of the stream starts a new batch, flushed after the debounce
+        mock.timers.tick(DEBOUNCE_MS);
+        assert.equal(batches.length, 2);
+    });
+
+    test('ignored folders and files that are not resources are dropped', () => {
+        kbWatcher.handleChange('.git/index');
+        kbWatcher.handleChange('logs/mcp-auth.log');
+        kbWatcher.handleChange('missions/active/client-portal/notes.txt');
+        kbWatcher.handleChange('actions/README.md');
+
+        mock.timers.tick(MAX_WAIT_MS);
+        assert.deepEqual(batches, []);
+        assert.equal(kbWatcher.timer, null);
+    });
+});